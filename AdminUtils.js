@@ -148,3 +148,22 @@ function showAllUserProperties() {
   try { SpreadsheetApp.getUi().alert("User Properties Logged", alertMsg, SpreadsheetApp.getUi().ButtonSet.OK); }
   catch(e) { try { Browser.msgBox("User Properties Logged", alertMsg, Browser.Buttons.OK); } catch(e2) {} }
 }
+
+/**
+ * Menu command: clears the "LLM Cache" tab (ParseCache.gs) after asking for confirmation, so the next
+ * run sends every message to the LLM again (e.g. after changing the prompt or model settings).
+ */
+function clearParseCache_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Clear Parse Cache',
+    'Delete all cached LLM parse results? Messages processed again afterwards will be sent to the LLM again, which uses API quota.',
+    ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  try {
+    const removed = clearParseCache(SpreadsheetApp.getActiveSpreadsheet()); // From ParseCache.gs
+    ui.alert('Clear Parse Cache', `Removed ${removed} cached result(s).`, ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[clearParseCache_UI ERROR] ${e.toString()}`);
+    ui.alert('Clear Parse Cache', 'The cache could not be cleared: ' + e.message, ui.ButtonSet.OK);
+  }
+}
@@ -0,0 +1,289 @@
+// File: ApplicationsModel.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: In-memory copy of the "Applications" sheet used by processJobApplicationEmails.
+// The sheet is read once, every update/insert is applied to the model, and flushApplicationsModel
+// writes only the changed cells of the changed rows back in a few batched setValues() calls.
+
+/**
+ * Reads the whole "Applications" sheet into memory.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet (with Application IDs backfilled).
+ * @return {{rows: Array<Array<*>>, loadedRows: Array<Array<*>>, indexById: Object<string, number>, dirtyIds: Set<string>,
+ *     newRows: Array<Array<*>>}} rows holds one array per existing data row (TOTAL_COLUMNS_IN_APP_SHEET wide);
+ *     loadedRows keeps them as read, to tell the cells the run changed; indexById maps an Application ID to its
+ *     index in rows; dirtyIds lists existing rows changed since loading; newRows holds rows to append on flush.
+ */
+function loadApplicationsModel(dataSheet) {
+  const lastRow = dataSheet.getLastRow();
+  const rows = lastRow >= 2 ? dataSheet.getRange(2, 1, lastRow - 1, TOTAL_COLUMNS_IN_APP_SHEET).getValues() : [];
+  const indexById = {};
+  rows.forEach((row, i) => {
+    const appId = String(row[APPLICATION_ID_COL - 1] || "").trim();
+    if (appId) indexById[appId] = i;
+  });
+  return { rows: rows, loadedRows: rows.map(row => [...row]), indexById: indexById, dirtyIds: new Set(), newRows: [] };
+}
+
+/**
+ * Returns a copy of a row in the model (existing or pending insert).
+ * @param {Object} model Model from loadApplicationsModel.
+ * @param {string} appId The Application ID.
+ * @return {Array<*>|null} A copy of the row values, or null if the ID is unknown.
+ */
+function getModelRowById(model, appId) {
+  if (Object.prototype.hasOwnProperty.call(model.indexById, appId)) return [...model.rows[model.indexById[appId]]];
+  const pending = model.newRows.find(r => r[APPLICATION_ID_COL - 1] === appId);
+  return pending ? [...pending] : null;
+}
+
+/**
+ * Replaces a row in the model and marks it for writing.
+ * @param {Object} model Model from loadApplicationsModel.
+ * @param {Array<*>} rowValues Full row; its Application ID column identifies the row.
+ * @return {boolean} False if the Application ID is unknown to the model.
+ */
+function setModelRow(model, rowValues) {
+  const appId = String(rowValues[APPLICATION_ID_COL - 1] || "");
+  if (Object.prototype.hasOwnProperty.call(model.indexById, appId)) {
+    model.rows[model.indexById[appId]] = rowValues;
+    model.dirtyIds.add(appId);
+    return true;
+  }
+  const pendingIndex = model.newRows.findIndex(r => r[APPLICATION_ID_COL - 1] === appId);
+  if (pendingIndex === -1) return false;
+  model.newRows[pendingIndex] = rowValues;
+  return true;
+}
+
+/**
+ * Queues a new row to be appended on flush.
+ * @param {Object} model Model from loadApplicationsModel.
+ * @param {Array<*>} rowValues Full row including a freshly generated Application ID.
+ */
+function appendModelRow(model, rowValues) {
+  model.newRows.push(rowValues);
+}
+
+/**
+ * Writes changed and new rows back to the sheet. Rows are located by Application ID at flush time,
+ * so a user sorting or deleting rows during the run cannot redirect a write. Changed rows are re-read
+ * and only the cells the run changed are replaced, so edits the user made during the run are kept.
+ * Changed rows whose ID has disappeared from the sheet are appended rather than lost. Adjacent changed
+ * rows are written with a single setValues() call. Low-confidence cells get a note naming their source (see getLowConfidenceFields).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @param {Object} model Model from loadApplicationsModel.
+ * @return {{success: boolean, updated: number, appended: number}} Write counts.
+ */
+function flushApplicationsModel(dataSheet, model) {
+  const FUNC_NAME = "flushApplicationsModel";
+  const result = { success: true, updated: 0, appended: 0 };
+  try {
+    const toAppend = [...model.newRows];
+    if (model.dirtyIds.size > 0) {
+      const lastRow = dataSheet.getLastRow();
+      const sheetIds = lastRow >= 2 ? dataSheet.getRange(2, APPLICATION_ID_COL, lastRow - 1, 1).getValues() : [];
+      const currentRowById = {};
+      sheetIds.forEach((r, i) => { const id = String(r[0] || "").trim(); if (id) currentRowById[id] = i + 2; });
+
+      const writes = [];
+      model.dirtyIds.forEach(appId => {
+        const index = model.indexById[appId];
+        const values = model.rows[index];
+        if (currentRowById[appId]) writes.push({ sheetRow: currentRowById[appId], values: values, loaded: model.loadedRows[index] });
+        else {
+          Logger.log(`[${FUNC_NAME} WARN] Application ID "${appId}" was removed from the sheet during the run. Re-appending it.`);
+          toAppend.push(values);
+        }
+      });
+      writes.sort((a, b) => a.sheetRow - b.sheetRow);
+      let blockStart = 0;
+      for (let i = 1; i <= writes.length; i++) {
+        if (i === writes.length || writes[i].sheetRow !== writes[i - 1].sheetRow + 1) {
+          const block = writes.slice(blockStart, i);
+          const current = dataSheet.getRange(block[0].sheetRow, 1, block.length, TOTAL_COLUMNS_IN_APP_SHEET).getValues();
+          writeRowsWithNotes_(dataSheet, block[0].sheetRow, block.map((w, j) => mergeRowChanges_(current[j], w.loaded, w.values)));
+          blockStart = i;
+        }
+      }
+      result.updated = writes.length;
+    }
+    if (toAppend.length > 0) {
+      writeRowsWithNotes_(dataSheet, dataSheet.getLastRow() + 1, toAppend);
+      result.appended = toAppend.length;
+    }
+    SpreadsheetApp.flush();
+    Logger.log(`[${FUNC_NAME} INFO] Flushed ${result.updated} updated and ${result.appended} new row(s).`);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Batched write failed: ${e.toString()}\nStack: ${e.stack}`);
+    result.success = false;
+  }
+  return result;
+}
+
+// The row as it is in the sheet now, with the cells the run changed since loading taken from the model. Field Sources
+// is merged per field: an entry the sheet changed during the run is kept when the run left that field alone or the
+// change was a manual edit (confirmEditedFieldSources_ in EditHandler.gs), and the field's cell keeps the sheet value
+// with it, so a value the user typed mid-run is never later taken for a parsed one.
+function mergeRowChanges_(currentRow, loadedRow, modelRow) {
+  const merged = currentRow.map((value, i) => (detailValueKey_(modelRow[i]) !== detailValueKey_(loadedRow[i]) ? modelRow[i] : value));
+  const sourcesIndex = FIELD_SOURCES_COL - 1;
+  const loadedKey = detailValueKey_(loadedRow[sourcesIndex]);
+  if (detailValueKey_(modelRow[sourcesIndex]) === loadedKey || detailValueKey_(currentRow[sourcesIndex]) === loadedKey) return merged;
+
+  const loaded = parseFieldSourcesCell(loadedRow[sourcesIndex]);
+  const current = parseFieldSourcesCell(currentRow[sourcesIndex]);
+  const sources = parseFieldSourcesCell(modelRow[sourcesIndex]);
+  const columns = getProvenanceFieldColumns_();
+  const entryKey = entry => JSON.stringify(entry || null);
+  new Set([...Object.keys(loaded), ...Object.keys(current)]).forEach(field => {
+    if (entryKey(current[field]) === entryKey(loaded[field])) return; // Not changed in the sheet
+    const changedByRun = entryKey(sources[field]) !== entryKey(loaded[field]);
+    const manual = !current[field] || current[field].source === STATUS_ORIGIN_MANUAL_EDIT; // Only an edit removes an entry
+    if (changedByRun && !manual) return;
+    if (current[field]) sources[field] = current[field];
+    else delete sources[field];
+    if (columns[field]) merged[columns[field] - 1] = currentRow[columns[field] - 1];
+  });
+  merged[sourcesIndex] = Object.keys(sources).length > 0 ? JSON.stringify(sources) : "";
+  return merged;
+}
+
+// Writes adjacent rows and refreshes the low-confidence notes on their provenance columns. The salary columns are
+// re-parsed from Compensation on the way out, so they always match it.
+function writeRowsWithNotes_(dataSheet, startRow, rows) {
+  rows.forEach(applySalaryColumnsToRow); // From SalaryUtils.gs
+  dataSheet.getRange(startRow, 1, rows.length, TOTAL_COLUMNS_IN_APP_SHEET).setValues(rows);
+  buildLowConfidenceNotes_(rows).forEach(run => {
+    dataSheet.getRange(startRow, run.column, rows.length, run.notes[0].length).setNotes(run.notes);
+  });
+}
+
+// --- Extracted Detail Fields & Provenance ---
+
+/**
+ * Writes extracted detail fields (APP_DETAIL_FIELD_COLUMNS in Config.gs) into a row without overwriting
+ * user edits. An empty cell is filled; a cell that still holds the value this script last wrote (recorded
+ * in the hidden Field Sources column) is refreshed; anything else was typed by the user and is kept.
+ * @param {Array<*>} rowValues Full row, modified in place.
+ * @param {Object<string, *>} details Extracted values keyed like APP_DETAIL_FIELD_COLUMNS; blank values are ignored.
+ * @param {string} sourceEmailId ID of the email the values came from.
+ * @param {string} source FIELD_SOURCE_* constant (Config.gs) of the parser that produced the values.
+ * @return {Array<string>} Keys of the fields that changed.
+ */
+function mergeExtractedDetailsIntoRow(rowValues, details, sourceEmailId, source) {
+  const changed = [];
+  if (!details) return changed;
+  const sources = parseFieldSourcesCell(rowValues[FIELD_SOURCES_COL - 1]);
+  Object.keys(APP_DETAIL_FIELD_COLUMNS).forEach(field => {
+    const newValue = details[field];
+    const newKey = detailValueKey_(newValue);
+    if (!newKey) return;
+    const idx = APP_DETAIL_FIELD_COLUMNS[field] - 1;
+    const currentKey = detailValueKey_(rowValues[idx]);
+    const lastWritten = sources[field] ? sources[field].value : null;
+    if (currentKey !== "" && currentKey !== lastWritten) return; // User-entered value
+    if (currentKey === newKey) return;
+    rowValues[idx] = newValue;
+    sources[field] = buildFieldSourceEntry_(buildFieldProvenance(field, newValue, source), sourceEmailId); // From ParsingUtils.gs
+    changed.push(field);
+  });
+  if (changed.length > 0) rowValues[FIELD_SOURCES_COL - 1] = JSON.stringify(sources);
+  return changed;
+}
+
+// Comparable string form of a cell value; dates compare by instant so a re-read Date matches the one written.
+function detailValueKey_(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return isNaN(value.getTime()) ? "" : value.toISOString();
+  return String(value).trim();
+}
+
+/**
+ * Records where the row's core fields (APP_CORE_FIELD_COLUMNS) came from. A field is only recorded when
+ * its cell ended up holding the parsed value, so a value kept from the sheet keeps its earlier record.
+ * @param {Array<*>} rowValues Full row, modified in place (Field Sources column).
+ * @param {Object<string, {value: *, source: string, confidence: number}>} provenance From buildFieldProvenance, keyed by field.
+ * @param {string} sourceEmailId ID of the email the values came from.
+ */
+function recordFieldProvenance(rowValues, provenance, sourceEmailId) {
+  const sources = parseFieldSourcesCell(rowValues[FIELD_SOURCES_COL - 1]);
+  Object.keys(APP_CORE_FIELD_COLUMNS).forEach(field => {
+    const entry = provenance[field];
+    if (!entry || !entry.source) return; // Nothing parsed; the Manual Review placeholder speaks for itself
+    if (detailValueKey_(rowValues[APP_CORE_FIELD_COLUMNS[field] - 1]) !== detailValueKey_(entry.value)) return;
+    sources[field] = buildFieldSourceEntry_(entry, sourceEmailId);
+  });
+  rowValues[FIELD_SOURCES_COL - 1] = JSON.stringify(sources);
+}
+
+/**
+ * Fields whose current value was written by the script with confidence below LOW_CONFIDENCE_THRESHOLD.
+ * A cell the user has since changed no longer counts.
+ * @param {Array<*>} rowValues Full row.
+ * @return {Array<string>} Field keys, e.g. ["company"].
+ */
+function getLowConfidenceFields(rowValues) {
+  const sources = parseFieldSourcesCell(rowValues[FIELD_SOURCES_COL - 1]);
+  const columns = getProvenanceFieldColumns_();
+  return Object.keys(sources).filter(field => {
+    const entry = sources[field];
+    if (!columns[field] || typeof entry.confidence !== 'number') return false; // Older entries carry no score
+    return entry.confidence < LOW_CONFIDENCE_THRESHOLD && detailValueKey_(rowValues[columns[field] - 1]) === entry.value;
+  });
+}
+
+/**
+ * Reads the hidden Field Sources cell.
+ * @param {*} cellValue Raw cell value (JSON object keyed by field).
+ * @return {Object<string, Object>} Parsed sources; {} when blank or unreadable.
+ */
+function parseFieldSourcesCell(cellValue) {
+  if (!cellValue) return {};
+  try {
+    const parsed = JSON.parse(String(cellValue));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Field Sources entry: the value as written (for change detection), its email, source and confidence.
+function buildFieldSourceEntry_(provenance, sourceEmailId) {
+  return { value: detailValueKey_(provenance.value), emailId: sourceEmailId, source: provenance.source, confidence: provenance.confidence };
+}
+
+// Every field with provenance -> its column.
+function getProvenanceFieldColumns_() {
+  return Object.assign({}, APP_CORE_FIELD_COLUMNS, APP_DETAIL_FIELD_COLUMNS);
+}
+
+/**
+ * Cell notes for the provenance columns of the given rows: low-confidence values get a note naming the
+ * source, everything else gets "" (which clears a stale note).
+ * @param {Array<Array<*>>} rows Full rows in sheet order.
+ * @return {Array<{column: number, notes: Array<Array<string>>}>} One entry per run of adjacent columns.
+ */
+function buildLowConfidenceNotes_(rows) {
+  const columns = getProvenanceFieldColumns_();
+  const fieldByColumn = {};
+  Object.keys(columns).forEach(field => { fieldByColumn[columns[field]] = field; });
+  const sortedCols = Object.keys(fieldByColumn).map(Number).sort((a, b) => a - b);
+  const runs = [];
+  sortedCols.forEach(col => {
+    const last = runs[runs.length - 1];
+    if (last && last.column + last.width === col) last.width++;
+    else runs.push({ column: col, width: 1 });
+  });
+  const lowByRow = rows.map(row => ({ low: new Set(getLowConfidenceFields(row)), sources: parseFieldSourcesCell(row[FIELD_SOURCES_COL - 1]) }));
+  return runs.map(run => ({
+    column: run.column,
+    notes: lowByRow.map(r => {
+      const line = [];
+      for (let col = run.column; col < run.column + run.width; col++) {
+        const field = fieldByColumn[col];
+        const entry = r.sources[field];
+        line.push(r.low.has(field) ? `Low confidence (${entry.confidence}) - from ${entry.source}, email ${entry.emailId}. Please double-check.` : "");
+      }
+      return line;
+    })
+  }));
+}
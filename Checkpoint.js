@@ -0,0 +1,168 @@
+// File: Checkpoint.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Continuation state for long-running Gmail jobs (processJobApplicationEmails, processJobLeads).
+// When a run stops near the execution time limit it saves a checkpoint in script properties and schedules a
+// one-off continuation trigger (see scheduleContinuationTrigger in Triggers.gs), so a large backlog finishes
+// across several runs without manual re-runs. runWithJobLock keeps two runs of these jobs (and enrichJobLeads, which
+// writes to the leads tab processJobLeads sorts) from overlapping.
+
+let jobLockHeld_ = false; // True while this execution runs a job under runWithJobLock
+
+/**
+ * Reads the checkpoint for a job.
+ * @param {string} jobName One of the CHECKPOINT_JOB_* constants from Config.gs.
+ * @return {{pendingThreadIds: Array<string>, threadOutcomes: Object<string, string>, doneMessageIds: Array<string>, savedAt: string}|null}
+ *     The saved state, or null if there is none (or it is older than CHECKPOINT_MAX_AGE_HOURS).
+ */
+function loadProcessingCheckpoint(jobName) {
+  const FUNC_NAME = "loadProcessingCheckpoint";
+  const raw = PropertiesService.getScriptProperties().getProperty(CHECKPOINT_PROPERTY_PREFIX + jobName);
+  if (!raw) return null;
+  try {
+    const state = JSON.parse(raw);
+    const ageHours = (new Date().getTime() - new Date(state.savedAt).getTime()) / (60 * 60 * 1000);
+    if (!(ageHours <= CHECKPOINT_MAX_AGE_HOURS)) {
+      Logger.log(`[${FUNC_NAME} WARN] Discarding ${jobName} checkpoint saved ${state.savedAt} (older than ${CHECKPOINT_MAX_AGE_HOURS}h).`);
+      clearProcessingCheckpoint(jobName);
+      return null;
+    }
+    return {
+      pendingThreadIds: Array.isArray(state.pendingThreadIds) ? state.pendingThreadIds : [],
+      threadOutcomes: state.threadOutcomes && typeof state.threadOutcomes === 'object' ? state.threadOutcomes : {},
+      doneMessageIds: Array.isArray(state.doneMessageIds) ? state.doneMessageIds : [],
+      savedAt: state.savedAt
+    };
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Corrupt ${jobName} checkpoint discarded: ${e.message}`);
+    clearProcessingCheckpoint(jobName);
+    return null;
+  }
+}
+
+/**
+ * Saves the checkpoint for a job, overwriting any previous one.
+ * @param {string} jobName One of the CHECKPOINT_JOB_* constants from Config.gs.
+ * @param {Object} state The continuation state.
+ * @param {Array<string>} state.pendingThreadIds Threads to resume first on the next run, in order.
+ * @param {Object<string, string>} [state.threadOutcomes] Partial per-thread outcomes for unfinished threads.
+ * @param {Array<string>} [state.doneMessageIds] Messages in unfinished threads that were already handled.
+ */
+function saveProcessingCheckpoint(jobName, state) {
+  const payload = {
+    pendingThreadIds: state.pendingThreadIds || [],
+    threadOutcomes: state.threadOutcomes || {},
+    doneMessageIds: state.doneMessageIds || [],
+    savedAt: new Date().toISOString()
+  };
+  const props = PropertiesService.getScriptProperties();
+  try {
+    props.setProperty(CHECKPOINT_PROPERTY_PREFIX + jobName, JSON.stringify(payload));
+  } catch (e) {
+    // Script property values are capped at 9KB. The handled-message list is only an optimisation
+    // (those messages would be re-parsed and merged into the same rows), so drop it and retry.
+    Logger.log(`[saveProcessingCheckpoint WARN] ${jobName}: full checkpoint could not be saved (${e.message}). Saving thread IDs only.`);
+    payload.doneMessageIds = [];
+    props.setProperty(CHECKPOINT_PROPERTY_PREFIX + jobName, JSON.stringify(payload));
+  }
+  Logger.log(`[saveProcessingCheckpoint INFO] ${jobName}: saved ${payload.pendingThreadIds.length} pending thread(s), ${payload.doneMessageIds.length} handled message(s).`);
+}
+
+/**
+ * Removes the checkpoint for a job once its backlog is cleared.
+ * @param {string} jobName One of the CHECKPOINT_JOB_* constants from Config.gs.
+ */
+function clearProcessingCheckpoint(jobName) {
+  PropertiesService.getScriptProperties().deleteProperty(CHECKPOINT_PROPERTY_PREFIX + jobName);
+}
+
+/**
+ * Records how a run ended. With work left over the checkpoint is saved and a one-off continuation trigger
+ * is scheduled; otherwise any earlier checkpoint is cleared.
+ * @param {string} jobName One of the CHECKPOINT_JOB_* constants from Config.gs.
+ * @param {string} continuationHandler Function the continuation trigger should call.
+ * @param {Object|null} leftoverState State for saveProcessingCheckpoint, or null when the backlog is clear.
+ */
+function recordRunProgress(jobName, continuationHandler, leftoverState) {
+  const FUNC_NAME = "recordRunProgress";
+  try {
+    if (leftoverState) {
+      saveProcessingCheckpoint(jobName, leftoverState);
+      scheduleContinuationTrigger(continuationHandler); // From Triggers.gs
+    } else {
+      clearProcessingCheckpoint(jobName);
+    }
+  } catch (e) {
+    // Not fatal: unprocessed threads keep their "To Process" label and the regular trigger picks them up.
+    Logger.log(`[${FUNC_NAME} ERROR] ${jobName}: could not record run progress: ${e.message}`);
+  }
+}
+
+/**
+ * Runs a job under the script lock, so two runs (triggers, continuations, the menu, a historical import)
+ * never work on the same "To Process" threads, overwrite each other's checkpoint or sort rows another run is
+ * about to write to. When another run holds the
+ * lock the job does not run; its continuation trigger is scheduled instead.
+ * @param {string} jobName One of the CHECKPOINT_JOB_* constants from Config.gs.
+ * @param {string} continuationHandler Function the continuation trigger should call.
+ * @param {function()} job The run itself.
+ * @return {boolean} False if the run was deferred.
+ */
+function runWithJobLock(jobName, continuationHandler, job) {
+  const FUNC_NAME = "runWithJobLock";
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(JOB_LOCK_WAIT_SECONDS * 1000)) {
+    Logger.log(`[${FUNC_NAME} INFO] ${jobName}: another run is in progress. Rescheduling instead of processing.`);
+    scheduleContinuationTrigger(continuationHandler); // From Triggers.gs
+    return false;
+  }
+  jobLockHeld_ = true;
+  try {
+    job();
+  } finally {
+    jobLockHeld_ = false;
+    lock.releaseLock();
+  }
+  return true;
+}
+
+/**
+ * Tells code that takes the script lock for itself (updateLlmUsageState_ in LlmUsage.gs) that this execution
+ * already holds it for a job run, and must not release it.
+ * @return {boolean} True inside runWithJobLock.
+ */
+function isJobLockHeld() {
+  return jobLockHeld_;
+}
+
+/**
+ * Fetches the checkpoint's pending threads first (in saved order), then tops up from the label.
+ * Threads that no longer carry the label are skipped, so work finished by hand is not redone.
+ * @param {GoogleAppsScript.Gmail.GmailLabel} label The "To Process" label.
+ * @param {number} maxThreads Maximum number of threads to return.
+ * @param {Object|null} checkpoint State from loadProcessingCheckpoint.
+ * @return {Array<GoogleAppsScript.Gmail.GmailThread>} Threads to process this run.
+ */
+function getThreadsToResume(label, maxThreads, checkpoint) {
+  const FUNC_NAME = "getThreadsToResume";
+  const threads = [];
+  const seen = new Set();
+  const labelName = label.getName();
+  if (checkpoint) {
+    checkpoint.pendingThreadIds.forEach(threadId => {
+      if (threads.length >= maxThreads || seen.has(threadId)) return;
+      try {
+        const thread = GmailApp.getThreadById(threadId);
+        if (thread && thread.getLabels().some(l => l.getName() === labelName)) {
+          threads.push(thread); seen.add(threadId);
+        }
+      } catch (e) { Logger.log(`[${FUNC_NAME} WARN] Pending thread ${threadId} could not be loaded: ${e.message}`); }
+    });
+    Logger.log(`[${FUNC_NAME} INFO] Resuming ${threads.length} of ${checkpoint.pendingThreadIds.length} checkpointed thread(s).`);
+  }
+  if (threads.length < maxThreads) {
+    label.getThreads(0, maxThreads).forEach(thread => {
+      if (threads.length < maxThreads && !seen.has(thread.getId())) { threads.push(thread); seen.add(thread.getId()); }
+    });
+  }
+  return threads;
+}
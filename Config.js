@@ -23,6 +23,9 @@ const TEMPLATE_SHEET_ID = "12jj5lTyu_MzA6KBkfD-30mj-KYHaX-BjouFMtPIIzFc"; // REP
 // ID of the Master Script Project (bound to the template sheet above)
 // This is typically found in Project Settings -> Script ID
 const MASTER_SCRIPT_ID = "12suq_wdzxKZy7S7MJ9bB2a2-DxiN_Kl5mUVHupR-YAqT-_54eU-gQB8i"; // REPLACE WITH YOUR MASTER SCRIPT ID
+// Optional: ID of the spreadsheet the automations should always use. Leave blank to use the bound spreadsheet,
+// or the one named TARGET_SPREADSHEET_FILENAME (see getOrCreateSpreadsheetAndSheet in SheetUtils.gs).
+const FIXED_SPREADSHEET_ID = "";
 
 
 // --- Sheet Tab Names (User-Facing) ---
@@ -32,6 +35,15 @@ const DASHBOARD_TAB_NAME = "Dashboard";
 const HELPER_SHEET_NAME = "DashboardHelperData"; // This sheet will be hidden by default
 // For Job Leads Tracker
 const LEADS_SHEET_TAB_NAME = "Potential Job Leads";
+// Audit tabs (hidden by default)
+const CHANGE_LOG_SHEET_TAB_NAME = "Change Log"; // Manual edits captured by handleCellEdit
+const STATUS_HISTORY_SHEET_TAB_NAME = "Status History"; // Every status transition per application
+const PARSE_CACHE_SHEET_TAB_NAME = "LLM Cache"; // Parse results reused for messages seen before (ParseCache.gs)
+// Few-shot examples the user maintains for the LLM prompts (PromptRegistry.gs); visible
+const PROMPT_EXAMPLES_SHEET_TAB_NAME = "Prompt Examples";
+const LLM_USAGE_SHEET_TAB_NAME = "LLM Usage"; // One row per LLM call (LlmUsage.gs)
+const CORRECTIONS_SHEET_TAB_NAME = "Corrections"; // Parser mistakes the user fixed by hand (Corrections.gs)
+const TARGET_PROFILE_SHEET_TAB_NAME = "Target Profile"; // What the user is looking for; new leads are scored against it (LeadScoring.gs)
 
 
 // --- Column Configuration for "Applications" Sheet (APP_TRACKER_SHEET_TAB_NAME) ---
@@ -40,7 +52,10 @@ const LEADS_SHEET_TAB_NAME = "Potential Job Leads";
 const APP_TRACKER_SHEET_HEADERS = [
   "Processed Timestamp", "Email Date", "Platform", "Company", "Job Title", 
   "Status", "Peak Status", "Last Update Date", "Email Subject", 
-  "Email Link", "Email ID", "Notes" 
+  "Email Link", "Email ID", "Notes", "Application ID", "Thread IDs",
+  "Location", "Compensation", "Recruiter Name", "Recruiter Email", "Requisition ID", "Interview Date", "Field Sources",
+  "Prompt Version", "Job URL", "Source Lead ID",
+  "Salary Min", "Salary Max", "Salary Currency", "Salary Period", "Annual Salary Min (USD)", "Annual Salary Max (USD)"
 ];
 // Column Index Variables (1-based for sheet.getRange(), adjust if header order changes)
 const PROCESSED_TIMESTAMP_COL = 1;
@@ -55,16 +70,142 @@ const EMAIL_SUBJECT_COL = 9;
 const EMAIL_LINK_COL = 10;
 const EMAIL_ID_COL = 11;
 const NOTES_COL = 12;
-const TOTAL_COLUMNS_IN_APP_SHEET = APP_TRACKER_SHEET_HEADERS.length; // Should be 12
+const APPLICATION_ID_COL = 13; // Hidden. Stable key generated on insert; never derive identity from row position.
+const THREAD_IDS_COL = 14; // Hidden. Comma-separated Gmail thread IDs that belong to this application.
+// Details extracted from emails (see mergeExtractedDetailsIntoRow in ApplicationsModel.gs). Filled on insert and
+// refreshed by later emails, but a value the user typed over is never replaced.
+const LOCATION_COL = 15;
+const COMPENSATION_COL = 16;
+const RECRUITER_NAME_COL = 17;
+const RECRUITER_EMAIL_COL = 18;
+const REQUISITION_ID_COL = 19;
+const INTERVIEW_DATE_COL = 20;
+const FIELD_SOURCES_COL = 21; // Hidden. JSON: per parsed field, the value the script last wrote, its email, source and confidence.
+const PROMPT_VERSION_COL = 22; // Hidden. Prompt template version (PromptRegistry.gs) of the last LLM parse applied to the row.
+const JOB_URL_COL = 23; // Posting link, filled when the application comes from a job lead
+const SOURCE_LEAD_ID_COL = 24; // Hidden. Lead ID of the "Potential Job Leads" row the application came from (LeadPromotion.gs).
+// Parsed from Compensation by parseSalary (SalaryUtils.gs) whenever the row is written or Compensation is edited
+const SALARY_MIN_COL = 25;
+const SALARY_MAX_COL = 26;
+const SALARY_CURRENCY_COL = 27;
+const SALARY_PERIOD_COL = 28;
+const ANNUAL_SALARY_MIN_USD_COL = 29;
+const ANNUAL_SALARY_MAX_USD_COL = 30;
+const TOTAL_COLUMNS_IN_APP_SHEET = APP_TRACKER_SHEET_HEADERS.length; // Should be 30
+// Machine-maintained columns that ensureApplicationsSheetSchema() (SheetUtils.gs) adds to older sheets and keeps hidden.
+const APP_TRACKER_HIDDEN_METADATA_COLS = [APPLICATION_ID_COL, THREAD_IDS_COL, FIELD_SOURCES_COL, PROMPT_VERSION_COL, SOURCE_LEAD_ID_COL];
+// Extracted detail field -> column. Keys match the "details" object returned by callGemini_forApplicationDetails.
+const APP_DETAIL_FIELD_COLUMNS = {
+  location: LOCATION_COL,
+  compensation: COMPENSATION_COL,
+  recruiterName: RECRUITER_NAME_COL,
+  recruiterEmail: RECRUITER_EMAIL_COL,
+  requisitionId: REQUISITION_ID_COL,
+  interviewDateTime: INTERVIEW_DATE_COL
+};
+// Core parsed field -> column. These and the detail fields carry provenance in the Field Sources column.
+const APP_CORE_FIELD_COLUMNS = {
+  company: COMPANY_COL,
+  title: JOB_TITLE_COL,
+  status: STATUS_COL
+};
+// Structured salary field -> column. Keys match getSalaryFields (SalaryUtils.gs) and LEADS_FIELD_HEADERS.
+const APP_SALARY_FIELD_COLUMNS = {
+  salaryMin: SALARY_MIN_COL,
+  salaryMax: SALARY_MAX_COL,
+  salaryCurrency: SALARY_CURRENCY_COL,
+  salaryPeriod: SALARY_PERIOD_COL,
+  annualSalaryMinUsd: ANNUAL_SALARY_MIN_USD_COL,
+  annualSalaryMaxUsd: ANNUAL_SALARY_MAX_USD_COL
+};
+
+// --- Field Provenance ---
+// Where a parsed value came from (see extractCompanyAndTitle and buildFieldProvenance in ParsingUtils.gs).
+const FIELD_SOURCE_LLM = "LLM";
+const FIELD_SOURCE_PLATFORM_RULE = "Platform Rule"; // Platform-specific parsing, e.g. Wellfound subjects
+const FIELD_SOURCE_SUBJECT_REGEX = "Subject Regex";
+const FIELD_SOURCE_BODY_REGEX = "Body Regex";
+const FIELD_SOURCE_SENDER_NAME = "Sender Name";
+const FIELD_SOURCE_SENDER_DOMAIN = "Sender Domain";
+const FIELD_SOURCE_STATUS_KEYWORDS = "Status Keywords";
+const FIELD_SOURCE_DEFAULT = "Default"; // Nothing matched; DEFAULT_STATUS was assumed
+const FIELD_SOURCE_CORRECTION_RULE = "Correction Rule"; // Sender-specific rule learned from the user's corrections
+const FIELD_SOURCE_JOB_LEAD = "Job Lead"; // Copied from a lead the user marked as applied (LeadPromotion.gs)
+// Base confidence (0-1) per source. scoreFieldConfidence lowers it for values that look wrong.
+const FIELD_SOURCE_CONFIDENCE = {
+  [FIELD_SOURCE_JOB_LEAD]: 0.9,
+  [FIELD_SOURCE_LLM]: 0.85,
+  [FIELD_SOURCE_PLATFORM_RULE]: 0.8,
+  [FIELD_SOURCE_CORRECTION_RULE]: 0.8,
+  [FIELD_SOURCE_SUBJECT_REGEX]: 0.75,
+  [FIELD_SOURCE_STATUS_KEYWORDS]: 0.7,
+  [FIELD_SOURCE_BODY_REGEX]: 0.6,
+  [FIELD_SOURCE_DEFAULT]: 0.6,
+  [FIELD_SOURCE_SENDER_NAME]: 0.5,
+  [FIELD_SOURCE_SENDER_DOMAIN]: 0.4
+};
+// Values scored below this send their thread to the Manual Review label and get a cell note.
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
 
 // Column Widths for "Applications" Sheet (in pixels) - Array must match header count
-const APP_SHEET_COLUMN_WIDTHS = [150, 100, 100, 180, 200, 120, 100, 120, 250, 100, 100, 250];
+const APP_SHEET_COLUMN_WIDTHS = [150, 100, 100, 180, 200, 120, 100, 120, 250, 100, 100, 250, 250, 200, 150, 150, 150, 200, 120, 150, 250, 180, 250, 250, 100, 100, 110, 100, 170, 170];
+
+// --- Column Configuration for "Change Log" Sheet (CHANGE_LOG_SHEET_TAB_NAME) ---
+const CHANGE_LOG_SHEET_HEADERS = ["Timestamp", "Sheet", "Application ID", "Field", "Old Value", "New Value", "Editor"];
+const CHANGE_LOG_SHEET_COLUMN_WIDTHS = [150, 120, 250, 120, 200, 200, 200];
+
+// --- Column Configuration for "Status History" Sheet (STATUS_HISTORY_SHEET_TAB_NAME) ---
+// "Timestamp" is when the transition was recorded; "Effective Date" is when it happened (e.g. the email date).
+const STATUS_HISTORY_SHEET_HEADERS = [
+  "Timestamp", "Effective Date", "Application ID", "Company", "Job Title",
+  "Old Status", "New Status", "Source Email ID", "Origin"
+];
+const STATUS_HISTORY_SHEET_COLUMN_WIDTHS = [150, 150, 250, 180, 200, 130, 130, 150, 100];
+// Origin values written to the "Origin" column
+const STATUS_ORIGIN_GEMINI = "Gemini";
+const STATUS_ORIGIN_REGEX = "Regex";
+const STATUS_ORIGIN_STALE_JOB = "Stale Job";
+const STATUS_ORIGIN_MANUAL_EDIT = "Manual Edit";
+const STATUS_ORIGIN_LEAD_PROMOTION = "Lead Promotion"; // A lead marked as applied (LeadPromotion.gs)
+
+// --- Column Configuration for "LLM Cache" Sheet (PARSE_CACHE_SHEET_TAB_NAME) ---
+// "Cache Key" is a SHA-256 of the task, prompt version and normalized email text; "Result" is the validated JSON reply.
+const PARSE_CACHE_SHEET_HEADERS = ["Cache Key", "Task", "Provider", "Model", "Result", "Cached At"];
+const PARSE_CACHE_SHEET_COLUMN_WIDTHS = [250, 130, 100, 180, 400, 150];
+const PARSE_CACHE_MAX_RESULT_CHARS = 45000; // Results longer than this are not cached (sheet cells hold 50,000 characters)
+
+// --- Column Configuration for "Prompt Examples" Sheet (PROMPT_EXAMPLES_SHEET_TAB_NAME) ---
+// "Enabled" is a checkbox; "Prompt" is PROMPT_APPLICATION_DETAILS or PROMPT_JOB_LEADS; "Expected Output (JSON)"
+// must match that prompt's response schema (GeminiService.gs) or the row is skipped.
+const PROMPT_EXAMPLES_SHEET_HEADERS = ["Enabled", "Prompt", "Email Subject", "Email Body", "Expected Output (JSON)", "Notes"];
+const PROMPT_EXAMPLES_SHEET_COLUMN_WIDTHS = [80, 150, 250, 400, 400, 200];
+
+// --- Column Configuration for "LLM Usage" Sheet (LLM_USAGE_SHEET_TAB_NAME) ---
+// Token counts come from the provider's usage metadata; "Estimated" is TRUE when it sent none and they were
+// approximated from the prompt and response lengths.
+const LLM_USAGE_SHEET_HEADERS = [
+  "Timestamp", "Task", "Provider", "Model", "Prompt Chars", "Response Chars",
+  "Prompt Tokens", "Response Tokens", "Total Tokens", "Estimated", "Outcome"
+];
+const LLM_USAGE_SHEET_COLUMN_WIDTHS = [150, 130, 100, 180, 100, 110, 100, 120, 100, 90, 250];
+
+// --- Column Configuration for "Corrections" Sheet (CORRECTIONS_SHEET_TAB_NAME) ---
+// One row per application whose parsed company or title the user replaced. "Original *" is what the parser
+// wrote, "Corrected Output (JSON)" is the row as corrected, in the application-details response schema.
+const CORRECTIONS_SHEET_HEADERS = [
+  "Timestamp", "Application ID", "Email ID", "Sender", "Email Subject", "Body Snippet",
+  "Original Company", "Original Title", "Corrected Company", "Corrected Title", "Corrected Output (JSON)"
+];
+const CORRECTIONS_SHEET_COLUMN_WIDTHS = [150, 250, 150, 220, 250, 400, 180, 200, 180, 200, 400];
 
 // --- Column Configuration for "Potential Job Leads" Sheet (LEADS_SHEET_TAB_NAME) ---
 const LEADS_SHEET_HEADERS = [
   "Date Added", "Company Name", "Job Title", "Location", "Salary/Pay", 
   "Source/Link", "Notes", "Status", "Follow-up Date", 
-  "Source Email Subject", "Source Email ID", "Processed Timestamp"
+  "Source Email Subject", "Source Email ID", "Processed Timestamp", "Prompt Version",
+  "Times Seen", "Last Seen", "Lead ID", "Application ID", "Fit Score", "Fit Reason",
+  "Posting URL", "Seniority", "Requirements", "Remote Policy", "Posted Date", "Enrichment Status", "Enriched At",
+  "Salary Min", "Salary Max", "Salary Currency", "Salary Period", "Annual Salary Min (USD)", "Annual Salary Max (USD)"
 ];
 // Column Index Variables (1-based) for Leads Sheet
 const LEADS_DATE_ADDED_COL = 1;
@@ -79,11 +220,125 @@ const LEADS_FOLLOW_UP_COL = 9;
 const LEADS_EMAIL_SUBJECT_COL = 10;
 const LEADS_EMAIL_ID_COL = 11;
 const LEADS_PROCESSED_TIMESTAMP_COL = 12;
+const LEADS_PROMPT_VERSION_COL = 13; // Prompt template version (PromptRegistry.gs) that extracted the lead
+const LEADS_TIMES_SEEN_COL = 14; // Number of alert emails the posting appeared in
+const LEADS_LAST_SEEN_COL = 15; // Date of the latest alert email that included the posting
+const LEADS_LEAD_ID_COL = 16; // Stable ID, referenced by the "Source Lead ID" column of "Applications"
+const LEADS_APPLICATION_ID_COL = 17; // Application ID of the row created when the lead was applied to
+const LEADS_FIT_SCORE_COL = 18; // 0-100 match against the "Target Profile" tab; the tab is sorted by it
+const LEADS_FIT_REASON_COL = 19; // Short explanation of the Fit Score
+// Filled by enrichJobLeads (LeadEnrichment.gs) from the posting page behind "Source/Link"
+const LEADS_POSTING_URL_COL = 20; // Where the link ended up after tracking redirects
+const LEADS_SENIORITY_COL = 21;
+const LEADS_REQUIREMENTS_COL = 22;
+const LEADS_REMOTE_POLICY_COL = 23;
+const LEADS_POSTED_DATE_COL = 24;
+const LEADS_ENRICHMENT_STATUS_COL = 25; // LEAD_ENRICHMENT_DONE_STATUS, or why the fetch/parse/summary failed
+const LEADS_ENRICHED_AT_COL = 26;
+// Parsed from "Salary/Pay" by parseSalary (SalaryUtils.gs)
+const LEADS_SALARY_MIN_COL = 27;
+const LEADS_SALARY_MAX_COL = 28;
+const LEADS_SALARY_CURRENCY_COL = 29;
+const LEADS_SALARY_PERIOD_COL = 30;
+const LEADS_ANNUAL_SALARY_MIN_USD_COL = 31;
+const LEADS_ANNUAL_SALARY_MAX_USD_COL = 32;
 const TOTAL_COLUMNS_IN_LEADS_SHEET = LEADS_SHEET_HEADERS.length;
 
 // Column Widths for "Potential Job Leads" Sheet
-const LEADS_SHEET_COLUMN_WIDTHS = [100, 180, 200, 150, 100, 150, 250, 100, 100, 150, 100, 150];
+const LEADS_SHEET_COLUMN_WIDTHS = [100, 180, 200, 150, 100, 150, 250, 100, 100, 150, 100, 150, 180, 90, 100, 250, 250, 80, 300, 250, 110, 350, 110, 100, 200, 150, 100, 100, 110, 100, 170, 170];
 const DEFAULT_LEAD_STATUS = "New"; // Default status for new leads
+const LEADS_ERROR_STATUS = "Error"; // Rows logging a message that failed to parse; the message is retried next run
+const LEADS_APPLIED_STATUS = "Applied"; // Setting a lead to this status creates its "Applications" row (LeadPromotion.gs)
+const LEADS_ARCHIVED_STATUS = "Archived"; // New leads scoring below the profile's "Archive Below Score" (LeadScoring.gs)
+// Lead record field -> "Potential Job Leads" header. Leads_SheetUtils.gs resolves columns by header name, so users
+// can reorder the tab; the LEADS_*_COL indexes above only describe the layout setup creates.
+const LEADS_FIELD_HEADERS = {
+  dateAdded: "Date Added",
+  company: "Company Name",
+  jobTitle: "Job Title",
+  location: "Location",
+  salary: "Salary/Pay",
+  jobUrl: "Source/Link",
+  notes: "Notes",
+  status: "Status",
+  followUpDate: "Follow-up Date",
+  sourceEmailSubject: "Source Email Subject",
+  sourceEmailId: "Source Email ID", // Comma-separated when the same posting arrived in several emails
+  processedTimestamp: "Processed Timestamp",
+  promptVersion: "Prompt Version",
+  timesSeen: "Times Seen",
+  lastSeen: "Last Seen",
+  leadId: "Lead ID",
+  applicationId: "Application ID",
+  fitScore: "Fit Score",
+  fitReason: "Fit Reason",
+  postingUrl: "Posting URL",
+  seniority: "Seniority",
+  requirements: "Requirements",
+  remotePolicy: "Remote Policy",
+  postedDate: "Posted Date",
+  enrichmentStatus: "Enrichment Status",
+  enrichedAt: "Enriched At",
+  salaryMin: "Salary Min",
+  salaryMax: "Salary Max",
+  salaryCurrency: "Salary Currency",
+  salaryPeriod: "Salary Period",
+  annualSalaryMinUsd: "Annual Salary Min (USD)",
+  annualSalaryMaxUsd: "Annual Salary Max (USD)"
+};
+
+// --- Job Posting Enrichment (LeadEnrichment.gs) ---
+// enrichJobLeads fetches the posting behind each lead's link and summarizes it into the columns above. Rows with
+// any "Enrichment Status" are skipped; clear the cell to fetch a row again.
+const LEAD_ENRICHMENT_DONE_STATUS = "Enriched";
+const LEAD_ENRICHMENT_BATCH_SIZE = 20; // Rows per run; the trigger picks up the rest
+const LEAD_ENRICHMENT_TIME_LIMIT_SECONDS = 300;
+const LEAD_ENRICHMENT_MAX_REDIRECTS = 6; // Tracking links usually need 1-3 hops
+const LEAD_POSTING_MIN_CHARS = 200; // Less page text than this is a login wall or an expired posting, not a job ad
+const LEAD_POSTING_MAX_CHARS = 15000; // Posting text sent to the LLM
+const LEAD_FETCH_USER_AGENT = "Mozilla/5.0 (compatible; CareerSuiteJobTracker/1.0)";
+const LEAD_LOGIN_WALL_URL_PATTERN = /\/(authwall|login|signin|sign-in|uas\/login)([/?#]|$)/i; // Redirected to a sign-in page
+const SENIORITY_LEVELS = ["Intern", "Entry", "Mid", "Senior", "Staff/Principal", "Manager", "Director+", "Unknown"];
+const REMOTE_POLICY_OPTIONS = ["Remote", "Hybrid", "On-site", "Unknown"];
+
+// --- "Target Profile" Sheet (TARGET_PROFILE_SHEET_TAB_NAME) ---
+// One row per setting: the "Setting" column holds the label below, "Value" what the user entered. List settings are
+// comma-separated. Settings left blank are left out of the score.
+const TARGET_PROFILE_SHEET_HEADERS = ["Setting", "Value", "Help"];
+const TARGET_PROFILE_SHEET_COLUMN_WIDTHS = [200, 400, 450];
+const TARGET_PROFILE_SETTINGS = [
+  { key: "desiredTitles", label: "Desired Titles", help: "Comma-separated, e.g. Data Engineer, Analytics Engineer" },
+  { key: "mustHaveKeywords", label: "Must-Have Keywords", help: "Comma-separated; looked for in the title and notes" },
+  { key: "excludedKeywords", label: "Excluded Keywords", help: "Comma-separated; a lead mentioning one scores 0" },
+  { key: "locations", label: "Locations", help: "Comma-separated cities, states or countries" },
+  { key: "remotePreference", label: "Remote Preference", help: "Any, Remote Preferred or Remote Only" },
+  { key: "minimumSalary", label: "Minimum Salary", help: "Yearly amount, e.g. 120000 or $120k; other currencies are converted to USD. Leads listing less score lower" },
+  { key: "blacklistedCompanies", label: "Blacklisted Companies", help: "Comma-separated; leads from these companies score 0" },
+  { key: "archiveBelowScore", label: "Archive Below Score", help: `New leads scoring below this (0-100) get Status "${LEADS_ARCHIVED_STATUS}"; 0 turns archiving off` }
+];
+const REMOTE_PREFERENCE_OPTIONS = ["Any", "Remote Preferred", "Remote Only"];
+const DEFAULT_ARCHIVE_BELOW_SCORE = 40;
+// Points per criterion. A criterion the profile leaves blank is left out, so the score stays out of 100.
+const FIT_SCORE_WEIGHTS = { title: 40, keywords: 20, location: 25, salary: 15 };
+const FIT_TITLE_MIN_SIMILARITY = 0.4; // Title similarity below this earns no title points (unrelated titles share little)
+
+// --- Salary Parsing (SalaryUtils.gs) ---
+// parseSalary turns pay text ("$120K-$150K/yr", "£45,000 - £55,000", "$65/hr") into the structured salary columns
+// of "Applications" and "Potential Job Leads". Annual values assume full-time work for the stated period.
+const HOURS_PER_WORK_YEAR = 2080;
+const SALARY_PERIOD_MULTIPLIERS = { Hour: HOURS_PER_WORK_YEAR, Day: 260, Week: 52, Month: 12, Year: 1 }; // Period -> periods per year
+const SALARY_DEFAULT_CURRENCY = "USD"; // For amounts with a bare "$" or no currency at all
+// Currency sign as written before an amount -> currency code. Codes written out ("GBP 45,000") are read as is.
+const SALARY_CURRENCY_SYMBOLS = {
+  "$": SALARY_DEFAULT_CURRENCY, "US$": "USD", "C$": "CAD", "CA$": "CAD", "A$": "AUD", "AU$": "AUD", "NZ$": "NZD", "S$": "SGD",
+  "£": "GBP", "€": "EUR", "₹": "INR", "¥": "JPY"
+};
+// Currency code -> USD per unit. Approximate rates, only used to compare pay across currencies; update as they drift.
+const SALARY_USD_EXCHANGE_RATES = {
+  USD: 1, CAD: 0.73, AUD: 0.66, NZD: 0.6, SGD: 0.77, GBP: 1.33, EUR: 1.16, CHF: 1.25, INR: 0.012, JPY: 0.0067
+};
+// Lower bounds (annual USD) of the salary bands charted on the dashboard; the last band is open-ended.
+const SALARY_DISTRIBUTION_BANDS = [0, 50000, 75000, 100000, 125000, 150000, 200000];
 
 // --- Application Status Configuration ---
 // Define the status options available for job applications.
@@ -98,6 +353,7 @@ const ACCEPTED_STATUS = "Accepted Offer"; // New status for accepted offers
 const ASSESSMENT_STATUS = "Assessment"; // Added for consistency
 const APPLICATION_VIEWED_STATUS = "Application Viewed"; // Added for consistency
 const MANUAL_REVIEW_NEEDED = "Manual Review Needed"; // For parsing failures
+const UPDATE_OTHER_STATUS = "Update/Other"; // General update that doesn't move the application to a new stage
 
 // Status hierarchy for determining "Peak Status" and for sorting/filtering.
 // Higher numbers mean "further along" in the process.
@@ -115,9 +371,17 @@ const STATUS_HIERARCHY = {
   [REJECTED_STATUS]: 0, // Terminal
   [WITHDRAWN_STATUS]: -1, // Terminal, user-initiated
   [KEEP_IN_VIEW_STATUS]: 0.5, 
+  // Ranked like an unrecognised status (0) so these never displace a real stage; listed so the
+  // LLM response schema (GeminiService.gs), whose status enum is these keys, accepts them.
+  [APPLICATION_VIEWED_STATUS]: 0,
+  [UPDATE_OTHER_STATUS]: 0,
   [MANUAL_REVIEW_NEEDED]: -2 // Needs attention
 };
 
+// Stages the dashboard's "Time in Stage" chart measures from Applied, using the "Status History" tab
+// (getTimeInStageMedians in StatusHistory.gs).
+const TIME_IN_STAGE_STATUSES = [APPLICATION_VIEWED_STATUS, ASSESSMENT_STATUS, INTERVIEW_STATUS, OFFER_STATUS, REJECTED_STATUS];
+
 // Statuses that are considered "final" and should not be automatically changed by the "stale applications" trigger.
 const FINAL_STATUSES_FOR_STALE_CHECK = new Set([
   REJECTED_STATUS, 
@@ -128,12 +392,87 @@ const FINAL_STATUSES_FOR_STALE_CHECK = new Set([
 ]);
 const WEEKS_THRESHOLD = 8; // Number of weeks after which an application is considered stale if not in a final status.
 
+// --- Status Keywords (parseBodyForStatus in ParsingUtils.gs) ---
+// Matched against the lowercased body with punctuation replaced by spaces, so "we're" is written "we re".
+// Checked in this order; the first list with a match decides the status.
+const OFFER_KEYWORDS = [
+  "pleased to offer", "offer of employment", "job offer", "offer letter", "extend an offer", "extend you an offer",
+  "excited to offer", "formal offer"
+];
+const INTERVIEW_KEYWORDS = [
+  "invite you to interview", "invitation to interview", "interview invitation", "schedule an interview",
+  "schedule a call", "like to speak with you", "like to schedule", "next round", "phone screen", "interview with",
+  "availability for"
+];
+const ASSESSMENT_KEYWORDS = [
+  "assessment", "coding challenge", "technical test", "skills test", "take home", "hackerrank", "codility",
+  "online test", "code challenge"
+];
+const APPLICATION_VIEWED_KEYWORDS = [
+  "viewed your application", "application was viewed", "your application was seen", "reviewed your profile"
+];
+const REJECTION_KEYWORDS = [
+  "not to move forward", "not be moving forward", "not moving forward", "decided to pursue other candidates",
+  "move forward with other candidates", "regret to inform", "unfortunately", "position has been filled",
+  "role has been filled", "will not be proceeding", "not selected", "no longer under consideration"
+];
+
+// --- Application Matching Configuration (MatchingUtils.gs) ---
+// Similarity scores run from 0 (nothing in common) to 1 (identical after normalization).
+const COMPANY_MATCH_THRESHOLD = 0.85; // Minimum company score to consider merging an update into an existing row.
+const JOB_TITLE_MATCH_THRESHOLD = 0.8; // Minimum job-title score within a matched company.
+const MATCH_AMBIGUITY_MARGIN = 0.05; // Two different rows scoring within this margin -> Manual Review instead of merge.
+// Trailing words ignored when comparing company names (matched after lowercasing and removing punctuation).
+const COMPANY_LEGAL_SUFFIXES = new Set([
+  "inc", "incorporated", "corp", "corporation", "co", "company", "llc", "llp", "lp", "ltd", "limited",
+  "plc", "gmbh", "ag", "sa", "sas", "bv", "nv", "pty", "pte", "srl", "oy", "ab", "as", "kk"
+]);
+// Query parameters dropped from job posting URLs before comparing them (lowercase; any "utm_" parameter is dropped too).
+const JOB_URL_TRACKING_PARAMS = new Set([
+  "trk", "trkinfo", "trackingid", "refid", "lipi", "midtoken", "midsig", "ebp", "recommendedflavor", "alertaction",
+  "savedsearchid", "origin", "from", "tk", "alid", "src", "source", "ref", "referrer", "gclid", "fbclid", "mcid", "sid"
+]);
+// Abbreviations expanded before comparing job titles.
+const JOB_TITLE_ABBREVIATIONS = {
+  "sr": "senior", "snr": "senior", "jr": "junior", "mgr": "manager", "eng": "engineer", "engr": "engineer",
+  "dev": "developer", "swe": "software engineer", "pm": "product manager", "assoc": "associate", "asst": "assistant"
+};
+
+// --- Daily Report Configuration (dailyReport in DailyReport.gs) ---
+const DAILY_REPORT_LOOKBACK_HOURS = 24; // Window for "recent" status changes and new leads.
+const DAILY_REPORT_STALE_WARNING_DAYS = 7; // Warn about apps this many days before they are auto-rejected as stale.
+const DAILY_REPORT_MAX_ROWS_PER_SECTION = 25; // Caps each digest table so the email stays readable.
+const DAILY_REPORT_SEND_WHEN_EMPTY = false; // If false, no email is sent on days with nothing to report.
+
 // --- Gmail Configuration (Job Application Tracker) ---
 const MASTER_GMAIL_LABEL_PARENT = "CareerSuite.AI"; // Parent for all app-related labels
 const TRACKER_GMAIL_LABEL_PARENT = `${MASTER_GMAIL_LABEL_PARENT}/Applications`;
 const TRACKER_GMAIL_LABEL_TO_PROCESS = `${TRACKER_GMAIL_LABEL_PARENT}/To Process`;
 const TRACKER_GMAIL_LABEL_PROCESSED = `${TRACKER_GMAIL_LABEL_PARENT}/Processed`;
 const TRACKER_GMAIL_LABEL_MANUAL_REVIEW = `${TRACKER_GMAIL_LABEL_PARENT}/Manual Review`;
+// processJobApplicationEmails batching: sheet writes are flushed once per run, so the limit is execution time, not writes.
+const TRACKER_THREAD_BATCH_SIZE = 100; // Threads fetched from "To Process" per run (GmailApp allows up to 500).
+const TRACKER_LOOP_TIME_LIMIT_SECONDS = 300; // Stop parsing after this long to leave time for the flush and labelling.
+
+// --- Backlog Continuation (Checkpoint.gs) ---
+// A run that stops at its time limit (or leaves a full batch behind) saves its place in script properties
+// and schedules a one-off trigger to pick up again, instead of waiting for the next hourly run.
+const CHECKPOINT_PROPERTY_PREFIX = 'processingCheckpoint_';
+const CHECKPOINT_JOB_APPLICATIONS = 'applications';
+const CHECKPOINT_JOB_LEADS = 'leads';
+const CHECKPOINT_JOB_ENRICHMENT = 'enrichment'; // enrichJobLeads keeps no checkpoint; the name labels its lock and logs
+const CHECKPOINT_MAX_AGE_HOURS = 24; // Older checkpoints are discarded; the Gmail labels remain the source of truth.
+const CONTINUATION_TRIGGER_DELAY_MINUTES = 2;
+const JOB_LOCK_WAIT_SECONDS = 10; // How long a run waits for another locked job (runWithJobLock) to finish before rescheduling
+
+// --- Historical Import (HistoricalImport.gs) ---
+// "Import Past Emails" runs the tracker and leads filter queries over a date range, labels the hits
+// "To Process", and lets the continuation triggers above work through them.
+const HISTORICAL_IMPORT_STATE_PROPERTY = 'historicalImportState';
+const HISTORICAL_IMPORT_DEFAULT_LOOKBACK_DAYS = 90;
+const HISTORICAL_IMPORT_PAGE_SIZE = 100; // Threads labelled per sidebar step (GmailApp.search allows up to 500).
+const HISTORICAL_IMPORT_POLL_SECONDS = 15; // Sidebar refresh interval while the imported threads are processed.
+const HISTORICAL_IMPORT_COUNT_PAGE_SIZE = 500; // Threads counted per getThreads() call (the GmailApp maximum).
 
 // Gmail filter query for Application Updates. Example targets common job application sites.
 // IMPORTANT: This query is powerful. Test thoroughly.
@@ -144,6 +483,9 @@ const TRACKER_GMAIL_FILTER_QUERY_APP_UPDATES = `(subject:("re: your application"
 const LEADS_GMAIL_LABEL_PARENT = `${MASTER_GMAIL_LABEL_PARENT}/Leads`;
 const LEADS_GMAIL_LABEL_TO_PROCESS = `${LEADS_GMAIL_LABEL_PARENT}/To Process`;
 const LEADS_GMAIL_LABEL_PROCESSED = `${LEADS_GMAIL_LABEL_PARENT}/Processed`;
+// processJobLeads batching: lead rows are written per message, so the run is bounded by time rather than a message count.
+const LEADS_THREAD_BATCH_SIZE = 50; // Threads fetched from "Leads/To Process" per run.
+const LEADS_LOOP_TIME_LIMIT_SECONDS = 300; // Stop parsing after this long and continue in a follow-up run.
 
 // User Property keys for storing Leads label IDs (used by processJobLeads)
 const LEADS_USER_PROPERTY_TO_PROCESS_LABEL_ID = 'leadsToProcessLabelId';
@@ -169,6 +511,15 @@ const PLATFORM_DOMAIN_KEYWORDS = {
   " Workday": "Workday"
 };
 const DEFAULT_PLATFORM = "Email/Website"; // Default if no specific platform detected
+// Sender domains that never name the hiring company (mail providers, job boards, ATS), so
+// parseCompanyFromDomain (ParsingUtils.gs) does not turn them into a company name.
+const IGNORED_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "yahoo.com", "icloud.com", "aol.com", "proton.me", "protonmail.com",
+  "linkedin.com", "indeed.com", "indeedemail.com", "glassdoor.com", "ziprecruiter.com", "monster.com", "dice.com",
+  "greenhouse.io", "us.greenhouse-mail.io", "greenhouse-mail.io", "hire.lever.co", "lever.co", "myworkday.com", "workday.com",
+  "icims.com", "taleo.net", "ashbyhq.com", "smartrecruiters.com", "jobvite.com", "bamboohr.com", "workablemail.com", "breezy.hr",
+  "hi.wellfound.com", "wellfound.com"
+]);
 
 // --- Dashboard Configuration ---
 // Headers for the hidden "DashboardHelperData" sheet.
@@ -180,37 +531,62 @@ const HELPER_SHEET_COLUMN_WIDTHS = [150, 70, 180, 120, 100, 200, 100, 150, 100];
 
 // --- Gemini API Configuration ---
 const GEMINI_API_KEY_PROPERTY = 'GEMINI_API_KEY'; // UserProperty key for storing the user's Gemini API key.
-const GEMINI_API_ENDPOINT_TEXT_ONLY = "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent";
-
-// Default instructions for Gemini (Job Application Parsing)
-const GEMINI_SYSTEM_INSTRUCTION_APP_TRACKER = `
-You are an expert assistant helping a user parse job application emails.
-Your goal is to extract ONLY the Company Name, Job Title, and Application Status.
-- For Company Name: Extract the specific name of the company the user applied to. If not found, output "N/A".
-- For Job Title: Extract the specific job title. If not found, output "N/A".
-- For Application Status: Determine the current status. Examples: "Applied", "Interview Scheduled", "Offer Extended", "Rejected", "Screening", "Assessment", "Update/Other". If no clear status, output "Update/Other".
-Do not add any extra words, explanations, or formatting. Output ONLY a valid JSON object with keys "company", "title", and "status".
-Example: {"company": "Google", "title": "Software Engineer", "status": "Interview Scheduled"}
-If the email is clearly not a job application update (e.g., a newsletter, a job alert, a marketing email), output: {"company": "N/A", "title": "N/A", "status": "Not an Application"}
-If any field is truly unidentifiable from the text, use "N/A" for that field's value.
-If the email implies the application was received but no other status, use "Applied".
-`;
-
-// Default instructions for Gemini (Job Lead Email Parsing)
-const GEMINI_SYSTEM_INSTRUCTION_LEADS_PARSER = `
-You are an expert assistant helping a user parse job lead emails, typically from job alert services.
-Your goal is to extract a list of distinct job opportunities. For each job, extract: Company Name, Job Title, Location (City, State if available, or Remote), and a direct URL link to the job posting if present.
-- For Company Name: Extract the specific name of the company. If not found, output "N/A".
-- For Job Title: Extract the specific job title. If not found, output "N/A".
-- For Location: Extract the location. If remote, indicate "Remote". If not found, output "N/A".
-- For URL: Extract the direct URL to the job posting. If multiple URLs seem relevant, pick the one most likely to be the application link. If not found, output "N/A".
-
-Output ONLY a valid JSON array, where each element is an object with keys "company", "title", "location", and "url".
-Example: [{"company": "Tech Solutions Inc.", "title": "Frontend Developer", "location": "San Francisco, CA", "url": "https://example.com/job/123"}, {"company": "Innovate Corp", "title": "UX Designer", "location": "Remote", "url": "https://example.com/job/456"}]
-If the email contains no job listings (e.g., it's a confirmation of alert settings, a newsletter), output an empty JSON array: [].
-If any specific field for a job (company, title, location, url) is truly unidentifiable, use "N/A" for that field's value for that specific job object, but still include the job object if other fields were found.
-Prioritize accuracy. Do not invent information.
-`;
+const GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// --- LLM Provider Configuration (LlmProviders.gs) ---
+// The parsing functions in GeminiService.gs call whichever provider is selected here. Set the LLM_PROVIDER /
+// LLM_MODEL script properties to switch without editing code (e.g. after a model deprecation).
+const LLM_PROVIDER_GEMINI = 'gemini';
+const LLM_PROVIDER_OPENAI_COMPATIBLE = 'openai'; // Any OpenAI-style /chat/completions endpoint, including self-hosted ones.
+const LLM_PROVIDER_STUB = 'stub'; // Deterministic local output, no network; for tests.
+const LLM_PROVIDER = LLM_PROVIDER_GEMINI;
+const LLM_DEFAULT_MODELS = {
+  [LLM_PROVIDER_GEMINI]: 'gemini-1.5-flash-latest',
+  [LLM_PROVIDER_OPENAI_COMPATIBLE]: 'gpt-4o-mini',
+  [LLM_PROVIDER_STUB]: 'stub-v1'
+};
+const LLM_PROVIDER_PROPERTY = 'LLM_PROVIDER';
+const LLM_MODEL_PROPERTY = 'LLM_MODEL'; // Overrides LLM_DEFAULT_MODELS for the selected provider.
+const OPENAI_COMPATIBLE_BASE_URL = 'https://api.openai.com/v1';
+const OPENAI_COMPATIBLE_BASE_URL_PROPERTY = 'OPENAI_COMPATIBLE_BASE_URL';
+const OPENAI_COMPATIBLE_API_KEY_PROPERTY = 'OPENAI_COMPATIBLE_API_KEY';
+const LLM_MAX_ATTEMPTS = 4; // Per request, including retries after rate limits (429) and transient server errors
+const LLM_TASK_APPLICATION_DETAILS = 'applicationDetails';
+const LLM_TASK_JOB_LEADS = 'jobLeads';
+const LLM_TASK_POSTING_SUMMARY = 'postingSummary';
+
+// --- LLM Usage Limits (LlmUsage.gs) ---
+// Shared by the application and lead pipelines. Once the daily budget is spent, application emails fall back
+// to regex parsing and lead threads wait in "To Process" until the next day. The matching script properties
+// override the defaults.
+const LLM_DAILY_TOKEN_BUDGET = 1000000;
+const LLM_DAILY_TOKEN_BUDGET_PROPERTY = 'LLM_DAILY_TOKEN_BUDGET';
+const LLM_MAX_CALLS_PER_MINUTE = 12; // Stays under the Gemini free tier's 15 requests per minute
+const LLM_MAX_CALLS_PER_MINUTE_PROPERTY = 'LLM_MAX_CALLS_PER_MINUTE';
+const LLM_USAGE_STATE_PROPERTY = 'llmUsageState'; // Script property: today's totals, recent call times, pause
+const LLM_BACKOFF_BASE_MS = 2000; // First retry wait when the provider gives no retry hint; doubles per attempt
+const LLM_BACKOFF_MAX_MS = 60000; // A longer retry hint pauses LLM calls instead of sleeping through it
+
+// --- Prompt Templates (PromptRegistry.gs) ---
+// Template names. The application, leads and posting-summary prompts share their names with the matching LLM_TASK_* values.
+const PROMPT_APPLICATION_DETAILS = 'applicationDetails';
+const PROMPT_JOB_LEADS = 'jobLeads';
+const PROMPT_POSTING_SUMMARY = 'postingSummary';
+const PROMPT_JSON_REPAIR = 'jsonRepair';
+const PROMPT_EXAMPLES_MAX_PER_PROMPT = 5; // User examples beyond this are ignored to keep prompts short
+const PROMPT_EXAMPLE_MAX_BODY_CHARS = 2000;
+
+// --- Learned Corrections (Corrections.gs) ---
+const CORRECTIONS_MAX_EXAMPLES = 3; // Most similar past corrections added to the application-details prompt
+const CORRECTIONS_MIN_SIMILARITY = 0.2; // 0-1; weaker matches are not worth the prompt space
+const CORRECTIONS_BODY_SNIPPET_CHARS = 1500;
+// Senders that mail on behalf of many companies (ATS and job boards). A correction from one of these never
+// becomes a "this sender means this company" rule; only its subject pattern is learned.
+const SHARED_SENDER_DOMAIN_KEYWORDS = [
+  "greenhouse", "lever.co", "workday", "icims", "taleo", "ashbyhq", "smartrecruiters", "jobvite",
+  "bamboohr", "workable", "breezy", "recruitee", "jazzhr", "linkedin", "indeed", "glassdoor",
+  "ziprecruiter", "monster", "wellfound", "gmail.com", "outlook.com", "yahoo.com"
+];
 
 // --- Brand Colors (for sheet tabs, charts, etc.) ---
 // Using more professional and accessible color names and hex codes.
@@ -0,0 +1,290 @@
+// File: Corrections.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Learns from the user's manual fixes. When a parsed company or job title on the "Applications"
+// sheet is replaced by hand (see handleCellEdit in EditHandler.gs), the email and the corrected values are kept
+// on the hidden "Corrections" tab. The most similar past corrections are added to the application-details
+// prompt as few-shot examples, and each correction also becomes a rule for the regex fallback that applies to
+// later mail from the same sender.
+
+let correctionsCache_ = null; // Parsed "Corrections" rows, read once per execution
+let correctionRulesCache_ = null; // {subjectTemplatesByDomain, companyBySender}, built from correctionsCache_
+
+/**
+ * Records corrections for edited rows whose company or title replaced a value the parser wrote.
+ * Must run before the edit is confirmed in Field Sources, which overwrites the parser's record.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Applications" sheet.
+ * @param {number} firstRow First edited row.
+ * @param {Array<Array<*>>} rowValues Edited rows, at least up to APPLICATION_ID_COL.
+ * @param {Array<Array<*>>} fieldSourcesValues FIELD_SOURCES_COL cells for the same rows, before the edit is confirmed.
+ * @param {Array<number>} editedCols Edited columns.
+ * @param {string|undefined} singleCellOldValue e.oldValue for a single-cell edit, otherwise undefined.
+ * @return {number} Corrections recorded.
+ */
+function recordCorrectionsFromEdit(sheet, firstRow, rowValues, fieldSourcesValues, editedCols, singleCellOldValue) {
+  const FUNC_NAME = "recordCorrectionsFromEdit";
+  const correctedFields = [];
+  if (editedCols.indexOf(COMPANY_COL) !== -1) correctedFields.push('company');
+  if (editedCols.indexOf(JOB_TITLE_COL) !== -1) correctedFields.push('title');
+  if (correctedFields.length === 0) return 0;
+
+  let recorded = 0;
+  rowValues.forEach((row, i) => {
+    try {
+      const sources = parseFieldSourcesCell(fieldSourcesValues[i][0]); // From ApplicationsModel.gs
+      const original = { company: String(row[COMPANY_COL - 1] || "").trim(), title: String(row[JOB_TITLE_COL - 1] || "").trim() };
+      let emailId = "";
+      let isCorrection = false;
+      correctedFields.forEach(field => {
+        const newValue = original[field];
+        const entry = sources[field];
+        let parsedValue = null;
+        if (entry && entry.source !== STATUS_ORIGIN_MANUAL_EDIT && entry.emailId) {
+          parsedValue = String(entry.value || "");
+          emailId = emailId || entry.emailId;
+        } else if (singleCellOldValue === MANUAL_REVIEW_NEEDED) {
+          parsedValue = MANUAL_REVIEW_NEEDED;
+        }
+        if (parsedValue === null) return; // Typed over the user's own value, not the parser's
+        original[field] = parsedValue;
+        if (newValue && newValue !== MANUAL_REVIEW_NEEDED && newValue.toLowerCase() !== parsedValue.toLowerCase()) isCorrection = true;
+      });
+      if (!isCorrection) return;
+
+      const applicationId = String(row[APPLICATION_ID_COL - 1] || "").trim();
+      emailId = emailId || String(row[EMAIL_ID_COL - 1] || "").trim();
+      if (!applicationId || !emailId) return;
+      const message = GmailApp.getMessageById(emailId);
+      if (!message) { Logger.log(`[${FUNC_NAME} WARN] Email ${emailId} for ${applicationId} not found. Correction not recorded.`); return; }
+
+      const output = buildCorrectedOutput_(row, sources, emailId);
+      upsertCorrection_(sheet.getParent(), [
+        new Date(), applicationId, emailId, message.getFrom() || "", message.getSubject() || "",
+        String(message.getPlainBody() || "").substring(0, CORRECTIONS_BODY_SNIPPET_CHARS),
+        original.company, original.title, output.company_name, output.job_title, JSON.stringify(output)
+      ]);
+      recorded++;
+      Logger.log(`[${FUNC_NAME} INFO] Row ${firstRow + i}: recorded correction for ${applicationId} (C:"${output.company_name}", T:"${output.job_title}").`);
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} WARN] Row ${firstRow + i}: could not record correction: ${e.message}`);
+    }
+  });
+  return recorded;
+}
+
+/**
+ * Past corrections most similar to an email, as few-shot examples for the application-details prompt.
+ * Similarity is word overlap of subject and body, boosted when the sender address or domain matches.
+ * @param {string} subject Email subject.
+ * @param {string} body Email body.
+ * @param {string} [sender] From header.
+ * @param {number} [limit] Defaults to CORRECTIONS_MAX_EXAMPLES.
+ * @return {Array<{subject: string, body: string, output: Object}>} Best match first.
+ */
+function findSimilarCorrections(subject, body, sender, limit) {
+  const corrections = loadCorrections_().filter(c => c.output);
+  if (corrections.length === 0) return [];
+  const tokens = tokenizeForSimilarity_(`${subject || ""} ${String(body || "").substring(0, CORRECTIONS_BODY_SNIPPET_CHARS)}`);
+  const { address, domain } = parseSenderAddress_(sender);
+  return corrections
+    .map(c => {
+      let score = jaccardSimilarity_(tokens, c.tokens);
+      if (address && c.senderAddress === address) score += 0.5;
+      else if (domain && c.senderDomain === domain) score += 0.25;
+      return { correction: c, score: Math.min(score, 1) };
+    })
+    .filter(s => s.score >= CORRECTIONS_MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit || CORRECTIONS_MAX_EXAMPLES)
+    .map(s => ({ subject: s.correction.subject, body: s.correction.body, output: s.correction.output }));
+}
+
+/**
+ * Improves a regex parse with rules learned from corrections for the same sender: a subject pattern with the
+ * company and/or title cut out, and, for senders that only mail for one company, that company.
+ * A rule value replaces a parsed value only when it is more trustworthy (see FIELD_SOURCE_CONFIDENCE).
+ * @param {{company: string, title: string, sources: {company: ?string, title: ?string}}} regexResult From extractCompanyAndTitle.
+ * @param {string} sender From header.
+ * @param {string} subject Email subject.
+ * @return {{company: string, title: string, sources: {company: ?string, title: ?string}}} The same shape.
+ */
+function applyCorrectionRules(regexResult, sender, subject) {
+  const FUNC_NAME = "applyCorrectionRules";
+  const rules = getCorrectionRules_();
+  const { address, domain } = parseSenderAddress_(sender);
+  if (!domain) return regexResult;
+
+  const learned = {};
+  (rules.subjectTemplatesByDomain[domain] || []).some(template => {
+    const match = String(subject || "").trim().match(template.regex);
+    if (!match) return false;
+    template.groups.forEach((field, g) => { learned[field] = match[g + 1].trim(); });
+    return true;
+  });
+  if (!learned.company && rules.companyBySender[address]) learned.company = rules.companyBySender[address];
+
+  const result = { company: regexResult.company, title: regexResult.title, sources: Object.assign({}, regexResult.sources) };
+  const ruleConfidence = FIELD_SOURCE_CONFIDENCE[FIELD_SOURCE_CORRECTION_RULE];
+  ['company', 'title'].forEach(field => {
+    if (!learned[field]) return;
+    const current = result[field];
+    const currentConfidence = current === MANUAL_REVIEW_NEEDED ? 0 : (FIELD_SOURCE_CONFIDENCE[result.sources[field]] || 0);
+    if (ruleConfidence <= currentConfidence) return;
+    result[field] = learned[field];
+    result.sources[field] = FIELD_SOURCE_CORRECTION_RULE;
+    if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] ${field}: "${current}" -> "${learned[field]}" (rule for ${domain}).`);
+  });
+  return result;
+}
+
+// --- Helpers ---
+
+// The corrected row in the application-details response schema. Status and details are the values parsed
+// from this email (per Field Sources), so the example shows what the email itself says.
+function buildCorrectedOutput_(row, sources, emailId) {
+  const fromEmail = field => (sources[field] && sources[field].emailId === emailId ? String(sources[field].value || "") : "");
+  const status = (sources.status && sources.status.emailId === emailId ? sources.status.value : "") || String(row[STATUS_COL - 1] || "");
+  return {
+    company_name: String(row[COMPANY_COL - 1] || "").trim() || MANUAL_REVIEW_NEEDED,
+    job_title: String(row[JOB_TITLE_COL - 1] || "").trim() || MANUAL_REVIEW_NEEDED,
+    status: Object.prototype.hasOwnProperty.call(STATUS_HIERARCHY, status) ? status : MANUAL_REVIEW_NEEDED,
+    location: fromEmail('location'),
+    compensation: fromEmail('compensation'),
+    recruiter_name: fromEmail('recruiterName'),
+    recruiter_email: fromEmail('recruiterEmail'),
+    requisition_id: fromEmail('requisitionId'),
+    interview_datetime: fromEmail('interviewDateTime')
+  };
+}
+
+// One row per application: a later fix to the same row updates the corrected values but keeps the
+// parser's original ones.
+function upsertCorrection_(ss, newRow) {
+  const sheet = getOrCreateHiddenSheet(ss, CORRECTIONS_SHEET_TAB_NAME, CORRECTIONS_SHEET_HEADERS, CORRECTIONS_SHEET_COLUMN_WIDTHS); // From SheetUtils.gs
+  if (!sheet) return;
+  const width = CORRECTIONS_SHEET_HEADERS.length;
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= 2) {
+    const ids = sheet.getRange(2, 2, lastRow - 1, 1).getValues();
+    const index = ids.findIndex(r => String(r[0]) === newRow[1]);
+    if (index !== -1) {
+      const existing = sheet.getRange(index + 2, 1, 1, width).getValues()[0];
+      newRow[6] = existing[6];
+      newRow[7] = existing[7];
+      sheet.getRange(index + 2, 1, 1, width).setValues([newRow]);
+      correctionsCache_ = null;
+      correctionRulesCache_ = null;
+      return;
+    }
+  }
+  sheet.getRange(lastRow + 1, 1, 1, width).setValues([newRow]);
+  correctionsCache_ = null;
+  correctionRulesCache_ = null;
+}
+
+function loadCorrections_() {
+  const FUNC_NAME = "loadCorrections_";
+  if (correctionsCache_) return correctionsCache_;
+  correctionsCache_ = [];
+  try {
+    const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+    const sheet = ss ? ss.getSheetByName(CORRECTIONS_SHEET_TAB_NAME) : null;
+    if (!sheet || sheet.getLastRow() < 2) return correctionsCache_;
+    const schema = getApplicationDetailsSchema(); // From GeminiService.gs
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, CORRECTIONS_SHEET_HEADERS.length).getValues().forEach((row, i) => {
+      const check = parseAndValidateLlmJson(String(row[10] || ""), schema); // From SchemaUtils.gs
+      if (!check.valid) Logger.log(`[${FUNC_NAME} WARN] Row ${i + 2}: corrected output is not valid; not used as an example.`);
+      const { address, domain } = parseSenderAddress_(row[3]);
+      const subject = String(row[4] || "").trim();
+      const body = String(row[5] || "");
+      correctionsCache_.push({
+        senderAddress: address, senderDomain: domain, subject: subject, body: body,
+        company: String(row[8] || "").trim(), title: String(row[9] || "").trim(),
+        output: check.valid ? check.data : null,
+        tokens: tokenizeForSimilarity_(`${subject} ${body}`)
+      });
+    });
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} WARN] Could not read "${CORRECTIONS_SHEET_TAB_NAME}": ${e.message}`);
+  }
+  return correctionsCache_;
+}
+
+function getCorrectionRules_() {
+  if (correctionRulesCache_) return correctionRulesCache_;
+  const subjectTemplatesByDomain = {};
+  const companiesBySender = {};
+  loadCorrections_().forEach(c => {
+    if (!c.senderDomain) return;
+    const template = buildSubjectTemplate_(c.subject, c.company, c.title);
+    if (template) {
+      const list = subjectTemplatesByDomain[c.senderDomain] = subjectTemplatesByDomain[c.senderDomain] || [];
+      if (!list.some(t => t.regex.source === template.regex.source)) list.push(template);
+    }
+    if (c.company && c.company !== MANUAL_REVIEW_NEEDED && !isSharedSenderDomain_(c.senderDomain)) {
+      (companiesBySender[c.senderAddress] = companiesBySender[c.senderAddress] || new Set()).add(c.company);
+    }
+  });
+  // A sender is only tied to a company when every correction from it agrees.
+  const companyBySender = {};
+  Object.keys(companiesBySender).forEach(address => {
+    if (companiesBySender[address].size === 1) companyBySender[address] = Array.from(companiesBySender[address])[0];
+  });
+  correctionRulesCache_ = { subjectTemplatesByDomain, companyBySender };
+  return correctionRulesCache_;
+}
+
+// "Your application for Data Analyst at Acme" with title "Data Analyst" and company "Acme" becomes
+// /^Your application for (.+?) at (.+?)$/i with groups [title, company]. Digit runs in the fixed text match any
+// number, so requisition numbers do not pin the rule to one email. Returns null when neither value appears in
+// the subject or the fixed text is too short to be specific.
+function buildSubjectTemplate_(subject, company, title) {
+  const lowerSubject = subject.toLowerCase();
+  const spans = [];
+  [['company', company], ['title', title]].forEach(([field, value]) => {
+    if (!value || value === MANUAL_REVIEW_NEEDED) return;
+    const start = lowerSubject.indexOf(value.toLowerCase());
+    if (start !== -1) spans.push({ field: field, start: start, end: start + value.length });
+  });
+  spans.sort((a, b) => a.start - b.start);
+  if (spans.length === 0 || (spans.length === 2 && spans[1].start < spans[0].end)) return null;
+
+  const escapeLiteral = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\d+/g, '\\d+');
+  let pattern = "^";
+  let literalChars = 0;
+  let cursor = 0;
+  spans.forEach(span => {
+    const literal = subject.substring(cursor, span.start);
+    literalChars += literal.replace(/\s/g, "").length;
+    pattern += escapeLiteral(literal) + "(.+?)";
+    cursor = span.end;
+  });
+  const tail = subject.substring(cursor);
+  literalChars += tail.replace(/\s/g, "").length;
+  pattern += escapeLiteral(tail) + "$";
+  if (literalChars < 8) return null;
+  return { regex: new RegExp(pattern, 'i'), groups: spans.map(s => s.field) };
+}
+
+function isSharedSenderDomain_(domain) {
+  return SHARED_SENDER_DOMAIN_KEYWORDS.some(keyword => domain.includes(keyword));
+}
+
+// "Acme Careers <jobs@acme.com>" -> {address: "jobs@acme.com", domain: "acme.com"}.
+function parseSenderAddress_(sender) {
+  const text = String(sender || "");
+  const match = text.match(/<([^>]+)>/);
+  const address = (match ? match[1] : text).trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+  return at === -1 ? { address: "", domain: "" } : { address: address, domain: address.substring(at + 1) };
+}
+
+function tokenizeForSimilarity_(text) {
+  return new Set(String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3));
+}
+
+function jaccardSimilarity_(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(w => { if (b.has(w)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
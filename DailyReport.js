@@ -0,0 +1,242 @@
+// File: DailyReport.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Builds and emails the daily pipeline digest. Triggered every morning by the
+// time-driven trigger created in Triggers.gs (createDailyReportTrigger).
+
+/**
+ * Builds an HTML digest from the "Applications" and "Potential Job Leads" sheets and emails it to the user.
+ * Sections: recent status changes, new leads, rows needing manual review, and applications
+ * that markStaleApplicationsAsRejected() will auto-reject soon.
+ * Triggered by a time-based trigger created programmatically.
+ */
+function dailyReport() {
+  const FUNC_NAME = "dailyReport";
+  const SCRIPT_START_TIME = new Date();
+  Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) ====`);
+
+  const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+  if (!ss) {
+    Logger.log(`[${FUNC_NAME} FATAL ERROR] Main spreadsheet could not be accessed. Aborting.`);
+    return;
+  }
+
+  const now = new Date();
+  const lookbackStart = new Date(now.getTime() - DAILY_REPORT_LOOKBACK_HOURS * 60 * 60 * 1000); // From Config.gs
+  let reportData;
+  try {
+    const appData = collectApplicationReportData_(ss, lookbackStart, now);
+    const historyChanges = collectStatusHistoryReportData_(ss, lookbackStart);
+    reportData = {
+      statusChanges: historyChanges || appData.statusChanges, // Older sheets without a Status History tab fall back to Last Update Date
+      newLeads: collectNewLeadsReportData_(ss, lookbackStart),
+      manualReview: appData.manualReview,
+      staleSoon: appData.staleSoon
+    };
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed collecting report data: ${e.toString()}\nStack: ${e.stack}`);
+    return;
+  }
+
+  const totalItems = reportData.statusChanges.length + reportData.newLeads.length + reportData.manualReview.length + reportData.staleSoon.length;
+  Logger.log(`[${FUNC_NAME} INFO] Changes:${reportData.statusChanges.length}, New Leads:${reportData.newLeads.length}, Manual Review:${reportData.manualReview.length}, Stale Soon:${reportData.staleSoon.length}.`);
+  if (totalItems === 0 && !DAILY_REPORT_SEND_WHEN_EMPTY) {
+    Logger.log(`==== ${FUNC_NAME} FINISHED - Nothing to report, no email sent. ====`);
+    return;
+  }
+
+  let recipient = "";
+  try { recipient = Session.getEffectiveUser().getEmail(); } catch (e) { Logger.log(`[${FUNC_NAME} WARN] Could not resolve user email: ${e.message}`); }
+  if (!recipient) {
+    Logger.log(`[${FUNC_NAME} ERROR] No recipient email available. Digest not sent.`);
+    return;
+  }
+
+  const dateLabel = Utilities.formatDate(now, Session.getScriptTimeZone(), "EEE, MMM d, yyyy");
+  try {
+    MailApp.sendEmail({
+      to: recipient,
+      subject: `${APP_NAME} Daily Digest - ${dateLabel}`,
+      htmlBody: buildDailyReportHtml_(reportData, ss, dateLabel),
+      name: APP_NAME
+    });
+    Logger.log(`[${FUNC_NAME} INFO] Digest sent to ${recipient}.`);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to send digest email: ${e.toString()}`);
+  }
+  Logger.log(`==== ${FUNC_NAME} FINISHED (${new Date().toLocaleString()}) ====`);
+}
+
+/**
+ * Reads the "Applications" sheet once and sorts rows into the digest sections.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Date} lookbackStart Start of the "recent changes" window.
+ * @param {Date} now The report run time.
+ * @return {{statusChanges: Array<Object>, manualReview: Array<Object>, staleSoon: Array<Object>}}
+ */
+function collectApplicationReportData_(ss, lookbackStart, now) {
+  const result = { statusChanges: [], manualReview: [], staleSoon: [] };
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet || dataSheet.getLastRow() < 2) return result;
+
+  const values = dataSheet.getRange(2, 1, dataSheet.getLastRow() - 1, TOTAL_COLUMNS_IN_APP_SHEET).getValues();
+  const staleThresholdDate = getStaleThresholdDate(now); // From Main.gs
+  const warningThresholdDate = new Date(staleThresholdDate.getTime() + DAILY_REPORT_STALE_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  values.forEach((row, i) => {
+    const company = String(row[COMPANY_COL - 1] || "").trim();
+    const title = String(row[JOB_TITLE_COL - 1] || "").trim();
+    const status = String(row[STATUS_COL - 1] || "").trim();
+    if (!company && !title && !status) return; // Blank row
+    const entry = {
+      row: i + 2,
+      company: company || "N/A",
+      title: title || "N/A",
+      status: status || "N/A",
+      lastUpdate: parseSheetDateValue(row[LAST_UPDATE_DATE_COL - 1]), // From Main.gs
+      emailLink: String(row[EMAIL_LINK_COL - 1] || "")
+    };
+
+    if (company === MANUAL_REVIEW_NEEDED || title === MANUAL_REVIEW_NEEDED || status === MANUAL_REVIEW_NEEDED) {
+      result.manualReview.push(entry);
+    }
+    if (!entry.lastUpdate) return;
+    if (entry.lastUpdate.getTime() >= lookbackStart.getTime()) {
+      result.statusChanges.push(entry);
+    }
+    // Stale rows already past the threshold were rejected by the overnight run; only warn about upcoming ones.
+    if (isStatusEligibleForStaleCheck(status) && // From Main.gs
+        entry.lastUpdate.getTime() >= staleThresholdDate.getTime() &&
+        entry.lastUpdate.getTime() < warningThresholdDate.getTime()) {
+      entry.daysUntilStale = Math.max(0, Math.ceil((entry.lastUpdate.getTime() - staleThresholdDate.getTime()) / (24 * 60 * 60 * 1000)));
+      result.staleSoon.push(entry);
+    }
+  });
+
+  result.statusChanges.sort((a, b) => b.lastUpdate.getTime() - a.lastUpdate.getTime());
+  result.staleSoon.sort((a, b) => a.daysUntilStale - b.daysUntilStale);
+  return result;
+}
+
+/**
+ * Collects status transitions from the "Status History" tab since lookbackStart, newest first.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Date} lookbackStart Start of the reporting window.
+ * @return {Array<Object>|null} Entries shaped like collectApplicationReportData_ status changes, or null if the tab does not exist.
+ */
+function collectStatusHistoryReportData_(ss, lookbackStart) {
+  const history = getStatusHistorySince(ss, lookbackStart); // From StatusHistory.gs
+  if (!history) return null;
+  return history
+    .map(h => ({
+      company: h.company || "N/A",
+      title: h.title || "N/A",
+      status: h.oldStatus ? `${h.oldStatus} → ${h.newStatus}` : h.newStatus,
+      origin: h.origin,
+      lastUpdate: h.effectiveDate,
+      emailLink: h.sourceEmailId ? `https://mail.google.com/mail/u/0/#inbox/${h.sourceEmailId}` : ""
+    }))
+    .sort((a, b) => b.lastUpdate.getTime() - a.lastUpdate.getTime());
+}
+
+/**
+ * Collects leads added to "Potential Job Leads" since lookbackStart.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Date} lookbackStart Start of the reporting window.
+ * @return {Array<Object>} Lead entries (company, title, location, link).
+ */
+function collectNewLeadsReportData_(ss, lookbackStart) {
+  const leads = [];
+  const leadsSheet = ss.getSheetByName(LEADS_SHEET_TAB_NAME);
+  if (!leadsSheet || leadsSheet.getLastRow() < 2) return leads;
+
+  const values = leadsSheet.getRange(2, 1, leadsSheet.getLastRow() - 1, TOTAL_COLUMNS_IN_LEADS_SHEET).getValues();
+  values.forEach(row => {
+    const addedAt = parseSheetDateValue(row[LEADS_PROCESSED_TIMESTAMP_COL - 1]) || parseSheetDateValue(row[LEADS_DATE_ADDED_COL - 1]);
+    if (!addedAt || addedAt.getTime() < lookbackStart.getTime()) return;
+    const title = String(row[LEADS_JOB_TITLE_COL - 1] || "").trim();
+    if (!title || title.toLowerCase() === 'n/a') return; // Error rows have no title
+    leads.push({
+      company: String(row[LEADS_COMPANY_COL - 1] || "N/A"),
+      title: title,
+      location: String(row[LEADS_LOCATION_COL - 1] || "N/A"),
+      link: String(row[LEADS_SOURCE_LINK_COL - 1] || "")
+    });
+  });
+  return leads;
+}
+
+/**
+ * Renders the digest HTML body.
+ * @param {Object} reportData Sections collected by dailyReport.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet (for the "open sheet" link).
+ * @param {string} dateLabel Formatted report date.
+ * @return {string} HTML string for MailApp.sendEmail.
+ */
+function buildDailyReportHtml_(reportData, ss, dateLabel) {
+  const tz = Session.getScriptTimeZone();
+  const fmtDate = d => d ? Utilities.formatDate(d, tz, "MMM d, yyyy") : "";
+  const link = (url, text) => url && /^https?:\/\//i.test(url) ? `<a href="${_escapeHtml_ReportLocal(url)}">${_escapeHtml_ReportLocal(text)}</a>` : _escapeHtml_ReportLocal(text);
+
+  const sections = [
+    {
+      title: `Status changes (last ${DAILY_REPORT_LOOKBACK_HOURS}h)`,
+      headers: ["Company", "Job Title", "Status", "Updated", "Source"],
+      rows: reportData.statusChanges.map(r => [link(r.emailLink, r.company), _escapeHtml_ReportLocal(r.title), _escapeHtml_ReportLocal(r.status), fmtDate(r.lastUpdate), _escapeHtml_ReportLocal(r.origin || "")]),
+      emptyText: "No application updates."
+    },
+    {
+      title: "New job leads",
+      headers: ["Company", "Job Title", "Location"],
+      rows: reportData.newLeads.map(l => [_escapeHtml_ReportLocal(l.company), link(l.link, l.title), _escapeHtml_ReportLocal(l.location)]),
+      emptyText: "No new leads."
+    },
+    {
+      title: `Needs manual review ("${MANUAL_REVIEW_NEEDED}")`,
+      headers: ["Row", "Company", "Job Title", "Status"],
+      rows: reportData.manualReview.map(r => [String(r.row), link(r.emailLink, r.company), _escapeHtml_ReportLocal(r.title), _escapeHtml_ReportLocal(r.status)]),
+      emptyText: "Nothing waiting for review."
+    },
+    {
+      title: `Auto-rejecting soon (no update in ~${WEEKS_THRESHOLD} weeks)`,
+      headers: ["Company", "Job Title", "Status", "Last Update", "Days Left"],
+      rows: reportData.staleSoon.map(r => [link(r.emailLink, r.company), _escapeHtml_ReportLocal(r.title), _escapeHtml_ReportLocal(r.status), fmtDate(r.lastUpdate), String(r.daysUntilStale)]),
+      emptyText: "No applications close to going stale."
+    }
+  ];
+
+  let html = `<div style="font-family: Arial, sans-serif; color: ${BRAND_COLORS.CHARCOAL}; max-width: 720px;">`;
+  html += `<h2 style="background-color: ${BRAND_COLORS.LAPIS_LAZULI}; color: #ffffff; padding: 12px;">${_escapeHtml_ReportLocal(APP_NAME)} Daily Digest<br><span style="font-size: 13px; font-weight: normal;">${_escapeHtml_ReportLocal(dateLabel)}</span></h2>`;
+
+  sections.forEach(section => {
+    html += `<h3 style="color: ${BRAND_COLORS.PRIMARY_BLUE}; margin-bottom: 4px;">${_escapeHtml_ReportLocal(section.title)} (${section.rows.length})</h3>`;
+    if (section.rows.length === 0) {
+      html += `<p style="color: ${BRAND_COLORS.NEUTRAL_GREY}; margin-top: 0;">${section.emptyText}</p>`;
+      return;
+    }
+    const shownRows = section.rows.slice(0, DAILY_REPORT_MAX_ROWS_PER_SECTION);
+    html += `<table style="border-collapse: collapse; width: 100%; font-size: 13px;"><tr>`;
+    html += section.headers.map(h => `<th style="text-align: left; border-bottom: 2px solid ${BRAND_COLORS.PRIMARY_BLUE}; padding: 4px;">${h}</th>`).join("");
+    html += `</tr>`;
+    shownRows.forEach((cells, i) => {
+      const bg = i % 2 === 0 ? "#ffffff" : BRAND_COLORS.LIGHT_GREY_BACKGROUND;
+      html += `<tr style="background-color: ${bg};">` + cells.map(c => `<td style="padding: 4px;">${c}</td>`).join("") + `</tr>`;
+    });
+    html += `</table>`;
+    if (section.rows.length > shownRows.length) {
+      html += `<p style="color: ${BRAND_COLORS.NEUTRAL_GREY}; font-size: 12px;">...and ${section.rows.length - shownRows.length} more in the sheet.</p>`;
+    }
+  });
+
+  html += `<p style="margin-top: 20px;"><a href="${_escapeHtml_ReportLocal(ss.getUrl())}">Open your ${_escapeHtml_ReportLocal(APP_NAME)} sheet</a></p></div>`;
+  return html;
+}
+
+function _escapeHtml_ReportLocal(text) {
+  if (text === null || typeof text === 'undefined') return '';
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
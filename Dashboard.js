@@ -85,6 +85,29 @@ function setupHelperSheetFormulas(helperSheet) {
     for (let i = 1; i < funnelStagesValues.length; i++) {
         helperSheet.getRange(i + 2, 8).setFormula(`=IFERROR(COUNTIF(${appSheetNameForFormula}${peakStatusColLetter}2:${peakStatusColLetter}, G${i + 2}),0)`);
     }
+
+    // Salary Distribution - annual USD midpoint per row (min or max alone when only one is known), counted per band.
+    // Leads columns are found by header (INDIRECT, since the leads tab may not exist yet and can be reordered).
+    const midpointFormula = (minRange, maxRange) => `=IFERROR(FILTER((IF(${minRange}="", ${maxRange}, ${minRange}) + IF(${maxRange}="", ${minRange}, ${maxRange})) / 2, (${minRange}<>"") + (${maxRange}<>"")), "")`;
+    const appColRange = col => `${appSheetNameForFormula}${_columnToLetter_DashboardLocal(col)}2:${_columnToLetter_DashboardLocal(col)}`;
+    const leadColRange = header => `INDEX(INDIRECT("'${LEADS_SHEET_TAB_NAME}'!A2:ZZ"), 0, MATCH("${header}", INDIRECT("'${LEADS_SHEET_TAB_NAME}'!1:1"), 0))`;
+    helperSheet.getRange("Q1").setValue("APP_ANNUAL_SALARY_MIDPOINTS_USD");
+    helperSheet.getRange("Q2").setFormula(midpointFormula(appColRange(ANNUAL_SALARY_MIN_USD_COL), appColRange(ANNUAL_SALARY_MAX_USD_COL)));
+    helperSheet.getRange("R1").setValue("LEAD_ANNUAL_SALARY_MIDPOINTS_USD");
+    helperSheet.getRange("R2").setFormula(midpointFormula(leadColRange(LEADS_FIELD_HEADERS.annualSalaryMinUsd), leadColRange(LEADS_FIELD_HEADERS.annualSalaryMaxUsd)));
+
+    helperSheet.getRange("M1").setValue("Salary Band");
+    helperSheet.getRange("N1").setValue("Applications");
+    helperSheet.getRange("O1").setValue("Leads");
+    const toK = amount => `$${amount / 1000}k`;
+    const bandRows = SALARY_DISTRIBUTION_BANDS.map((low, i) => {
+        const high = SALARY_DISTRIBUTION_BANDS[i + 1];
+        const label = i === 0 ? `Under ${toK(high)}` : (high === undefined ? `${toK(low)}+` : `${toK(low)}-${toK(high)}`);
+        const count = col => `=COUNTIFS(${col}$2:${col}, ">=${low}"${high === undefined ? "" : `, ${col}$2:${col}, "<${high}"`})`;
+        return [label, count("Q"), count("R")];
+    });
+    helperSheet.getRange(2, 13, bandRows.length, 1).setValues(bandRows.map(r => [r[0]]));
+    helperSheet.getRange(2, 14, bandRows.length, 2).setFormulas(bandRows.map(r => [r[1], r[2]]));
     
     SpreadsheetApp.flush();
     return true;
@@ -157,7 +180,8 @@ function formatDashboardSheet(dashboardSheet) {
         });
 
         dashboardSheet.getRange("B11").setValue("Platform & Weekly Trends").setFontSize(12).setFontWeight("bold");
-        dashboardSheet.getRange("B28").setValue("Application Funnel Analysis").setFontSize(12).setFontWeight("bold");
+        dashboardSheet.getRange("B28").setValue("Application Funnel & Salary Distribution").setFontSize(12).setFontWeight("bold");
+        dashboardSheet.getRange("B46").setValue("Time in Stage").setFontSize(12).setFontWeight("bold");
 
         if (dashboardSheet.getMaxColumns() > 13) {
             dashboardSheet.hideColumns(14, dashboardSheet.getMaxColumns() - 13);
@@ -183,9 +207,38 @@ function updateDashboardMetrics(dashboardSheet, helperSheet) {
         updatePlatformDistributionChart(dashboardSheet, helperSheet);
         updateApplicationsOverTimeChart(dashboardSheet, helperSheet);
         updateApplicationFunnelChart(dashboardSheet, helperSheet);
+        updateSalaryDistributionChart(dashboardSheet, helperSheet);
+        refreshTimeInStageData_(helperSheet);
+        updateTimeInStageChart(dashboardSheet, helperSheet);
     }
 }
 
+// Time in stage is computed from the "Status History" tab on every refresh (a formula cannot pair up an
+// application's transitions) and written as values to T:V of the helper sheet.
+function refreshTimeInStageData_(helperSheet) {
+    const history = getStatusHistorySince(helperSheet.getParent(), new Date(0)) || []; // From StatusHistory.gs
+    const rows = getTimeInStageMedians(history).map(m => [`${DEFAULT_STATUS} → ${m.stage}`, m.medianDays === null ? "" : m.medianDays, m.applications]); // From StatusHistory.gs
+    helperSheet.getRange(1, 20, rows.length + 1, 3).setValues([["Stage", "Median Days from Applied", "Applications"], ...rows]);
+}
+
+function updateTimeInStageChart(dashboardSheet, helperSheet) {
+    const dataRange = helperSheet.getRange(1, 20, TIME_IN_STAGE_STATUSES.length + 1, 2); // Header row names the series
+    if (!helperSheet.getRange(2, 22, TIME_IN_STAGE_STATUSES.length, 1).getValues().some(r => r[0] > 0)) return; // No application has moved on yet
+
+    const chart = dashboardSheet.newChart()
+        .setChartType(Charts.ChartType.BAR)
+        .addRange(dataRange)
+        .setPosition(48, 2, 0, 0) // Anchor at B48
+        .setOption('title', "Time in Stage (Median Days from Applied)")
+        .setOption('width', 480)
+        .setOption('height', 300)
+        .setOption('hAxis', { title: 'Days', viewWindow: { min: 0 } })
+        .setOption('legend', { position: 'none' })
+        .setOption('colors', [BRAND_COLORS.HUNYADI_YELLOW])
+        .build();
+    dashboardSheet.insertChart(chart);
+}
+
 
 function updatePlatformDistributionChart(dashboardSheet, helperSheet) {
     const dataRange = helperSheet.getRange("A2:B");
@@ -244,3 +297,22 @@ function updateApplicationFunnelChart(dashboardSheet, helperSheet) {
         .build();
     dashboardSheet.insertChart(chart);
 }
+
+function updateSalaryDistributionChart(dashboardSheet, helperSheet) {
+    const dataRange = helperSheet.getRange(1, 13, SALARY_DISTRIBUTION_BANDS.length + 1, 3); // Header row names the series
+    if (helperSheet.getRange("M2").isBlank()) return;
+
+    const chart = dashboardSheet.newChart()
+        .setChartType(Charts.ChartType.COLUMN)
+        .addRange(dataRange)
+        .setPosition(30, 8, 0, 0) // Anchor at H30
+        .setOption('title', "Salary Distribution (Annual USD, Midpoint)")
+        .setOption('width', 480)
+        .setOption('height', 300)
+        .setOption('hAxis', { slantedText: true, slantedTextAngle: 30 })
+        .setOption('vAxis', { title: 'Count', viewWindow: { min: 0 } })
+        .setOption('legend', { position: 'top' })
+        .setOption('colors', [BRAND_COLORS.LAPIS_LAZULI, BRAND_COLORS.CAROLINA_BLUE])
+        .build();
+    dashboardSheet.insertChart(chart);
+}
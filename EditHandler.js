@@ -0,0 +1,148 @@
+// File: EditHandler.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Installable onEdit handler (see createOnEditTrigger in Triggers.gs). Keeps derived
+// columns of the "Applications" sheet in sync with manual edits and records an audit trail, and
+// promotes leads whose Status is set to Applied (LeadPromotion.gs). Pay edits on either tab re-parse
+// the structured salary columns (SalaryUtils.gs).
+
+/**
+ * Handles manual edits to the "Applications" sheet. Edits to "Potential Job Leads" go to handleLeadSalaryEdit and
+ * handleLeadStatusEdit. Compensation edits refresh the row's salary columns.
+ * Edits to Status, Company or Job Title re-rank Peak Status, stamp Last Update Date
+ * and append the old value, new value and editor to the hidden "Change Log" tab.
+ * Status edits are also recorded in "Status History" with origin "Manual Edit".
+ * Edited values count as confirmed: their Field Sources entry gets full confidence and any
+ * low-confidence note is cleared. A company or title that replaces a parsed value is also kept
+ * as a correction the parser learns from (Corrections.gs).
+ * Triggered by an installable onEdit trigger created programmatically.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event object.
+ */
+function handleCellEdit(e) {
+  const FUNC_NAME = "handleCellEdit";
+  if (!e || !e.range) return;
+
+  try {
+    const sheet = e.range.getSheet();
+    if (sheet.getName() === LEADS_SHEET_TAB_NAME) {
+      handleLeadSalaryEdit(e); // From SalaryUtils.gs
+      handleLeadStatusEdit(e); // From LeadPromotion.gs
+      return;
+    }
+    if (sheet.getName() !== APP_TRACKER_SHEET_TAB_NAME) return;
+    if (e.range.getColumn() <= COMPENSATION_COL && e.range.getLastColumn() >= COMPENSATION_COL) {
+      refreshApplicationSalaryColumns(sheet, Math.max(2, e.range.getRow()), e.range.getLastRow()); // From SalaryUtils.gs
+    }
+
+    const trackedFields = {
+      [STATUS_COL]: "Status",
+      [COMPANY_COL]: "Company",
+      [JOB_TITLE_COL]: "Job Title"
+    };
+    const firstRow = Math.max(2, e.range.getRow()); // Ignore header edits
+    const lastRow = e.range.getLastRow();
+    const editedCols = [];
+    for (let col = e.range.getColumn(); col <= e.range.getLastColumn(); col++) {
+      if (trackedFields[col]) editedCols.push(col);
+    }
+    if (lastRow < firstRow || editedCols.length === 0) return;
+
+    const numRows = lastRow - firstRow + 1;
+    const isSingleCell = e.range.getNumRows() === 1 && e.range.getNumColumns() === 1;
+    const editor = _getEditorEmail_EditLocal(e);
+    const now = new Date();
+    const rowValues = sheet.getRange(firstRow, 1, numRows, APPLICATION_ID_COL).getValues(); // Everything used below sits at or before the ID column
+    const sourcesRange = sheet.getRange(firstRow, FIELD_SOURCES_COL, numRows, 1);
+    const sourcesValues = sourcesRange.getValues();
+    const derivedValues = []; // [Peak Status, Last Update Date] per row
+    const logEntries = [];
+    const statusHistoryEntries = [];
+
+    rowValues.forEach((row, i) => {
+      const sheetRow = firstRow + i;
+      const status = String(row[STATUS_COL - 1] || "").trim();
+      const isBlankRow = !status && !String(row[COMPANY_COL - 1] || "").trim() && !String(row[JOB_TITLE_COL - 1] || "").trim();
+      let applicationId = String(row[APPLICATION_ID_COL - 1] || "").trim();
+      if (isBlankRow) {
+        derivedValues.push([row[PEAK_STATUS_COL - 1], row[LAST_UPDATE_DATE_COL - 1]]); // Row cleared; leave derived columns alone
+      } else {
+        derivedValues.push([calculatePeakStatus(row[PEAK_STATUS_COL - 1], status), now]); // From Main.gs
+        if (!applicationId) { // Row typed in by hand
+          applicationId = generateApplicationId(); // From SheetUtils.gs
+          sheet.getRange(sheetRow, APPLICATION_ID_COL).setValue(applicationId);
+        }
+      }
+
+      editedCols.forEach(col => {
+        // e.oldValue/e.value are only populated for single-cell edits.
+        const oldValue = isSingleCell ? (typeof e.oldValue !== 'undefined' ? e.oldValue : "") : "(multi-cell edit)";
+        const newValue = row[col - 1];
+        logEntries.push([now, sheet.getName(), applicationId, trackedFields[col], oldValue, newValue, editor]);
+        if (col === STATUS_COL) {
+          // The placeholder is for the Change Log only. Without e.oldValue, Field Sources holds the last recorded status.
+          const recordedStatus = parseFieldSourcesCell(sourcesValues[i][0]).status; // From ApplicationsModel.gs
+          const oldStatus = isSingleCell ? oldValue : (recordedStatus ? recordedStatus.value : "");
+          statusHistoryEntries.push(buildStatusHistoryEntry({ applicationId: applicationId, company: row[COMPANY_COL - 1], title: row[JOB_TITLE_COL - 1], oldStatus: oldStatus, newStatus: newValue, origin: STATUS_ORIGIN_MANUAL_EDIT, effectiveDate: now })); // From StatusHistory.gs
+        }
+      });
+    });
+
+    // PEAK_STATUS_COL and LAST_UPDATE_DATE_COL are adjacent, so one write covers both.
+    if (LAST_UPDATE_DATE_COL === PEAK_STATUS_COL + 1) {
+      sheet.getRange(firstRow, PEAK_STATUS_COL, numRows, 2).setValues(derivedValues);
+    } else {
+      sheet.getRange(firstRow, PEAK_STATUS_COL, numRows, 1).setValues(derivedValues.map(v => [v[0]]));
+      sheet.getRange(firstRow, LAST_UPDATE_DATE_COL, numRows, 1).setValues(derivedValues.map(v => [v[1]]));
+    }
+
+    recordCorrectionsFromEdit(sheet, firstRow, rowValues, sourcesValues, editedCols, isSingleCell ? e.oldValue : undefined); // From Corrections.gs
+    confirmEditedFieldSources_(sheet, firstRow, rowValues, editedCols, sourcesRange, sourcesValues);
+
+    appendChangeLogEntries(sheet.getParent(), logEntries);
+    appendStatusHistoryEntries(sheet.getParent(), statusHistoryEntries);
+    if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Synced rows ${firstRow}-${lastRow} (${logEntries.length} change(s)) edited by ${editor}.`);
+  } catch (err) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${err.toString()}\nStack: ${err.stack}`);
+  }
+}
+
+/**
+ * Appends rows to the hidden "Change Log" tab, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Array<Array<*>>} entries Rows matching CHANGE_LOG_SHEET_HEADERS.
+ * @return {boolean} True if the entries were written.
+ */
+function appendChangeLogEntries(ss, entries) {
+  if (!entries || entries.length === 0) return true;
+  const logSheet = getOrCreateHiddenSheet(ss, CHANGE_LOG_SHEET_TAB_NAME, CHANGE_LOG_SHEET_HEADERS, CHANGE_LOG_SHEET_COLUMN_WIDTHS); // From SheetUtils.gs
+  if (!logSheet) return false;
+  logSheet.getRange(logSheet.getLastRow() + 1, 1, entries.length, CHANGE_LOG_SHEET_HEADERS.length).setValues(entries);
+  return true;
+}
+
+// Marks manually edited core fields as confirmed so getLowConfidenceFields (ApplicationsModel.gs) stops flagging them.
+function confirmEditedFieldSources_(sheet, firstRow, rowValues, editedCols, sourcesRange, sourcesValues) {
+  const fieldByColumn = {};
+  Object.keys(APP_CORE_FIELD_COLUMNS).forEach(field => { fieldByColumn[APP_CORE_FIELD_COLUMNS[field]] = field; });
+  const colsToConfirm = editedCols.filter(col => fieldByColumn[col]);
+  if (colsToConfirm.length === 0) return;
+  const confirmedValues = sourcesValues.map((cell, i) => {
+    const sources = parseFieldSourcesCell(cell[0]); // From ApplicationsModel.gs
+    colsToConfirm.forEach(col => {
+      const value = rowValues[i][col - 1];
+      if (String(value).trim() === "") delete sources[fieldByColumn[col]];
+      else sources[fieldByColumn[col]] = buildFieldSourceEntry_({ value: value, source: STATUS_ORIGIN_MANUAL_EDIT, confidence: 1 }, ""); // From ApplicationsModel.gs
+    });
+    return [Object.keys(sources).length > 0 ? JSON.stringify(sources) : ""];
+  });
+  sourcesRange.setValues(confirmedValues);
+  colsToConfirm.forEach(col => sheet.getRange(firstRow, col, rowValues.length, 1).clearNote());
+}
+
+function _getEditorEmail_EditLocal(e) {
+  try {
+    const email = e.user && typeof e.user.getEmail === 'function' ? e.user.getEmail() : Session.getActiveUser().getEmail();
+    return email || "Unknown";
+  } catch (err) {
+    return "Unknown";
+  }
+}
@@ -38,8 +38,18 @@ function getOrCreateLabel(labelName) {
 }
 
 // --- Helper: Apply Labels After Processing ---
-function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, manualReviewLabelObj) {
-  const threadIdsToUpdate = Object.keys(threadOutcomes);
+/**
+ * Moves processed threads from "To Process" to "Processed" or "Manual Review".
+ * When the GmailThread objects are supplied, labels are changed in batches of up to 100 threads
+ * (GmailLabel.addToThreads/removeFromThreads); threads in a failed batch fall back to one-by-one.
+ * @param {Object<string, string>} threadOutcomes Thread ID -> 'done' or 'manual'.
+ * @param {GoogleAppsScript.Gmail.GmailLabel} processingLabel The "To Process" label.
+ * @param {GoogleAppsScript.Gmail.GmailLabel} processedLabelObj The "Processed" label.
+ * @param {GoogleAppsScript.Gmail.GmailLabel} manualReviewLabelObj The "Manual Review" label.
+ * @param {Object<string, GoogleAppsScript.Gmail.GmailThread>} [threadsById] Threads already fetched by the caller.
+ */
+function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, manualReviewLabelObj, threadsById) {
+  let threadIdsToUpdate = Object.keys(threadOutcomes);
   if (threadIdsToUpdate.length === 0) {
     Logger.log("[INFO] LABEL_MGMT: No thread outcomes to process for final labeling.");
     return;
@@ -62,6 +72,29 @@ function applyFinalLabels(threadOutcomes, processingLabel, processedLabelObj, ma
     return;
   }
 
+  if (threadsById) {
+    const BATCH_SIZE = 100; // GmailLabel batch methods accept at most 100 threads
+    const failedThreadIds = [];
+    [[processedLabelObj, 'done'], [manualReviewLabelObj, 'manual']].forEach(([targetLabel, outcome]) => {
+      const ids = threadIdsToUpdate.filter(id => threadOutcomes[id] === outcome && threadsById[id]);
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batchIds = ids.slice(i, i + BATCH_SIZE);
+        const batchThreads = batchIds.map(id => threadsById[id]);
+        try {
+          targetLabel.addToThreads(batchThreads);
+          processingLabel.removeFromThreads(batchThreads);
+          successfulLabelChanges += batchIds.length;
+        } catch (eBatch) {
+          Logger.log(`[WARN] LABEL_MGMT: Batch relabel to "${targetLabel.getName()}" failed (${eBatch.message}). Retrying ${batchIds.length} threads individually.`);
+          failedThreadIds.push(...batchIds);
+        }
+      }
+    });
+    // Anything not handled in a batch (no thread object, or a failed batch) goes through the per-thread path below.
+    threadIdsToUpdate = threadIdsToUpdate.filter(id => !threadsById[id] || failedThreadIds.indexOf(id) !== -1);
+    Logger.log(`[INFO] LABEL_MGMT: Batch relabelled ${successfulLabelChanges} threads. ${threadIdsToUpdate.length} left for one-by-one handling.`);
+  }
+
   const toProcessLabelName = processingLabel.getName(); // Get name once
 
   for (const threadId of threadIdsToUpdate) {
@@ -0,0 +1,244 @@
+// File: HistoricalImport.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: "Import Past Emails" command for first-time users. The Gmail filters created during setup
+// only label future mail, so this runs TRACKER_GMAIL_FILTER_QUERY_APP_UPDATES and LEADS_GMAIL_FILTER_QUERY
+// over a chosen date range, labels the matching threads "To Process", and lets processJobApplicationEmails /
+// processJobLeads work through them via continuation triggers (Checkpoint.gs). A sidebar drives the
+// labelling in small steps and then polls for processing progress.
+
+/**
+ * Menu handler: opens the import sidebar.
+ */
+function showHistoricalImportSidebar() {
+  const html = HtmlService.createHtmlOutput(buildHistoricalImportSidebarHtml_()).setTitle('Import Past Emails');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Starts an import for the given date range. If an import is still running its progress is returned
+ * instead, so reopening the sidebar picks up where it was.
+ * @param {string} startDateStr First day to import (yyyy-MM-dd).
+ * @param {string} endDateStr Last day to import, inclusive (yyyy-MM-dd).
+ * @return {Object} Progress as returned by getHistoricalImportProgress.
+ */
+function startHistoricalImport(startDateStr, endDateStr) {
+  const FUNC_NAME = "startHistoricalImport";
+  const existing = loadHistoricalImportState_();
+  if (existing && existing.phase !== 'done') {
+    Logger.log(`[${FUNC_NAME} INFO] Import for ${existing.startDate}..${existing.endDate} already in progress (${existing.phase}). Resuming it.`);
+    return getHistoricalImportProgress();
+  }
+
+  const startDate = parseIsoDay_(startDateStr), endDate = parseIsoDay_(endDateStr);
+  if (!startDate || !endDate) throw new Error('Please enter both dates.');
+  if (startDate > endDate) throw new Error('The start date must be on or before the end date.');
+  if (!GmailApp.getUserLabelByName(TRACKER_GMAIL_LABEL_TO_PROCESS)) {
+    throw new Error(`Label "${TRACKER_GMAIL_LABEL_TO_PROCESS}" not found. Run the project setup first.`);
+  }
+  const leadsEnabled = !!GmailApp.getUserLabelByName(LEADS_GMAIL_LABEL_TO_PROCESS);
+
+  saveHistoricalImportState_({
+    startDate: startDateStr,
+    endDate: endDateStr,
+    phase: 'labeling',
+    applications: { labeled: 0, searchDone: false },
+    leads: { labeled: 0, searchDone: !leadsEnabled, enabled: leadsEnabled },
+    startedAt: new Date().toISOString()
+  });
+  Logger.log(`[${FUNC_NAME} INFO] Import started for ${startDateStr}..${endDateStr}. Leads module ${leadsEnabled ? 'included' : 'not set up, skipped'}.`);
+  return getHistoricalImportProgress();
+}
+
+/**
+ * Labels one page of matching threads per source. Called repeatedly by the sidebar while the phase is
+ * 'labeling'; once both searches come back empty, schedules the processing runs.
+ * Each query excludes the "To Process" label, so labelled threads drop out and page 0 is always next.
+ * @return {Object} Progress as returned by getHistoricalImportProgress.
+ */
+function runHistoricalImportStep() {
+  const FUNC_NAME = "runHistoricalImportStep";
+  const state = loadHistoricalImportState_();
+  if (!state || state.phase !== 'labeling') return getHistoricalImportProgress();
+
+  const sources = [
+    { key: 'applications', baseQuery: TRACKER_GMAIL_FILTER_QUERY_APP_UPDATES, labelName: TRACKER_GMAIL_LABEL_TO_PROCESS },
+    { key: 'leads', baseQuery: LEADS_GMAIL_FILTER_QUERY, labelName: LEADS_GMAIL_LABEL_TO_PROCESS }
+  ];
+  for (const source of sources) {
+    const progress = state[source.key];
+    if (progress.searchDone) continue;
+    const label = GmailApp.getUserLabelByName(source.labelName);
+    if (!label) { Logger.log(`[${FUNC_NAME} WARN] Label "${source.labelName}" disappeared. Skipping ${source.key}.`); progress.searchDone = true; continue; }
+
+    const query = buildHistoricalImportQuery_(source.baseQuery, source.labelName, state.startDate, state.endDate);
+    const threads = GmailApp.search(query, 0, HISTORICAL_IMPORT_PAGE_SIZE);
+    if (threads.length === 0) {
+      progress.searchDone = true;
+      Logger.log(`[${FUNC_NAME} INFO] ${source.key}: search complete, ${progress.labeled} thread(s) labelled.`);
+    } else {
+      label.addToThreads(threads);
+      progress.labeled += threads.length;
+    }
+    break; // One page per step keeps each sidebar call short
+  }
+
+  if (state.applications.searchDone && state.leads.searchDone) {
+    state.phase = 'processing';
+    if (state.applications.labeled > 0) scheduleContinuationTrigger('continueProcessJobApplicationEmails'); // From Triggers.gs
+    if (state.leads.labeled > 0) scheduleContinuationTrigger('continueProcessJobLeads');
+    Logger.log(`[${FUNC_NAME} INFO] Labelling finished (${state.applications.labeled} application / ${state.leads.labeled} lead threads). Processing scheduled.`);
+  }
+  saveHistoricalImportState_(state);
+  return getHistoricalImportProgress();
+}
+
+/**
+ * Reports the current import, counting threads still waiting in the "To Process" labels while the
+ * imported mail is processed. Marks the import done once both labels are empty.
+ * @return {Object|null} {phase, startDate, endDate, applications: {labeled, remaining}, leads: {labeled, remaining, enabled},
+ *     continuationPending, pollSeconds}, or null when no import has been started.
+ */
+function getHistoricalImportProgress() {
+  const state = loadHistoricalImportState_();
+  if (!state) return null;
+
+  const progress = {
+    phase: state.phase,
+    startDate: state.startDate,
+    endDate: state.endDate,
+    applications: { labeled: state.applications.labeled, remaining: null },
+    leads: { labeled: state.leads.labeled, remaining: null, enabled: state.leads.enabled },
+    continuationPending: false,
+    pollSeconds: HISTORICAL_IMPORT_POLL_SECONDS
+  };
+  if (state.phase === 'processing') {
+    progress.applications.remaining = countThreadsInLabel_(TRACKER_GMAIL_LABEL_TO_PROCESS);
+    progress.leads.remaining = state.leads.enabled ? countThreadsInLabel_(LEADS_GMAIL_LABEL_TO_PROCESS) : 0;
+    const handlers = ['continueProcessJobApplicationEmails', 'continueProcessJobLeads'];
+    progress.continuationPending = ScriptApp.getProjectTriggers().some(t => handlers.includes(t.getHandlerFunction()));
+    if (progress.applications.remaining === 0 && progress.leads.remaining === 0) {
+      state.phase = progress.phase = 'done';
+      state.completedAt = new Date().toISOString();
+      saveHistoricalImportState_(state);
+      Logger.log(`[getHistoricalImportProgress INFO] Import for ${state.startDate}..${state.endDate} complete.`);
+    }
+  }
+  return progress;
+}
+
+/**
+ * Forgets the current import. Threads already labelled stay in "To Process" and are handled by the
+ * regular triggers.
+ * @return {null}
+ */
+function cancelHistoricalImport() {
+  PropertiesService.getScriptProperties().deleteProperty(HISTORICAL_IMPORT_STATE_PROPERTY);
+  Logger.log(`[cancelHistoricalImport INFO] Import state cleared.`);
+  return null;
+}
+
+// --- Helpers ---
+
+/**
+ * Restricts a filter query to a date range and to threads not already waiting in "To Process".
+ * Gmail's before: is exclusive, so the end date is pushed one day forward.
+ */
+function buildHistoricalImportQuery_(baseQuery, toProcessLabelName, startDateStr, endDateStr) {
+  const dayAfterEnd = parseIsoDay_(endDateStr);
+  dayAfterEnd.setDate(dayAfterEnd.getDate() + 1);
+  const fmt = d => Utilities.formatDate(d, Session.getScriptTimeZone(), 'yyyy/MM/dd');
+  return `(${baseQuery}) AND -label:(${toProcessLabelName}) after:${fmt(parseIsoDay_(startDateStr))} before:${fmt(dayAfterEnd)}`;
+}
+
+function parseIsoDay_(dayStr) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dayStr || ""));
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+// getThreads returns at most 500 threads per call, so larger labels are counted page by page.
+function countThreadsInLabel_(labelName) {
+  const label = GmailApp.getUserLabelByName(labelName);
+  if (!label) return 0;
+  let count = 0;
+  let pageLength;
+  do {
+    pageLength = label.getThreads(count, HISTORICAL_IMPORT_COUNT_PAGE_SIZE).length;
+    count += pageLength;
+  } while (pageLength === HISTORICAL_IMPORT_COUNT_PAGE_SIZE);
+  return count;
+}
+
+function loadHistoricalImportState_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(HISTORICAL_IMPORT_STATE_PROPERTY);
+  if (!raw) return null;
+  try { return JSON.parse(raw); }
+  catch (e) { Logger.log(`[loadHistoricalImportState_ WARN] Discarding unreadable import state: ${e.message}`); return null; }
+}
+
+function saveHistoricalImportState_(state) {
+  PropertiesService.getScriptProperties().setProperty(HISTORICAL_IMPORT_STATE_PROPERTY, JSON.stringify(state));
+}
+
+function buildHistoricalImportSidebarHtml_() {
+  const tz = Session.getScriptTimeZone();
+  const today = new Date();
+  const defaultStart = new Date(today.getTime() - HISTORICAL_IMPORT_DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const fmt = d => Utilities.formatDate(d, tz, 'yyyy-MM-dd');
+  return `
+    <!DOCTYPE html><html><head><base target="_top">
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 13px; color: ${BRAND_COLORS.CHARCOAL}; margin: 12px; }
+      label { display: block; margin-top: 8px; } input { width: 100%; box-sizing: border-box; }
+      button { margin-top: 12px; padding: 6px 12px; background: ${BRAND_COLORS.PRIMARY_BLUE}; color: #fff; border: none; border-radius: 4px; cursor: pointer; }
+      button.secondary { background: ${BRAND_COLORS.NEUTRAL_GREY}; } button:disabled { opacity: 0.5; cursor: default; }
+      #status { margin-top: 16px; line-height: 1.5; } .error { color: ${BRAND_COLORS.ERROR_RED}; }
+      .note { color: ${BRAND_COLORS.NEUTRAL_GREY}; font-size: 12px; }
+    </style></head><body>
+      <p>Find past application updates and job alerts in Gmail and add them to this sheet.</p>
+      <label>From <input type="date" id="startDate" value="${fmt(defaultStart)}"></label>
+      <label>To <input type="date" id="endDate" value="${fmt(today)}"></label>
+      <button id="startBtn" onclick="startImport()">Start Import</button>
+      <button id="cancelBtn" class="secondary" onclick="cancelImport()" style="display:none">Forget This Import</button>
+      <div id="status"></div>
+      <p class="note">Labelling runs while this sidebar is open; reopen it to resume. Processing continues in the background.</p>
+    <script>
+      function call(fn, arg1, arg2) {
+        google.script.run.withSuccessHandler(render).withFailureHandler(showError)[fn](arg1, arg2);
+      }
+      function startImport() {
+        document.getElementById('startBtn').disabled = true;
+        call('startHistoricalImport', document.getElementById('startDate').value, document.getElementById('endDate').value);
+      }
+      function cancelImport() { call('cancelHistoricalImport'); }
+      function showError(err) {
+        document.getElementById('startBtn').disabled = false;
+        var message = document.createElement('span');
+        message.className = 'error';
+        message.textContent = err && err.message ? err.message : String(err);
+        var status = document.getElementById('status');
+        status.innerHTML = '';
+        status.appendChild(message);
+      }
+      function line(name, p, phase) {
+        if (phase === 'labeling') return name + ': ' + p.labeled + ' thread(s) found so far';
+        var done = Math.max(0, p.labeled - (p.remaining || 0));
+        return name + ': ' + done + ' of ' + p.labeled + ' thread(s) processed' + (p.remaining ? ' (' + p.remaining + ' waiting)' : '');
+      }
+      function render(p) {
+        var status = document.getElementById('status');
+        var busy = p && p.phase !== 'done';
+        document.getElementById('startBtn').disabled = !!busy;
+        document.getElementById('cancelBtn').style.display = p ? '' : 'none';
+        if (!p) { status.innerHTML = ''; return; }
+        var html = '<b>' + p.startDate + ' to ' + p.endDate + '</b><br>';
+        html += ({ labeling: 'Finding matching emails...', processing: 'Processing imported emails...', done: 'Import complete.' })[p.phase] + '<br>';
+        html += line('Applications', p.applications, p.phase) + '<br>';
+        if (p.leads.enabled) html += line('Job leads', p.leads, p.phase) + '<br>';
+        if (p.phase === 'processing' && !p.continuationPending) html += '<span class="note">Waiting for the current run to finish or the next scheduled run.</span>';
+        status.innerHTML = html;
+        if (p.phase === 'labeling') call('runHistoricalImportStep');
+        else if (p.phase === 'processing') setTimeout(function () { call('getHistoricalImportProgress'); }, p.pollSeconds * 1000);
+      }
+      call('getHistoricalImportProgress');
+    </script></body></html>`;
+}
@@ -0,0 +1,282 @@
+// File: LeadEnrichment.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Fills in what a job alert email leaves out. enrichJobLeads follows each lead's "Source/Link"
+// through tracking redirects, takes the posting text from the page (the schema.org JobPosting data most job boards
+// embed, or the visible page text) and has the LLM summarize requirements, seniority, pay, remote policy and
+// posting date into the leads tab. Why a row could not be enriched goes in its "Enrichment Status".
+
+/**
+ * Enriches up to LEAD_ENRICHMENT_BATCH_SIZE leads that have a link and no "Enrichment Status" yet. Error and
+ * archived rows are skipped. Runs from its own trigger and the menu. The salary columns are parsed from the row's
+ * pay, and with a "Target Profile" set, enriched leads are scored again (the posting usually says more about pay and
+ * remote work than the alert did). Runs under the job lock, so processJobLeads cannot sort the tab mid-run; when
+ * another job holds the lock, a continuation is scheduled instead.
+ * @return {{enriched: number, failed: number}} Rows enriched and rows that got a failure status.
+ */
+function enrichJobLeads() {
+  let counts = { enriched: 0, failed: 0 };
+  runWithJobLock(CHECKPOINT_JOB_ENRICHMENT, 'continueEnrichJobLeads', () => { counts = enrichJobLeads_(); }); // From Checkpoint.gs
+  return counts;
+}
+
+function enrichJobLeads_() {
+  const FUNC_NAME = "enrichJobLeads";
+  const startTime = new Date();
+  Logger.log(`\n==== ${FUNC_NAME}: STARTING (${startTime.toLocaleString()}) ====`);
+  const counts = { enriched: 0, failed: 0 };
+  const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+  if (!ss) {
+    Logger.log(`[${FUNC_NAME} FATAL ERROR] Main spreadsheet could not be determined. Aborting.`);
+    return counts;
+  }
+  const { sheet, headerMap } = getSheetAndHeaderMapping_forLeads(ss.getId()); // From Leads_SheetUtils.gs
+  if (!sheet) {
+    Logger.log(`[${FUNC_NAME} FATAL ERROR] Leads sheet "${LEADS_SHEET_TAB_NAME}" not found. Aborting.`);
+    return counts;
+  }
+  const apiKey = PropertiesService.getScriptProperties().getProperty(GEMINI_API_KEY_PROPERTY);
+  const profile = getTargetProfile(ss); // From LeadScoring.gs
+  const pending = readRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS) // From SheetUtils.gs
+    .filter(({ record }) => needsEnrichment_(record))
+    .slice(0, LEAD_ENRICHMENT_BATCH_SIZE);
+  Logger.log(`[${FUNC_NAME} INFO] ${pending.length} lead(s) to enrich.`);
+
+  for (const { rowNumber, record } of pending) {
+    if ((new Date().getTime() - startTime.getTime()) / 1000 > LEAD_ENRICHMENT_TIME_LIMIT_SECONDS) {
+      Logger.log(`[${FUNC_NAME} WARN] Time limit reached. The remaining leads wait for the next run.`);
+      break;
+    }
+    const result = enrichLead(record, apiKey);
+    if (result.budgetExhausted) {
+      Logger.log(`[${FUNC_NAME} INFO] LLM usage limit reached. Row ${rowNumber} and the rest wait for the next run.`);
+      break;
+    }
+    const update = Object.assign({}, result.fields, { enrichmentStatus: result.status, enrichedAt: new Date() });
+    Object.assign(update, getSalaryFields(update.salary !== undefined ? update.salary : record.salary)); // From SalaryUtils.gs
+    if (profile) {
+      const lead = Object.assign({}, record, update);
+      applyLeadFitScore(lead, profile); // From LeadScoring.gs
+      Object.assign(update, { fitScore: lead.fitScore, fitReason: lead.fitReason, status: lead.status });
+    }
+    if (!isLeadStillAtRow_(sheet, headerMap, rowNumber, record)) {
+      Logger.log(`[${FUNC_NAME} WARN] Row ${rowNumber} ("${record.jobTitle}" at "${record.company}") moved while its posting was fetched (the tab was sorted). Skipping it until the next run.`);
+      continue;
+    }
+    updateRecordByHeader(sheet, headerMap, LEADS_FIELD_HEADERS, rowNumber, update); // From SheetUtils.gs
+    if (result.status === LEAD_ENRICHMENT_DONE_STATUS) counts.enriched++;
+    else counts.failed++;
+    Logger.log(`[${FUNC_NAME} INFO] Row ${rowNumber} ("${record.jobTitle}" at "${record.company}"): ${result.status}`);
+    Utilities.sleep(500); // Be respectful to job sites
+  }
+  if (profile && counts.enriched + counts.failed > 0) sortLeadsByFitScore(sheet, headerMap); // From LeadScoring.gs
+
+  Logger.log(`\n==== ${FUNC_NAME}: FINISHED === Enriched: ${counts.enriched}, failed: ${counts.failed}. Total Time: ${(new Date().getTime() - startTime.getTime()) / 1000}s ====`);
+  return counts;
+}
+
+/**
+ * Fetches, extracts and summarizes the posting behind one lead. Pay, remote policy and posting date stated in the
+ * page's structured data take precedence over the LLM's reading; pay only fills an empty "Salary/Pay".
+ * @param {Object} lead Lead record keyed like LEADS_FIELD_HEADERS.
+ * @param {string} apiKey The Gemini key, as read from GEMINI_API_KEY_PROPERTY.
+ * @return {{status: string, fields: Object, budgetExhausted: boolean}} status is LEAD_ENRICHMENT_DONE_STATUS or
+ *     "<Fetch|Parse|Summary> failed: <reason>"; fields are the lead fields to write. budgetExhausted means the LLM
+ *     usage limits stopped the summary and nothing should be written.
+ */
+function enrichLead(lead, apiKey) {
+  const page = fetchJobPostingPage(lead.jobUrl);
+  if (!page.success) return { status: `Fetch failed: ${page.error}`, fields: { postingUrl: page.finalUrl } };
+  const posting = extractJobPosting(page.html);
+  if (!posting) return { status: "Parse failed: no job posting text on the page", fields: { postingUrl: page.finalUrl } };
+
+  const fields = { postingUrl: page.finalUrl, remotePolicy: posting.remotePolicy, postedDate: posting.datePosted || "" };
+  const hasSalary = !!knownLeadValue(lead.salary); // From Leads_SheetUtils.gs
+  if (posting.salary && !hasSalary) fields.salary = posting.salary;
+
+  const summary = summarizeJobPosting(posting.text, apiKey); // From GeminiService.gs
+  if (summary.budgetExhausted) return { budgetExhausted: true };
+  if (!summary.success) return { status: `Summary failed: ${summary.error}`.substring(0, 500), fields: fields };
+  const data = summary.data;
+  fields.requirements = knownLeadValue(data.requirements);
+  fields.seniority = data.seniority;
+  if (!fields.remotePolicy) fields.remotePolicy = data.remote_policy;
+  if (!fields.postedDate) fields.postedDate = parsePostingDate_(data.posted_date) || "";
+  if (!fields.salary && !hasSalary && knownLeadValue(data.salary_range)) fields.salary = knownLeadValue(data.salary_range);
+  return { status: LEAD_ENRICHMENT_DONE_STATUS, fields: fields };
+}
+
+// --- Fetching ---
+/**
+ * Fetches a posting page, following redirects one hop at a time (HTTP redirects, meta refresh and script redirects
+ * on near-empty interstitial pages) so the final URL is known. A redirect to a sign-in page is a failure.
+ * @param {string} url The lead's link.
+ * @return {{success: boolean, html: string, finalUrl: string, error: string}}
+ */
+function fetchJobPostingPage(url) {
+  let currentUrl = String(url || "").trim();
+  if (!/^https?:\/\//i.test(currentUrl)) return { success: false, finalUrl: "", error: "no web link" };
+  for (let hop = 0; hop <= LEAD_ENRICHMENT_MAX_REDIRECTS; hop++) {
+    if (LEAD_LOGIN_WALL_URL_PATTERN.test(currentUrl.replace(/^https?:\/\/[^/]+/i, ""))) {
+      return { success: false, finalUrl: currentUrl, error: "the site requires signing in" };
+    }
+    let response;
+    try {
+      response = UrlFetchApp.fetch(currentUrl, { followRedirects: false, muteHttpExceptions: true, headers: { "User-Agent": LEAD_FETCH_USER_AGENT } });
+    } catch (e) {
+      return { success: false, finalUrl: currentUrl, error: e.message };
+    }
+    const code = response.getResponseCode();
+    if (code >= 300 && code < 400) {
+      const headers = response.getHeaders();
+      const locationKey = Object.keys(headers).find(k => k.toLowerCase() === "location");
+      if (!locationKey) return { success: false, finalUrl: currentUrl, error: `HTTP ${code} without a redirect target` };
+      currentUrl = resolveUrl_(currentUrl, headers[locationKey]);
+      continue;
+    }
+    if (code >= 400) return { success: false, finalUrl: currentUrl, error: `HTTP ${code}` };
+    const html = response.getContentText();
+    const clientRedirect = findClientRedirect_(html);
+    if (clientRedirect) {
+      currentUrl = resolveUrl_(currentUrl, clientRedirect);
+      continue;
+    }
+    return { success: true, html: html, finalUrl: currentUrl };
+  }
+  return { success: false, finalUrl: currentUrl, error: `more than ${LEAD_ENRICHMENT_MAX_REDIRECTS} redirects` };
+}
+
+// --- Extraction ---
+/**
+ * Pulls the posting out of a page. The schema.org JobPosting block (JSON-LD) gives the description and, where
+ * stated, pay, remote work and posting date; without one, the visible text of the page's main content is used.
+ * @param {string} html The page.
+ * @return {{text: string, salary: string, remotePolicy: string, datePosted: Date|null}|null} null when the page
+ *     holds too little text to be a posting (LEAD_POSTING_MIN_CHARS).
+ */
+function extractJobPosting(html) {
+  const jobPosting = findJobPostingJsonLd_(html);
+  let text = "";
+  const posting = { salary: "", remotePolicy: "", datePosted: null };
+  if (jobPosting) {
+    const description = String(jobPosting.description || "");
+    text = htmlToText_(/&lt;\/?[a-z]/i.test(description) ? decodeHtmlEntities_(description) : description);
+    const organization = jobPosting.hiringOrganization && (jobPosting.hiringOrganization.name || jobPosting.hiringOrganization);
+    const heading = [jobPosting.title, typeof organization === "string" ? organization : ""].filter(Boolean).join(" at ");
+    if (heading) text = `${decodeHtmlEntities_(heading)}\n\n${text}`;
+    posting.salary = formatBaseSalary_(jobPosting.baseSalary);
+    if ([].concat(jobPosting.jobLocationType || []).some(t => String(t).toUpperCase() === "TELECOMMUTE")) posting.remotePolicy = "Remote";
+    posting.datePosted = parsePostingDate_(jobPosting.datePosted);
+  }
+  if (text.length < LEAD_POSTING_MIN_CHARS) {
+    const main = /<main\b[\s\S]*?<\/main>/i.exec(html) || /<article\b[\s\S]*?<\/article>/i.exec(html) || /<body\b[\s\S]*<\/body>/i.exec(html);
+    text = htmlToText_(main ? main[0] : html);
+  }
+  if (text.length < LEAD_POSTING_MIN_CHARS) return null;
+  posting.text = text;
+  return posting;
+}
+
+// --- Helpers ---
+function needsEnrichment_(record) {
+  const status = String(record.status || "").trim();
+  return !String(record.enrichmentStatus || "").trim() && status !== LEADS_ERROR_STATUS && status !== LEADS_ARCHIVED_STATUS &&
+    /^https?:\/\//i.test(String(record.jobUrl || "").trim());
+}
+
+// Whether the row still holds the lead read at the start of the run, by Lead ID (or link, for rows without one).
+// rescoreJobLeads sorts the tab by Fit Score, which would otherwise send a slow fetch's results to another lead.
+function isLeadStillAtRow_(sheet, headerMap, rowNumber, lead) {
+  if (rowNumber > sheet.getLastRow()) return false;
+  const width = Math.max(...Object.values(headerMap));
+  const row = sheet.getRange(rowNumber, 1, 1, width).getValues()[0];
+  const cell = field => (headerMap[LEADS_FIELD_HEADERS[field]] ? row[headerMap[LEADS_FIELD_HEADERS[field]] - 1] : "");
+  const identity = record => String(record.leadId || "").trim() || knownLeadValue(record.jobUrl); // From Leads_SheetUtils.gs
+  return identity({ leadId: cell('leadId'), jobUrl: cell('jobUrl') }) === identity(lead);
+}
+
+// "2026-09-01" or "2026-09-01T08:00:00Z" -> that calendar date; anything else -> null.
+function parsePostingDate_(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const match = /^\s*(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ""));
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function resolveUrl_(baseUrl, target) {
+  const url = decodeHtmlEntities_(String(target || "").trim());
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+  const base = /^([a-z][a-z0-9+.-]*:)\/\/([^/?#]*)([^?#]*)/i.exec(baseUrl);
+  if (!base) return url;
+  if (url.startsWith("//")) return `${base[1]}${url}`;
+  if (url.startsWith("/")) return `${base[1]}//${base[2]}${url}`;
+  if (url.startsWith("?")) return `${base[1]}//${base[2]}${base[3]}${url}`;
+  return `${base[1]}//${base[2]}${base[3].replace(/[^/]*$/, "") || "/"}${url}`;
+}
+
+// Redirect target of an interstitial page (meta refresh, or a location assignment in a script). Pages with real
+// content are never treated as redirects.
+function findClientRedirect_(html) {
+  if (htmlToText_(html).length >= LEAD_POSTING_MIN_CHARS) return "";
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metaTags) {
+    if (!/http-equiv\s*=\s*["']?refresh/i.test(tag)) continue;
+    const match = /content\s*=\s*["']?\s*\d*\s*;?\s*url\s*=\s*['"]?([^"'>\s]+)/i.exec(tag);
+    if (match) return match[1];
+  }
+  const script = /location(?:\.href)?\s*=\s*["']([^"']+)["']|location\.replace\(\s*["']([^"']+)["']\s*\)/.exec(html);
+  return script ? (script[1] || script[2]) : "";
+}
+
+function findJobPostingJsonLd_(html) {
+  const blockPattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  const isJobPosting = node => node && typeof node === "object" && [].concat(node["@type"] || []).indexOf("JobPosting") !== -1;
+  let block;
+  while ((block = blockPattern.exec(html)) !== null) {
+    let data;
+    try { data = JSON.parse(block[1].trim()); } catch (e) { continue; } // Malformed blocks are common; try the next
+    const nodes = [].concat(data);
+    nodes.forEach(node => { if (node && Array.isArray(node["@graph"])) nodes.push(...node["@graph"]); });
+    const match = nodes.find(isJobPosting);
+    if (match) return match;
+  }
+  return null;
+}
+
+// schema.org MonetaryAmount -> "$120,000 - $150,000 per year"
+function formatBaseSalary_(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== "object") return "";
+  const value = typeof baseSalary.value === "object" && baseSalary.value !== null ? baseSalary.value : { value: baseSalary.value };
+  const amounts = [value.minValue, value.maxValue].filter(v => v !== undefined && v !== "" && !isNaN(Number(v))).map(Number);
+  if (amounts.length === 0 && value.value !== undefined && !isNaN(Number(value.value))) amounts.push(Number(value.value));
+  if (amounts.length === 0) return "";
+  const currency = String(baseSalary.currency || "").toUpperCase();
+  const symbol = { USD: "$", GBP: "£", EUR: "€" }[currency];
+  const format = n => `${symbol || (currency ? currency + " " : "")}${String(Math.round(n)).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`;
+  const range = amounts.length === 2 && amounts[0] !== amounts[1] ? `${format(amounts[0])} - ${format(amounts[1])}` : format(amounts[0]);
+  const unit = String(value.unitText || "").trim().toLowerCase();
+  return unit ? `${range} per ${unit}` : range;
+}
+
+function htmlToText_(html) {
+  return decodeHtmlEntities_(String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/\s+/g, " ") // Line breaks in the source mean nothing; only tags break lines
+    .replace(/<(script|style|noscript|svg|head|nav|header|footer|form)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<(br|\/p|\/div|\/ul|\/ol|\/h[1-6]|\/tr|\/section)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " "))
+    .replace(/[ \t ]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function decodeHtmlEntities_(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0", ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", hellip: "…", bull: "•", middot: "·", copy: "©", pound: "£", euro: "€" };
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(point) || point > 0x10ffff ? entity : String.fromCodePoint(point);
+    }
+    return Object.prototype.hasOwnProperty.call(named, code.toLowerCase()) ? named[code.toLowerCase()] : entity;
+  });
+}
@@ -0,0 +1,243 @@
+// File: LeadPromotion.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Turns "Potential Job Leads" rows into "Applications" rows ("Mark as Applied") and keeps the two
+// linked: the application stores the lead's Lead ID (Source Lead ID), the lead stores the Application ID.
+// Applications first seen through a confirmation email are linked back to a matching lead by
+// processJobApplicationEmails (Main.gs) through claimLeadForApplication.
+
+// --- Mark as Applied ---
+/**
+ * Menu command: marks the leads in the selected rows of "Potential Job Leads" as applied.
+ */
+function markSelectedLeadsAsApplied() {
+  const FUNC_NAME = "markSelectedLeadsAsApplied";
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const rangeList = sheet && sheet.getName() === LEADS_SHEET_TAB_NAME ? sheet.getActiveRangeList() : null;
+  const rowNumbers = [];
+  (rangeList ? rangeList.getRanges() : []).forEach(range => {
+    for (let row = Math.max(2, range.getRow()); row <= range.getLastRow(); row++) { // Row 1 is the header
+      if (rowNumbers.indexOf(row) === -1) rowNumbers.push(row);
+    }
+  });
+  if (rowNumbers.length === 0) {
+    ui.alert('Mark as Applied', `Select the lead rows on the "${LEADS_SHEET_TAB_NAME}" tab first.`, ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const result = promoteLeadsToApplications(ss, rowNumbers);
+    const lines = [`${result.promoted.length} lead(s) added to "${APP_TRACKER_SHEET_TAB_NAME}".`];
+    result.skipped.forEach(s => lines.push(`Row ${s.rowNumber}: ${s.reason}`));
+    ui.alert('Mark as Applied', lines.join('\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}\nStack: ${e.stack}`);
+    ui.alert('Mark as Applied', 'The leads could not be marked as applied: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Handles edits to the "Potential Job Leads" sheet (called by handleCellEdit in EditHandler.gs): setting a lead's
+ * Status to LEADS_APPLIED_STATUS promotes it, as the menu command does.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event object.
+ */
+function handleLeadStatusEdit(e) {
+  const sheet = e.range.getSheet();
+  const statusCol = getHeaderMap(sheet)[LEADS_FIELD_HEADERS.status]; // From SheetUtils.gs
+  if (!statusCol || statusCol < e.range.getColumn() || statusCol > e.range.getLastColumn()) return;
+  const firstRow = Math.max(2, e.range.getRow()); // Ignore header edits
+  const lastRow = e.range.getLastRow();
+  if (lastRow < firstRow) return;
+  const rowNumbers = sheet.getRange(firstRow, statusCol, lastRow - firstRow + 1, 1).getValues()
+    .map((cell, i) => String(cell[0]).trim() === LEADS_APPLIED_STATUS ? firstRow + i : 0)
+    .filter(Boolean);
+  if (rowNumbers.length > 0) promoteLeadsToApplications(sheet.getParent(), rowNumbers);
+}
+
+/**
+ * Creates an "Applications" row (company, title, location, pay and posting URL) for each lead, sets the lead's
+ * Status to LEADS_APPLIED_STATUS and stores the IDs on both rows. An application that already exists for the same
+ * company and title, and is not linked to another lead, is linked instead of duplicated. Blank rows, error rows and
+ * leads already linked to an application are skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Array<number>} rowNumbers Sheet rows on the leads tab.
+ * @return {{promoted: Array<{rowNumber: number, applicationId: string}>, skipped: Array<{rowNumber: number, reason: string}>}}
+ */
+function promoteLeadsToApplications(ss, rowNumbers) {
+  const FUNC_NAME = "promoteLeadsToApplications";
+  const result = { promoted: [], skipped: [] };
+  const { sheet: leadsSheet, headerMap } = getSheetAndHeaderMapping_forLeads(ss.getId()); // From Leads_SheetUtils.gs
+  if (!leadsSheet) throw new Error(`Tab "${LEADS_SHEET_TAB_NAME}" not found.`);
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (!dataSheet) throw new Error(`Tab "${APP_TRACKER_SHEET_TAB_NAME}" not found. Run the tracker setup first.`);
+  ensureApplicationIds(dataSheet); // From SheetUtils.gs
+  const appModel = loadApplicationsModel(dataSheet); // From ApplicationsModel.gs
+
+  const leadsByRow = {};
+  readRecordsByHeader(leadsSheet, headerMap, LEADS_FIELD_HEADERS).forEach(r => { leadsByRow[r.rowNumber] = r.record; }); // From SheetUtils.gs
+  const now = new Date();
+  const leadUpdates = [];
+  const statusHistoryEntries = [];
+  rowNumbers.forEach(rowNumber => {
+    const lead = leadsByRow[rowNumber];
+    const company = lead ? knownLeadValue(lead.company) : ""; // From Leads_SheetUtils.gs
+    const title = lead ? knownLeadValue(lead.jobTitle) : "";
+    let reason = "";
+    if (!company || !title) reason = "no company or job title";
+    else if (String(lead.status).trim() === LEADS_ERROR_STATUS) reason = "error row";
+    else if (String(lead.applicationId || "").trim()) reason = `already linked to application ${String(lead.applicationId).trim()}`;
+    if (reason) { result.skipped.push({ rowNumber: rowNumber, reason: reason }); return; }
+
+    const leadId = String(lead.leadId || "").trim() || generateLeadId(); // From Leads_SheetUtils.gs
+    let appRow = findUnlinkedApplicationRow_(appModel, company, title);
+    if (appRow) {
+      if (!String(appRow[JOB_URL_COL - 1] || "").trim()) appRow[JOB_URL_COL - 1] = knownLeadValue(lead.jobUrl);
+      appRow[SOURCE_LEAD_ID_COL - 1] = leadId;
+      setModelRow(appModel, appRow); // From ApplicationsModel.gs
+      Logger.log(`[${FUNC_NAME} INFO] Lead row ${rowNumber} linked to existing application ${appRow[APPLICATION_ID_COL - 1]}.`);
+    } else {
+      appRow = buildApplicationRowFromLead_(lead, leadId, generateApplicationId() /* SheetUtils.gs */, now);
+      appendModelRow(appModel, appRow); // From ApplicationsModel.gs
+      statusHistoryEntries.push(buildStatusHistoryEntry({ applicationId: appRow[APPLICATION_ID_COL - 1], company: company, title: title, oldStatus: "", newStatus: DEFAULT_STATUS, origin: STATUS_ORIGIN_LEAD_PROMOTION, effectiveDate: now })); // From StatusHistory.gs
+    }
+    const applicationId = String(appRow[APPLICATION_ID_COL - 1]);
+    leadUpdates.push({ rowNumber: rowNumber, record: { status: LEADS_APPLIED_STATUS, leadId: leadId, applicationId: applicationId } });
+    result.promoted.push({ rowNumber: rowNumber, applicationId: applicationId });
+  });
+  if (leadUpdates.length === 0) return result;
+
+  if (!flushApplicationsModel(dataSheet, appModel).success) { // From ApplicationsModel.gs
+    throw new Error(`Could not write to "${APP_TRACKER_SHEET_TAB_NAME}". No lead was changed.`);
+  }
+  leadUpdates.forEach(u => updateRecordByHeader(leadsSheet, headerMap, LEADS_FIELD_HEADERS, u.rowNumber, u.record)); // From SheetUtils.gs
+  appendStatusHistoryEntries(ss, statusHistoryEntries); // From StatusHistory.gs
+  Logger.log(`[${FUNC_NAME} INFO] Marked ${result.promoted.length} lead(s) as applied; skipped ${result.skipped.length}.`);
+  return result;
+}
+
+// --- Linking Confirmation Emails to Leads ---
+/**
+ * Loads the leads an incoming application could belong to: rows with a company and title that are not error rows
+ * and not yet linked to an application.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headerMap: Object<string, number>, candidates: Array<Object>, pending: Array<Object>}|null}
+ *     candidates hold {rowNumber, leadId, company, jobTitle, jobUrl}; pending collects the links made by
+ *     claimLeadForApplication until writeClaimedLeadLinks. Null when the spreadsheet has no leads tab.
+ */
+function loadLeadLinkCandidates(ss) {
+  if (!ss.getSheetByName(LEADS_SHEET_TAB_NAME)) return null; // Leads module not set up
+  const { sheet, headerMap } = getSheetAndHeaderMapping_forLeads(ss.getId()); // From Leads_SheetUtils.gs
+  if (!sheet) return null;
+  const candidates = [];
+  readRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS).forEach(({ rowNumber, record }) => { // From SheetUtils.gs
+    const company = knownLeadValue(record.company);
+    const jobTitle = knownLeadValue(record.jobTitle);
+    if (!company || !jobTitle || String(record.status).trim() === LEADS_ERROR_STATUS || String(record.applicationId || "").trim()) return;
+    candidates.push({ rowNumber: rowNumber, leadId: String(record.leadId || "").trim(), company: company, jobTitle: jobTitle, jobUrl: knownLeadValue(record.jobUrl) });
+  });
+  return { sheet: sheet, headerMap: headerMap, candidates: candidates, pending: [] };
+}
+
+/**
+ * Finds the lead a new application came from and reserves it for that application. A lead matches when both
+ * company (COMPANY_MATCH_THRESHOLD) and job title (JOB_TITLE_MATCH_THRESHOLD) match; the best score wins and ties
+ * go to the most recently added lead.
+ * @param {Object|null} leadLinks From loadLeadLinkCandidates; null disables linking.
+ * @param {string} companyName Parsed company.
+ * @param {string} jobTitle Parsed job title.
+ * @param {string} applicationId Application ID of the new row.
+ * @return {{leadId: string, jobUrl: string}|null} The claimed lead (with a Lead ID assigned), or null.
+ */
+function claimLeadForApplication(leadLinks, companyName, jobTitle, applicationId) {
+  if (!leadLinks || !companyName || !jobTitle || companyName === MANUAL_REVIEW_NEEDED || jobTitle === MANUAL_REVIEW_NEEDED) return null;
+  let best = null;
+  leadLinks.candidates.forEach((lead, index) => {
+    const score = scoreSameJob_(companyName, jobTitle, lead.company, lead.jobTitle);
+    if (score > 0 && (!best || score >= best.score)) best = { lead: lead, index: index, score: score };
+  });
+  if (!best) return null;
+  leadLinks.candidates.splice(best.index, 1);
+  if (!best.lead.leadId) best.lead.leadId = generateLeadId(); // From Leads_SheetUtils.gs
+  leadLinks.pending.push({ lead: best.lead, applicationId: applicationId });
+  return { leadId: best.lead.leadId, jobUrl: best.lead.jobUrl };
+}
+
+/**
+ * Writes the links reserved by claimLeadForApplication to the leads sheet: Status LEADS_APPLIED_STATUS, Lead ID
+ * and Application ID. Call it after the applications themselves were written.
+ * @param {Object|null} leadLinks From loadLeadLinkCandidates.
+ * @return {number} The number of leads updated.
+ */
+function writeClaimedLeadLinks(leadLinks) {
+  const FUNC_NAME = "writeClaimedLeadLinks";
+  if (!leadLinks || leadLinks.pending.length === 0) return 0;
+  leadLinks.pending.forEach(({ lead, applicationId }) => {
+    updateRecordByHeader(leadLinks.sheet, leadLinks.headerMap, LEADS_FIELD_HEADERS, lead.rowNumber, // From SheetUtils.gs
+      { status: LEADS_APPLIED_STATUS, leadId: lead.leadId, applicationId: applicationId });
+    Logger.log(`[${FUNC_NAME} INFO] Lead row ${lead.rowNumber} ("${lead.jobTitle}" at "${lead.company}") linked to application ${applicationId}.`);
+  });
+  const written = leadLinks.pending.length;
+  leadLinks.pending = [];
+  return written;
+}
+
+// --- Helpers ---
+// A new "Applications" row for a lead, as if its confirmation email had just arrived.
+function buildApplicationRowFromLead_(lead, leadId, applicationId, now) {
+  const row = new Array(TOTAL_COLUMNS_IN_APP_SHEET).fill("");
+  const company = knownLeadValue(lead.company);
+  const title = knownLeadValue(lead.jobTitle);
+  const jobUrl = knownLeadValue(lead.jobUrl);
+  row[PROCESSED_TIMESTAMP_COL - 1] = now;
+  row[EMAIL_DATE_COL - 1] = now;
+  row[PLATFORM_COL - 1] = detectPlatformFromUrl_(jobUrl);
+  row[COMPANY_COL - 1] = company;
+  row[JOB_TITLE_COL - 1] = title;
+  row[STATUS_COL - 1] = DEFAULT_STATUS;
+  row[PEAK_STATUS_COL - 1] = DEFAULT_STATUS;
+  row[LAST_UPDATE_DATE_COL - 1] = now;
+  row[APPLICATION_ID_COL - 1] = applicationId;
+  row[LOCATION_COL - 1] = knownLeadValue(lead.location);
+  row[COMPENSATION_COL - 1] = knownLeadValue(lead.salary);
+  row[JOB_URL_COL - 1] = jobUrl;
+  row[SOURCE_LEAD_ID_COL - 1] = leadId;
+  recordFieldProvenance(row, { // From ApplicationsModel.gs
+    company: buildFieldProvenance('company', company, FIELD_SOURCE_JOB_LEAD), // From ParsingUtils.gs
+    title: buildFieldProvenance('title', title, FIELD_SOURCE_JOB_LEAD),
+    status: buildFieldProvenance('status', DEFAULT_STATUS, FIELD_SOURCE_JOB_LEAD)
+  }, "");
+  return row;
+}
+
+// Latest application in the model for the same company and title that no lead is linked to yet.
+function findUnlinkedApplicationRow_(appModel, company, title) {
+  const rows = appModel.rows.concat(appModel.newRows);
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (String(row[SOURCE_LEAD_ID_COL - 1] || "").trim() || !String(row[APPLICATION_ID_COL - 1] || "").trim()) continue;
+    if (scoreSameJob_(company, title, row[COMPANY_COL - 1], row[JOB_TITLE_COL - 1]) > 0) {
+      return getModelRowById(appModel, String(row[APPLICATION_ID_COL - 1])); // From ApplicationsModel.gs
+    }
+  }
+  return null;
+}
+
+// Average company/title similarity (MatchingUtils.gs) when both clear their thresholds, else 0.
+function scoreSameJob_(companyA, titleA, companyB, titleB) {
+  const companyScore = companySimilarity(companyA, companyB);
+  const titleScore = jobTitleSimilarity(titleA, titleB);
+  if (companyScore < COMPANY_MATCH_THRESHOLD || titleScore < JOB_TITLE_MATCH_THRESHOLD) return 0;
+  return (companyScore + titleScore) / 2;
+}
+
+// Platform name for a posting URL, from the PLATFORM_DOMAIN_KEYWORDS (Config.gs) domains.
+function detectPlatformFromUrl_(url) {
+  const hostMatch = String(url || "").match(/^(?:https?:\/\/)?([^\/?#\s]+)/i);
+  const host = hostMatch ? hostMatch[1].toLowerCase() : "";
+  if (host) {
+    for (const keyword in PLATFORM_DOMAIN_KEYWORDS) {
+      if (keyword.indexOf(".") !== -1 && host.includes(keyword)) return PLATFORM_DOMAIN_KEYWORDS[keyword];
+    }
+  }
+  return DEFAULT_PLATFORM;
+}
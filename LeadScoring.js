@@ -0,0 +1,262 @@
+// File: LeadScoring.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Scores job leads against the "Target Profile" tab (desired titles, keywords, locations, pay and
+// blacklisted companies). processJobLeads (Leads_Main.gs) scores every new lead, archives the ones below the
+// profile's threshold and sorts "Potential Job Leads" by score.
+
+// --- Target Profile ---
+/**
+ * Reads the "Target Profile" tab.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {Object|null} The profile (lists for the comma-separated settings, numbers for minimumSalary and
+ *     archiveBelowScore), or null when the tab is missing or sets nothing to score by.
+ */
+function getTargetProfile(ss) {
+  const FUNC_NAME = "getTargetProfile";
+  const sheet = ss.getSheetByName(TARGET_PROFILE_SHEET_TAB_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+  const valuesByLabel = {};
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => {
+    const label = String(row[0] || "").trim().toLowerCase();
+    if (label) valuesByLabel[label] = row[1];
+  });
+  const raw = {};
+  TARGET_PROFILE_SETTINGS.forEach(s => { raw[s.key] = valuesByLabel[s.label.toLowerCase()]; });
+
+  const preference = REMOTE_PREFERENCE_OPTIONS.find(o => o.toLowerCase() === String(raw.remotePreference || "").trim().toLowerCase());
+  const archiveBelow = String(raw.archiveBelowScore === undefined ? "" : raw.archiveBelowScore).trim();
+  const minimumSalary = String(raw.minimumSalary === undefined ? "" : raw.minimumSalary).replace(/,/g, "").trim();
+  const profile = {
+    desiredTitles: splitProfileList_(raw.desiredTitles),
+    mustHaveKeywords: splitProfileList_(raw.mustHaveKeywords),
+    excludedKeywords: splitProfileList_(raw.excludedKeywords),
+    locations: splitProfileList_(raw.locations),
+    remotePreference: preference || REMOTE_PREFERENCE_OPTIONS[0],
+    minimumSalary: minimumSalary !== "" && !isNaN(Number(minimumSalary)) ? Number(minimumSalary) : (estimateYearlyPay(minimumSalary) || 0),
+    blacklistedCompanies: splitProfileList_(raw.blacklistedCompanies),
+    archiveBelowScore: archiveBelow !== "" && !isNaN(Number(archiveBelow)) ? Number(archiveBelow) : DEFAULT_ARCHIVE_BELOW_SCORE
+  };
+  if (raw.remotePreference && !preference) Logger.log(`[${FUNC_NAME} WARN] Unknown Remote Preference "${raw.remotePreference}". Using "${profile.remotePreference}".`);
+
+  const isEmpty = profile.desiredTitles.length === 0 && profile.mustHaveKeywords.length === 0 && profile.excludedKeywords.length === 0 &&
+    profile.locations.length === 0 && profile.remotePreference === REMOTE_PREFERENCE_OPTIONS[0] && !profile.minimumSalary &&
+    profile.blacklistedCompanies.length === 0;
+  return isEmpty ? null : profile;
+}
+
+/**
+ * Creates the "Target Profile" tab with one row per TARGET_PROFILE_SETTINGS entry, if it is missing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The tab, or null on failure.
+ */
+function setupTargetProfileSheet(ss) {
+  const FUNC_NAME = "setupTargetProfileSheet";
+  try {
+    let sheet = ss.getSheetByName(TARGET_PROFILE_SHEET_TAB_NAME);
+    if (sheet) return sheet;
+    sheet = ss.insertSheet(TARGET_PROFILE_SHEET_TAB_NAME, ss.getSheets().length);
+    setupSheetFormatting(sheet, TARGET_PROFILE_SHEET_HEADERS, TARGET_PROFILE_SHEET_COLUMN_WIDTHS, false); // From SheetUtils.gs
+    sheet.getRange(2, 1, TARGET_PROFILE_SETTINGS.length, 3).setValues(TARGET_PROFILE_SETTINGS.map(s => [
+      s.label,
+      s.key === "remotePreference" ? REMOTE_PREFERENCE_OPTIONS[0] : (s.key === "archiveBelowScore" ? DEFAULT_ARCHIVE_BELOW_SCORE : ""),
+      s.help
+    ]));
+    const preferenceRow = 2 + TARGET_PROFILE_SETTINGS.findIndex(s => s.key === "remotePreference");
+    sheet.getRange(preferenceRow, 2).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(REMOTE_PREFERENCE_OPTIONS, true).setAllowInvalid(false).build());
+    sheet.getRange(2, 1, TARGET_PROFILE_SETTINGS.length, 1).setFontWeight('bold');
+    sheet.getRange(2, 2, TARGET_PROFILE_SETTINGS.length, 2).setWrap(true);
+    Logger.log(`[${FUNC_NAME} INFO] Created "${TARGET_PROFILE_SHEET_TAB_NAME}".`);
+    return sheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}`);
+    return null;
+  }
+}
+
+// --- Scoring ---
+/**
+ * Scores a lead against the target profile. A blacklisted company or an excluded keyword scores 0. Otherwise each
+ * criterion the profile sets earns up to its FIT_SCORE_WEIGHTS points: title (best desired-title match), must-have
+ * keywords (share found), location/remote preference and pay (Minimum Salary; half credit when the lead lists none).
+ * @param {{jobTitle: string, company: string, location: string, salary: string, notes: string}} lead The lead.
+ * @param {Object} profile From getTargetProfile.
+ * @return {{score: number, reason: string}} Score from 0 to 100 and a short reason.
+ */
+function scoreLeadFit(lead, profile) {
+  const title = knownLeadValue(lead.jobTitle); // From Leads_SheetUtils.gs
+  const company = knownLeadValue(lead.company);
+  const location = knownLeadValue(lead.location);
+  const notes = knownLeadValue(lead.notes);
+  const searchText = [title, notes, knownLeadValue(lead.requirements)].join(" "); // requirements: from LeadEnrichment.gs
+
+  const blacklisted = company && profile.blacklistedCompanies.find(c => companySimilarity(c, company) >= COMPANY_MATCH_THRESHOLD); // From MatchingUtils.gs
+  if (blacklisted) return { score: 0, reason: `Blacklisted company (${blacklisted})` };
+  const excluded = profile.excludedKeywords.find(k => containsKeyword_(`${searchText} ${company}`, k));
+  if (excluded) return { score: 0, reason: `Excluded keyword "${excluded}"` };
+
+  let earned = 0;
+  let possible = 0;
+  const reasons = [];
+  const addCriterion = (weight, fit, reason) => { earned += weight * fit; possible += weight; reasons.push(reason); };
+
+  if (profile.desiredTitles.length > 0) {
+    let best = { fit: 0, title: "" };
+    profile.desiredTitles.forEach(t => { const fit = titleFit_(title, t); if (fit > best.fit) best = { fit: fit, title: t }; });
+    addCriterion(FIT_SCORE_WEIGHTS.title, best.fit, best.fit >= JOB_TITLE_MATCH_THRESHOLD ? `title matches "${best.title}"` : (best.fit > 0 ? `title close to "${best.title}"` : "title not targeted"));
+  }
+  if (profile.mustHaveKeywords.length > 0) {
+    const found = profile.mustHaveKeywords.filter(k => containsKeyword_(searchText, k));
+    addCriterion(FIT_SCORE_WEIGHTS.keywords, found.length / profile.mustHaveKeywords.length,
+      `${found.length}/${profile.mustHaveKeywords.length} must-haves${found.length > 0 ? ` (${found.join(", ")})` : ""}`);
+  }
+  const remoteOnly = profile.remotePreference === REMOTE_PREFERENCE_OPTIONS[2];
+  const remotePreferred = profile.remotePreference === REMOTE_PREFERENCE_OPTIONS[1];
+  if (profile.locations.length > 0 || remoteOnly || remotePreferred) {
+    const isRemote = /\bremote\b/i.test(`${location} ${title} ${knownLeadValue(lead.remotePolicy)}`);
+    const inLocation = profile.locations.some(l => containsKeyword_(location, l));
+    let fit;
+    let reason;
+    if (!location && !isRemote) { fit = 0.5; reason = "location not listed"; }
+    else if (isRemote) { fit = 1; reason = "remote"; }
+    else if (remoteOnly) { fit = 0; reason = "not remote"; }
+    else if (inLocation) { fit = remotePreferred ? 0.7 : 1; reason = `in ${location}`; }
+    else { fit = 0; reason = `outside target locations (${location})`; }
+    addCriterion(FIT_SCORE_WEIGHTS.location, fit, reason);
+  }
+  if (profile.minimumSalary > 0) {
+    const pay = estimateYearlyPay(knownLeadValue(lead.salary) || notes);
+    if (pay === null) addCriterion(FIT_SCORE_WEIGHTS.salary, 0.5, "pay not listed");
+    else addCriterion(FIT_SCORE_WEIGHTS.salary, pay >= profile.minimumSalary ? 1 : 0, pay >= profile.minimumSalary ? "pay meets minimum" : "pay below minimum");
+  }
+  if (possible === 0) return { score: 100, reason: "No scoring criteria set" };
+  const reason = reasons.join("; ");
+  return { score: Math.round((earned / possible) * 100), reason: reason.charAt(0).toUpperCase() + reason.slice(1) };
+}
+
+/**
+ * Scores a new lead in place (fitScore, fitReason) and archives it when it scores below the profile's
+ * archiveBelowScore. Only leads still at DEFAULT_LEAD_STATUS are archived.
+ * @param {Object} lead Lead record keyed like LEADS_FIELD_HEADERS.
+ * @param {Object|null} profile From getTargetProfile; null leaves the lead unscored.
+ * @return {boolean} True if the lead was archived.
+ */
+function applyLeadFitScore(lead, profile) {
+  if (!profile) return false;
+  const fit = scoreLeadFit(lead, profile);
+  lead.fitScore = fit.score;
+  lead.fitReason = fit.reason;
+  if (profile.archiveBelowScore > 0 && fit.score < profile.archiveBelowScore && (!lead.status || lead.status === DEFAULT_LEAD_STATUS)) {
+    lead.status = LEADS_ARCHIVED_STATUS;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Sorts the data rows of "Potential Job Leads" by Fit Score, best first. Unscored rows go last.
+ * Row numbers held by callers are stale afterwards.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads (Leads_SheetUtils.gs).
+ */
+function sortLeadsByFitScore(sheet, headerMap) {
+  const scoreCol = headerMap[LEADS_FIELD_HEADERS.fitScore];
+  const dateCol = headerMap[LEADS_FIELD_HEADERS.dateAdded];
+  if (!scoreCol || sheet.getLastRow() < 3) return;
+  const sortSpec = [{ column: scoreCol, ascending: false }];
+  if (dateCol) sortSpec.push({ column: dateCol, ascending: false });
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, Math.max(...Object.values(headerMap))).sort(sortSpec);
+}
+
+/**
+ * Menu command: scores every lead again after the "Target Profile" changed, archives new leads that now fall
+ * below the threshold and re-sorts the tab. Error rows are skipped; other statuses keep their value.
+ */
+function rescoreJobLeads_UI() {
+  const FUNC_NAME = "rescoreJobLeads_UI";
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = rescoreJobLeads(SpreadsheetApp.getActiveSpreadsheet());
+    const message = result.profileFound
+      ? `Scored ${result.scored} lead(s); ${result.archived} archived.`
+      : `Fill in the "${TARGET_PROFILE_SHEET_TAB_NAME}" tab first.`;
+    ui.alert('Re-score Leads', message, ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}\nStack: ${e.stack}`);
+    ui.alert('Re-score Leads', 'The leads could not be scored: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Scores every lead on "Potential Job Leads" against the current "Target Profile" (see rescoreJobLeads_UI).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {{profileFound: boolean, scored: number, archived: number}}
+ */
+function rescoreJobLeads(ss) {
+  const FUNC_NAME = "rescoreJobLeads";
+  if (!ss.getSheetByName(TARGET_PROFILE_SHEET_TAB_NAME)) setupTargetProfileSheet(ss);
+  const profile = getTargetProfile(ss);
+  if (!profile) return { profileFound: false, scored: 0, archived: 0 };
+  const { sheet, headerMap } = getSheetAndHeaderMapping_forLeads(ss.getId()); // From Leads_SheetUtils.gs
+  if (!sheet) throw new Error(`Tab "${LEADS_SHEET_TAB_NAME}" not found.`);
+  const records = readRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS); // From SheetUtils.gs
+  if (records.length === 0) return { profileFound: true, scored: 0, archived: 0 };
+
+  let scored = 0;
+  let archived = 0;
+  const columns = { fitScore: [], fitReason: [], status: [] };
+  records.forEach(({ record }) => {
+    const status = String(record.status || "").trim();
+    const isLead = status !== LEADS_ERROR_STATUS && (String(record.company || "").trim() || String(record.jobTitle || "").trim());
+    if (isLead) {
+      const lead = Object.assign({}, record, { status: status });
+      if (applyLeadFitScore(lead, profile)) archived++;
+      scored++;
+      Object.keys(columns).forEach(key => columns[key].push([lead[key]]));
+    } else {
+      Object.keys(columns).forEach(key => columns[key].push([record[key]]));
+    }
+  });
+  Object.keys(columns).forEach(key => { // One write per column; the rest of each row is left untouched
+    sheet.getRange(2, headerMap[LEADS_FIELD_HEADERS[key]], records.length, 1).setValues(columns[key]);
+  });
+  sortLeadsByFitScore(sheet, headerMap);
+  Logger.log(`[${FUNC_NAME} INFO] Scored ${scored} lead(s); archived ${archived}.`);
+  return { profileFound: true, scored: scored, archived: archived };
+}
+
+// --- Pay ---
+/**
+ * Estimates the top of the yearly pay a text mentions, in US dollars: "$120k - $150k" gives 150000, "$55/hr" gives
+ * 55 x HOURS_PER_WORK_YEAR. See parseSalary (SalaryUtils.gs) for what is read as pay; "3+ years" is not.
+ * @param {string} text Salary cell or lead notes.
+ * @return {number|null} Yearly amount, or null when no pay is mentioned.
+ */
+function estimateYearlyPay(text) {
+  const salary = parseSalary(text); // From SalaryUtils.gs
+  if (!salary) return null;
+  return salary.annualMaxUsd !== null ? salary.annualMaxUsd : salary.annualMinUsd;
+}
+
+// --- Helpers ---
+function splitProfileList_(value) {
+  return String(value === undefined || value === null ? "" : value).split(/[,\n;]/).map(v => v.trim()).filter(Boolean);
+}
+
+// 1 when every word of the desired title appears in the lead's title ("Data Engineer" in "Senior Data Engineer,
+// Platform"), else the title similarity from MatchingUtils.gs, or 0 below FIT_TITLE_MIN_SIMILARITY.
+function titleFit_(leadTitle, desiredTitle) {
+  const leadTokens = normalizeJobTitle(leadTitle).split(" ").filter(Boolean);
+  const desiredTokens = normalizeJobTitle(desiredTitle).split(" ").filter(Boolean);
+  if (leadTokens.length === 0 || desiredTokens.length === 0) return 0;
+  if (desiredTokens.every(t => leadTokens.indexOf(t) !== -1)) return 1;
+  const similarity = jobTitleSimilarity(leadTitle, desiredTitle);
+  return similarity >= FIT_TITLE_MIN_SIMILARITY ? similarity : 0;
+}
+
+// Whole-word, case-insensitive match, so "java" does not match "javascript".
+function containsKeyword_(text, keyword) {
+  const escaped = String(keyword).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (!escaped) return false;
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "iu").test(String(text || ""));
+}
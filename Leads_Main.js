@@ -54,6 +54,7 @@ function runInitialSetup_JobLeadsModule(passedSpreadsheet) {
                          )) { /* throw error */ }
     leadsSheet.setTabColor(BRAND_COLORS.HUNYADI_YELLOW); // From Config.gs
     setupMessages.push(`Sheet "${LEADS_SHEET_TAB_NAME}": Setup OK. Color: Hunyadi Yellow.`);
+    if (setupTargetProfileSheet(activeSSLeads)) setupMessages.push(`Sheet "${TARGET_PROFILE_SHEET_TAB_NAME}": OK.`); // From LeadScoring.gs
 
     // --- Step 2: Gmail Label and Filter Setup ---
     Logger.log(`[${FUNC_NAME} INFO] Setting up Gmail labels & filters for Leads...`);
@@ -123,6 +124,11 @@ function runInitialSetup_JobLeadsModule(passedSpreadsheet) {
     } else { 
         setupMessages.push("Trigger 'processJobLeads': Exists/Verified."); 
     }
+    if (createTimeDrivenTrigger('enrichJobLeads', 6)) { // From LeadEnrichment.gs: fetches the postings behind new leads
+        setupMessages.push("Trigger 'enrichJobLeads': CREATED.");
+    } else {
+        setupMessages.push("Trigger 'enrichJobLeads': Exists/Verified.");
+    }
 
   } catch (e) {
     Logger.log(`[${FUNC_NAME} CRITICAL ERROR]: ${e.toString()}\nStack: ${e.stack || 'No stack'}`);
@@ -134,9 +140,14 @@ function runInitialSetup_JobLeadsModule(passedSpreadsheet) {
 }
 
 /**
- * Processes emails labeled for job leads.
+ * Processes emails labeled for job leads. Only one run at a time: a run that finds another one going schedules a
+ * continuation instead (see runWithJobLock in Checkpoint.gs).
  */
 function processJobLeads() {
+  runWithJobLock(CHECKPOINT_JOB_LEADS, 'continueProcessJobLeads', processJobLeads_); // From Checkpoint.gs
+}
+
+function processJobLeads_() {
   const FUNC_NAME = "processJobLeads";
   const SCRIPT_START_TIME = new Date();
   Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) ====`);
@@ -183,38 +194,49 @@ function processJobLeads() {
   // --- Preload Processed Email IDs ---
   const processedLeadEmailIds = getProcessedEmailIdsFromSheet_forLeads(leadsDataSheet, leadsHeaderMap); // From Leads_SheetUtils.gs
   Logger.log(`[${FUNC_NAME} INFO] Preloaded ${processedLeadEmailIds.size} email IDs already processed for leads.`);
+  const leadFingerprintIndex = getLeadFingerprintIndex_forLeads(leadsDataSheet, leadsHeaderMap); // From Leads_SheetUtils.gs
+  const targetProfile = getTargetProfile(activeSS); // From LeadScoring.gs; null leaves new leads unscored
+  if (!targetProfile) Logger.log(`[${FUNC_NAME} INFO] No "${TARGET_PROFILE_SHEET_TAB_NAME}" criteria set. Leads will not be scored.`);
+  let leadsAddedThisRun = 0;
+
+  // --- Resume From Checkpoint (Checkpoint.gs) ---
+  // Messages a previous run already handled (including ones that yielded no leads and so left no row) are skipped.
+  const checkpoint = loadProcessingCheckpoint(CHECKPOINT_JOB_LEADS);
+  if (checkpoint) checkpoint.doneMessageIds.forEach(id => processedLeadEmailIds.add(id));
 
   // --- Fetch and Process Emails ---
-  const LEADS_THREAD_LIMIT = 10; 
-  const LEADS_MESSAGE_LIMIT_PER_RUN = 15;
+  // No per-run message cap: the loop runs until LEADS_LOOP_TIME_LIMIT_SECONDS and a continuation trigger takes it from there.
   let messagesProcessedThisRunCounter = 0;
-  const leadThreadsToProcess = needsProcessLabel.getThreads(0, LEADS_THREAD_LIMIT);
+  let leftoverState = null; // Set when the time limit stops the loop
+  let threadsRelabelledCount = 0;
+  let llmBudgetExhausted = false; // Set when the LLM usage limits (LlmUsage.gs) stop the run
+  const leadThreadsToProcess = getThreadsToResume(needsProcessLabel, LEADS_THREAD_BATCH_SIZE, checkpoint); // From Checkpoint.gs
   Logger.log(`[${FUNC_NAME} INFO] Found ${leadThreadsToProcess.length} threads in "${needsProcessLabelName}".`);
+  const isOutOfTime = () => (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > LEADS_LOOP_TIME_LIMIT_SECONDS; // From Config.gs
 
-  for (const thread of leadThreadsToProcess) {
-    if (messagesProcessedThisRunCounter >= LEADS_MESSAGE_LIMIT_PER_RUN) { 
-      Logger.log(`[${FUNC_NAME} INFO] Message processing limit (${LEADS_MESSAGE_LIMIT_PER_RUN}) reached for this run.`); 
-      break; 
-    }
-    const scriptRunTimeSeconds = (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000;
-    if (scriptRunTimeSeconds > 320) { // ~5min 20sec, leaving buffer for 6min limit
-      Logger.log(`[${FUNC_NAME} WARN] Execution time limit (${scriptRunTimeSeconds}s) approaching. Stopping further thread processing.`); 
+  for (let threadIndex = 0; threadIndex < leadThreadsToProcess.length; threadIndex++) {
+    const thread = leadThreadsToProcess[threadIndex];
+    if (isOutOfTime()) {
+      Logger.log(`[${FUNC_NAME} WARN] Execution time limit approaching. Stopping further thread processing.`); 
+      leftoverState = { pendingThreadIds: leadThreadsToProcess.slice(threadIndex).map(t => t.getId()), threadOutcomes: {}, doneMessageIds: [] };
       break; 
     }
 
     const messagesInThread = thread.getMessages();
-    let threadContainedAtLeastOneNewMessage = false;
-    let allNewMessagesInThisThreadProcessedSuccessfully = true; // Assume success for new messages in this thread
+    // A thread whose earlier messages failed in a previous run must not be marked done when the rest succeed.
+    const hadEarlierErrors = !!(checkpoint && checkpoint.threadOutcomes[thread.getId()] === 'error');
+    let threadContainedAtLeastOneNewMessage = hadEarlierErrors;
+    let allNewMessagesInThisThreadProcessedSuccessfully = !hadEarlierErrors; // Assume success for new messages in this thread
+    let threadInterrupted = false;
 
     for (const message of messagesInThread) {
-      if (messagesProcessedThisRunCounter >= LEADS_MESSAGE_LIMIT_PER_RUN) break; // Check limit per message too
-      
       const msgId = message.getId();
       if (processedLeadEmailIds.has(msgId)) { // Check against preloaded IDs
         if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Msg ID ${msgId} in thread ${thread.getId()} already processed. Skipping.`);
         continue; 
       }
       
+      if (isOutOfTime()) { threadInterrupted = true; break; } // Finish this thread in the continuation run
       threadContainedAtLeastOneNewMessage = true; 
       Logger.log(`\n--- [${FUNC_NAME}] Processing NEW Lead Msg ID: ${msgId}, Thread: ${thread.getId()}, Subject: "${message.getSubject()}" ---`);
       messagesProcessedThisRunCounter++;
@@ -233,26 +255,37 @@ function processJobLeads() {
 
         // geminiApiKey is passed to callGemini_forJobLeads, which might use mock data if key is invalid/placeholder
         const geminiApiResponse = callGemini_forJobLeads(emailBody, geminiApiKey); // From GeminiService.gs
+        if (geminiApiResponse && geminiApiResponse.budgetExhausted) {
+          // Leads have no regex fallback: leave this and later threads in "To Process" until the budget resets.
+          llmBudgetExhausted = true;
+          allNewMessagesInThisThreadProcessedSuccessfully = false;
+          break;
+        }
         
         if (geminiApiResponse && geminiApiResponse.success) {
           const extractedJobsArray = parseGeminiResponse_forJobLeads(geminiApiResponse.data); // From GeminiService.gs
           if (extractedJobsArray && extractedJobsArray.length > 0) {
             Logger.log(`[${FUNC_NAME} INFO] Gemini extracted ${extractedJobsArray.length} job(s) from msg ${msgId}.`);
-            let atLeastOneValidJobWrittenThisMessage = false;
+            const jobsToWrite = [];
             for (const jobData of extractedJobsArray) {
               if (jobData && jobData.jobTitle && String(jobData.jobTitle).toLowerCase() !== 'n/a' && String(jobData.jobTitle).toLowerCase() !== 'error') {
                 jobData.dateAdded = message.getDate(); 
                 jobData.sourceEmailSubject = message.getSubject().substring(0,500); // Keep this
                 jobData.sourceEmailId = msgId; 
-                jobData.status = "New"; 
+                jobData.status = DEFAULT_LEAD_STATUS; // From Config.gs
                 jobData.processedTimestamp = new Date();
-                
-                writeJobDataToSheet_forLeads(leadsDataSheet, jobData, leadsHeaderMap); // From Leads_SheetUtils.gs
-                atLeastOneGoodJobWrittenThisMessage = true;
+                jobData.promptVersion = geminiApiResponse.data.promptVersion || "";
+                if (applyLeadFitScore(jobData, targetProfile)) Logger.log(`[${FUNC_NAME} INFO] Archived "${jobData.jobTitle}" at "${jobData.company}": ${jobData.fitReason} (score ${jobData.fitScore}).`); // From LeadScoring.gs
+                jobsToWrite.push(jobData);
               } else { 
                 if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Job from msg ${msgId} was N/A/error or missing title. Skipping sheet write: ${JSON.stringify(jobData)}`); 
               }
             }
+            // Postings already in the sheet only bump Times Seen / Last Seen on their row (Leads_SheetUtils.gs)
+            const sightings = recordLeadSightings_forLeads(leadsDataSheet, jobsToWrite, leadsHeaderMap, leadFingerprintIndex);
+            leadsAddedThisRun += sightings.added;
+            if (sightings.repeats > 0) Logger.log(`[${FUNC_NAME} INFO] Msg ${msgId}: ${sightings.added} new lead(s), ${sightings.repeats} already in the sheet.`);
+            const atLeastOneValidJobWrittenThisMessage = sightings.added + sightings.repeats > 0;
             // If at least one job was extracted and written, consider this message "handled successfully" for now.
             if (atLeastOneValidJobWrittenThisMessage) currentMessageHandledNoErrors = true;
             else { 
@@ -278,17 +311,31 @@ function processJobLeads() {
         processedLeadEmailIds.add(msgId); // Add to our run-time set to avoid re-processing in this same execution.
                                          // It will be written to sheet only if valid job data was found or if error was logged.
       }
-      Utilities.sleep(1500 + Math.floor(Math.random() * 1000)); // Be respectful to APIs
     } // End loop for messages in a thread
 
+    if (llmBudgetExhausted) {
+      Logger.log(`[${FUNC_NAME} INFO] LLM usage limit reached. Stopping; thread ${thread.getId()} and the rest stay in "${needsProcessLabelName}".`);
+      break;
+    }
+
+    if (threadInterrupted) {
+      Logger.log(`[${FUNC_NAME} WARN] Execution time limit approaching mid-thread ${thread.getId()}. Saving progress for the continuation run.`);
+      leftoverState = {
+        pendingThreadIds: leadThreadsToProcess.slice(threadIndex).map(t => t.getId()),
+        threadOutcomes: allNewMessagesInThisThreadProcessedSuccessfully ? {} : { [thread.getId()]: 'error' },
+        doneMessageIds: messagesInThread.map(m => m.getId()).filter(id => processedLeadEmailIds.has(id))
+      };
+      break;
+    }
+
     // Thread Relabeling Logic
     if (threadContainedAtLeastOneNewMessage) {
       if (allNewMessagesInThisThreadProcessedSuccessfully) {
         if (doneProcessLabel) { 
-          try { thread.removeLabel(needsProcessLabel).addLabel(doneProcessLabel); Logger.log(`[${FUNC_NAME} INFO] Thread ${thread.getId()} successfully processed & moved to "${doneProcessLabelName}".`); }
+          try { thread.removeLabel(needsProcessLabel).addLabel(doneProcessLabel); threadsRelabelledCount++; Logger.log(`[${FUNC_NAME} INFO] Thread ${thread.getId()} successfully processed & moved to "${doneProcessLabelName}".`); }
           catch (eRelabel) { Logger.log(`[${FUNC_NAME} WARN] Thread ${thread.getId()} relabel (success case) error: ${eRelabel.message}`); }
         } else { 
-          try { thread.removeLabel(needsProcessLabel); Logger.log(`[${FUNC_NAME} WARN] Thread ${thread.getId()} processed. Removed from "${needsProcessLabelName}", but "Done" label object is missing.`); }
+          try { thread.removeLabel(needsProcessLabel); threadsRelabelledCount++; Logger.log(`[${FUNC_NAME} WARN] Thread ${thread.getId()} processed. Removed from "${needsProcessLabelName}", but "Done" label object is missing.`); }
           catch (eRemOnly) { Logger.log(`[${FUNC_NAME} WARN] Thread ${thread.getId()} removeLabel error: ${eRemOnly.message}`); }
         }
       } else {
@@ -296,17 +343,26 @@ function processJobLeads() {
       }
     } else if (messagesInThread.length > 0) { // Thread had messages, but all were already processed (found in processedLeadEmailIds set)
         Logger.log(`[${FUNC_NAME} INFO] Thread ${thread.getId()} contained only previously processed messages. Ensuring it's labeled correctly.`);
-        if (doneProcessLabel && !thread.getLabels().map(l=>l.getName()).includes(doneProcessLabelName)) {
-            try { thread.removeLabel(needsProcessLabel).addLabel(doneProcessLabel); } catch (eOldDone) {}
-        } else if (!doneProcessLabel) {
-            try { thread.removeLabel(needsProcessLabel); } catch (eOldRem) {}
-        }
+        try {
+            thread.removeLabel(needsProcessLabel); // Also when it already carries "Done", or it is fetched again every run
+            if (doneProcessLabel && !thread.getLabels().map(l=>l.getName()).includes(doneProcessLabelName)) thread.addLabel(doneProcessLabel);
+            threadsRelabelledCount++;
+        } catch (eOldRelabel) { Logger.log(`[${FUNC_NAME} WARN] Thread ${thread.getId()} relabel (already processed) error: ${eOldRelabel.message}`); }
     } else if (messagesInThread.length === 0) { // Empty thread
         Logger.log(`[${FUNC_NAME} INFO] Thread ${thread.getId()} was empty. Removing from "${needsProcessLabelName}".`);
         try { thread.removeLabel(needsProcessLabel); } catch(eEmptyThread) {/*Minor*/}
     }
     Utilities.sleep(500); // Pause between threads
   } // End loop for threads
+
+  // Best fits first. Done last: the sort moves rows the fingerprint index points at.
+  if (targetProfile && leadsAddedThisRun > 0) sortLeadsByFitScore(leadsDataSheet, leadsHeaderMap); // From LeadScoring.gs
+
+  // --- Checkpoint / Continuation ---
+  // A full batch suggests more threads are waiting, but only continue if this run moved some out of "To Process";
+  // otherwise the continuation would fetch the same failing threads again. A spent LLM budget waits for the regular trigger.
+  if (!leftoverState && !llmBudgetExhausted && leadThreadsToProcess.length >= LEADS_THREAD_BATCH_SIZE && threadsRelabelledCount > 0) leftoverState = { pendingThreadIds: [] };
+  recordRunProgress(CHECKPOINT_JOB_LEADS, 'continueProcessJobLeads', leftoverState); // From Checkpoint.gs
   
   Logger.log(`\n==== ${FUNC_NAME}: FINISHED (${new Date().toLocaleString()}) === Messages Attempted This Run: ${messagesProcessedThisRunCounter}. Total Time: ${(new Date().getTime() - SCRIPT_START_TIME.getTime())/1000}s ====`);
 }
@@ -1,318 +1,189 @@
-// File: WebApp_Endpoints.gs
-// Handles GET and POST requests for the CareerSuite.AI Web App.
+// File: Leads_SheetUtils.gs
+// Description: Data access for the "Potential Job Leads" tab. Columns are resolved by header name
+// (LEADS_FIELD_HEADERS in Config.gs) through the header-mapped helpers in SheetUtils.gs, so the tab can be
+// reordered and older sheets get newly added columns appended instead of breaking.
 
-// NOTE: The hardcoded template ID has been removed from this file.
-// The script now correctly uses the global TEMPLATE_SHEET_ID constant from Config.gs.
-
-function doGet(e) {
-  try {
-    // This log helps confirm the function is triggered.
-    Logger.log(`WebApp doGet triggered. This is typically the landing page after authorization.`);
-
-    if (e && e.parameter && e.parameter.action) {
-      // Keep this routing for future-proofing your GET requests
-        const action = e.parameter.action;
-        Logger.log(`WebApp doGet: Routing action "${action}"`);
-        if (action === "getDashboardData") {
-            return doGet_DashboardData(e);
-        } else if (action === "getWeeklyApplicationData") {
-            return doGet_WeeklyApplicationData(e);
-        }
-    }
-    
-    // This static HTML is now safer as it doesn't depend on userEmail.
-    let htmlOutput = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>CareerSuite.AI Setup & Authorization</title>
-          <style>
-            body { font-family: Arial, sans-serif; margin: 20px; background-color: #f0f4f8; color: #333; text-align: center; }
-            .container { background-color: #fff; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); display: inline-block; max-width: 600px; }
-            h1 { color: #33658A; }
-            p { font-size: 1.1em; margin-bottom: 15px; line-height: 1.6; }
-            .note { font-size: 0.9em; color: #555; margin-top: 25px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1><img src="https://www.google.com/images/branding/googlelogo/1x/googlelogo_color_74x24dp.png" alt="Google Icon" style="vertical-align: middle; height: 24px; margin-right: 8px;">CareerSuite.AI</h1>
-            <p>Authorization successful!</p>
-            <p>You can now close this tab and return to the CareerSuite.AI extension.</p>
-            <p>Click the 'Manage Job Tracker' button again to complete your sheet setup.</p>
-            <p class="note">This Web App is part of the CareerSuite.AI Chrome Extension setup process.</p>
-          </div>
-        </body>
-      </html>`;
-    
-    return HtmlService.createHtmlOutput(htmlOutput)
-      .setTitle("CareerSuite.AI Authorization")
-      .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
-
-  } catch (error) {
-    Logger.log("WebApp_Endpoints: Error in doGet (OAuth/Landing): " + error.toString() + "\nStack: " + error.stack);
-    return HtmlService.createHtmlOutput(
-      `<h1>Error</h1><p>An unexpected error occurred: ${error.toString()}</p>`
-    );
-  }
+/**
+ * Opens the leads tab and maps its headers, appending any LEADS_SHEET_HEADERS it lacks.
+ * @param {string} ssId The spreadsheet ID.
+ * @param {string} [tabName] Optional. Defaults to LEADS_SHEET_TAB_NAME.
+ * @return {{sheet: GoogleAppsScript.Spreadsheet.Sheet|null, headerMap: Object<string, number>}} sheet is null when
+ *     the tab cannot be opened.
+ */
+function getSheetAndHeaderMapping_forLeads(ssId, tabName) {
+  return getSheetAndHeaderMapping(ssId, tabName || LEADS_SHEET_TAB_NAME, LEADS_SHEET_HEADERS); // From SheetUtils.gs
 }
 
 /**
- * Handles POST requests, primarily for initializing the user's sheet.
+ * Collects the Source Email IDs of messages whose leads are already in the sheet, so processJobLeads skips them.
+ * A lead seen in several emails lists all of them. Error rows are left out: their messages are parsed again on
+ * the next run.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads.
+ * @return {Set<string>} The processed message IDs.
  */
-function doPost(e) {
-  try {
-    const userEmail = e && e.user ? e.user.email : Session.getActiveUser().getEmail();
-    const activeUserKey = Session.getEffectiveUser().getEmail();
-    
-    Logger.log(`WebApp_Endpoints: doPost called. User interacting: ${userEmail}, Effective user (for quota): ${activeUserKey}.`);
-    
-    const action = e && e.parameter ? e.parameter.action : null;
-
-    // Default action is to get or create the sheet
-    if (!action) {
-      const existingSheetId = PropertiesService.getUserProperties().getProperty('userMjmSheetId');
-      if (existingSheetId) {
-        try {
-          const existingSheet = SpreadsheetApp.openById(existingSheetId);
-          if (existingSheet) {
-            Logger.log(`Sheet already exists for ${userEmail}: ID=${existingSheetId}`);
-            return ContentService.createTextOutput(JSON.stringify({ 
-                status: "success", 
-                message: "Your CareerSuite.AI Data sheet already exists.",
-                sheetId: existingSheetId,
-                sheetUrl: existingSheet.getUrl(),
-                sheetName: existingSheet.getName()
-            })).setMimeType(ContentService.MimeType.JSON);
-          }
-        } catch (openErr) {
-            Logger.log(`Stored sheet ID ${existingSheetId} for ${userEmail} was inaccessible: ${openErr.message}. Clearing property.`);
-            PropertiesService.getUserProperties().deleteProperty('userMjmSheetId');
-        }
-      }
-      
-      const templateIdToUse = TEMPLATE_SHEET_ID; // Now uses the global constant from Config.js
-      if (!templateIdToUse || templateIdToUse.length < 20) { // Simple validity check
-          throw new Error("Server configuration error: Master Template Sheet ID is not set correctly in Config.gs.");
-      }
-      Logger.log(`Using Template ID: ${templateIdToUse} for user ${userEmail}`);
-
-      const originalFile = DriveApp.getFileById(templateIdToUse);
-      const newFileName = `CareerSuite.AI Data`;
-      
-      const newSpreadsheetFile = originalFile.makeCopy(newFileName);
-      const newSpreadsheetId = newSpreadsheetFile.getId();
-      const newSpreadsheetUrl = newSpreadsheetFile.getUrl();
-      Logger.log(`New sheet created for ${userEmail}: "${newFileName}", ID=${newSpreadsheetId}`);
-
-      PropertiesService.getUserProperties().setProperty('userMjmSheetId', newSpreadsheetId);
-
-      return ContentService.createTextOutput(JSON.stringify({ 
-          status: "success", 
-          message: "Your CareerSuite.AI Data sheet has been created successfully!",
-          sheetId: newSpreadsheetId,
-          sheetUrl: newSpreadsheetUrl,
-          sheetName: newFileName
-        }))
-        .setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    // Route to other potential POST actions in the future if needed
-    // else if (action === "someOtherAction") { ... }
-
-    return ContentService.createTextOutput(JSON.stringify({ status: 'error', message: 'Unknown POST action requested.' })).setMimeType(ContentService.MimeType.JSON);
-
-  } catch (error) {
-    Logger.log("WebApp_Endpoints: Error in doPost (Outer Catch): " + error.toString() + "\nStack: " + error.stack);
-    return ContentService.createTextOutput(JSON.stringify({ 
-        status: "error", 
-        message: "Failed to complete sheet setup due to a server error: " + error.toString() 
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+function getProcessedEmailIdsFromSheet_forLeads(sheet, headerMap) {
+  const FUNC_NAME = "getProcessedEmailIdsFromSheet_forLeads";
+  const ids = new Set();
+  if (!headerMap[LEADS_FIELD_HEADERS.sourceEmailId]) {
+    Logger.log(`[${FUNC_NAME} WARN] No "${LEADS_FIELD_HEADERS.sourceEmailId}" column on "${sheet.getName()}". Nothing preloaded.`);
+    return ids;
   }
+  const fields = { sourceEmailId: LEADS_FIELD_HEADERS.sourceEmailId, status: LEADS_FIELD_HEADERS.status };
+  readRecordsByHeader(sheet, headerMap, fields).forEach(({ record }) => { // From SheetUtils.gs
+    if (String(record.status).trim() === LEADS_ERROR_STATUS) return;
+    parseThreadIdsCell(record.sourceEmailId).forEach(id => ids.add(id)); // From SheetUtils.gs (same comma-separated format)
+  });
+  return ids;
 }
 
+/**
+ * Appends leads to the sheet in a single write. Leads without a Lead ID get one.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Object|Array<Object>} jobData One lead or several, keyed like LEADS_FIELD_HEADERS (jobTitle, company,
+ *     location, jobUrl, notes, status, dateAdded, sourceEmailSubject, sourceEmailId, processedTimestamp, promptVersion).
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads.
+ * @return {number} The number of rows written.
+ */
+function writeJobDataToSheet_forLeads(sheet, jobData, headerMap) {
+  const FUNC_NAME = "writeJobDataToSheet_forLeads";
+  const leads = (Array.isArray(jobData) ? jobData : [jobData]).filter(Boolean);
+  if (leads.length === 0) return 0;
+  leads.forEach(lead => { if (!lead.leadId) lead.leadId = generateLeadId(); });
+  const firstRow = appendRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS, leads); // From SheetUtils.gs
+  Logger.log(`[${FUNC_NAME} INFO] Wrote ${leads.length} lead(s) to "${sheet.getName()}" from row ${firstRow}.`);
+  return leads.length;
+}
 
 /**
- * Handles GET requests for dashboard data.
- * Called via ?action=getDashboardData
+ * Generates a new Lead ID for the "Potential Job Leads" sheet.
+ * @return {string} A UUID.
  */
-function doGet_DashboardData(e) {
-  try {
-    const userEmail = Session.getActiveUser().getEmail(); // For logging
-    console.log(`WebApp_Endpoints: doGet_DashboardData called by ${userEmail}.`);
+function generateLeadId() {
+  return Utilities.getUuid();
+}
 
-    const userMjmSheetId = PropertiesService.getUserProperties().getProperty('userMjmSheetId');
-    if (!userMjmSheetId) {
-      console.warn(`doGet_DashboardData: No userMjmSheetId found for ${userEmail}.`);
-      return ContentService.createTextOutput(JSON.stringify({ 
-          success: false, 
-          error: "CareerSuite.AI Sheet ID not found. Please complete setup via the extension." 
-      })).setMimeType(ContentService.MimeType.JSON);
-    }
+/**
+ * Reads a lead value, treating the "N/A" written for values the alert did not include as empty.
+ * @param {*} value A lead field.
+ * @return {string} The trimmed text, or "" when the value is missing, "N/A" or a date.
+ */
+function knownLeadValue(value) {
+  const text = value instanceof Date ? "" : String(value === null || value === undefined ? "" : value).trim();
+  return text.toLowerCase() === "n/a" ? "" : text;
+}
 
-    let ss;
-    try {
-        ss = SpreadsheetApp.openById(userMjmSheetId);
-    } catch (sheetOpenErr) {
-        console.error(`doGet_DashboardData: Error opening sheet ID ${userMjmSheetId} for ${userEmail}: ${sheetOpenErr.message}`);
-        PropertiesService.getUserProperties().deleteProperty('userMjmSheetId'); // Clear invalid ID
-        return ContentService.createTextOutput(JSON.stringify({ 
-            success: false, 
-            error: `Your saved Sheet ID (${userMjmSheetId.substring(0,10)}...) is no longer accessible. Please re-create or re-link your sheet via the extension. Error: ${sheetOpenErr.message}`
-        })).setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const dashboardSheet = ss.getSheetByName(DASHBOARD_TAB_NAME); // DASHBOARD_TAB_NAME from Config.gs
+// --- Lead Dedupe ---
+/**
+ * Indexes the leads already in the sheet by their fingerprints (getLeadFingerprints in MatchingUtils.gs), so a
+ * posting that shows up in later alert emails can be matched to its row. Error rows are not indexed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads.
+ * @return {{byUrl: Map<string, Object>, byFallback: Map<string, Object>}} Row entries ({rowNumber, timesSeen,
+ *     lastSeen, sourceEmailId}) keyed by URL key and by company+title+location key. The first row wins a key.
+ */
+function getLeadFingerprintIndex_forLeads(sheet, headerMap) {
+  const index = { byUrl: new Map(), byFallback: new Map() };
+  readRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS).forEach(({ rowNumber, record }) => { // From SheetUtils.gs
+    if (String(record.status).trim() === LEADS_ERROR_STATUS) return;
+    addLeadToIndex_(index, record, {
+      rowNumber: rowNumber,
+      timesSeen: Number(record.timesSeen) || 1, // Rows written before "Times Seen" existed count as one sighting
+      lastSeen: record.lastSeen || record.dateAdded,
+      sourceEmailId: String(record.sourceEmailId || "")
+    });
+  });
+  return index;
+}
 
-    if (!dashboardSheet) {
-      console.warn(`doGet_DashboardData: Dashboard sheet named "${DASHBOARD_TAB_NAME}" not found in tracker for ${userEmail} (Sheet ID: ${userMjmSheetId}).`);
-      return ContentService.createTextOutput(JSON.stringify({ 
-          success: false, 
-          error: `Dashboard sheet ("${DASHBOARD_TAB_NAME}") not found in your CareerSuite.AI Data sheet. Setup may be incomplete.`
-      })).setMimeType(ContentService.MimeType.JSON);
+/**
+ * Writes the leads extracted from one email. A posting already in the sheet (see getLeadFingerprintIndex_forLeads)
+ * is not added again: its row's "Times Seen" goes up by one, "Last Seen" moves to the email date and the email's ID
+ * is added to "Source Email ID". The same email counting twice for one row (a posting listed twice, or the email
+ * parsed again) is ignored. New leads are appended in one write and indexed, so later emails in the run match them.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Array<Object>} leads Leads keyed like LEADS_FIELD_HEADERS, with sourceEmailId and dateAdded set.
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads.
+ * @param {{byUrl: Map<string, Object>, byFallback: Map<string, Object>}} leadIndex From
+ *     getLeadFingerprintIndex_forLeads; updated in place.
+ * @return {{added: number, repeats: number}} New rows written and existing rows updated.
+ */
+function recordLeadSightings_forLeads(sheet, leads, headerMap, leadIndex) {
+  const FUNC_NAME = "recordLeadSightings_forLeads";
+  const newLeads = [];
+  const newEntries = [];
+  let repeats = 0;
+  leads.forEach(lead => {
+    const { urlKey, fallbackKey } = getLeadFingerprints(lead); // From MatchingUtils.gs
+    // A posting with its own link only matches that link; company+title+location decides only for link-less alerts.
+    const entry = urlKey ? leadIndex.byUrl.get(urlKey) : leadIndex.byFallback.get(fallbackKey);
+    if (!entry) {
+      const newEntry = { rowNumber: 0, timesSeen: 1, lastSeen: lead.dateAdded, sourceEmailId: lead.sourceEmailId };
+      newLeads.push(Object.assign({}, lead, { timesSeen: 1, lastSeen: lead.dateAdded }));
+      newEntries.push(newEntry);
+      addLeadToIndex_(leadIndex, lead, newEntry);
+      return;
     }
-
-    // Read values directly from the scorecard cells on the "Dashboard" sheet
-    const totalApplications = dashboardSheet.getRange("C5").getDisplayValue(); // Use getDisplayValue for formatted numbers/percentages
-    const activeApplications = dashboardSheet.getRange("C7").getDisplayValue();
-    const currentlyInterviewing = dashboardSheet.getRange("I7").getDisplayValue();
-    // Add more metrics if needed, e.g.,
-    // const peakInterviews = dashboardSheet.getRange("F5").getDisplayValue();
-    // const peakOffers = dashboardSheet.getRange("F7").getDisplayValue();
-    // const interviewRate = dashboardSheet.getRange("I5").getDisplayValue(); // This will be a string like "50.00%"
-
-    const data = {
-      totalApplications: totalApplications, // Will be string, extension can parse if needed
-      activeApplications: activeApplications,
-      interviewing: currentlyInterviewing
-      // peakInterviews: peakInterviews,
-      // peakOffers: peakOffers,
-      // interviewRate: interviewRate 
-    };
-    console.log(`doGet_DashboardData: Successfully fetched data for ${userEmail}: ${JSON.stringify(data)}`);
-    
-    return ContentService.createTextOutput(JSON.stringify({ success: true, data: data }))
-      .setMimeType(ContentService.MimeType.JSON);
-
-  } catch (error) {
-    console.error("WebApp_Endpoints: Error in doGet_DashboardData: " + error.toString() + "\nStack: " + error.stack);
-    return ContentService.createTextOutput(JSON.stringify({ 
-        success: false, 
-        error: "An error occurred while fetching dashboard data: " + error.toString() 
-    })).setMimeType(ContentService.MimeType.JSON);
+    if (parseThreadIdsCell(entry.sourceEmailId).indexOf(lead.sourceEmailId) !== -1) return; // From SheetUtils.gs
+    entry.timesSeen++;
+    if (!(entry.lastSeen instanceof Date) || lead.dateAdded > entry.lastSeen) entry.lastSeen = lead.dateAdded;
+    entry.sourceEmailId = mergeThreadIdsCell(entry.sourceEmailId, lead.sourceEmailId); // From SheetUtils.gs
+    updateRecordByHeader(sheet, headerMap, LEADS_FIELD_HEADERS, entry.rowNumber, // From SheetUtils.gs
+      { timesSeen: entry.timesSeen, lastSeen: entry.lastSeen, sourceEmailId: entry.sourceEmailId });
+    repeats++;
+    Logger.log(`[${FUNC_NAME} INFO] "${lead.jobTitle}" at "${lead.company}" already in row ${entry.rowNumber}. Seen ${entry.timesSeen} times.`);
+  });
+
+  const added = writeJobDataToSheet_forLeads(sheet, newLeads, headerMap);
+  if (added > 0) {
+    const firstRow = sheet.getLastRow() - added + 1;
+    newEntries.forEach((entry, i) => { entry.rowNumber = firstRow + i; });
   }
+  return { added: added, repeats: repeats };
 }
 
-// Simple XML Escaper for HTML Service output
-function escapeXmlSimple(text) {
-    if (text === null || typeof text === 'undefined') return '';
-    return String(text)
-        .replace(/&/g, "&")
-        .replace(/</g, "<")
-        .replace(/>/g, ">")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "'");
-    }
-
-
-// For testing template access directly from Apps Script editor
-function manualTestTemplateAccess() {
-  const id = TEMPLATE_SHEET_ID; // Uses the global constant from Config.js
-  if (!id || id === "YOUR_MASTER_TEMPLATE_SHEET_ID_GOES_HERE") {
-    Logger.log("manualTestTemplateAccess: TEMPLATE_SHEET_ID is not set in Config.gs. Please set it and try again.");
-    SpreadsheetApp.getUi().alert("Template ID Not Set", "Please set the TEMPLATE_SHEET_ID constant in Config.gs before running this test.", SpreadsheetApp.getUi().ButtonSet.OK);
-    return;
-  }
+/**
+ * Logs a message that could not be processed as an error row (Status LEADS_ERROR_STATUS). A message that fails
+ * again on a later run updates its existing error row instead of adding another.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The message that failed.
+ * @param {string} errorType Short description, written to the Job Title column.
+ * @param {string} errorDetails The error, written to Notes.
+ * @param {Object<string, number>} headerMap From getSheetAndHeaderMapping_forLeads.
+ */
+function writeErrorEntryToSheet_forLeads(sheet, message, errorType, errorDetails, headerMap) {
+  const FUNC_NAME = "writeErrorEntryToSheet_forLeads";
   try {
-    const file = DriveApp.getFileById(id);
-    Logger.log("Template found: " + file.getName() + " (ID: " + file.getId() + ")");
-    const copy = file.makeCopy("MANUAL TEST COPY - DELETE ME - " + new Date().toLocaleTimeString());
-    Logger.log("Test copy created: " + copy.getName() + ", ID: " + copy.getId());
-    // DriveApp.getFileById(copy.getId()).setTrashed(true); // Clean up immediately
-    // Logger.log("Test copy trashed. You may need to manually empty trash in Drive if you want it fully gone.");
-    SpreadsheetApp.getUi().alert("Test Successful", `Template found: ${file.getName()}\nTest copy created: ${copy.getName()} (ID: ${copy.getId()})\n\nPLEASE DELETE THE TEST COPY MANUALLY FROM YOUR GOOGLE DRIVE.`, SpreadsheetApp.getUi().ButtonSet.OK);
+    const msgId = message.getId();
+    const entry = {
+      dateAdded: message.getDate(),
+      company: "N/A",
+      jobTitle: errorType,
+      notes: String(errorDetails || "").substring(0, 1000),
+      status: LEADS_ERROR_STATUS,
+      sourceEmailSubject: String(message.getSubject() || "").substring(0, 500),
+      sourceEmailId: msgId,
+      processedTimestamp: new Date()
+    };
+    const fields = { sourceEmailId: LEADS_FIELD_HEADERS.sourceEmailId, status: LEADS_FIELD_HEADERS.status };
+    const existing = readRecordsByHeader(sheet, headerMap, fields) // From SheetUtils.gs
+      .find(({ record }) => String(record.sourceEmailId).trim() === msgId && String(record.status).trim() === LEADS_ERROR_STATUS);
+    if (existing) updateRecordByHeader(sheet, headerMap, LEADS_FIELD_HEADERS, existing.rowNumber, entry); // From SheetUtils.gs
+    else appendRecordsByHeader(sheet, headerMap, LEADS_FIELD_HEADERS, [entry]);
+    Logger.log(`[${FUNC_NAME} INFO] ${existing ? `Updated error row ${existing.rowNumber}` : "Added an error row"} for msg ${msgId}: ${errorType}.`);
   } catch (e) {
-    Logger.log("Error accessing/copying template: " + e.toString());
-    SpreadsheetApp.getUi().alert("Test Failed", "Error accessing or copying template: " + e.toString() + "\n\nEnsure TEMPLATE_SHEET_ID in Config.gs is correct and you have access to the template file.", SpreadsheetApp.getUi().ButtonSet.OK);
+    Logger.log(`[${FUNC_NAME} ERROR] Could not record "${errorType}" for a message: ${e.toString()}`);
   }
 }
 
 /**
- * Handles GET requests for aggregated weekly application data.
- * Called via ?action=getWeeklyApplicationData
- * Reads from DashboardHelperData sheet, columns D (Week Starting) and E (Applications).
+ * Registers a lead's row entry under the lead's fingerprints, unless an earlier row already holds them.
+ * @param {{byUrl: Map<string, Object>, byFallback: Map<string, Object>}} index The index to update.
+ * @param {Object} lead The lead (jobUrl, company, jobTitle, location).
+ * @param {Object} entry The row entry.
  */
-function doGet_WeeklyApplicationData(e) {
-  const FUNC_NAME = "doGet_WeeklyApplicationData";
-  try {
-    const userMjmSheetId = PropertiesService.getUserProperties().getProperty('userMjmSheetId');
-    if (!userMjmSheetId) {
-      Logger.log(`[${FUNC_NAME} WARN] No userMjmSheetId found.`);
-      return ContentService.createTextOutput(JSON.stringify({ 
-          success: false, 
-          error: "CareerSuite.AI Sheet ID not found. Please complete setup via the extension." 
-      })).setMimeType(ContentService.MimeType.JSON);
-    }
-
-    let ss;
-    try {
-        ss = SpreadsheetApp.openById(userMjmSheetId);
-    } catch (sheetOpenErr) {
-        Logger.log(`[${FUNC_NAME} ERROR] Error opening sheet ID ${userMjmSheetId}: ${sheetOpenErr.message}`);
-        PropertiesService.getUserProperties().deleteProperty('userMjmSheetId'); // Clear invalid ID
-        return ContentService.createTextOutput(JSON.stringify({ 
-            success: false, 
-            error: `Your saved Sheet ID is no longer accessible. Please re-create or re-link. Error: ${sheetOpenErr.message}`
-        })).setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const helperSheet = ss.getSheetByName(HELPER_SHEET_NAME); // From Config.gs
-    if (!helperSheet) {
-      Logger.log(`[${FUNC_NAME} WARN] Helper sheet "${HELPER_SHEET_NAME}" not found.`);
-      return ContentService.createTextOutput(JSON.stringify({ 
-          success: false, 
-          error: `Helper data sheet ("${HELPER_SHEET_NAME}") not found. Setup may be incomplete or run 'Update Dashboard Metrics'.`
-      })).setMimeType(ContentService.MimeType.JSON);
-    }
-
-    const headersRange = helperSheet.getRange("D1:E1").getDisplayValues();
-    if (headersRange[0][0] !== "Week Starting" || headersRange[0][1] !== "Applications") {
-        Logger.log(`[${FUNC_NAME} WARN] Expected headers "Week Starting" or "Applications" not found in D1 or E1 of helper sheet. Current headers: D1='${headersRange[0][0]}', E1='${headersRange[0][1]}'`);
-        return ContentService.createTextOutput(JSON.stringify({ 
-            success: false, 
-            error: "Helper data format for weekly applications is incorrect. Please ensure dashboard setup/update has run."
-        })).setMimeType(ContentService.MimeType.JSON);
-    }
-    
-    const lastDataRowInColD = helperSheet.getRange("D1:D").getValues().filter(String).length;
-    let weeklyData = [];
-
-    if (lastDataRowInColD > 1) { 
-        const maxWeeksToShow = 8;
-        const startRowForFetch = Math.max(2, lastDataRowInColD - maxWeeksToShow + 1); 
-        const numRowsToFetchActual = lastDataRowInColD - startRowForFetch + 1;
-        
-        if (numRowsToFetchActual > 0) {
-            const rangeDataValues = helperSheet.getRange(startRowForFetch, 4, numRowsToFetchActual, 2).getDisplayValues(); // Columns D:E
-            rangeDataValues.forEach(row => {
-                if (row[0] && row[1]) { 
-                     weeklyData.push({ weekStarting: row[0], applications: row[1] });
-                }
-            });
-        }
-    }
-    
-    Logger.log(`[${FUNC_NAME} INFO] Fetched ${weeklyData.length} weekly data points. Last helper data row in D: ${lastDataRowInColD}`);
-    
-    return ContentService.createTextOutput(JSON.stringify({ success: true, data: weeklyData }))
-      .setMimeType(ContentService.MimeType.JSON);
-
-  } catch (error) {
-    Logger.log(`[${FUNC_NAME} ERROR] Error: ${error.toString()}\nStack: ${error.stack}`);
-    return ContentService.createTextOutput(JSON.stringify({ 
-        success: false, 
-        error: `Error fetching weekly application data: ${error.toString()}`
-    })).setMimeType(ContentService.MimeType.JSON);
-  }
+function addLeadToIndex_(index, lead, entry) {
+  const { urlKey, fallbackKey } = getLeadFingerprints(lead); // From MatchingUtils.gs
+  if (urlKey && !index.byUrl.has(urlKey)) index.byUrl.set(urlKey, entry);
+  if (fallbackKey && !index.byFallback.has(fallbackKey)) index.byFallback.set(fallbackKey, entry);
 }
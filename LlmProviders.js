@@ -0,0 +1,256 @@
+// File: LlmProviders.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Provider layer behind GeminiService.gs. Each adapter turns a prompt into text with the same
+// request/response shape, so switching provider or model is a config change (LLM_PROVIDER / LLM_MODEL in
+// Config.gs, or the matching script properties) rather than an edit to the parsing functions.
+//
+// Request:  {task, prompt, maxOutputTokens, temperature, input, responseSchema}
+//           task is LLM_TASK_APPLICATION_DETAILS, LLM_TASK_JOB_LEADS or LLM_TASK_POSTING_SUMMARY; input holds the
+//           raw email fields ({subject, body}) or posting text ({posting}) for providers that do not read the
+//           prompt (the stub); responseSchema (optional,
+//           see SchemaUtils.gs) asks for JSON output where the provider supports it.
+// Response: {success, text, error, httpCode, blockReason, usage, provider, model, budgetExhausted}
+//           budgetExhausted is true when the call was refused or abandoned because of the usage limits in
+//           LlmUsage.gs; callers should stop using the LLM for the rest of the run.
+
+let llmStubResponder_ = null; // Optional override for the stub provider, see setLlmStubResponder
+
+/**
+ * Name of the provider selected in config. The LLM_PROVIDER script property overrides the Config.gs default.
+ * @return {string} One of the LLM_PROVIDER_* constants.
+ */
+function getConfiguredLlmProviderName() {
+  const override = PropertiesService.getScriptProperties().getProperty(LLM_PROVIDER_PROPERTY);
+  const name = String(override || LLM_PROVIDER).trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(LLM_DEFAULT_MODELS, name)) {
+    Logger.log(`[getConfiguredLlmProviderName WARN] Unknown LLM provider "${name}". Using "${LLM_PROVIDER}".`);
+    return LLM_PROVIDER;
+  }
+  return name;
+}
+
+/**
+ * Builds the configured provider.
+ * @param {string} [geminiApiKey] The Gemini key, as read by the caller from GEMINI_API_KEY_PROPERTY.
+ * @param {string} [providerName] Force a provider instead of the configured one.
+ * @return {{name: string, model: string, configured: boolean, generate: function(Object): Object}}
+ *     configured is false when the provider is missing credentials; generate() then fails without a request.
+ */
+function getLlmProvider(geminiApiKey, providerName) {
+  const name = providerName || getConfiguredLlmProviderName();
+  const scriptProps = PropertiesService.getScriptProperties();
+  const model = String(scriptProps.getProperty(LLM_MODEL_PROPERTY) || "").trim() || LLM_DEFAULT_MODELS[name];
+  if (name === LLM_PROVIDER_STUB) return createStubLlmProvider_(model); // Local, so outside the usage limits
+  if (name === LLM_PROVIDER_OPENAI_COMPATIBLE) {
+    const baseUrl = String(scriptProps.getProperty(OPENAI_COMPATIBLE_BASE_URL_PROPERTY) || OPENAI_COMPATIBLE_BASE_URL).replace(/\/+$/, "");
+    return withLlmUsageTracking_(createOpenAiCompatibleProvider_(model, scriptProps.getProperty(OPENAI_COMPATIBLE_API_KEY_PROPERTY), baseUrl));
+  }
+  return withLlmUsageTracking_(createGeminiProvider_(model, geminiApiKey));
+}
+
+/**
+ * Replaces the stub provider's canned output (for tests and offline runs).
+ * @param {function(Object): (string|Object)|null} responder Receives the request and returns the response
+ *     text (or a full response object). Pass null to restore the default deterministic output.
+ */
+function setLlmStubResponder(responder) {
+  llmStubResponder_ = responder;
+}
+
+// --- Adapters ---
+
+function createGeminiProvider_(model, apiKey) {
+  const configured = !!(apiKey && apiKey.trim() !== "");
+  return {
+    name: LLM_PROVIDER_GEMINI, model: model, configured: configured,
+    generate: function (request) {
+      if (!configured) return llmFailure_(this, "Gemini API key not set.");
+      const url = `${GEMINI_API_BASE_URL}/models/${model}:generateContent?key=${apiKey}`;
+      const payload = {
+        contents: [{ parts: [{ text: request.prompt }] }],
+        generationConfig: { temperature: request.temperature, maxOutputTokens: request.maxOutputTokens, topP: 0.95, topK: 40 },
+        safetySettings: [
+          { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_MEDIUM_AND_ABOVE" },
+          { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_MEDIUM_AND_ABOVE" }
+        ]
+      };
+      if (request.responseSchema) {
+        payload.generationConfig.responseMimeType = "application/json";
+        payload.generationConfig.responseSchema = request.responseSchema;
+      }
+      const http = fetchLlmWithRetry_(url, { method: 'post', contentType: 'application/json', payload: JSON.stringify(payload), muteHttpExceptions: true }, this);
+      if (!http.ok) return http.failure;
+      const json = http.json;
+      const text = json.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (text) return llmSuccess_(this, text, json.usageMetadata || null);
+      if (json.promptFeedback?.blockReason) {
+        const result = llmFailure_(this, `Prompt blocked: ${json.promptFeedback.blockReason}`);
+        result.blockReason = json.promptFeedback.blockReason;
+        return result;
+      }
+      return llmFailure_(this, `Unexpected response structure: ${http.body.substring(0, 300)}`);
+    }
+  };
+}
+
+function createOpenAiCompatibleProvider_(model, apiKey, baseUrl) {
+  const configured = !!(apiKey && apiKey.trim() !== "");
+  return {
+    name: LLM_PROVIDER_OPENAI_COMPATIBLE, model: model, configured: configured,
+    generate: function (request) {
+      if (!configured) return llmFailure_(this, `API key not set (script property "${OPENAI_COMPATIBLE_API_KEY_PROPERTY}").`);
+      const payload = {
+        model: model,
+        messages: [{ role: 'user', content: request.prompt }],
+        temperature: request.temperature,
+        max_tokens: request.maxOutputTokens
+      };
+      // JSON mode only accepts object roots; array schemas (job leads) rely on the local validation instead.
+      if (request.responseSchema && String(request.responseSchema.type).toUpperCase() === "OBJECT") {
+        payload.response_format = { type: "json_object" };
+      }
+      const http = fetchLlmWithRetry_(`${baseUrl}/chat/completions`, {
+        method: 'post', contentType: 'application/json', payload: JSON.stringify(payload), muteHttpExceptions: true,
+        headers: { Authorization: `Bearer ${apiKey}` }
+      }, this);
+      if (!http.ok) return http.failure;
+      const choice = http.json.choices?.[0];
+      if (choice?.message?.content) return llmSuccess_(this, choice.message.content, http.json.usage || null);
+      if (choice?.finish_reason === 'content_filter') {
+        const result = llmFailure_(this, "Response blocked by content filter.");
+        result.blockReason = 'content_filter';
+        return result;
+      }
+      return llmFailure_(this, `Unexpected response structure: ${http.body.substring(0, 300)}`);
+    }
+  };
+}
+
+/**
+ * Deterministic provider that never touches the network. By default it answers application requests with
+ * the regex status from parseBodyForStatus (ParsingUtils.gs), lead requests with fixed sample leads and
+ * posting summaries with an empty summary.
+ */
+function createStubLlmProvider_(model) {
+  return {
+    name: LLM_PROVIDER_STUB, model: model, configured: true,
+    generate: function (request) {
+      if (llmStubResponder_) {
+        const custom = llmStubResponder_(request);
+        return typeof custom === 'string' ? llmSuccess_(this, custom, null) : Object.assign({ provider: this.name, model: this.model }, custom);
+      }
+      const input = request.input || {};
+      if (request.task === LLM_TASK_JOB_LEADS) {
+        const body = String(input.body || "").toLowerCase();
+        const leads = body.includes("multiple job listings inside") || body.includes("software engineer at google")
+          ? [
+              { jobTitle: "Software Engineer (Mock)", company: "Tech Alpha (Mock)", location: "Remote", source: "Mock Job Board", jobUrl: "https://example.com/job/alpha", notes: "This is a mock note." },
+              { jobTitle: "Product Manager (Mock)", company: "Innovate Beta (Mock)", location: "New York, NY", source: "Mock Alerts", jobUrl: "https://example.com/job/beta", notes: "Requires 5 years experience." }
+            ]
+          : [{ jobTitle: "N/A (Mock Single)", company: "Some Corp (Mock)", location: "Remote", source: "Mock Direct", jobUrl: "N/A", notes: "Basic mock entry." }];
+        return llmSuccess_(this, JSON.stringify(leads), null);
+      }
+      if (request.task === LLM_TASK_POSTING_SUMMARY) {
+        return llmSuccess_(this, JSON.stringify({ requirements: "N/A", seniority: "Unknown", salary_range: "N/A", remote_policy: "Unknown", posted_date: "N/A" }), null);
+      }
+      return llmSuccess_(this, JSON.stringify({
+        company_name: MANUAL_REVIEW_NEEDED,
+        job_title: MANUAL_REVIEW_NEEDED,
+        status: parseBodyForStatus(input.body || "") || UPDATE_OTHER_STATUS,
+        location: "", compensation: "", recruiter_name: "", recruiter_email: "", requisition_id: "", interview_datetime: ""
+      }), null);
+    }
+  };
+}
+
+// --- Shared Helpers ---
+
+/**
+ * Wraps a network provider's generate() with the usage limits from LlmUsage.gs: a call is refused once the
+ * daily budget is spent (or the provider asked for a long pause), and every attempted call is recorded.
+ */
+function withLlmUsageTracking_(provider) {
+  const generate = provider.generate;
+  provider.generate = function (request) {
+    if (!this.configured) return generate.call(this, request);
+    const budget = checkLlmBudget(); // From LlmUsage.gs
+    if (!budget.allowed) {
+      const refused = llmFailure_(this, budget.reason);
+      refused.budgetExhausted = true;
+      return refused;
+    }
+    const response = generate.call(this, request);
+    recordLlmUsage(request, response); // From LlmUsage.gs
+    return response;
+  };
+  return provider;
+}
+
+/**
+ * POSTs to a provider within the per-minute rate (waitForLlmRateSlot in LlmUsage.gs). Rate limits (429),
+ * transient server errors (500, 503) and fetch exceptions are retried up to LLM_MAX_ATTEMPTS times with
+ * exponential backoff, or after the provider's retry hint. A hint longer than LLM_BACKOFF_MAX_MS pauses
+ * LLM calls until then and fails with budgetExhausted set.
+ * @return {{ok: boolean, json: Object, body: string, failure: Object}} failure is a response object when ok is false.
+ */
+function fetchLlmWithRetry_(url, options, provider) {
+  const tag = `LLM_${provider.name.toUpperCase()}`;
+  for (let attempt = 1; attempt <= LLM_MAX_ATTEMPTS; attempt++) {
+    try {
+      waitForLlmRateSlot(); // From LlmUsage.gs
+      const response = UrlFetchApp.fetch(url, options);
+      const code = response.getResponseCode();
+      const body = response.getContentText();
+      if (DEBUG_MODE) Logger.log(`[DEBUG] ${tag} (Attempt ${attempt}, ${provider.model}): RC ${code}. Body(start): ${body.substring(0, 200)}`);
+      if (code === 200) {
+        try { return { ok: true, json: JSON.parse(body), body: body }; }
+        catch (e) { return { ok: false, failure: llmFailure_(provider, `Unparsable response body: ${e.message}`, code) }; }
+      }
+      if ((code === 429 || code === 500 || code === 503) && attempt < LLM_MAX_ATTEMPTS) {
+        const waitMs = computeLlmBackoffMs(attempt, body, response.getHeaders()); // From LlmUsage.gs
+        if (waitMs > LLM_BACKOFF_MAX_MS) {
+          pauseLlmCallsUntil(new Date().getTime() + waitMs); // From LlmUsage.gs
+          const paused = llmFailure_(provider, `HTTP ${code}: provider asked to wait ${Math.round(waitMs / 1000)}s. LLM calls paused.`, code);
+          paused.budgetExhausted = true;
+          return { ok: false, failure: paused };
+        }
+        Logger.log(`[WARN] ${tag}: HTTP ${code}. Attempt ${attempt}/${LLM_MAX_ATTEMPTS}. Retrying in ${Math.round(waitMs / 1000)}s.`);
+        Utilities.sleep(waitMs);
+        continue;
+      }
+      let message = body.substring(0, 500);
+      try { message = JSON.parse(body).error?.message || message; } catch (e) { /* Body was not JSON */ }
+      if (code === 404) Logger.log(`[FATAL] ${tag}: Model "${provider.model}" not found or endpoint wrong. Check LLM_MODEL.`);
+      Logger.log(`[ERROR] ${tag}: HTTP ${code}: ${message}`);
+      return { ok: false, failure: llmFailure_(provider, `API Error ${code}: ${message}`, code) };
+    } catch (e) {
+      Logger.log(`[ERROR] ${tag}: Exception during API call (Attempt ${attempt}): ${e.toString()}`);
+      if (attempt < LLM_MAX_ATTEMPTS) { Utilities.sleep(computeLlmBackoffMs(attempt)); continue; }
+      return { ok: false, failure: llmFailure_(provider, `Fetch Error after ${LLM_MAX_ATTEMPTS} attempts: ${e.toString()}`) };
+    }
+  }
+  return { ok: false, failure: llmFailure_(provider, `Exceeded max retries (${LLM_MAX_ATTEMPTS}).`) };
+}
+
+function llmSuccess_(provider, text, usage) {
+  return { success: true, text: text, error: null, httpCode: 200, blockReason: null, usage: usage, provider: provider.name, model: provider.model, budgetExhausted: false };
+}
+
+function llmFailure_(provider, error, httpCode) {
+  return { success: false, text: null, error: error, httpCode: httpCode || null, blockReason: null, usage: null, provider: provider.name, model: provider.model, budgetExhausted: false };
+}
+
+/**
+ * Strips markdown code fences some models wrap around JSON output.
+ * @param {string} text Raw model output.
+ * @return {string} The text between the fences (trimmed).
+ */
+function stripLlmCodeFences(text) {
+  let s = String(text || "").trim();
+  if (s.startsWith("```json")) s = s.substring(7).trim();
+  else if (s.startsWith("```")) s = s.substring(3).trim();
+  if (s.endsWith("```")) s = s.substring(0, s.length - 3).trim();
+  return s;
+}
@@ -0,0 +1,185 @@
+// File: LlmUsage.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Usage ledger and throttling for LLM calls (see withLlmUsageTracking_ in LlmProviders.gs).
+// Every call is written to the hidden "LLM Usage" tab. Today's token total, the times of recent calls and
+// any provider-requested pause live in one script property, so the limits in Config.gs
+// (LLM_DAILY_TOKEN_BUDGET, LLM_MAX_CALLS_PER_MINUTE) hold across the application and lead pipelines.
+
+let llmUsageSheet_ = null; // Ledger sheet, resolved on first use
+
+/**
+ * Whether a new LLM call may start: the daily token budget has room and no provider pause is active.
+ * @return {{allowed: boolean, reason: string}} reason explains a refusal.
+ */
+function checkLlmBudget() {
+  const state = readLlmUsageState_();
+  const limits = getLlmUsageLimits_();
+  const now = new Date().getTime();
+  if (state.pausedUntil && state.pausedUntil > now) {
+    return { allowed: false, reason: `LLM calls paused by the provider until ${new Date(state.pausedUntil).toISOString()}.` };
+  }
+  if (state.tokens >= limits.dailyTokenBudget) {
+    return { allowed: false, reason: `Daily LLM token budget spent (${state.tokens} of ${limits.dailyTokenBudget}).` };
+  }
+  return { allowed: true, reason: "" };
+}
+
+/**
+ * Shorthand for callers deciding whether to keep trying the LLM during a run.
+ * @return {boolean} True when no LLM call would be allowed right now.
+ */
+function isLlmBudgetExhausted() {
+  return !checkLlmBudget().allowed;
+}
+
+/**
+ * Records a finished call: adds its tokens to today's total and appends a ledger row.
+ * @param {Object} request The provider request ({task, prompt, ...}).
+ * @param {Object} response The provider response ({success, text, error, usage, provider, model}).
+ */
+function recordLlmUsage(request, response) {
+  const FUNC_NAME = "recordLlmUsage";
+  const counts = normalizeLlmUsage_(request, response);
+  updateLlmUsageState_(state => { state.tokens += counts.totalTokens; state.calls++; });
+  try {
+    const sheet = getLlmUsageSheet_();
+    if (!sheet) return;
+    const outcome = response.success ? "OK" : String(response.error || "Failed").substring(0, 250);
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, LLM_USAGE_SHEET_HEADERS.length).setValues([[
+      new Date(), request.task || "", response.provider || "", response.model || "",
+      counts.promptChars, counts.responseChars, counts.promptTokens, counts.responseTokens, counts.totalTokens,
+      counts.estimated, outcome
+    ]]);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} WARN] Could not write usage ledger row: ${e.message}`);
+  }
+}
+
+/**
+ * Blocks until a request fits in the per-minute rate, then claims the slot. Called before every HTTP attempt.
+ */
+function waitForLlmRateSlot() {
+  const FUNC_NAME = "waitForLlmRateSlot";
+  const limit = getLlmUsageLimits_().callsPerMinute;
+  for (;;) {
+    let waitMs = 0;
+    updateLlmUsageState_(state => {
+      const now = new Date().getTime();
+      state.recentCalls = state.recentCalls.filter(t => now - t < 60000);
+      if (state.recentCalls.length < limit) state.recentCalls.push(now);
+      else waitMs = state.recentCalls[0] + 60000 - now;
+    });
+    if (waitMs <= 0) return;
+    Logger.log(`[${FUNC_NAME} INFO] ${limit} LLM calls in the last minute. Waiting ${Math.ceil(waitMs / 1000)}s.`);
+    Utilities.sleep(Math.min(waitMs + 250, LLM_BACKOFF_MAX_MS));
+  }
+}
+
+/**
+ * How long to wait before retrying a failed attempt: the provider's retry hint when it gave one,
+ * otherwise exponential backoff with jitter.
+ * @param {number} attempt The attempt that just failed (1-based).
+ * @param {string} [body] Error response body.
+ * @param {Object} [headers] Response headers.
+ * @return {number} Milliseconds.
+ */
+function computeLlmBackoffMs(attempt, body, headers) {
+  const hintMs = parseLlmRetryHintMs_(body, headers);
+  if (hintMs !== null) return hintMs;
+  return Math.min(LLM_BACKOFF_BASE_MS * Math.pow(2, attempt - 1), LLM_BACKOFF_MAX_MS) + Math.floor(Math.random() * 1000);
+}
+
+/**
+ * Stops all LLM calls until the given time, e.g. when the provider asks for a wait longer than LLM_BACKOFF_MAX_MS.
+ * @param {number} untilMs Epoch milliseconds.
+ */
+function pauseLlmCallsUntil(untilMs) {
+  updateLlmUsageState_(state => { state.pausedUntil = Math.max(state.pausedUntil || 0, untilMs); });
+  Logger.log(`[pauseLlmCallsUntil INFO] LLM calls paused until ${new Date(untilMs).toISOString()}.`);
+}
+
+// --- Helpers ---
+
+// Reads a retry delay from a Retry-After header, a google.rpc.RetryInfo detail ("37s") or "retry in 37.5s" text.
+function parseLlmRetryHintMs_(body, headers) {
+  const retryAfter = headers ? (headers['Retry-After'] || headers['retry-after']) : null;
+  if (retryAfter && !isNaN(Number(retryAfter))) return Number(retryAfter) * 1000;
+  if (!body) return null;
+  try {
+    const details = JSON.parse(body).error?.details || [];
+    const retryInfo = details.find(d => String(d['@type'] || "").endsWith("RetryInfo") && d.retryDelay);
+    if (retryInfo) {
+      const seconds = parseFloat(String(retryInfo.retryDelay));
+      if (!isNaN(seconds)) return Math.ceil(seconds * 1000);
+    }
+  } catch (e) { /* Body was not JSON */ }
+  const textMatch = String(body).match(/retry (?:in|after) (\d+(?:\.\d+)?)\s*(ms|s)/i);
+  if (textMatch) return Math.ceil(parseFloat(textMatch[1]) * (textMatch[2].toLowerCase() === 'ms' ? 1 : 1000));
+  return null;
+}
+
+// Token and size counts for a call; falls back to ~4 characters per token when the provider reports nothing.
+function normalizeLlmUsage_(request, response) {
+  const usage = response.usage || {};
+  const promptChars = String(request.prompt || "").length;
+  const responseChars = String(response.text || "").length;
+  let promptTokens = usage.promptTokenCount ?? usage.prompt_tokens;
+  let responseTokens = usage.candidatesTokenCount ?? usage.completion_tokens;
+  let totalTokens = usage.totalTokenCount ?? usage.total_tokens;
+  const estimated = promptTokens === undefined && totalTokens === undefined;
+  if (estimated) {
+    // A failed request is not billed for output; count the prompt only when the provider answered.
+    promptTokens = response.success ? Math.ceil(promptChars / 4) : 0;
+    responseTokens = Math.ceil(responseChars / 4);
+  }
+  promptTokens = promptTokens || 0;
+  responseTokens = responseTokens || 0;
+  if (totalTokens === undefined) totalTokens = promptTokens + responseTokens;
+  return { promptChars, responseChars, promptTokens, responseTokens, totalTokens, estimated };
+}
+
+function getLlmUsageLimits_() {
+  const props = PropertiesService.getScriptProperties();
+  const budget = parseInt(props.getProperty(LLM_DAILY_TOKEN_BUDGET_PROPERTY), 10);
+  const perMinute = parseInt(props.getProperty(LLM_MAX_CALLS_PER_MINUTE_PROPERTY), 10);
+  return {
+    dailyTokenBudget: budget > 0 ? budget : LLM_DAILY_TOKEN_BUDGET,
+    callsPerMinute: perMinute > 0 ? perMinute : LLM_MAX_CALLS_PER_MINUTE
+  };
+}
+
+// Today's state; totals reset when the script-timezone date changes.
+function readLlmUsageState_() {
+  const today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd");
+  let state = null;
+  try { state = JSON.parse(PropertiesService.getScriptProperties().getProperty(LLM_USAGE_STATE_PROPERTY) || "null"); }
+  catch (e) { state = null; }
+  if (!state || typeof state !== 'object') state = {};
+  const fresh = { day: today, tokens: 0, calls: 0, recentCalls: Array.isArray(state.recentCalls) ? state.recentCalls : [], pausedUntil: state.pausedUntil || 0 };
+  return state.day === today ? Object.assign(fresh, { tokens: Number(state.tokens) || 0, calls: Number(state.calls) || 0 }) : fresh;
+}
+
+// Read-modify-write under the script lock so concurrent runs do not lose each other's counts. Inside a job run the
+// lock is already held (runWithJobLock in Checkpoint.gs); taking and releasing it here would end the job's lock early.
+function updateLlmUsageState_(mutator) {
+  const lock = LockService.getScriptLock();
+  const ownLock = !isJobLockHeld(); // From Checkpoint.gs
+  const locked = ownLock && lock.tryLock(5000);
+  if (ownLock && !locked) Logger.log(`[updateLlmUsageState_ WARN] Could not get the script lock. Updating usage state without it.`);
+  try {
+    const state = readLlmUsageState_();
+    mutator(state);
+    PropertiesService.getScriptProperties().setProperty(LLM_USAGE_STATE_PROPERTY, JSON.stringify(state));
+    return state;
+  } finally {
+    if (locked) lock.releaseLock();
+  }
+}
+
+function getLlmUsageSheet_() {
+  if (llmUsageSheet_) return llmUsageSheet_;
+  const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+  if (!ss) return null;
+  llmUsageSheet_ = getOrCreateHiddenSheet(ss, LLM_USAGE_SHEET_TAB_NAME, LLM_USAGE_SHEET_HEADERS, LLM_USAGE_SHEET_COLUMN_WIDTHS); // From SheetUtils.gs
+  return llmUsageSheet_;
+}
@@ -192,6 +192,7 @@ function initialSetup_LabelsAndSheet(activeSS) {
         if (PEAK_STATUS_COL > 0 && PEAK_STATUS_COL <= dataSh.getMaxColumns() && !dataSh.isColumnHiddenByUser(PEAK_STATUS_COL)) {
             dataSh.hideColumn(dataSh.getRange(1, PEAK_STATUS_COL));
         }
+        ensureApplicationIds(dataSh); // From SheetUtils.gs; hides the ID column and backfills existing rows
         if (EMAIL_LINK_COL > 0 && dataSh.getMaxRows() > 1 && dataSh.getMaxColumns() >= EMAIL_LINK_COL) {
             dataSh.getRange(2, EMAIL_LINK_COL, dataSh.getMaxRows() - 1, 1).setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
         }
@@ -221,6 +222,24 @@ function initialSetup_LabelsAndSheet(activeSS) {
     helperSheet.setTabColor(BRAND_COLORS.CHARCOAL); // From Config.gs
     messages.push(`Sheet '${HELPER_SHEET_NAME}': Setup OK (Headers & Formulas set). Hidden. Color: Charcoal.`);
 
+    // A.4: "Change Log" Sheet (hidden audit trail for manual edits)
+    if (!getOrCreateHiddenSheet(activeSS, CHANGE_LOG_SHEET_TAB_NAME, CHANGE_LOG_SHEET_HEADERS, CHANGE_LOG_SHEET_COLUMN_WIDTHS)) { // From SheetUtils.gs
+        throw new Error(`Get/Create FAILED for sheet: '${CHANGE_LOG_SHEET_TAB_NAME}'.`);
+    }
+    messages.push(`Sheet '${CHANGE_LOG_SHEET_TAB_NAME}': Setup OK. Hidden.`);
+
+    // A.5: "Status History" Sheet (one row per status transition)
+    if (!getOrCreateHiddenSheet(activeSS, STATUS_HISTORY_SHEET_TAB_NAME, STATUS_HISTORY_SHEET_HEADERS, STATUS_HISTORY_SHEET_COLUMN_WIDTHS)) {
+        throw new Error(`Get/Create FAILED for sheet: '${STATUS_HISTORY_SHEET_TAB_NAME}'.`);
+    }
+    messages.push(`Sheet '${STATUS_HISTORY_SHEET_TAB_NAME}': Setup OK. Hidden.`);
+
+    // A.6: "Prompt Examples" Sheet (user-maintained few-shot examples for the LLM prompts)
+    if (!setupPromptExamplesSheet(activeSS)) { // From PromptRegistry.gs
+        throw new Error(`Get/Create FAILED for sheet: '${PROMPT_EXAMPLES_SHEET_TAB_NAME}'.`);
+    }
+    messages.push(`Sheet '${PROMPT_EXAMPLES_SHEET_TAB_NAME}': Setup OK.`);
+
   } catch (e) {
     Logger.log(`[${FUNC_NAME} ERROR] Core sheet setup failed: ${e.toString()}\nStack: ${e.stack}`);
     messages.push(`Core sheet setup FAILED: ${e.message}.`); moduleSuccess = false;
@@ -295,7 +314,7 @@ function initialSetup_LabelsAndSheet(activeSS) {
             // Add a third dummy row if needed for chart variety
         ];
         dummyRows = dummyRows.map(r => {
-            while(r.length < TOTAL_COLUMNS_IN_APP_SHEET) r.push(""); return r.slice(0,TOTAL_COLUMNS_IN_APP_SHEET);
+            while(r.length < TOTAL_COLUMNS_IN_APP_SHEET) r.push(""); r[APPLICATION_ID_COL-1] = generateApplicationId(); return r.slice(0,TOTAL_COLUMNS_IN_APP_SHEET);
         });
         dataSh.getRange(2, 1, dummyRows.length, TOTAL_COLUMNS_IN_APP_SHEET).setValues(dummyRows);
         dummyDataWasAdded = true; messages.push(`Dummy data added (${dummyRows.length} rows).`);
@@ -362,7 +381,15 @@ function initialSetup_LabelsAndSheet(activeSS) {
 }
 
 // --- Main Email Processing Function (Job Application Tracker) ---
+/**
+ * Processes emails labeled for the application tracker. Only one run at a time: a run that finds another one
+ * going schedules a continuation instead (see runWithJobLock in Checkpoint.gs).
+ */
 function processJobApplicationEmails() {
+  runWithJobLock(CHECKPOINT_JOB_APPLICATIONS, 'continueProcessJobApplicationEmails', processJobApplicationEmails_); // From Checkpoint.gs
+}
+
+function processJobApplicationEmails_() {
   const FUNC_NAME = "processJobApplicationEmails";
   const SCRIPT_START_TIME = new Date();
   Logger.log(`\n==== ${FUNC_NAME}: STARTING (${SCRIPT_START_TIME.toLocaleString()}) ====`);
@@ -390,6 +417,12 @@ function processJobApplicationEmails() {
         Logger.log(`[${FUNC_NAME} DEBUG_API_KEY] Reason: Key found in UserProperties but failed validation. Length: ${geminiApiKey.length}, StartsWith AIza: ${geminiApiKey.startsWith("AIza")}`);
     }
   }
+  // Other providers (LlmProviders.gs) carry their own credentials; the Gemini key check above only applies to Gemini.
+  const llmProvider = getLlmProvider(geminiApiKey);
+  if (llmProvider.name !== LLM_PROVIDER_GEMINI) {
+    useGemini = llmProvider.configured;
+    Logger.log(`[${FUNC_NAME} INFO] LLM provider "${llmProvider.name}" (${llmProvider.model}) ${useGemini ? 'configured. AI parsing enabled.' : 'missing credentials. Fallback to regex parsing.'}`);
+  }
 
   const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
   if (!ss) {
@@ -431,52 +464,83 @@ function processJobApplicationEmails() {
     return;
   }
 
+  // --- Backfill Application IDs (rows added manually or before the column existed) ---
+  try { ensureApplicationIds(dataSheet); } // From SheetUtils.gs
+  catch (e) { Logger.log(`[${FUNC_NAME} FATAL ERROR] Could not backfill Application IDs: ${e.message}. Aborting.`); return; }
+
   // --- Preload Existing Data from "Applications" Sheet ---
-  const lastR = dataSheet.getLastRow(); 
+  // The whole sheet is held in memory (ApplicationsModel.gs) and written back once after the loop.
+  // Cache entries are keyed by Application ID; rows are resolved at flush time so reordering the sheet is safe.
+  let appModel;
   const existingDataCache = {}; 
+  const threadIdIndex = {}; // Gmail thread ID -> cache entry; replies in a known thread attach to that application
   const processedEmailIds = new Set();
-  if (lastR >= 2) { 
-    Logger.log(`[${FUNC_NAME} INFO] Preloading existing data from "${dataSheet.getName()}" (Rows 2 to ${lastR})...`);
+  try { appModel = loadApplicationsModel(dataSheet); }
+  catch (e) { Logger.log(`[${FUNC_NAME} FATAL ERROR] Reading "${dataSheet.getName()}": ${e.toString()}. Aborting.`); return; }
+  if (appModel.rows.length > 0) { 
+    Logger.log(`[${FUNC_NAME} INFO] Preloading existing data from "${dataSheet.getName()}" (${appModel.rows.length} rows)...`);
     try {
-      const colsToPreloadIndices = [COMPANY_COL, JOB_TITLE_COL, EMAIL_ID_COL, STATUS_COL, PEAK_STATUS_COL]; // From Config.gs
-      const minColToRead = Math.min(...colsToPreloadIndices); const maxColToRead = Math.max(...colsToPreloadIndices);
-      const numColsToRead = maxColToRead - minColToRead + 1;
-      if (numColsToRead < 1 || minColToRead < 1) throw new Error("Invalid preload column calculation.");
+      const coIdx=COMPANY_COL-1, tiIdx=JOB_TITLE_COL-1, idIdx=EMAIL_ID_COL-1, stIdx=STATUS_COL-1, pkIdx=PEAK_STATUS_COL-1, appIdIdx=APPLICATION_ID_COL-1, thIdx=THREAD_IDS_COL-1;
 
-      const preloadValues = dataSheet.getRange(2, minColToRead, lastR - 1, numColsToRead).getValues();
-      const coIdx=COMPANY_COL-minColToRead, tiIdx=JOB_TITLE_COL-minColToRead, idIdx=EMAIL_ID_COL-minColToRead, stIdx=STATUS_COL-minColToRead, pkIdx=PEAK_STATUS_COL-minColToRead;
-
-      for (let i=0; i<preloadValues.length; i++) {
-        const rN=i+2, rD=preloadValues[i];
-        const eId=rD[idIdx]?String(rD[idIdx]).trim():"", oCo=rD[coIdx]?String(rD[coIdx]).trim():"", oTi=rD[tiIdx]?String(rD[tiIdx]).trim():"", cS=rD[stIdx]?String(rD[stIdx]).trim():"", cPkS=rD[pkIdx]?String(rD[pkIdx]).trim():"";
+      for (let i=0; i<appModel.rows.length; i++) {
+        const rD=appModel.rows[i];
+        const appId=rD[appIdIdx]?String(rD[appIdIdx]).trim():"", eId=rD[idIdx]?String(rD[idIdx]).trim():"", oCo=rD[coIdx]?String(rD[coIdx]).trim():"", oTi=rD[tiIdx]?String(rD[tiIdx]).trim():"", cS=rD[stIdx]?String(rD[stIdx]).trim():"", cPkS=rD[pkIdx]?String(rD[pkIdx]).trim():"";
         if(eId) processedEmailIds.add(eId);
-        const cL=oCo.toLowerCase(); if(cL && cL!==MANUAL_REVIEW_NEEDED.toLowerCase() && cL!=='n/a'){ if(!existingDataCache[cL])existingDataCache[cL]=[]; existingDataCache[cL].push({row:rN,emailId:eId,company:oCo,title:oTi,status:cS, peakStatus:cPkS});}
+        // Keyed by normalizeCompanyName (MatchingUtils.gs) so "Acme Corp" and "ACME, Inc." share a bucket.
+        const cacheEntry={appId:appId,emailId:eId,company:oCo,title:oTi,status:cS, peakStatus:cPkS, threadIds:parseThreadIdsCell(rD[thIdx])};
+        const cL=oCo.toLowerCase()!==MANUAL_REVIEW_NEEDED.toLowerCase()?normalizeCompanyName(oCo):""; if(cL && cL!=='n/a'){ if(!existingDataCache[cL])existingDataCache[cL]=[]; existingDataCache[cL].push(cacheEntry);}
+        if(appId) cacheEntry.threadIds.forEach(tId => { threadIdIndex[tId] = cacheEntry; }); // Manual-review rows are indexed too
       }
-      Logger.log(`[${FUNC_NAME} INFO] Preload complete. Cached ${Object.keys(existingDataCache).length} companies, ${processedEmailIds.size} processed email IDs.`);
+      Logger.log(`[${FUNC_NAME} INFO] Preload complete. Cached ${Object.keys(existingDataCache).length} companies, ${Object.keys(threadIdIndex).length} threads, ${processedEmailIds.size} processed email IDs.`);
     } catch (e) { Logger.log(`[${FUNC_NAME} FATAL ERROR] Preloading data: ${e.toString()}\nStack:${e.stack}. Aborting.`); return; }
   } else { Logger.log(`[${FUNC_NAME} INFO] Applications sheet empty. No data preloaded.`); }
 
+  // --- Preload Unlinked Job Leads (new applications link back to the lead they came from) ---
+  let leadLinks = null;
+  try { leadLinks = loadLeadLinkCandidates(ss); } // From LeadPromotion.gs
+  catch (e) { Logger.log(`[${FUNC_NAME} WARN] Could not read job leads; new applications will not be linked to leads: ${e.message}`); }
+
+  // --- Resume From Checkpoint (Checkpoint.gs) ---
+  // A previous run that hit the time limit saved the threads it had not finished and the messages it had
+  // already handled in them; those threads go first and the handled messages are not parsed again.
+  const checkpoint = loadProcessingCheckpoint(CHECKPOINT_JOB_APPLICATIONS);
+  if (checkpoint) checkpoint.doneMessageIds.forEach(id => processedEmailIds.add(id));
+
   // --- Fetch and Filter Emails ---
-  const THREAD_PROCESSING_LIMIT = 20; 
   let threadsToProcess = [];
   try { 
-    threadsToProcess = procLbl.getThreads(0, THREAD_PROCESSING_LIMIT); 
+    threadsToProcess = getThreadsToResume(procLbl, TRACKER_THREAD_BATCH_SIZE, checkpoint); // From Checkpoint.gs
     Logger.log(`[${FUNC_NAME} DEBUG_EMAIL_FETCH] Fetched ${threadsToProcess.length} threads from label "${procLbl.getName()}".`);
   } catch (e) { Logger.log(`[${FUNC_NAME} ERROR] Failed gather threads: ${e.message}`); return; }
 
   const messagesToSort = []; let skippedKnownProcessedCount = 0; let messageFetchErrorCount = 0;
+  const threadProcessingOutcomes = {}; // threadId -> 'done' | 'manual'; applied as labels after the sheet flush
+  const threadsById = {};
+  const threadMessageIds = {}; // threadId -> all message IDs; used to checkpoint partially processed threads
   for (const thread of threadsToProcess) {
     const threadId = thread.getId(); try {
-      const messagesInThread = thread.getMessages();
+      threadsById[threadId] = thread;
+      const messagesInThread = thread.getMessages(); let newInThread = 0;
+      threadMessageIds[threadId] = [];
       for (const msg of messagesInThread) {
-        const msgId = msg.getId(); if (!processedEmailIds.has(msgId)) messagesToSort.push({ message: msg, date: msg.getDate(), threadId: threadId }); else skippedKnownProcessedCount++; 
+        const msgId = msg.getId(); threadMessageIds[threadId].push(msgId);
+        if (!processedEmailIds.has(msgId)) { messagesToSort.push({ message: msg, date: msg.getDate(), threadId: threadId }); newInThread++; } else skippedKnownProcessedCount++; 
       }
+      if (newInThread === 0) threadProcessingOutcomes[threadId] = 'done'; // Everything already in the sheet; just move it out of "To Process"
+      // A thread that needed manual review in an earlier run keeps that outcome when it is finished here.
+      if (checkpoint && checkpoint.threadOutcomes[threadId] === 'manual') threadProcessingOutcomes[threadId] = 'manual';
     } catch (e) { Logger.log(`[${FUNC_NAME} ERROR] Gather messages from thread ${threadId}: ${e.message}`); messageFetchErrorCount++; }
   }
+  // More threads are probably waiting behind a full batch; the continuation run picks them up.
+  // (Checked again after the loop: without any relabelled thread a continuation would just see the same batch.)
+  const batchWasFull = threadsToProcess.length >= TRACKER_THREAD_BATCH_SIZE;
   Logger.log(`[${FUNC_NAME} DEBUG_EMAIL_FETCH] Messages to sort = ${messagesToSort.length}, Skipped = ${skippedKnownProcessedCount}, Fetch errors = ${messageFetchErrorCount}.`);
 
   if (messagesToSort.length === 0) {
     Logger.log(`[${FUNC_NAME} INFO] No new unread/unprocessed messages found in label "${procLbl.getName()}".`);
+    if (Object.keys(threadProcessingOutcomes).length > 0) applyFinalLabels(threadProcessingOutcomes, procLbl, processedLblObj, manualLblObj, threadsById); // From GmailUtils.gs
+    const moreWaiting = batchWasFull && Object.keys(threadProcessingOutcomes).length > 0;
+    recordRunProgress(CHECKPOINT_JOB_APPLICATIONS, 'continueProcessJobApplicationEmails', moreWaiting ? { pendingThreadIds: [] } : null); // From Checkpoint.gs
     try { if (typeof updateDashboardMetrics === "function") updateDashboardMetrics(ss.getSheetByName(DASHBOARD_TAB_NAME), ss.getSheetByName(HELPER_SHEET_NAME), dataSheet); } catch (e_dash) { Logger.log(`[${FUNC_NAME} WARN] Dashboard update (no new msgs) failed: ${e_dash.message}`); }
     Logger.log(`==== ${FUNC_NAME} FINISHED (${new Date().toLocaleString()}) - No new messages. ====`);
     return;
@@ -485,16 +549,29 @@ function processJobApplicationEmails() {
   Logger.log(`[${FUNC_NAME} INFO] Sorted ${messagesToSort.length} new messages.`);
   
   // --- Process Each Message (FULL LOGIC REINSTATED) ---
-  let threadProcessingOutcomes = {}; 
+  // Every read/write goes through appModel; nothing touches the sheet until the flush after the loop.
   let processedThisRunCount = 0; 
   let sheetUpdateSuccessCount = 0; 
   let newEntryCount = 0; 
   let processingErrorCount = 0;
+  const statusHistoryEntries = []; // Flushed to "Status History" after the loop
+  let leftoverState = null; // Set when the time limit stops the loop; saved as the checkpoint after the flush
 
   for (let i = 0; i < messagesToSort.length; i++) {
     const elapsedTime = (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000;
-    if (elapsedTime > 320) { 
+    if (elapsedTime > TRACKER_LOOP_TIME_LIMIT_SECONDS) { // From Config.gs; leaves time for the flush and labelling
       Logger.log(`[${FUNC_NAME} WARN] Execution time limit nearing (${elapsedTime}s). Stopping message processing loop.`); 
+      // Threads with unprocessed messages keep their "To Process" label; the continuation run resumes them
+      // first, skipping the messages already handled here and keeping any 'manual' outcome they earned.
+      const remaining = messagesToSort.slice(i);
+      const pendingThreadIds = [...new Set(remaining.map(m => m.threadId))];
+      const remainingIds = new Set(remaining.map(m => m.message.getId()));
+      leftoverState = { pendingThreadIds: pendingThreadIds, threadOutcomes: {}, doneMessageIds: [] };
+      pendingThreadIds.forEach(tId => {
+        if (threadProcessingOutcomes[tId] === 'manual') leftoverState.threadOutcomes[tId] = 'manual';
+        delete threadProcessingOutcomes[tId];
+        (threadMessageIds[tId] || []).forEach(id => { if (!remainingIds.has(id)) leftoverState.doneMessageIds.push(id); });
+      });
       break; 
     }
 
@@ -506,6 +583,10 @@ function processJobApplicationEmails() {
     if(DEBUG_MODE) Logger.log(`\n--- [${FUNC_NAME}] Processing Msg ${i+1}/${messagesToSort.length} (ID: ${msgId}, Thread: ${threadId}) ---`);
 
     let companyName = MANUAL_REVIEW_NEEDED, jobTitle = MANUAL_REVIEW_NEEDED, applicationStatus = null; 
+    let extractedDetails = null; // Location, compensation, recruiter etc.; only the LLM path provides them
+    let promptVersion = ""; // Set when an LLM result is used (PromptRegistry.gs)
+    let fieldSources = { company: null, title: null, status: null }; // FIELD_SOURCE_* (Config.gs) behind each parsed value
+    let statusOrigin = STATUS_ORIGIN_REGEX; // From Config.gs; switched to Gemini when its result is used
     let plainBodyText = null, requiresManualReview = false, sheetWriteOpSuccessThisMessage = false;
 
     try {
@@ -515,15 +596,7 @@ function processJobApplicationEmails() {
       const currentTimestamp = new Date();
       let detectedPlatform = DEFAULT_PLATFORM; 
       try {
-        const emailAddressMatch = senderEmail.match(/<([^>]+)>/);
-        if (emailAddressMatch && emailAddressMatch[1]) {
-          const senderDomain = emailAddressMatch[1].split('@')[1]?.toLowerCase();
-          if (senderDomain) {
-            for (const keyword in PLATFORM_DOMAIN_KEYWORDS) {
-              if (senderDomain.includes(keyword)) { detectedPlatform = PLATFORM_DOMAIN_KEYWORDS[keyword]; break; }
-            }
-          }
-        }
+        detectedPlatform = detectPlatformFromSender(senderEmail); // From ParsingUtils.gs
         if(DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Detected Platform: "${detectedPlatform}"`);
       } catch (ePlat) { Logger.log(`[${FUNC_NAME} WARN] Platform detection error: ${ePlat.message}`); }
       
@@ -531,98 +604,172 @@ function processJobApplicationEmails() {
       catch (eBody) { Logger.log(`[${FUNC_NAME} WARN] Get Plain Body Failed for Msg ${msgId}: ${eBody.message}`); plainBodyText = ""; }
 
       if (useGemini && plainBodyText && plainBodyText.trim() !== "") {
-        const geminiResult = callGemini_forApplicationDetails(emailSubject, plainBodyText, geminiApiKey); 
+        const geminiResult = callGemini_forApplicationDetails(emailSubject, plainBodyText, geminiApiKey, senderEmail); 
         if (geminiResult) { 
+            statusOrigin = STATUS_ORIGIN_GEMINI;
             companyName = geminiResult.company || MANUAL_REVIEW_NEEDED; 
             jobTitle = geminiResult.title || MANUAL_REVIEW_NEEDED; 
             applicationStatus = geminiResult.status;
+            extractedDetails = geminiResult.details || null;
+            promptVersion = geminiResult.promptVersion || "";
+            fieldSources = { company: FIELD_SOURCE_LLM, title: FIELD_SOURCE_LLM, status: FIELD_SOURCE_LLM };
             Logger.log(`[${FUNC_NAME} INFO] Gemini: C:"${companyName}", T:"${jobTitle}", S:"${applicationStatus}"`);
-            if (!applicationStatus || applicationStatus === MANUAL_REVIEW_NEEDED || applicationStatus === "Update/Other") {
+            if (!applicationStatus || applicationStatus === MANUAL_REVIEW_NEEDED || applicationStatus === UPDATE_OTHER_STATUS) {
                 const keywordStatus = parseBodyForStatus(plainBodyText); 
-                if (keywordStatus && keywordStatus !== DEFAULT_STATUS) applicationStatus = keywordStatus;
-                else if (!applicationStatus && keywordStatus === DEFAULT_STATUS) applicationStatus = DEFAULT_STATUS;
+                if (keywordStatus && keywordStatus !== DEFAULT_STATUS) { applicationStatus = keywordStatus; fieldSources.status = FIELD_SOURCE_STATUS_KEYWORDS; }
+                else if (!applicationStatus && keywordStatus === DEFAULT_STATUS) { applicationStatus = DEFAULT_STATUS; fieldSources.status = FIELD_SOURCE_STATUS_KEYWORDS; }
             }
         } else { 
             Logger.log(`[${FUNC_NAME} WARN] Gemini call failed for Msg ${msgId}. Fallback regex.`);
-            const regexResult = extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBodyText); 
+            if (isLlmBudgetExhausted()) { // From LlmUsage.gs
+              useGemini = false;
+              Logger.log(`[${FUNC_NAME} INFO] LLM usage limit reached. Using regex parsing for the rest of this run.`);
+            }
+            const regexResult = applyCorrectionRules(extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBodyText), senderEmail, emailSubject); // From Corrections.gs
             companyName = regexResult.company; jobTitle = regexResult.title;
             applicationStatus = parseBodyForStatus(plainBodyText);
+            fieldSources = { company: regexResult.sources.company, title: regexResult.sources.title, status: FIELD_SOURCE_STATUS_KEYWORDS };
         }
       } else { 
-          const regexResult = extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBodyText);
+          const regexResult = applyCorrectionRules(extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBodyText), senderEmail, emailSubject); // From Corrections.gs
           companyName = regexResult.company; jobTitle = regexResult.title;
           applicationStatus = parseBodyForStatus(plainBodyText);
+          fieldSources = { company: regexResult.sources.company, title: regexResult.sources.title, status: FIELD_SOURCE_STATUS_KEYWORDS };
           if(DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Regex Parse: C:"${companyName}", T:"${jobTitle}", S:"${applicationStatus}"`);
       }
       
       requiresManualReview = (companyName === MANUAL_REVIEW_NEEDED || jobTitle === MANUAL_REVIEW_NEEDED);
       const finalStatusToSet = applicationStatus || DEFAULT_STATUS;
-      const companyCacheKey = (companyName !== MANUAL_REVIEW_NEEDED) ? companyName.toLowerCase() : `_manual_review_placeholder_${msgId}`;
-      let existingRowInfoToUpdate = null; let targetSheetRowForUpdate = -1;
-
-      if (companyName !== MANUAL_REVIEW_NEEDED && existingDataCache[companyCacheKey]) {
-          const potentialMatches = existingDataCache[companyCacheKey];
-          if (jobTitle !== MANUAL_REVIEW_NEEDED) existingRowInfoToUpdate = potentialMatches.find(e => e.title && e.title.toLowerCase() === jobTitle.toLowerCase());
-          if (!existingRowInfoToUpdate && potentialMatches.length > 0) existingRowInfoToUpdate = potentialMatches.reduce((latest, current) => (current.row > latest.row ? current : latest), potentialMatches[0]);
-          if (existingRowInfoToUpdate) targetSheetRowForUpdate = existingRowInfoToUpdate.row;
+      const fieldProvenance = { // From ParsingUtils.gs; recorded in the hidden Field Sources column
+        company: buildFieldProvenance('company', companyName, fieldSources.company),
+        title: buildFieldProvenance('title', jobTitle, fieldSources.title),
+        status: buildFieldProvenance('status', finalStatusToSet, applicationStatus ? fieldSources.status : FIELD_SOURCE_DEFAULT)
+      };
+      const companyCacheKey = (companyName !== MANUAL_REVIEW_NEEDED && normalizeCompanyName(companyName)) ? normalizeCompanyName(companyName) : `_manual_review_placeholder_${msgId}`;
+      let existingRowInfoToUpdate = null; let currentRowValues = null; let ambiguousMatchNote = ""; let matchedByThread = false;
+
+      // A reply in a thread we already track belongs to that application, even if parsing found nothing.
+      const threadMatch = threadIdIndex[threadId];
+      if (threadMatch) {
+          currentRowValues = getModelRowById(appModel, threadMatch.appId); // From ApplicationsModel.gs
+          if (currentRowValues) {
+            existingRowInfoToUpdate = threadMatch; matchedByThread = true;
+            if(DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Thread ${threadId} matched Application ID "${threadMatch.appId}".`);
+          } else { delete threadIdIndex[threadId]; }
+      }
+
+      const matchResult = matchedByThread ? { entry: null, ambiguous: false, candidates: [] } : findMatchingApplication(existingDataCache, companyName, jobTitle); // From MatchingUtils.gs
+      if (matchResult.ambiguous) {
+          // Several rows look equally plausible: add a new row for the user to reconcile rather than merging into the wrong one.
+          requiresManualReview = true;
+          ambiguousMatchNote = `Possible duplicate of: ${matchResult.candidates.map(c => `${c.company} / ${c.title} (ID ${c.appId})`).join("; ")}`;
+          Logger.log(`[${FUNC_NAME} WARN] Ambiguous match for C:"${companyName}", T:"${jobTitle}". ${ambiguousMatchNote}`);
+      } else if (matchResult.entry) {
+          existingRowInfoToUpdate = matchResult.entry;
+          currentRowValues = getModelRowById(appModel, existingRowInfoToUpdate.appId);
+          if (!currentRowValues) {
+            Logger.log(`[${FUNC_NAME} WARN] Application ID "${existingRowInfoToUpdate.appId}" not in sheet model. Inserting as new.`);
+            Object.keys(existingDataCache).forEach(k => { existingDataCache[k] = existingDataCache[k].filter(e => e !== matchResult.entry); });
+            existingRowInfoToUpdate = null;
+          }
       }
 
       let rowDataForSheet = new Array(TOTAL_COLUMNS_IN_APP_SHEET).fill(""); // From Config.gs
 
-      if (targetSheetRowForUpdate !== -1 && existingRowInfoToUpdate) { 
-        const currentSheetValues = dataSheet.getRange(targetSheetRowForUpdate, 1, 1, TOTAL_COLUMNS_IN_APP_SHEET).getValues()[0];
-        rowDataForSheet = [...currentSheetValues]; 
+      if (currentRowValues && existingRowInfoToUpdate) { 
+        rowDataForSheet = currentRowValues; // Already a copy
         rowDataForSheet[PROCESSED_TIMESTAMP_COL-1] = currentTimestamp;
         const esDate = rowDataForSheet[EMAIL_DATE_COL-1]; if(!(esDate instanceof Date)||emailDate.getTime()>new Date(esDate).getTime())rowDataForSheet[EMAIL_DATE_COL-1]=emailDate;
         const elDate = rowDataForSheet[LAST_UPDATE_DATE_COL-1]; if(!(elDate instanceof Date)||emailDate.getTime()>new Date(elDate).getTime())rowDataForSheet[LAST_UPDATE_DATE_COL-1]=emailDate;
         rowDataForSheet[EMAIL_SUBJECT_COL-1]=emailSubject; rowDataForSheet[EMAIL_LINK_COL-1]=emailPermaLink; rowDataForSheet[EMAIL_ID_COL-1]=msgId; rowDataForSheet[PLATFORM_COL-1]=detectedPlatform;
-        if(companyName!==MANUAL_REVIEW_NEEDED && (rowDataForSheet[COMPANY_COL-1]===MANUAL_REVIEW_NEEDED||companyName.toLowerCase()!==String(rowDataForSheet[COMPANY_COL-1]).toLowerCase()))rowDataForSheet[COMPANY_COL-1]=companyName;
-        if(jobTitle!==MANUAL_REVIEW_NEEDED && (rowDataForSheet[JOB_TITLE_COL-1]===MANUAL_REVIEW_NEEDED||jobTitle.toLowerCase()!==String(rowDataForSheet[JOB_TITLE_COL-1]).toLowerCase()))rowDataForSheet[JOB_TITLE_COL-1]=jobTitle;
-        const statInSheet=String(rowDataForSheet[STATUS_COL-1]).trim()||DEFAULT_STATUS;
+        // Thread matches only fill in missing values: replies often quote the ATS name instead of the company.
+        if(companyName!==MANUAL_REVIEW_NEEDED && (rowDataForSheet[COMPANY_COL-1]===MANUAL_REVIEW_NEEDED||(!matchedByThread&&companyName.toLowerCase()!==String(rowDataForSheet[COMPANY_COL-1]).toLowerCase())))rowDataForSheet[COMPANY_COL-1]=companyName;
+        if(jobTitle!==MANUAL_REVIEW_NEEDED && (rowDataForSheet[JOB_TITLE_COL-1]===MANUAL_REVIEW_NEEDED||(!matchedByThread&&jobTitle.toLowerCase()!==String(rowDataForSheet[JOB_TITLE_COL-1]).toLowerCase())))rowDataForSheet[JOB_TITLE_COL-1]=jobTitle;
+        const origStatusInSheet=String(rowDataForSheet[STATUS_COL-1]).trim();
+        const statInSheet=origStatusInSheet||DEFAULT_STATUS;
         if(statInSheet!==ACCEPTED_STATUS||finalStatusToSet===ACCEPTED_STATUS){const curRank=STATUS_HIERARCHY[statInSheet]??0; const newRank=STATUS_HIERARCHY[finalStatusToSet]??0; if(newRank>=curRank||finalStatusToSet===REJECTED_STATUS||finalStatusToSet===OFFER_STATUS)rowDataForSheet[STATUS_COL-1]=finalStatusToSet;}
-        const statAfterUpd=String(rowDataForSheet[STATUS_COL-1]); let peakStat=existingRowInfoToUpdate.peakStatus||String(rowDataForSheet[PEAK_STATUS_COL-1]).trim(); if(!peakStat||peakStat===MANUAL_REVIEW_NEEDED||peakStat==="")peakStat=DEFAULT_STATUS;
-        const curPeakRank=STATUS_HIERARCHY[peakStat]??-2; const newStatRankPeak=STATUS_HIERARCHY[statAfterUpd]??-2; const exclPeak=new Set([REJECTED_STATUS,ACCEPTED_STATUS,MANUAL_REVIEW_NEEDED,"Update/Other"]);
-        let updPeakVal=peakStat; if(newStatRankPeak>curPeakRank&&!exclPeak.has(statAfterUpd))updPeakVal=statAfterUpd; else if(peakStat===DEFAULT_STATUS&&!exclPeak.has(statAfterUpd)&&STATUS_HIERARCHY[statAfterUpd]>STATUS_HIERARCHY[DEFAULT_STATUS])updPeakVal=statAfterUpd;
+        const statAfterUpd=String(rowDataForSheet[STATUS_COL-1]);
+        const updPeakVal=calculatePeakStatus(existingRowInfoToUpdate.peakStatus||rowDataForSheet[PEAK_STATUS_COL-1], statAfterUpd);
         rowDataForSheet[PEAK_STATUS_COL-1]=updPeakVal;
-        // NOTES_COL (index 11 for col 12) remains as is from currentSheetValues if not explicitly changed.
-        dataSheet.getRange(targetSheetRowForUpdate, 1, 1, TOTAL_COLUMNS_IN_APP_SHEET).setValues([rowDataForSheet]);
-        Logger.log(`[${FUNC_NAME} INFO] SHEET WRITE: Updated Row ${targetSheetRowForUpdate}. Status:"${statAfterUpd}", Peak:"${updPeakVal}"`);
-        sheetUpdateSuccessCount++; sheetWriteOpSuccessThisMessage = true;
-        const cKey= (rowDataForSheet[COMPANY_COL-1]!==MANUAL_REVIEW_NEEDED)?String(rowDataForSheet[COMPANY_COL-1]).toLowerCase():companyCacheKey;
-        if(existingDataCache[cKey])existingDataCache[cKey]=existingDataCache[cKey].map(e=>e.row===targetSheetRowForUpdate?{...e,status:statAfterUpd,peakStatus:updPeakVal,emailId:msgId,title:rowDataForSheet[JOB_TITLE_COL-1]}:e);
+        rowDataForSheet[THREAD_IDS_COL-1]=mergeThreadIdsCell(rowDataForSheet[THREAD_IDS_COL-1], threadId); // From SheetUtils.gs
+        if (matchedByThread) requiresManualReview = (rowDataForSheet[COMPANY_COL-1]===MANUAL_REVIEW_NEEDED || rowDataForSheet[JOB_TITLE_COL-1]===MANUAL_REVIEW_NEEDED);
+        const updAppId=String(rowDataForSheet[APPLICATION_ID_COL-1]);
+        statusHistoryEntries.push(buildStatusHistoryEntry({ applicationId: updAppId, company: rowDataForSheet[COMPANY_COL-1], title: rowDataForSheet[JOB_TITLE_COL-1], oldStatus: origStatusInSheet, newStatus: statAfterUpd, sourceEmailId: msgId, origin: statusOrigin, effectiveDate: emailDate })); // From StatusHistory.gs
+        // NOTES_COL (index 11 for col 12) remains as is from currentRowValues if not explicitly changed.
+        const changedDetails = mergeExtractedDetailsIntoRow(rowDataForSheet, extractedDetails, msgId, FIELD_SOURCE_LLM); // From ApplicationsModel.gs; keeps user-entered values
+        recordFieldProvenance(rowDataForSheet, fieldProvenance, msgId); // From ApplicationsModel.gs
+        if (promptVersion) rowDataForSheet[PROMPT_VERSION_COL-1] = promptVersion; // A regex-only update keeps the last LLM version
+        if (changedDetails.length > 0 && DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Updated details for ID ${updAppId}: ${changedDetails.join(", ")}`);
+        sheetWriteOpSuccessThisMessage = setModelRow(appModel, rowDataForSheet); // From ApplicationsModel.gs
+        Logger.log(`[${FUNC_NAME} INFO] MODEL UPDATE: ID ${updAppId}. Status:"${statAfterUpd}", Peak:"${updPeakVal}"`);
+        if (sheetWriteOpSuccessThisMessage) sheetUpdateSuccessCount++;
+        Object.assign(existingRowInfoToUpdate,{status:statAfterUpd,peakStatus:updPeakVal,emailId:msgId,title:rowDataForSheet[JOB_TITLE_COL-1],threadIds:parseThreadIdsCell(rowDataForSheet[THREAD_IDS_COL-1])});
+        threadIdIndex[threadId]=existingRowInfoToUpdate;
       } else { 
         rowDataForSheet[PROCESSED_TIMESTAMP_COL-1]=currentTimestamp; rowDataForSheet[EMAIL_DATE_COL-1]=emailDate; rowDataForSheet[PLATFORM_COL-1]=detectedPlatform; rowDataForSheet[COMPANY_COL-1]=companyName; rowDataForSheet[JOB_TITLE_COL-1]=jobTitle; rowDataForSheet[STATUS_COL-1]=finalStatusToSet; rowDataForSheet[LAST_UPDATE_DATE_COL-1]=emailDate; rowDataForSheet[EMAIL_SUBJECT_COL-1]=emailSubject; rowDataForSheet[EMAIL_LINK_COL-1]=emailPermaLink; rowDataForSheet[EMAIL_ID_COL-1]=msgId;
-        // NOTES_COL (index 11 for col 12) will be "" by default.
-        const exclPeakInit=new Set([REJECTED_STATUS,ACCEPTED_STATUS,MANUAL_REVIEW_NEEDED,"Update/Other"]);
+        const newAppId=generateApplicationId(); rowDataForSheet[APPLICATION_ID_COL-1]=newAppId; rowDataForSheet[THREAD_IDS_COL-1]=threadId; // From SheetUtils.gs
+        rowDataForSheet[NOTES_COL-1]=ambiguousMatchNote; // "" unless the fuzzy match was ambiguous
+        mergeExtractedDetailsIntoRow(rowDataForSheet, extractedDetails, msgId, FIELD_SOURCE_LLM); // From ApplicationsModel.gs
+        recordFieldProvenance(rowDataForSheet, fieldProvenance, msgId);
+        rowDataForSheet[PROMPT_VERSION_COL-1] = promptVersion;
+        const sourceLead = claimLeadForApplication(leadLinks, companyName, jobTitle, newAppId); // From LeadPromotion.gs
+        if (sourceLead) { rowDataForSheet[SOURCE_LEAD_ID_COL-1] = sourceLead.leadId; rowDataForSheet[JOB_URL_COL-1] = sourceLead.jobUrl; }
+        const exclPeakInit=new Set([REJECTED_STATUS,ACCEPTED_STATUS,MANUAL_REVIEW_NEEDED,UPDATE_OTHER_STATUS]);
         if(!exclPeakInit.has(finalStatusToSet))rowDataForSheet[PEAK_STATUS_COL-1]=finalStatusToSet; else rowDataForSheet[PEAK_STATUS_COL-1]=DEFAULT_STATUS;
-        dataSheet.appendRow(rowDataForSheet);
-        const newSRN=dataSheet.getLastRow();
-        Logger.log(`[${FUNC_NAME} INFO] SHEET WRITE: Appended Row ${newSRN}. Status:"${finalStatusToSet}", Peak:"${rowDataForSheet[PEAK_STATUS_COL - 1]}"`);
+        appendModelRow(appModel, rowDataForSheet); // From ApplicationsModel.gs
+        statusHistoryEntries.push(buildStatusHistoryEntry({ applicationId: newAppId, company: companyName, title: jobTitle, oldStatus: "", newStatus: finalStatusToSet, sourceEmailId: msgId, origin: statusOrigin, effectiveDate: emailDate }));
+        Logger.log(`[${FUNC_NAME} INFO] MODEL INSERT: ID ${newAppId}. Status:"${finalStatusToSet}", Peak:"${rowDataForSheet[PEAK_STATUS_COL - 1]}"`);
         newEntryCount++; sheetWriteOpSuccessThisMessage = true;
-        const nKey=(rowDataForSheet[COMPANY_COL-1]!==MANUAL_REVIEW_NEEDED)?String(rowDataForSheet[COMPANY_COL-1]).toLowerCase():companyCacheKey;
-        if(!existingDataCache[nKey])existingDataCache[nKey]=[]; existingDataCache[nKey].push({row:newSRN,emailId:msgId,company:rowDataForSheet[COMPANY_COL-1],title:rowDataForSheet[JOB_TITLE_COL-1],status:rowDataForSheet[STATUS_COL-1],peakStatus:rowDataForSheet[PEAK_STATUS_COL-1]});
+        const nKey=companyCacheKey;
+        if(!existingDataCache[nKey])existingDataCache[nKey]=[]; const newCacheEntry={appId:newAppId,emailId:msgId,company:rowDataForSheet[COMPANY_COL-1],title:rowDataForSheet[JOB_TITLE_COL-1],status:rowDataForSheet[STATUS_COL-1],peakStatus:rowDataForSheet[PEAK_STATUS_COL-1],threadIds:[threadId]};
+        existingDataCache[nKey].push(newCacheEntry); threadIdIndex[threadId]=newCacheEntry;
+      }
+
+      // A value was found but is a guess (e.g. company from the sender domain): still route it to review.
+      const lowConfidenceFields = getLowConfidenceFields(rowDataForSheet); // From ApplicationsModel.gs
+      if (lowConfidenceFields.length > 0) {
+        requiresManualReview = true;
+        Logger.log(`[${FUNC_NAME} INFO] Low-confidence field(s) for Msg ${msgId}: ${lowConfidenceFields.join(", ")}. Thread ${threadId} routed to manual review.`);
       }
 
       if (sheetWriteOpSuccessThisMessage) {
         processedThisRunCount++; processedEmailIds.add(msgId);
-        let msgOutcome=(requiresManualReview||companyName===MANUAL_REVIEW_NEEDED||jobTitle===MANUAL_REVIEW_NEEDED)?'manual':'done';
+        let msgOutcome=requiresManualReview?'manual':'done'; // Already covers unparsed company/title unless the thread resolved them
         if(threadProcessingOutcomes[threadId]!=='manual')threadProcessingOutcomes[threadId]=msgOutcome;
         if(msgOutcome==='manual')threadProcessingOutcomes[threadId]='manual';
-      } else { processingErrorCount++; threadProcessingOutcomes[threadId]='manual'; Logger.log(`[${FUNC_NAME} ERROR] Sheet Write Fail Msg ${msgId}. Thread ${threadId} marked manual.`);}
+      } else { processingErrorCount++; threadProcessingOutcomes[threadId]='manual'; Logger.log(`[${FUNC_NAME} ERROR] Model update failed for Msg ${msgId}. Thread ${threadId} marked manual.`);}
     } catch (eMsgProc) {
       Logger.log(`[${FUNC_NAME} FATAL ERROR] Proc Msg ${msgId}(Thr ${threadId}): ${eMsgProc.message}\nStack:${eMsgProc.stack}`);
       threadProcessingOutcomes[threadId]='manual'; processingErrorCount++;
     }
     if(DEBUG_MODE){ const msgProcTime=(new Date().getTime()-processingStartTimeMsg.getTime())/1000; Logger.log(`--- [${FUNC_NAME}] End Msg ${i+1}/${messagesToSort.length} --- Time:${msgProcTime}s ---`);} 
-    Utilities.sleep(200 + Math.floor(Math.random() * 100)); 
   }
 
-  // --- Apply Final Labels ---
+  // --- Flush Model to Sheet (single batched write of changed rows) ---
   Logger.log(`\n[${FUNC_NAME} INFO] Loop done. Processed:${processedThisRunCount}, Updates:${sheetUpdateSuccessCount}, New:${newEntryCount}, Errors:${processingErrorCount}.`);
+  const flushResult = flushApplicationsModel(dataSheet, appModel); // From ApplicationsModel.gs
+  if (!flushResult.success) {
+    // Nothing is relabelled, so every thread stays in "To Process" and is retried next run.
+    Logger.log(`[${FUNC_NAME} ERROR] Sheet flush failed. Skipping status history and labels for this run.`);
+    return;
+  }
+
+  // --- Record Status History ---
+  appendStatusHistoryEntries(ss, statusHistoryEntries); // From StatusHistory.gs
+
+  // --- Link New Applications Back to Their Leads ---
+  try { writeClaimedLeadLinks(leadLinks); } // From LeadPromotion.gs
+  catch (e) { Logger.log(`[${FUNC_NAME} WARN] Could not update linked leads: ${e.message}`); }
+
+  // --- Apply Final Labels ---
   if(Object.keys(threadProcessingOutcomes).length > 0) {
       if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Final Thread Outcomes: ${JSON.stringify(threadProcessingOutcomes)}`);
-      applyFinalLabels(threadProcessingOutcomes, procLbl, processedLblObj, manualLblObj);
+      applyFinalLabels(threadProcessingOutcomes, procLbl, processedLblObj, manualLblObj, threadsById);
   } else { Logger.log(`[${FUNC_NAME} INFO] No threads to re-label.`); }
+
+  // --- Checkpoint / Continuation ---
+  if (!leftoverState && batchWasFull && Object.keys(threadProcessingOutcomes).length > 0) leftoverState = { pendingThreadIds: [] };
+  recordRunProgress(CHECKPOINT_JOB_APPLICATIONS, 'continueProcessJobApplicationEmails', leftoverState); // From Checkpoint.gs
   
   // --- Update Dashboard ---
   try {
@@ -635,6 +782,62 @@ function processJobApplicationEmails() {
 }
 
 
+// --- Status Helpers ---
+/**
+ * Re-ranks Peak Status against STATUS_HIERARCHY after a status change.
+ * Terminal/neutral statuses (Rejected, Accepted, Manual Review, Update/Other) never become the peak.
+ * @param {string} currentPeakStatus The existing Peak Status value (may be blank).
+ * @param {string} newStatus The status the application now has.
+ * @return {string} The Peak Status to store.
+ */
+function calculatePeakStatus(currentPeakStatus, newStatus) {
+  let peakStat = currentPeakStatus ? String(currentPeakStatus).trim() : "";
+  if (!peakStat || peakStat === MANUAL_REVIEW_NEEDED) peakStat = DEFAULT_STATUS;
+  const statusAfterUpdate = newStatus ? String(newStatus).trim() : "";
+  const exclPeak = new Set([REJECTED_STATUS, ACCEPTED_STATUS, MANUAL_REVIEW_NEEDED, UPDATE_OTHER_STATUS]);
+  const curPeakRank = STATUS_HIERARCHY[peakStat] ?? -2;
+  const newStatRankPeak = STATUS_HIERARCHY[statusAfterUpdate] ?? -2;
+  if (newStatRankPeak > curPeakRank && !exclPeak.has(statusAfterUpdate)) return statusAfterUpdate;
+  return peakStat;
+}
+
+// --- Stale Application Helpers (shared with DailyReport.gs) ---
+/**
+ * Returns the cutoff date before which a non-final application is considered stale.
+ * @param {Date} [referenceDate] Optional. The date to measure from. Defaults to now.
+ * @return {Date} The stale cutoff date (WEEKS_THRESHOLD weeks before referenceDate).
+ */
+function getStaleThresholdDate(referenceDate) {
+  const thresholdDate = referenceDate ? new Date(referenceDate.getTime()) : new Date();
+  thresholdDate.setDate(thresholdDate.getDate() - (WEEKS_THRESHOLD * 7)); // From Config.gs
+  return thresholdDate;
+}
+
+/**
+ * Checks whether an application in the given status can be auto-rejected by markStaleApplicationsAsRejected.
+ * @param {string} status The current status value from the "Applications" sheet.
+ * @return {boolean} True if the status is not final and not awaiting manual review.
+ */
+function isStatusEligibleForStaleCheck(status) {
+  const currentStatus = status ? String(status).trim() : "";
+  if (!currentStatus || currentStatus === MANUAL_REVIEW_NEEDED) return false;
+  return !FINAL_STATUSES_FOR_STALE_CHECK.has(currentStatus); // From Config.gs
+}
+
+/**
+ * Converts a sheet cell value (Date or date-like string) into a valid Date.
+ * @param {*} cellValue The raw value read from the sheet.
+ * @return {Date|null} The parsed Date, or null if the value is empty or not a valid date.
+ */
+function parseSheetDateValue(cellValue) {
+  if (cellValue instanceof Date && !isNaN(cellValue)) return cellValue;
+  if (cellValue && typeof cellValue === 'string' && cellValue.trim() !== "") {
+    const parsed = new Date(cellValue);
+    if (!isNaN(parsed)) return parsed;
+  }
+  return null;
+}
+
 // --- Auto-Reject Stale Applications Function ---
 function markStaleApplicationsAsRejected() {
   const FUNC_NAME = "markStaleApplicationsAsRejected";
@@ -666,34 +869,31 @@ function markStaleApplicationsAsRejected() {
     return;
   }
 
+  ensureApplicationIds(dataSheet); // From SheetUtils.gs; history rows are keyed by Application ID
   const dataRange = dataSheet.getRange(headerRow + 1, 1, dataSheet.getLastRow() - headerRow, dataSheet.getLastColumn());
   const sheetValues = dataRange.getValues(); // This is a 2D array
 
   const currentDate = new Date();
-  const staleThresholdDate = new Date();
-  staleThresholdDate.setDate(currentDate.getDate() - (WEEKS_THRESHOLD * 7)); // From Config.gs
+  const staleThresholdDate = getStaleThresholdDate(currentDate);
   Logger.log(`[${FUNC_NAME} INFO] Stale if Last Update < ${staleThresholdDate.toLocaleDateString()} (Threshold: ${WEEKS_THRESHOLD} weeks)`);
 
   let updatedApplicationsCount = 0;
   let changesMadeToSheetValues = false;
+  const statusHistoryEntries = [];
 
   for (let i = 0; i < sheetValues.length; i++) {
     const currentRowArray = sheetValues[i];
     const actualSheetRowNumber = i + headerRow + 1;
     const currentStatus = currentRowArray[STATUS_COL - 1] ? String(currentRowArray[STATUS_COL - 1]).trim() : "";
-    const lastUpdateDateValue = currentRowArray[LAST_UPDATE_DATE_COL - 1];
-    let lastUpdateDate;
-
-    if (lastUpdateDateValue instanceof Date && !isNaN(lastUpdateDateValue)) { lastUpdateDate = lastUpdateDateValue; }
-    else if (lastUpdateDateValue && typeof lastUpdateDateValue === 'string' && lastUpdateDateValue.trim() !== "") {
-      const parsed = new Date(lastUpdateDateValue); if (!isNaN(parsed)) lastUpdateDate = parsed; else continue;
-    } else { continue; }
+    const lastUpdateDate = parseSheetDateValue(currentRowArray[LAST_UPDATE_DATE_COL - 1]);
+    if (!lastUpdateDate) continue;
 
-    if (FINAL_STATUSES_FOR_STALE_CHECK.has(currentStatus) || !currentStatus || currentStatus === MANUAL_REVIEW_NEEDED) continue;
+    if (!isStatusEligibleForStaleCheck(currentStatus)) continue;
     if (lastUpdateDate.getTime() >= staleThresholdDate.getTime()) continue;
     
     Logger.log(`[${FUNC_NAME} INFO Row ${actualSheetRowNumber}] MARKING STALE: "${currentStatus}" -> "${REJECTED_STATUS}"`);
     sheetValues[i][STATUS_COL - 1] = REJECTED_STATUS;
+    statusHistoryEntries.push(buildStatusHistoryEntry({ applicationId: String(currentRowArray[APPLICATION_ID_COL - 1] || ""), company: currentRowArray[COMPANY_COL - 1], title: currentRowArray[JOB_TITLE_COL - 1], oldStatus: currentStatus, newStatus: REJECTED_STATUS, origin: STATUS_ORIGIN_STALE_JOB, effectiveDate: currentDate })); // From StatusHistory.gs
     sheetValues[i][LAST_UPDATE_DATE_COL - 1] = currentDate;
     sheetValues[i][PROCESSED_TIMESTAMP_COL - 1] = currentDate;
     updatedApplicationsCount++;
@@ -705,6 +905,7 @@ function markStaleApplicationsAsRejected() {
     try {
       dataRange.setValues(sheetValues);
       Logger.log(`[${FUNC_NAME} INFO] Updated ${updatedApplicationsCount} stale applications.`);
+      appendStatusHistoryEntries(ss, statusHistoryEntries);
     } catch (e) { Logger.log(`[${FUNC_NAME} ERROR] Sheet write failed: ${e.toString()}`); }
   } else { Logger.log(`[${FUNC_NAME} INFO] No stale applications found needing update.`); }
   
@@ -795,12 +996,18 @@ function onOpen(e) {
   menu.addSubMenu(ui.createMenu('Manual Processing')
       .addItem('📧 Process Application Emails', 'processJobApplicationEmails')
       .addItem('📬 Process Job Leads', 'processJobLeads')
-      .addItem('🗑️ Mark Stale Applications', 'markStaleApplicationsAsRejected'));
+      .addItem('🔎 Fetch Job Posting Details', 'enrichJobLeads')
+      .addItem('✅ Mark Selected Lead(s) as Applied', 'markSelectedLeadsAsApplied')
+      .addItem('🎯 Re-score Leads Against Target Profile', 'rescoreJobLeads_UI')
+      .addItem('💲 Parse Salaries into Structured Columns', 'refreshSalaryColumns_UI')
+      .addItem('🗑️ Mark Stale Applications', 'markStaleApplicationsAsRejected')
+      .addItem('📥 Import Past Emails...', 'showHistoricalImportSidebar'));
   menu.addSeparator();
   menu.addSubMenu(ui.createMenu('Admin & Config')
       .addItem('🔑 Set Gemini API Key', 'setSharedGeminiApiKey_UI')
       .addItem('🔄 Activate AI Features & Sync Key', 'activateAiFeatures') // New menu item
       .addItem('🔍 Show All User Properties', 'showAllUserProperties')
+      .addItem('🧹 Clear LLM Parse Cache', 'clearParseCache_UI')
       .addItem('🔩 TEMPORARY: Set Hardcoded API Key', 'TEMPORARY_manualSetSharedGeminiApiKey'));
   menu.addToUi();
 }
@@ -868,29 +1075,8 @@ function userDrivenFullSetup() {
   }
 }
 
-// --- Placeholder functions for new triggers ---
-/**
- * Placeholder for daily report functionality.
- * Triggered by a time-based trigger created programmatically.
- */
-function dailyReport() {
-  // This function will be triggered daily in the user's account
-  Logger.log('Executing dailyReport in user account: ' + new Date());
-  // ... logic for daily report ...
-  // Example: SpreadsheetApp.getUi().alert('Daily Report', 'Daily report executed!', SpreadsheetApp.getUi().ButtonSet.OK);
-}
-
-/**
- * Placeholder for handling cell edits.
- * Triggered by an installable onEdit trigger created programmatically.
- * @param {Object} e The event object.
- */
-function handleCellEdit(e) {
-  // This function will be triggered on edits in the user's sheet
-  Logger.log('Cell edited in user account: ' + (e && e.range ? e.range.getA1Notation() : 'N/A'));
-  // ... logic for handling edits ...
-  // Example: if (e && e.value === "TEST_EDIT") { e.range.getSheet().getRange("A1").setValue("Edit Detected!"); }
-}
+// --- Trigger handlers ---
+// dailyReport() lives in DailyReport.gs; handleCellEdit() lives in EditHandler.gs.
 
 function activateAiFeatures() {
   const FUNC_NAME = "activateAiFeatures";
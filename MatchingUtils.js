@@ -0,0 +1,207 @@
+// File: MatchingUtils.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Normalization and similarity helpers used to merge application update emails into
+// existing rows, so "Acme Corp", "Acme Corporation" and "ACME, Inc." resolve to the same company.
+
+// --- Normalization ---
+/**
+ * Normalizes a company name for comparison: lowercases, drops punctuation and a leading "The",
+ * and strips trailing legal suffixes listed in COMPANY_LEGAL_SUFFIXES (Config.gs).
+ * @param {string} name The company name as parsed or stored in the sheet.
+ * @return {string} The normalized name ("" if nothing meaningful is left).
+ */
+function normalizeCompanyName(name) {
+  if (!name) return "";
+  const tokens = _tokenize_MatchingLocal(String(name).replace(/&/g, " and "));
+  if (tokens[0] === "the" && tokens.length > 1) tokens.shift();
+  // Strip suffixes from the end only, so "Company Inc." loses "inc" but "Co-op Bank" keeps "co".
+  while (tokens.length > 1 && COMPANY_LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  return tokens.join(" ");
+}
+
+/**
+ * Normalizes a job title for comparison: lowercases, drops punctuation and expands common
+ * abbreviations from JOB_TITLE_ABBREVIATIONS (Config.gs), e.g. "Sr." -> "senior".
+ * @param {string} title The job title.
+ * @return {string} The normalized title.
+ */
+function normalizeJobTitle(title) {
+  if (!title) return "";
+  return _tokenize_MatchingLocal(title).map(t => JOB_TITLE_ABBREVIATIONS[t] || t).join(" ");
+}
+
+// --- Similarity ---
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a First string.
+ * @param {string} b Second string.
+ * @return {number} Minimum number of single-character edits to turn a into b.
+ */
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Scores two already-normalized strings between 0 and 1. Takes the better of a token-set score
+ * (word order and repeated words ignored) and an edit-distance score (typos, "acmecorp" vs "acme corp").
+ * @param {string} a First normalized string.
+ * @param {string} b Second normalized string.
+ * @return {number} 1 for identical strings, 0 for nothing in common.
+ */
+function normalizedSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const tokensA = new Set(a.split(" "));
+  const tokensB = new Set(b.split(" "));
+  let shared = 0;
+  tokensA.forEach(t => { if (tokensB.has(t)) shared++; });
+  const tokenScore = shared / (tokensA.size + tokensB.size - shared);
+  const editScore = 1 - levenshteinDistance(a, b) / Math.max(a.length, b.length);
+  return Math.max(tokenScore, editScore);
+}
+
+/**
+ * Similarity of two company names after normalizeCompanyName.
+ * @param {string} a First company name.
+ * @param {string} b Second company name.
+ * @return {number} Score between 0 and 1.
+ */
+function companySimilarity(a, b) {
+  return normalizedSimilarity(normalizeCompanyName(a), normalizeCompanyName(b));
+}
+
+/**
+ * Similarity of two job titles after normalizeJobTitle.
+ * @param {string} a First job title.
+ * @param {string} b Second job title.
+ * @return {number} Score between 0 and 1.
+ */
+function jobTitleSimilarity(a, b) {
+  return normalizedSimilarity(normalizeJobTitle(a), normalizeJobTitle(b));
+}
+
+// --- Application Matching ---
+/**
+ * Finds the existing application an update email belongs to.
+ * Companies scoring at least COMPANY_MATCH_THRESHOLD are candidates; within them the job title must
+ * score at least JOB_TITLE_MATCH_THRESHOLD. A known title that matches nothing is a new application, unless the
+ * company's only application is still titled MANUAL_REVIEW_NEEDED. When the title is unknown, the company's
+ * application is used only if it has exactly one; several are reported as ambiguous. Two different applications
+ * scoring within MATCH_AMBIGUITY_MARGIN of each other are likewise reported as ambiguous rather than picked silently.
+ * @param {Object<string, Array<Object>>} existingDataCache Cache entries grouped by normalized company.
+ * @param {string} companyName Parsed company (MANUAL_REVIEW_NEEDED if unknown).
+ * @param {string} jobTitle Parsed job title (MANUAL_REVIEW_NEEDED if unknown).
+ * @return {{entry: Object|null, ambiguous: boolean, candidates: Array<Object>}} The matched cache entry
+ *     (null if none or ambiguous) and, when ambiguous, the competing entries.
+ */
+function findMatchingApplication(existingDataCache, companyName, jobTitle) {
+  const noMatch = { entry: null, ambiguous: false, candidates: [] };
+  if (!companyName || companyName === MANUAL_REVIEW_NEEDED) return noMatch;
+  const normCompany = normalizeCompanyName(companyName);
+  if (!normCompany) return noMatch;
+
+  const companyScores = [];
+  Object.keys(existingDataCache).forEach(key => {
+    const score = key === normCompany ? 1 : normalizedSimilarity(normCompany, key);
+    if (score >= COMPANY_MATCH_THRESHOLD && existingDataCache[key].length > 0) companyScores.push({ key: key, score: score });
+  });
+  if (companyScores.length === 0) return noMatch;
+  companyScores.sort((x, y) => y.score - x.score);
+
+  const entries = [];
+  companyScores.forEach(c => existingDataCache[c.key].forEach(e => entries.push({ entry: e, companyScore: c.score })));
+
+  const titleKnown = !!jobTitle && jobTitle !== MANUAL_REVIEW_NEEDED;
+  if (titleKnown) {
+    const titleMatches = [];
+    entries.forEach((c, index) => {
+      const titleScore = jobTitleSimilarity(jobTitle, c.entry.title);
+      if (titleScore >= JOB_TITLE_MATCH_THRESHOLD) titleMatches.push({ entry: c.entry, score: (c.companyScore + titleScore) / 2, index: index });
+    });
+    titleMatches.sort((x, y) => y.score - x.score || y.index - x.index); // Ties go to the most recently added row
+    if (titleMatches.length > 0) {
+      const rivals = titleMatches.filter(c => c.entry !== titleMatches[0].entry && titleMatches[0].score - c.score <= MATCH_AMBIGUITY_MARGIN && titleMatches[0].score < 1);
+      if (rivals.length > 0) return { entry: null, ambiguous: true, candidates: [titleMatches[0].entry, ...rivals.map(r => r.entry)] };
+      return { entry: titleMatches[0].entry, ambiguous: false, candidates: [] };
+    }
+  }
+
+  // No usable title match: fall back to the company's application, but only if one company clearly wins and it has
+  // a single application the email can belong to (with a known title, only one whose own title is still unknown).
+  const topCompany = companyScores[0];
+  const fallbacks = existingDataCache[topCompany.key].filter(e => !titleKnown || !e.title || e.title === MANUAL_REVIEW_NEEDED);
+  if (fallbacks.length === 0) return noMatch; // A second role at the same company
+  const rivalCompanies = companyScores.filter(c => c !== topCompany && topCompany.score - c.score <= MATCH_AMBIGUITY_MARGIN && topCompany.score < 1);
+  if (rivalCompanies.length > 0) {
+    return { entry: null, ambiguous: true, candidates: [topCompany, ...rivalCompanies].map(c => existingDataCache[c.key][existingDataCache[c.key].length - 1]) };
+  }
+  if (fallbacks.length > 1) return { entry: null, ambiguous: true, candidates: fallbacks };
+  return { entry: fallbacks[0], ambiguous: false, candidates: [] };
+}
+
+// --- Lead Fingerprints ---
+/**
+ * Reduces a job posting URL to a key that is the same for every copy of the link. LinkedIn and Indeed links
+ * become their job ID ("linkedin:3712345678", "indeed:a1b2c3d4e5f6a7b8"), whatever the subdomain, slug or
+ * tracking parameters. Other links keep host and path, with the JOB_URL_TRACKING_PARAMS (Config.gs) dropped and
+ * the remaining parameters sorted.
+ * @param {string} url The posting URL as extracted from the alert email.
+ * @return {string} The key, or "" if the value is not a URL.
+ */
+function canonicalizeJobUrl(url) {
+  const match = String(url || "").trim().match(/^(?:https?:\/\/)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?::\d+)?([^?#\s]*)(?:\?([^#\s]*))?/i);
+  if (!match) return "";
+  const host = match[1].toLowerCase().replace(/^www\./, "");
+  const path = match[2].replace(/\/+$/, "");
+  const params = (match[3] || "").split("&").filter(Boolean).map(pair => {
+    const eq = pair.indexOf("=");
+    return { name: (eq === -1 ? pair : pair.substring(0, eq)).toLowerCase(), pair: pair };
+  });
+  const param = name => { const p = params.find(x => x.name === name); return p ? p.pair.substring(p.pair.indexOf("=") + 1) : ""; };
+
+  if (/(^|\.)linkedin\.com$/.test(host)) {
+    const viewMatch = path.match(/\/jobs\/view\/(?:[^\/]*-)?(\d+)$/i);
+    const jobId = viewMatch ? viewMatch[1] : (param("currentjobid").match(/^\d+$/) ? param("currentjobid") : "");
+    if (jobId) return `linkedin:${jobId}`;
+  }
+  if (/(^|\.)indeed\.[a-z.]+$/.test(host)) {
+    const jobKey = (param("jk") || param("vjk")).toLowerCase();
+    if (/^[0-9a-f]{8,}$/.test(jobKey)) return `indeed:${jobKey}`;
+  }
+  const kept = params
+    .filter(p => !p.name.startsWith("utm_") && !JOB_URL_TRACKING_PARAMS.has(p.name))
+    .map(p => p.pair)
+    .sort();
+  return `url:${host}${path}${kept.length > 0 ? "?" + kept.join("&") : ""}`;
+}
+
+/**
+ * Builds the keys a job lead is deduplicated by: the canonical posting URL (canonicalizeJobUrl) and, as a
+ * fallback for alerts without a usable link, the normalized company + title + location.
+ * @param {{jobUrl: string, company: string, jobTitle: string, location: string}} lead The lead.
+ * @return {{urlKey: string, fallbackKey: string}} Either key is "" when its parts are missing.
+ */
+function getLeadFingerprints(lead) {
+  const company = normalizeCompanyName(knownLeadValue(lead.company)); // From Leads_SheetUtils.gs
+  const title = normalizeJobTitle(knownLeadValue(lead.jobTitle));
+  return {
+    urlKey: canonicalizeJobUrl(knownLeadValue(lead.jobUrl)),
+    fallbackKey: company && title ? `lead:${company}|${title}|${_tokenize_MatchingLocal(knownLeadValue(lead.location)).join(" ")}` : ""
+  };
+}
+
+function _tokenize_MatchingLocal(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, " ").split(/\s+/).filter(Boolean);
+}
@@ -0,0 +1,111 @@
+// File: ParseCache.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Persistent cache of LLM parse results in the hidden "LLM Cache" tab. Results are keyed by a
+// hash of the task, the prompt version (PromptRegistry.gs) and the normalized email text, and stored with the provider and model that produced them,
+// so a message that is parsed again (a run failed before its labels were applied, a sheet row was deleted)
+// reuses the earlier answer instead of spending quota and possibly getting a different one.
+
+let parseCacheState_ = null; // {sheet, entries: Object<string, {provider, model, result}>}, loaded once per execution
+
+/**
+ * Looks up a cached parse result.
+ * @param {string} task One of the LLM_TASK_* constants (Config.gs).
+ * @param {{name: string, model: string}} provider Provider from getLlmProvider (LlmProviders.gs).
+ * @param {Array<string>} textParts The prompt version and email text the result was derived from
+ *     (e.g. [promptVersion, subject, body]).
+ * @param {Object} [schema] When given, a cached result that no longer matches it is ignored.
+ * @return {*} The cached result, or null on a miss (including results from another provider or model).
+ */
+function getCachedParseResult(task, provider, textParts, schema) {
+  const FUNC_NAME = "getCachedParseResult";
+  if (provider.name === LLM_PROVIDER_STUB) return null; // Stub output is canned; caching it would hide responder changes
+  try {
+    const state = loadParseCache_();
+    if (!state) return null;
+    const entry = state.entries[computeParseCacheKey(task, textParts)];
+    if (!entry || entry.provider !== provider.name || entry.model !== provider.model) return null;
+    if (schema && validateAgainstSchema(entry.result, schema).length > 0) { // From SchemaUtils.gs
+      if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Cached ${task} result no longer matches the schema. Ignoring it.`);
+      return null;
+    }
+    return entry.result;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} WARN] Cache lookup failed: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stores a parse result. Failures are logged and otherwise ignored; the cache is only an optimisation.
+ * @param {string} task One of the LLM_TASK_* constants (Config.gs).
+ * @param {{name: string, model: string}} provider Provider that produced the result.
+ * @param {Array<string>} textParts The email text the result was derived from.
+ * @param {*} result The validated, JSON-serialisable result.
+ */
+function storeParseResult(task, provider, textParts, result) {
+  const FUNC_NAME = "storeParseResult";
+  if (provider.name === LLM_PROVIDER_STUB) return;
+  try {
+    const state = loadParseCache_();
+    if (!state) return;
+    const json = JSON.stringify(result);
+    if (json.length > PARSE_CACHE_MAX_RESULT_CHARS) {
+      Logger.log(`[${FUNC_NAME} INFO] ${task} result too large to cache (${json.length} chars).`);
+      return;
+    }
+    const key = computeParseCacheKey(task, textParts);
+    // Written straight away rather than batched, so the entry survives a run that fails later on.
+    state.sheet.getRange(state.sheet.getLastRow() + 1, 1, 1, PARSE_CACHE_SHEET_HEADERS.length)
+      .setValues([[key, task, provider.name, provider.model, json, new Date()]]);
+    state.entries[key] = { provider: provider.name, model: provider.model, result: result };
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} WARN] Could not cache ${task} result: ${e.message}`);
+  }
+}
+
+/**
+ * Cache key for a task and its input text. Whitespace is collapsed first, so re-fetching the same
+ * message with different line endings or trailing spaces still hits.
+ * @param {string} task One of the LLM_TASK_* constants (Config.gs).
+ * @param {Array<string>} textParts The email text.
+ * @return {string} Hex SHA-256 digest.
+ */
+function computeParseCacheKey(task, textParts) {
+  const normalized = [task].concat(textParts.map(part => String(part || "").replace(/\s+/g, " ").trim())).join("\n");
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, normalized, Utilities.Charset.UTF_8);
+  return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Deletes every cached parse result, e.g. after a prompt change that should apply to old messages too.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {number} Number of entries removed.
+ */
+function clearParseCache(ss) {
+  const sheet = ss.getSheetByName(PARSE_CACHE_SHEET_TAB_NAME);
+  parseCacheState_ = null;
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  const removed = sheet.getLastRow() - 1;
+  sheet.deleteRows(2, removed);
+  Logger.log(`[clearParseCache INFO] Removed ${removed} cached parse result(s).`);
+  return removed;
+}
+
+// Reads the cache tab into memory on first use. Later rows win, so a re-parse with a new model replaces the old entry.
+function loadParseCache_() {
+  if (parseCacheState_) return parseCacheState_;
+  const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+  if (!ss) return null;
+  const sheet = getOrCreateHiddenSheet(ss, PARSE_CACHE_SHEET_TAB_NAME, PARSE_CACHE_SHEET_HEADERS, PARSE_CACHE_SHEET_COLUMN_WIDTHS); // From SheetUtils.gs
+  if (!sheet) return null;
+  const entries = {};
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, PARSE_CACHE_SHEET_HEADERS.length).getValues().forEach(row => {
+      try { entries[String(row[0])] = { provider: String(row[2]), model: String(row[3]), result: JSON.parse(String(row[4])) }; }
+      catch (e) { /* Unreadable row; treated as a miss */ }
+    });
+  }
+  parseCacheState_ = { sheet: sheet, entries: entries };
+  if (DEBUG_MODE) Logger.log(`[loadParseCache_ DEBUG] Loaded ${Object.keys(entries).length} cached parse result(s).`);
+  return parseCacheState_;
+}
@@ -3,6 +3,22 @@
 // using regular expressions and keyword matching to extract job application details.
 
 // --- REGEX PARSING LOGIC (FALLBACK) ---
+/**
+ * Platform name for a sender, from the first PLATFORM_DOMAIN_KEYWORDS (Config.gs) key found in its domain.
+ * @param {string} sender The From header, e.g. "LinkedIn <jobs-noreply@linkedin.com>".
+ * @return {string} A platform name, or DEFAULT_PLATFORM.
+ */
+function detectPlatformFromSender(sender) {
+  const emailAddressMatch = String(sender || "").match(/<([^>]+)>/);
+  const senderDomain = emailAddressMatch && emailAddressMatch[1] ? emailAddressMatch[1].split('@')[1]?.toLowerCase() : null;
+  if (senderDomain) {
+    for (const keyword in PLATFORM_DOMAIN_KEYWORDS) {
+      if (senderDomain.includes(keyword)) return PLATFORM_DOMAIN_KEYWORDS[keyword];
+    }
+  }
+  return DEFAULT_PLATFORM;
+}
+
 function parseCompanyFromDomain(sender) {
   const emailMatch = sender.match(/<([^>]+)>/); if (!emailMatch || !emailMatch[1]) return null;
   const emailAddress = emailMatch[1]; const domainParts = emailAddress.split('@'); if (domainParts.length !== 2) return null;
@@ -38,6 +54,7 @@ function parseCompanyFromSenderName(sender) {
 function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
   let company = MANUAL_REVIEW_NEEDED; // From Config.gs
   let title = MANUAL_REVIEW_NEEDED;   // From Config.gs
+  let companySource = null, titleSource = null; // FIELD_SOURCE_* (Config.gs) of the step that set each value
   const sender = message.getFrom();
   if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_PARSE: Fallback C/T for subj: "${emailSubject.substring(0,100)}"`);
   
@@ -48,14 +65,14 @@ function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
   // Platform-specific logic (example for Wellfound)
   if (platform === "Wellfound" && plainBody) { // PLATFORM_DOMAIN_KEYWORDS from Config.gs maps to "Wellfound"
     let wfCoSub = emailSubject.match(/update from (.*?)(?: \|| at |$)/i) || emailSubject.match(/application to (.*?)(?: successfully| at |$)/i) || emailSubject.match(/New introduction from (.*?)(?: for |$)/i);
-    if (wfCoSub && wfCoSub[1]) company = wfCoSub[1].trim();
+    if (wfCoSub && wfCoSub[1]) { company = wfCoSub[1].trim(); companySource = FIELD_SOURCE_PLATFORM_RULE; }
     if (title === MANUAL_REVIEW_NEEDED && plainBody && sender.toLowerCase().includes("team@hi.wellfound.com")) {
         const markerPhrase = "if there's a match, we will make an email introduction.";
         const markerIndex = plainBody.toLowerCase().indexOf(markerPhrase);
         if (markerIndex !== -1) {
             const relevantText = plainBody.substring(markerIndex + markerPhrase.length);
             const titleMatch = relevantText.match(/^\s*\*\s*([A-Za-z\s.,:&'\/-]+?)(?:\s*\(| at | \n|$)/m);
-            if (titleMatch && titleMatch[1]) title = titleMatch[1].trim();
+            if (titleMatch && titleMatch[1]) { title = titleMatch[1].trim(); titleSource = FIELD_SOURCE_PLATFORM_RULE; }
         }
     }
   }
@@ -88,28 +105,28 @@ function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
           }
       }
       
-      if (extractedTitle && (title === MANUAL_REVIEW_NEEDED || title === DEFAULT_STATUS)) title = extractedTitle; // DEFAULT_STATUS from Config.gs
-      if (extractedCompany && (company === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM)) company = extractedCompany; // DEFAULT_PLATFORM from Config.gs
+      if (extractedTitle && (title === MANUAL_REVIEW_NEEDED || title === DEFAULT_STATUS)) { title = extractedTitle; titleSource = FIELD_SOURCE_SUBJECT_REGEX; } // DEFAULT_STATUS from Config.gs
+      if (extractedCompany && (company === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM)) { company = extractedCompany; companySource = FIELD_SOURCE_SUBJECT_REGEX; } // DEFAULT_PLATFORM from Config.gs
       
       if (company !== MANUAL_REVIEW_NEEDED && title !== MANUAL_REVIEW_NEEDED && company !== DEFAULT_PLATFORM && title !== DEFAULT_STATUS) break;
     }
   }
 
-  if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromName) company = tempCompanyFromName;
+  if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromName) { company = tempCompanyFromName; companySource = FIELD_SOURCE_SENDER_NAME; }
 
   if ((company === MANUAL_REVIEW_NEEDED || title === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM || title === DEFAULT_STATUS) && plainBody) {
     const bodyCleaned = plainBody.substring(0, 1000).replace(/<[^>]+>/g, ' ');
     if (company === MANUAL_REVIEW_NEEDED || company === DEFAULT_PLATFORM) {
       let bodyCompanyMatch = bodyCleaned.match(/(?:applying to|application with|interview with|position at|role at|opportunity at|Thank you for your interest in working at)\s+([A-Z][A-Za-z\s.&'-]+(?:LLC|Inc\.?|Ltd\.?|Corp\.?|GmbH|Group|Solutions|Technologies)?)(?:[.,\s\n\(]|$)/i);
-      if (bodyCompanyMatch && bodyCompanyMatch[1]) company = bodyCompanyMatch[1].trim();
+      if (bodyCompanyMatch && bodyCompanyMatch[1]) { company = bodyCompanyMatch[1].trim(); companySource = FIELD_SOURCE_BODY_REGEX; }
     }
     if (title === MANUAL_REVIEW_NEEDED || title === DEFAULT_STATUS) {
       let bodyTitleMatch = bodyCleaned.match(/(?:application for the|position of|role of|applying for the|interview for the|title:)\s+([A-Za-z][A-Za-z0-9\s.,:&'\/\(\)-]+?)(?:\s\(| at | with |[\s.,\n\(]|$)/i);
-      if (bodyTitleMatch && bodyTitleMatch[1]) title = bodyTitleMatch[1].trim();
+      if (bodyTitleMatch && bodyTitleMatch[1]) { title = bodyTitleMatch[1].trim(); titleSource = FIELD_SOURCE_BODY_REGEX; }
     }
   }
 
-  if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromDomain) company = tempCompanyFromDomain;
+  if (company === MANUAL_REVIEW_NEEDED && tempCompanyFromDomain) { company = tempCompanyFromDomain; companySource = FIELD_SOURCE_SENDER_DOMAIN; }
 
   const cleanE = (entity, isTitle = false) => {
     if (!entity || entity === MANUAL_REVIEW_NEEDED || entity === DEFAULT_STATUS || entity === DEFAULT_PLATFORM || entity.toLowerCase() === "n/a") return MANUAL_REVIEW_NEEDED;
@@ -132,8 +149,11 @@ function extractCompanyAndTitle(message, platform, emailSubject, plainBody) {
   company = cleanE(company);
   title = cleanE(title, true);
 
-  if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_PARSE: Final Fallback Result -> Company:"${company}", Title:"${title}"`);
-  return {company: company, title: title};
+  if (company === MANUAL_REVIEW_NEEDED) companySource = null;
+  if (title === MANUAL_REVIEW_NEEDED) titleSource = null;
+
+  if (DEBUG_MODE) Logger.log(`[DEBUG] RGX_PARSE: Final Fallback Result -> Company:"${company}" (${companySource}), Title:"${title}" (${titleSource})`);
+  return {company: company, title: title, sources: {company: companySource, title: titleSource}};
 }
 
 function parseBodyForStatus(plainBody) {
@@ -148,3 +168,40 @@ function parseBodyForStatus(plainBody) {
   if (DEBUG_MODE) Logger.log("[DEBUG] RGX_STATUS: No specific status keywords found by regex.");
   return null; // No specific status matched
 }
+
+// --- FIELD PROVENANCE ---
+
+/**
+ * Pairs a parsed value with where it came from and how far it can be trusted.
+ * @param {string} field Field key ("company", "title", "status" or a key of APP_DETAIL_FIELD_COLUMNS).
+ * @param {*} value The parsed value.
+ * @param {string|null} source One of the FIELD_SOURCE_* constants (Config.gs); null when nothing was found.
+ * @return {{value: *, source: (string|null), confidence: number}}
+ */
+function buildFieldProvenance(field, value, source) {
+  return { value: value, source: source || null, confidence: scoreFieldConfidence(field, value, source) };
+}
+
+/**
+ * Confidence (0-1) for a parsed value: the source's base score from FIELD_SOURCE_CONFIDENCE, capped when
+ * the value itself looks unreliable (an ATS/platform name as the company, an overlong title, an unknown status).
+ * @param {string} field Field key.
+ * @param {*} value The parsed value.
+ * @param {string|null} source One of the FIELD_SOURCE_* constants.
+ * @return {number} 0 when there is no usable value.
+ */
+function scoreFieldConfidence(field, value, source) {
+  const text = value instanceof Date ? value.toISOString() : String(value === null || value === undefined ? "" : value).trim();
+  if (!source || !text || text === MANUAL_REVIEW_NEEDED) return 0;
+  let confidence = FIELD_SOURCE_CONFIDENCE[source] ?? 0.5;
+  if (field === 'company') {
+    const lower = text.toLowerCase();
+    const isPlatformName = Object.values(PLATFORM_DOMAIN_KEYWORDS).some(name => name.toLowerCase() === lower); // From Config.gs
+    if (isPlatformName) confidence = Math.min(confidence, 0.3); // The ATS sent it, not the employer
+  } else if (field === 'title') {
+    if (text.length > 80 || text.split(/\s+/).length > 12) confidence = Math.min(confidence, 0.4); // Probably a sentence, not a title
+  } else if (field === 'status') {
+    if (!Object.prototype.hasOwnProperty.call(STATUS_HIERARCHY, text)) return 0; // e.g. "Blocked: SAFETY"
+  }
+  return Math.round(confidence * 100) / 100;
+}
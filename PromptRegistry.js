@@ -0,0 +1,362 @@
+// File: PromptRegistry.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Named, versioned prompt templates for the LLM calls in GeminiService.gs. Templates use
+// {{placeholder}} markers that renderPrompt fills in (status names, examples, email content). Few-shot
+// examples added by the user on the "Prompt Examples" tab, and past corrections the caller passes in
+// (Corrections.gs), are appended to the built-in ones.
+// Bump a template's version whenever its text changes: the version is recorded on every parsed row and is
+// part of the parse cache key (ParseCache.gs), so old cached answers are not reused for a new prompt.
+
+// A function rather than a top-level object so the PROMPT_* names from Config.gs are read at call time,
+// whatever order the script files load in.
+function getPromptTemplates_() {
+  return {
+  [PROMPT_APPLICATION_DETAILS]: {
+    version: 1,
+    // Placeholders: status names (see getPromptPlaceholderValues_), userExamples, subject, body
+    template: `You are a highly specialized AI assistant expert in parsing job application-related emails for a tracking system. Your sole purpose is to analyze the provided email Subject and Body, and extract three key pieces of information: "company_name", "job_title", and "status", plus any supporting details the email states ("location", "compensation", "recruiter_name", "recruiter_email", "requisition_id", "interview_datetime"). You MUST return this information ONLY as a single, valid JSON object, with no surrounding text, explanations, apologies, or markdown.
+
+CRITICAL INSTRUCTIONS - READ AND FOLLOW CAREFULLY:
+
+**PRIORITY 1: Determine Relevance - IS THIS A JOB APPLICATION UPDATE FOR THE RECIPIENT?**
+- Your FIRST task is to assess if the email DIRECTLY relates to a job application previously submitted by the recipient, or an update to such an application.
+- **IF THE EMAIL IS NOT APPLICATION-RELATED:** This includes general newsletters, marketing or promotional emails, sales pitches, webinar invitations, event announcements, account security alerts, password resets, bills/invoices, platform notifications not tied to a specific submitted application (e.g., "new jobs you might like"), or spam.
+    - In such cases, IMMEDIATELY set ALL three fields ("company_name", "job_title", "status") to the exact string "{{manualReview}}" and leave every supporting detail as "".
+    - Do NOT attempt to extract any information from these irrelevant emails.
+    - Your output for these MUST be: {"company_name": "{{manualReview}}","job_title": "{{manualReview}}","status": "{{manualReview}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+**PRIORITY 2: If Application-Related, Proceed with Extraction:**
+
+1.  "company_name":
+    *   **Goal**: Extract the full, official name of the HIRING COMPANY to which the user applied.
+    *   **ATS Handling**: Emails often originate from Applicant Tracking Systems (ATS) like Greenhouse (notifications@greenhouse.io), Lever (no-reply@hire.lever.co), Workday, Taleo, iCIMS, Ashby, SmartRecruiters, etc. The sender domain may be the ATS. You MUST identify the actual hiring company mentioned WITHIN the email subject or body. Look for phrases like "Your application to [Hiring Company]", "Careers at [Hiring Company]", "Update from [Hiring Company]", or the company name near the job title.
+    *   **Do NOT extract**: The name of the ATS (e.g., "Greenhouse", "Lever"), the name of the job board (e.g., "LinkedIn", "Indeed", "Wellfound" - unless the job board IS the direct hiring company), or generic terms.
+    *   **Ambiguity**: If the hiring company name is genuinely unclear from an application context, or only an ATS name is present without the actual company, use "{{manualReview}}".
+    *   **Accuracy**: Prefer full legal names if available (e.g., "Acme Corporation" over "Acme").
+
+2.  "job_title":
+    *   **Goal**: Extract the SPECIFIC job title THE USER APPLIED FOR, as mentioned in THIS email. The title is often explicitly stated after phrases like "your application for...", "application to the position of...", "the ... role", or directly alongside the company name in application submission/viewed confirmations.
+    *   **LinkedIn Emails ("Application Sent To..." / "Application Viewed By...")**: These emails (often from sender "LinkedIn") frequently state the company name AND the job title the user applied for directly in the main body or a prominent header within the email content. Scrutinize these carefully for both. Example: "Your application for **Senior Product Manager** was sent to **Innovate Corp**." or "A recruiter from **Innovate Corp** viewed your application for **Senior Product Manager**." Extract "Senior Product Manager".
+    *   **ATS Confirmation Emails (e.g., from Greenhouse, Lever)**: These emails confirming receipt of an application (e.g., "We've received your application to [Company]") often DO NOT restate the specific job title within the body of *that specific confirmation email*. If the job title IS NOT restated, you MUST use "{{manualReview}}" for the job_title. Do not assume it from the subject line unless the subject clearly states "Your application for [Job Title] at [Company]".
+    *   **General Updates/Rejections**: Some updates or rejections may or may not restate the title. If the title of the specific application is not clearly present in THIS email, use "{{manualReview}}".
+    *   **Strict Rule**: Do NOT infer a job title from company career pages, other listed jobs, or generic phrases like "various roles" unless that phrase directly follows "your application for". Only extract what is stated for THIS specific application event in THIS email. If in doubt, or if only a very generic descriptor like "a role" is used without specifics, prefer "{{manualReview}}".
+
+3.  "status":
+    *   **Goal**: Determine the current status of the application based on the content of THIS email.
+    *   **Strictly Adhere to List**: You MUST choose a status ONLY from the following exact list. Do not invent new statuses or use variations:
+        *   "{{statusApplied}}" (Maps to: Application submitted, application sent, successfully applied, application received - first confirmation)
+        *   "{{statusRejected}}" (Maps to: Not moving forward, unfortunately, decided not to proceed, position filled by other candidates, regret to inform)
+        *   "{{statusOffer}}" (Maps to: Offer of employment, pleased to offer, job offer)
+        *   "{{statusInterview}}" (Maps to: Invitation to interview, schedule an interview, interview request, like to speak with you)
+        *   "{{statusAssessment}}" (Maps to: Online assessment, coding challenge, technical test, skills test, take-home assignment)
+        *   "{{statusViewed}}" (Maps to: Application was viewed by recruiter/company, your profile was viewed for the role)
+        *   "{{statusOther}}" (Maps to: General updates like "still reviewing applications," "we're delayed," "thanks for your patience," status is mentioned but unclear which of the above it fits best.)
+    *   **Exclusion**: "{{statusAccepted}}" is typically set manually by the user after they accept an offer; do not use it.
+    *   **Last Resort**: If the email is clearly job-application-related for the recipient, but the status is absolutely ambiguous and doesn't fit "{{statusOther}}" (very rare), then as a final fallback, use "{{manualReview}}" for the status.
+
+4.  Supporting details (use an empty string "" for any detail NOT stated in THIS email; never guess):
+    *   "location": Job location as written (e.g., "Austin, TX", "Remote", "Hybrid - London").
+    *   "compensation": Salary or pay as written, including currency and period (e.g., "$120,000 - $140,000 per year", "$45/hr").
+    *   "recruiter_name": Full name of the recruiter or hiring contact who wrote or signed the email. Not a generic team name like "Talent Acquisition Team".
+    *   "recruiter_email": That person's email address. Not no-reply or notification addresses.
+    *   "requisition_id": The requisition, job or posting ID (e.g., "R-102938", "Req #4411", "JR12345"). Copy the identifier only.
+    *   "interview_datetime": Date and time of a SCHEDULED interview, as ISO 8601 (e.g., "2025-06-03T14:00:00-04:00"; include the offset when a time zone is given, else omit it). Only for a confirmed slot, not for requests to pick a time.
+
+**Output Requirements**:
+*   **ONLY JSON**: Your entire response must be a single, valid JSON object.
+*   **NO Extra Text**: No explanations, greetings, apologies, summaries, or markdown formatting (like \`\`\`json\`\`\`).
+*   **Structure**: {"company_name": "...", "job_title": "...", "status": "...", "location": "...", "compensation": "...", "recruiter_name": "...", "recruiter_email": "...", "requisition_id": "...", "interview_datetime": "..."}
+*   **Placeholder Usage**: Adhere strictly to using "{{manualReview}}" when information is absent or criteria are not met, as instructed for each field.
+
+--- EXAMPLES START ---
+Example 1 (LinkedIn "Application Sent To Company - Title Clearly Stated"):
+Subject: Francis, your application was sent to MycoWorks
+Body: LinkedIn. Your application was sent to MycoWorks. MycoWorks - Emeryville, CA (On-Site). Data Architect/Analyst. Applied on May 16, 2025.
+Output:
+{"company_name": "MycoWorks","job_title": "Data Architect/Analyst","status": "{{statusApplied}}","location": "Emeryville, CA (On-Site)","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 2 (Indeed "Application Submitted", title present):
+Subject: Indeed Application: Senior Software Engineer
+Body: indeed. Application submitted. Senior Software Engineer. Innovatech Solutions - Anytown, USA. The following items were sent to Innovatech Solutions.
+Output:
+{"company_name": "Innovatech Solutions","job_title": "Senior Software Engineer","status": "{{statusApplied}}","location": "Anytown, USA","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 3 (Rejection from ATS, title might be in subject, but not confirmed in this email body):
+Subject: Update on your application for Product Manager at MegaEnterprises
+Body: From: no-reply@greenhouse.io. Dear Applicant, Thank you for your interest in MegaEnterprises. After careful consideration, we have decided to move forward with other candidates for this position.
+Output:
+{"company_name": "MegaEnterprises","job_title": "Product Manager","status": "{{statusRejected}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""} 
+(Self-correction: Title "Product Manager" taken from subject if directly linked to "your application". If subject was generic like "Application Update", job_title would be {{manualReview}})
+
+Example 4 (Interview Invitation via ATS, title present):
+Subject: Invitation to Interview: Data Analyst at Beta Innovations (via Lever)
+Body: We were impressed with your application for the Data Analyst role (Req ID BI-4411) and would like to invite you to an interview. You're confirmed for Tuesday, June 3, 2025 at 2:00 PM EDT. Best, Jane Smith, Recruiter - jane.smith@betainnovations.com
+Output:
+{"company_name": "Beta Innovations","job_title": "Data Analyst","status": "{{statusInterview}}","location": "","compensation": "","recruiter_name": "Jane Smith","recruiter_email": "jane.smith@betainnovations.com","requisition_id": "BI-4411","interview_datetime": "2025-06-03T14:00:00-04:00"}
+
+Example 5 (ATS Email - Application Received, NO specific title in THIS email body):
+Subject: Thank you for applying to Handshake!
+Body: no-reply@greenhouse.io. Hi Francis, Thank you for your interest in Handshake! We have received your application and will be reviewing your background shortly... Handshake Recruiting.
+Output:
+{"company_name": "Handshake","job_title": "{{manualReview}}","status": "{{statusApplied}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 6 (Unrelated Marketing):
+Subject: Join our webinar on Future Tech!
+Body: Hi User, Don't miss out on our exclusive webinar...
+Output:
+{"company_name": "{{manualReview}}","job_title": "{{manualReview}}","status": "{{manualReview}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 7 (LinkedIn "Application Viewed By..." - Title Clearly Stated):
+Subject: Your application was viewed by Gotham Technology Group
+Body: LinkedIn. Great job getting noticed by the hiring team at Gotham Technology Group. Gotham Technology Group - New York, United States. Business Analyst/Product Manager. Applied on May 14.
+Output:
+{"company_name": "Gotham Technology Group","job_title": "Business Analyst/Product Manager","status": "{{statusViewed}}","location": "New York, United States","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 8 (Wellfound "Application Submitted" - Often has title):
+Subject: Application to LILT successfully submitted
+Body: wellfound. Your application to LILT for the position of Lead Product Manager has been submitted! View your application. LILT.
+Output:
+{"company_name": "LILT","job_title": "Lead Product Manager","status": "{{statusApplied}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+
+Example 9 (Email indicating general interest/no specific role or company clear):
+Subject: An interesting opportunity
+Body: Hi Francis, Your profile on LinkedIn matches an opening we have. Would you be open to a quick chat? Regards, Recruiter.
+Output:
+{"company_name": "{{manualReview}}","job_title": "{{manualReview}}","status": "{{statusOther}}","location": "","compensation": "","recruiter_name": "","recruiter_email": "","requisition_id": "","interview_datetime": ""}
+{{userExamples}}--- EXAMPLES END ---
+
+--- START OF EMAIL TO PROCESS ---
+Subject: {{subject}}
+Body:
+{{body}}
+--- END OF EMAIL TO PROCESS ---
+Output JSON:
+`
+  },
+
+  [PROMPT_JOB_LEADS]: {
+    version: 1,
+    // Placeholders: userExamples, body
+    template: `You are an expert AI assistant specializing in extracting job posting details from email content, typically from job alerts or direct emails containing job opportunities.
+From the following "Email Content", identify each distinct job posting.
+
+For EACH job posting found, extract the following details:
+- "jobTitle": The specific title of the job role (e.g., "Senior Software Engineer", "Product Marketing Manager").
+- "company": The name of the hiring company.
+- "location": The primary location of the job (e.g., "San Francisco, CA", "Remote", "London, UK", "Hybrid - New York").
+- "source": If identifiable from the email content, the origin or job board where this posting was listed (e.g., "LinkedIn Job Alert", "Indeed", "Wellfound", "Company Careers Page" if mentioned). If not explicitly stated, use "N/A".
+- "jobUrl": A direct URL link to the job application page or a more detailed job description, if present in the email. If no direct link for *this specific job* is found, use "N/A".
+- "notes": Briefly extract 2-3 key requirements, responsibilities, or unique aspects mentioned for this specific job if readily available in the email text (e.g., "Requires Python & AWS; 5+ yrs exp", "Focus on B2B SaaS marketing", "Fast-paced startup environment"). Keep notes concise (max 150 characters). If no specific details are easily extractable for this job, use "N/A".
+
+Strict Formatting Instructions:
+- Your entire response MUST be a single, valid JSON array.
+- Each element of the array MUST be a JSON object representing one job posting.
+- Each JSON object MUST have exactly these keys: "jobTitle", "company", "location", "source", "jobUrl", "notes".
+- If a specific field for a job is not found or not applicable, its value MUST be the string "N/A".
+- If no job postings at all are found in the email content, return an empty JSON array: [].
+- Do NOT include any text, explanations, apologies, or markdown (like \`\`\`json\`\`\`) before or after the JSON array.
+
+--- EXAMPLE OUTPUT START (for an email with two jobs) ---
+[
+  {
+    "jobTitle": "Senior Frontend Developer",
+    "company": "Innovatech Solutions",
+    "location": "Remote (US)",
+    "source": "LinkedIn Job Alert",
+    "jobUrl": "https://linkedin.com/jobs/view/12345",
+    "notes": "React, TypeScript, Agile environment. 5+ years experience. UI/UX focus."
+  },
+  {
+    "jobTitle": "Data Scientist",
+    "company": "Alpha Analytics Co.",
+    "location": "Boston, MA",
+    "source": "Direct Email from Recruiter",
+    "jobUrl": "N/A",
+    "notes": "Machine learning, Python, SQL. PhD preferred. Early-stage startup."
+  }
+]
+--- EXAMPLE OUTPUT END ---
+{{userExamples}}
+Email Content:
+---
+{{body}}
+---
+JSON Array Output:`
+  },
+
+  [PROMPT_POSTING_SUMMARY]: {
+    version: 1,
+    // Placeholders: today, seniorityLevels, remotePolicies, posting
+    template: `You are an expert AI assistant that summarizes job postings for a job seeker.
+From the following "Job Posting" text (copied from the posting's web page), extract:
+- "requirements": The 3-6 most important requirements (skills, years of experience, degrees, certifications), separated by "; " (e.g., "5+ yrs backend; Python, Go; Kubernetes; BS in CS or equivalent"). Max 300 characters. Use "N/A" if none are listed.
+- "seniority": The level of the role. MUST be one of: {{seniorityLevels}}. Judge from the title and the experience asked for; use "Unknown" if unclear.
+- "salary_range": The pay range exactly as stated, with currency and period (e.g., "$120,000 - $150,000 per year", "£45/hour"). Use "N/A" if the posting states no pay.
+- "remote_policy": MUST be one of: {{remotePolicies}}. Use "Unknown" if the posting does not say.
+- "posted_date": The date the job was posted, as YYYY-MM-DD. Today is {{today}}; convert relative dates such as "3 days ago". Use "N/A" if not stated.
+
+Strict Formatting Instructions:
+- Your entire response MUST be a single, valid JSON object with exactly these keys: "requirements", "seniority", "salary_range", "remote_policy", "posted_date".
+- Do NOT include any text, explanations or markdown before or after the JSON object.
+- Ignore site navigation, cookie notices and "similar jobs" text; only the posting itself counts.
+
+--- EXAMPLE OUTPUT ---
+{"requirements": "5+ yrs data engineering; SQL, Python; Airflow or dbt; cloud data warehouse", "seniority": "Senior", "salary_range": "$150,000 - $180,000 per year", "remote_policy": "Hybrid", "posted_date": "2025-03-14"}
+--- END OF EXAMPLE ---
+
+Job Posting:
+---
+{{posting}}
+---
+JSON Output:`
+  },
+
+  [PROMPT_JSON_REPAIR]: {
+    version: 1,
+    // Placeholders: errors, previousReply, schema, originalPrompt
+    template: `Your previous reply could not be used because it did not match the required JSON format.
+
+Problems found:
+{{errors}}
+
+Your previous reply:
+<<<
+{{previousReply}}
+>>>
+
+Reply again with ONLY a single valid JSON value that fixes these problems and matches this schema (string enums must use one of the listed values exactly):
+{{schema}}
+
+--- ORIGINAL TASK ---
+{{originalPrompt}}`
+  }
+  };
+}
+
+let promptExamplesCache_ = null; // {promptName: Array<{subject, body, output}>}, read once per execution
+
+/**
+ * Fills in a named template.
+ * @param {string} name One of the PROMPT_* names (Config.gs).
+ * @param {Object<string, string>} values Values for the template's own placeholders (e.g. subject, body).
+ *     Status names and user examples are added automatically.
+ * @param {Array<{subject: string, body: string, output: *}>} [correctionExamples] Past corrections similar to
+ *     this email (findSimilarCorrections in Corrections.gs), shown after the user examples.
+ * @return {{name: string, version: string, text: string}} version is "<name>@v<n>", plus "+ex.<hash>" when
+ *     user examples or corrections were included.
+ */
+function renderPrompt(name, values, correctionExamples) {
+  const FUNC_NAME = "renderPrompt";
+  const entry = getPromptTemplates_()[name];
+  if (!entry) throw new Error(`Unknown prompt template "${name}".`);
+  const userExamples = formatUserExamples_(name, getPromptExamples(name), "Additional examples provided by the user (follow these closely):", "User Example")
+    + formatUserExamples_(name, correctionExamples, "Corrections the user made to earlier results for similar emails (the Output is the right answer):", "Correction");
+  const allValues = Object.assign(getPromptPlaceholderValues_(), { userExamples: userExamples }, values || {});
+  // One pass, so placeholder-like text inside email content or examples is left alone.
+  const text = entry.template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (Object.prototype.hasOwnProperty.call(allValues, key)) return String(allValues[key]);
+    Logger.log(`[${FUNC_NAME} WARN] Template "${name}" has no value for {{${key}}}.`);
+    return "";
+  });
+  let version = `${name}@v${entry.version}`;
+  if (userExamples) version += `+ex.${shortPromptHash_(userExamples)}`;
+  return { name: name, version: version, text: text };
+}
+
+/**
+ * Enabled few-shot examples for a prompt from the "Prompt Examples" tab. Rows whose expected output is not
+ * valid JSON for the prompt's schema are skipped (and logged), so a typo cannot break parsing.
+ * @param {string} name PROMPT_APPLICATION_DETAILS or PROMPT_JOB_LEADS.
+ * @return {Array<{subject: string, body: string, output: *}>} At most PROMPT_EXAMPLES_MAX_PER_PROMPT examples.
+ */
+function getPromptExamples(name) {
+  const FUNC_NAME = "getPromptExamples";
+  if (!promptExamplesCache_) {
+    promptExamplesCache_ = {};
+    try {
+      const { spreadsheet: ss } = getOrCreateSpreadsheetAndSheet(); // From SheetUtils.gs
+      const sheet = ss ? ss.getSheetByName(PROMPT_EXAMPLES_SHEET_TAB_NAME) : null;
+      if (sheet && sheet.getLastRow() >= 2) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, PROMPT_EXAMPLES_SHEET_HEADERS.length).getValues().forEach((row, i) => {
+          const promptName = String(row[1] || "").trim();
+          if (row[0] !== true || !promptName) return;
+          const schema = getPromptOutputSchema_(promptName);
+          if (!schema) { Logger.log(`[${FUNC_NAME} WARN] Row ${i + 2}: unknown prompt "${promptName}".`); return; }
+          const check = parseAndValidateLlmJson(String(row[4] || ""), schema); // From SchemaUtils.gs
+          if (!check.valid) { Logger.log(`[${FUNC_NAME} WARN] Row ${i + 2}: expected output skipped (${check.errors.slice(0, 3).join('; ')}).`); return; }
+          if (!promptExamplesCache_[promptName]) promptExamplesCache_[promptName] = [];
+          promptExamplesCache_[promptName].push({
+            subject: String(row[2] || "").trim(),
+            body: String(row[3] || "").substring(0, PROMPT_EXAMPLE_MAX_BODY_CHARS),
+            output: check.data
+          });
+        });
+      }
+    } catch (e) {
+      Logger.log(`[${FUNC_NAME} WARN] Could not read "${PROMPT_EXAMPLES_SHEET_TAB_NAME}": ${e.message}`);
+    }
+  }
+  return (promptExamplesCache_[name] || []).slice(0, PROMPT_EXAMPLES_MAX_PER_PROMPT);
+}
+
+/**
+ * Creates the "Prompt Examples" tab with a checkbox column and a prompt-name dropdown, if it is missing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The tab, or null on failure.
+ */
+function setupPromptExamplesSheet(ss) {
+  const FUNC_NAME = "setupPromptExamplesSheet";
+  try {
+    let sheet = ss.getSheetByName(PROMPT_EXAMPLES_SHEET_TAB_NAME);
+    if (sheet) return sheet;
+    sheet = ss.insertSheet(PROMPT_EXAMPLES_SHEET_TAB_NAME, ss.getSheets().length);
+    setupSheetFormatting(sheet, PROMPT_EXAMPLES_SHEET_HEADERS, PROMPT_EXAMPLES_SHEET_COLUMN_WIDTHS, false); // From SheetUtils.gs
+    const maxRows = sheet.getMaxRows() - 1;
+    sheet.getRange(2, 1, maxRows, 1).insertCheckboxes();
+    sheet.getRange(2, 2, maxRows, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList([PROMPT_APPLICATION_DETAILS, PROMPT_JOB_LEADS], true).setAllowInvalid(false).build());
+    sheet.getRange(2, 4, maxRows, 2).setWrap(true);
+    Logger.log(`[${FUNC_NAME} INFO] Created "${PROMPT_EXAMPLES_SHEET_TAB_NAME}".`);
+    return sheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}`);
+    return null;
+  }
+}
+
+// --- Helpers ---
+
+// Status names and the manual-review placeholder, available to every template.
+function getPromptPlaceholderValues_() {
+  return {
+    manualReview: MANUAL_REVIEW_NEEDED,
+    statusApplied: DEFAULT_STATUS,
+    statusRejected: REJECTED_STATUS,
+    statusOffer: OFFER_STATUS,
+    statusInterview: INTERVIEW_STATUS,
+    statusAssessment: ASSESSMENT_STATUS,
+    statusViewed: APPLICATION_VIEWED_STATUS,
+    statusOther: UPDATE_OTHER_STATUS,
+    statusAccepted: ACCEPTED_STATUS
+  };
+}
+
+function getPromptOutputSchema_(name) {
+  if (name === PROMPT_APPLICATION_DETAILS) return getApplicationDetailsSchema(); // From GeminiService.gs
+  if (name === PROMPT_JOB_LEADS) return getJobLeadsSchema(); // From GeminiService.gs
+  return null;
+}
+
+// Renders user examples in the same layout as the template's built-in ones.
+function formatUserExamples_(name, examples, heading, label) {
+  if (!examples || examples.length === 0) return "";
+  const blocks = examples.map((ex, i) => name === PROMPT_JOB_LEADS
+    ? `${label} ${i + 1}:\nEmail Content:\n${ex.body}\nOutput:\n${JSON.stringify(ex.output)}\n`
+    : `${label} ${i + 1}:\nSubject: ${ex.subject}\nBody: ${ex.body}\nOutput:\n${JSON.stringify(ex.output)}\n`);
+  return `\n${heading}\n\n${blocks.join("\n")}\n`;
+}
+
+function shortPromptHash_(text) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8);
+  return digest.slice(0, 3).map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,226 @@
+// File: SalaryUtils.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Parses free-text pay ("$120K–$150K/yr", "£45,000 - £55,000", "$65/hr", "Up to 180k + equity") into
+// min, max, currency, period and annualized USD values, and keeps the structured salary columns of "Applications"
+// and "Potential Job Leads" in step with the Compensation and "Salary/Pay" text they are parsed from.
+
+// --- Parsing ---
+/**
+ * Parses a pay text. The first amount marked as money (a currency sign or code, a "k", or thousands separators in a
+ * range or with a period) is read, together with the amount it forms a range with ("$120-150k", "$100k to $120k").
+ * Without such a mark, the first amount directly followed by a pay period is read ("20-25/hr").
+ * "Up to X" leaves min empty; "From X", "at least X" and "X+" leave max empty. Without a stated period the pay is
+ * yearly, and amounts under 1,000 without a period are not read as pay ("$5 off").
+ * @param {string|number} text The Compensation or "Salary/Pay" cell.
+ * @return {{min: number|null, max: number|null, currency: string, period: string, annualMinUsd: number|null,
+ *     annualMaxUsd: number|null}|null} period is a SALARY_PERIOD_MULTIPLIERS key; the annual values are null when the
+ *     currency has no SALARY_USD_EXCHANGE_RATES entry. null when the text states no pay.
+ */
+function parseSalary(text) {
+  const source = String(text === undefined || text === null ? "" : text).replace(/[\u2012-\u2015\u2212]/g, "-");
+  const amounts = findSalaryAmounts_(source);
+  const isWholeCell = amounts.length === 1 && source.trim() === source.slice(amounts[0].start, amounts[0].end); // A bare 150000
+  if (isWholeCell) amounts[0].isMoney = true;
+  let moneyIndex = amounts.findIndex(a => a.isMoney);
+  if (moneyIndex === -1) moneyIndex = amounts.findIndex(a => findSalaryPeriod_(source.slice(a.end), true)); // "20-25/hr", "45.50/hr"
+  if (moneyIndex === -1) return null;
+
+  let low = amounts[moneyIndex];
+  let high = null;
+  const isRange = (a, b) => /^\s*(-|to|and)\s*$/i.test(source.slice(a.end, b.start));
+  if (moneyIndex > 0 && isRange(amounts[moneyIndex - 1], low)) { high = low; low = amounts[moneyIndex - 1]; } // "120-150k"
+  else if (amounts[moneyIndex + 1] && isRange(low, amounts[moneyIndex + 1])) high = amounts[moneyIndex + 1];
+  if (high) {
+    // A "k" written once covers both ends: "$120-150K", "120k-150".
+    if (high.multiplier > 1 && low.multiplier === 1 && low.number < 1000) low.multiplier = high.multiplier;
+    if (low.multiplier > 1 && high.multiplier === 1 && high.number < 1000) high.multiplier = low.multiplier;
+    if (high.number * high.multiplier < low.number * low.multiplier) high = null; // "$120k - 5 days PTO"
+  }
+
+  const last = high || low;
+  const period = findSalaryPeriod_(source.slice(last.end)) || findSalaryPeriod_(source);
+  // Thousands separators alone ("team of 1,200") only count as pay in a range, with a period or as the whole cell.
+  if (!high && !period && !low.currency && low.multiplier === 1 && !isWholeCell) return null;
+
+  let min = low.number * low.multiplier;
+  let max = high ? high.number * high.multiplier : min;
+  if (!period && max < 1000) return null;
+  if (!high) {
+    if (/\b(up to|max(imum)?|under)\s*$/i.test(source.slice(0, low.start))) min = null;
+    else if (/\b(from|starting (at|from)|at least|min(imum)?|over)\s*$/i.test(source.slice(0, low.start)) || /^\+/.test(source.slice(low.end))) max = null;
+  }
+
+  const currency = low.currency || (high && high.currency) || SALARY_DEFAULT_CURRENCY;
+  const resolvedPeriod = period || "Year";
+  const rate = SALARY_USD_EXCHANGE_RATES[currency];
+  const toAnnualUsd = amount => (amount === null || rate === undefined ? null : Math.round(amount * SALARY_PERIOD_MULTIPLIERS[resolvedPeriod] * rate));
+  return { min: min, max: max, currency: currency, period: resolvedPeriod, annualMinUsd: toAnnualUsd(min), annualMaxUsd: toAnnualUsd(max) };
+}
+
+/**
+ * The structured salary values for a pay text, keyed like LEADS_FIELD_HEADERS and APP_SALARY_FIELD_COLUMNS.
+ * @param {string|number} text The Compensation or "Salary/Pay" cell.
+ * @return {Object<string, *>} Blank strings for values the text does not state.
+ */
+function getSalaryFields(text) {
+  const salary = parseSalary(text);
+  const value = v => (!salary || v === null || v === undefined ? "" : v);
+  return {
+    salaryMin: value(salary && salary.min),
+    salaryMax: value(salary && salary.max),
+    salaryCurrency: value(salary && salary.currency),
+    salaryPeriod: value(salary && salary.period),
+    annualSalaryMinUsd: value(salary && salary.annualMinUsd),
+    annualSalaryMaxUsd: value(salary && salary.annualMaxUsd)
+  };
+}
+
+// --- Structured Columns ---
+/**
+ * Fills the APP_SALARY_FIELD_COLUMNS of an "Applications" row from its Compensation.
+ * @param {Array<*>} rowValues Full row (TOTAL_COLUMNS_IN_APP_SHEET wide), modified in place.
+ */
+function applySalaryColumnsToRow(rowValues) {
+  const fields = getSalaryFields(rowValues[COMPENSATION_COL - 1]);
+  Object.keys(APP_SALARY_FIELD_COLUMNS).forEach(key => { rowValues[APP_SALARY_FIELD_COLUMNS[key] - 1] = fields[key]; });
+}
+
+/**
+ * Re-parses Compensation for a block of "Applications" rows and rewrites their salary columns.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @param {number} firstRow First sheet row (2 or more).
+ * @param {number} lastRow Last sheet row.
+ * @return {number} The number of rows whose Compensation parsed.
+ */
+function refreshApplicationSalaryColumns(dataSheet, firstRow, lastRow) {
+  if (lastRow < firstRow || dataSheet.getMaxColumns() < TOTAL_COLUMNS_IN_APP_SHEET) return 0; // ensureApplicationsSheetSchema (SheetUtils.gs) adds the columns
+  const numRows = lastRow - firstRow + 1;
+  const keys = Object.keys(APP_SALARY_FIELD_COLUMNS);
+  const firstCol = Math.min(...keys.map(k => APP_SALARY_FIELD_COLUMNS[k]));
+  const width = Math.max(...keys.map(k => APP_SALARY_FIELD_COLUMNS[k])) - firstCol + 1;
+  let parsed = 0;
+  const values = dataSheet.getRange(firstRow, COMPENSATION_COL, numRows, 1).getValues().map(cell => {
+    const fields = getSalaryFields(cell[0]);
+    if (fields.salaryCurrency) parsed++;
+    const row = new Array(width).fill("");
+    keys.forEach(k => { row[APP_SALARY_FIELD_COLUMNS[k] - firstCol] = fields[k]; });
+    return row;
+  });
+  dataSheet.getRange(firstRow, firstCol, numRows, width).setValues(values);
+  return parsed;
+}
+
+/**
+ * Re-parses "Salary/Pay" for a block of "Potential Job Leads" rows and rewrites their salary columns. Columns are
+ * found by header, so a reordered tab is fine; salary headers the tab lacks are skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The leads sheet.
+ * @param {Object<string, number>} headerMap From getHeaderMap (SheetUtils.gs).
+ * @param {number} firstRow First sheet row (2 or more).
+ * @param {number} lastRow Last sheet row.
+ * @return {number} The number of rows whose "Salary/Pay" parsed.
+ */
+function refreshLeadSalaryColumns(sheet, headerMap, firstRow, lastRow) {
+  const salaryCol = headerMap[LEADS_FIELD_HEADERS.salary];
+  if (!salaryCol || lastRow < firstRow) return 0;
+  const numRows = lastRow - firstRow + 1;
+  const fieldsByRow = sheet.getRange(firstRow, salaryCol, numRows, 1).getValues().map(cell => getSalaryFields(cell[0]));
+  Object.keys(APP_SALARY_FIELD_COLUMNS).forEach(key => { // One write per column; the rest of each row is left untouched
+    const col = headerMap[LEADS_FIELD_HEADERS[key]];
+    if (col) sheet.getRange(firstRow, col, numRows, 1).setValues(fieldsByRow.map(fields => [fields[key]]));
+  });
+  return fieldsByRow.filter(fields => fields.salaryCurrency).length;
+}
+
+/**
+ * onEdit hook for "Potential Job Leads": re-parses the salary columns of rows whose "Salary/Pay" was edited.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event object.
+ */
+function handleLeadSalaryEdit(e) {
+  const sheet = e.range.getSheet();
+  const headerMap = getHeaderMap(sheet); // From SheetUtils.gs
+  const salaryCol = headerMap[LEADS_FIELD_HEADERS.salary];
+  if (!salaryCol || salaryCol < e.range.getColumn() || salaryCol > e.range.getLastColumn()) return;
+  refreshLeadSalaryColumns(sheet, headerMap, Math.max(2, e.range.getRow()), e.range.getLastRow());
+}
+
+/**
+ * Menu entry: fills the salary columns of every row on "Applications" and "Potential Job Leads", for rows written
+ * before the columns existed or pay typed in while the edit trigger was off.
+ */
+function refreshSalaryColumns_UI() {
+  const FUNC_NAME = "refreshSalaryColumns_UI";
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = refreshSalaryColumns(SpreadsheetApp.getActiveSpreadsheet());
+    ui.alert('Parse Salaries', `Read pay from ${result.applications} application(s) and ${result.leads} lead(s).`, ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] ${e.toString()}\nStack: ${e.stack}`);
+    ui.alert('Parse Salaries', 'The salary columns could not be filled: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Re-parses the pay of every application and lead (see refreshSalaryColumns_UI). Missing tabs are skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @return {{applications: number, leads: number}} Rows whose pay parsed, per tab.
+ */
+function refreshSalaryColumns(ss) {
+  const FUNC_NAME = "refreshSalaryColumns";
+  const result = { applications: 0, leads: 0 };
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+  if (dataSheet) {
+    ensureApplicationsSheetSchema(dataSheet); // From SheetUtils.gs; adds the salary headers to older sheets
+    result.applications = refreshApplicationSalaryColumns(dataSheet, 2, dataSheet.getLastRow());
+  }
+  if (ss.getSheetByName(LEADS_SHEET_TAB_NAME)) {
+    const { sheet, headerMap } = getSheetAndHeaderMapping_forLeads(ss.getId()); // From Leads_SheetUtils.gs
+    if (sheet) result.leads = refreshLeadSalaryColumns(sheet, headerMap, 2, sheet.getLastRow());
+  }
+  Logger.log(`[${FUNC_NAME} INFO] Parsed pay for ${result.applications} application(s) and ${result.leads} lead(s).`);
+  return result;
+}
+
+// --- Helpers ---
+// Every number in the text with the currency and "k" written around it, in order.
+function findSalaryAmounts_(text) {
+  const escape = s => s.replace(/[$]/g, "\\$");
+  const signs = Object.keys(SALARY_CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).map(escape).join("|");
+  const codes = Object.keys(SALARY_USD_EXCHANGE_RATES).join("|");
+  const pattern = new RegExp(`(${signs}|\\b(?:${codes})\\b)?\\s?(\\d{1,3}(?:[,.]\\d{3})+(?!\\d)|\\d+(?:\\.\\d+)?)\\s?([kK](?![a-zA-Z]))?(?:\\s?\\b(${codes})\\b)?`, "g");
+  const amounts = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [whole, prefix, digits, thousands, suffixCode] = match;
+    if (digits === "401" && thousands) continue; // A 401k retirement plan, not pay
+    const currency = prefix ? (SALARY_CURRENCY_SYMBOLS[prefix] || prefix) : (suffixCode || "");
+    const hasSeparators = /[,.]\d{3}(?!\d)/.test(digits);
+    amounts.push({
+      number: parseFloat(hasSeparators ? digits.replace(/[,.]/g, "") : digits),
+      multiplier: thousands ? 1000 : 1,
+      currency: currency,
+      isMoney: !!(currency || thousands || hasSeparators),
+      start: match.index + whole.search(/\S/),
+      end: match.index + whole.trimEnd().length
+    });
+  }
+  return amounts;
+}
+
+// The SALARY_PERIOD_MULTIPLIERS key of the first pay period the text names ("/hr", "per month", "annually"), or "".
+// With atStart, only a period at the start of the text counts.
+function findSalaryPeriod_(text, atStart) {
+  const patterns = {
+    Hour: /(?:\/\s*|\b(?:per|an?)\s+)(?:hour|hr|h)\b|\bhourly\b/i,
+    Day: /(?:\/\s*|\b(?:per|a)\s+)(?:day|d)\b|\bdaily\b/i,
+    Week: /(?:\/\s*|\b(?:per|a)\s+)(?:week|wk)\b|\bweekly\b/i,
+    Month: /(?:\/\s*|\b(?:per|a)\s+)(?:month|mo|mth)\b|\bmonthly\b|\bpcm\b/i,
+    Year: /(?:\/\s*|\b(?:per|an?)\s+)(?:year|yr|annum)\b|\b(?:annual|annually|yearly|p\.a)\b/i
+  };
+  let found = "";
+  let foundAt = Infinity;
+  Object.keys(patterns).forEach(period => {
+    const match = patterns[period].exec(text);
+    if (match && match.index < foundAt && (!atStart || !text.slice(0, match.index).trim())) { found = period; foundAt = match.index; }
+  });
+  return found;
+}
@@ -0,0 +1,71 @@
+// File: SchemaUtils.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Minimal validator for the response schemas sent with structured-output LLM calls
+// (GeminiService.gs). Schemas use Gemini's OpenAPI subset: type (OBJECT, ARRAY, STRING, NUMBER, INTEGER,
+// BOOLEAN), properties, required, items, enum and nullable. The same schema object is sent to the API
+// and checked locally, because providers do not all enforce it.
+
+/**
+ * Validates a parsed JSON value against a schema.
+ * @param {*} value The parsed value.
+ * @param {Object} schema The schema.
+ * @param {string} [path] JSON path used in messages (defaults to "$").
+ * @return {Array<string>} Human-readable problems; empty when the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+  const at = path || "$";
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${at}: is missing or null`];
+  }
+  const type = String(schema.type || "").toUpperCase();
+  const errors = [];
+  switch (type) {
+    case "OBJECT": {
+      if (typeof value !== "object" || Array.isArray(value)) return [`${at}: expected an object`];
+      (schema.required || []).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${at}.${key}: is required`);
+      });
+      Object.keys(schema.properties || {}).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          errors.push(...validateAgainstSchema(value[key], schema.properties[key], `${at}.${key}`));
+        }
+      });
+      break;
+    }
+    case "ARRAY":
+      if (!Array.isArray(value)) return [`${at}: expected an array`];
+      if (schema.items) value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${i}]`)));
+      break;
+    case "STRING":
+      if (typeof value !== "string") return [`${at}: expected a string`];
+      if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: "${value}" is not one of the allowed values`);
+      break;
+    case "NUMBER":
+      if (typeof value !== "number" || !isFinite(value)) errors.push(`${at}: expected a number`);
+      break;
+    case "INTEGER":
+      if (!Number.isInteger(value)) errors.push(`${at}: expected an integer`);
+      break;
+    case "BOOLEAN":
+      if (typeof value !== "boolean") errors.push(`${at}: expected true or false`);
+      break;
+    default:
+      break; // Untyped schema: anything goes
+  }
+  return errors;
+}
+
+/**
+ * Parses model output as JSON (tolerating markdown fences) and validates it.
+ * @param {string} text Raw model output.
+ * @param {Object} schema The expected schema.
+ * @return {{valid: boolean, data: *, text: string, errors: Array<string>}} data is the parsed value when valid.
+ */
+function parseAndValidateLlmJson(text, schema) {
+  const cleaned = stripLlmCodeFences(text); // From LlmProviders.gs
+  let data;
+  try { data = JSON.parse(cleaned); }
+  catch (e) { return { valid: false, data: null, text: cleaned, errors: [`not valid JSON (${e.message})`] }; }
+  const errors = validateAgainstSchema(data, schema);
+  return { valid: errors.length === 0, data: errors.length === 0 ? data : null, text: cleaned, errors: errors };
+}
@@ -52,6 +52,9 @@ function setupSheetFormatting(sheet, headersArray, columnWidthsArray, applyBandi
   Logger.log(`[${FUNC_NAME} INFO] Applying formatting to sheet: "${sheet.getName()}". Effective headers count: ${effectiveHeaderCount}`);
   
   try {
+    if (effectiveHeaderCount > sheet.getMaxColumns()) { // New sheets have 26 columns
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), effectiveHeaderCount - sheet.getMaxColumns());
+    }
     // --- 0. Clear existing formats on a substantial range to prevent conflicts ---
     // This needs to happen BEFORE setting new headers if they might have old formats.
     const rowsToClearFormat = Math.min(sheet.getMaxRows(), Math.max(200, sheet.getLastRow() > 1 ? sheet.getLastRow() : 200) + 50);
@@ -160,6 +163,263 @@ function setupSheetFormatting(sheet, headersArray, columnWidthsArray, applyBandi
   }
 }
 
+/**
+ * Gets or creates a hidden, header-only sheet used for logs and other internal data (e.g. "Change Log").
+ * Headers are (re)written only when the sheet is created or its header row is empty.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet to look in.
+ * @param {string} sheetName The tab name.
+ * @param {Array<string>} headersArray Header row values.
+ * @param {Array<number>} [columnWidthsArray] Optional. Column widths (passed through to setupSheetFormatting).
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null on failure.
+ */
+function getOrCreateHiddenSheet(ss, sheetName, headersArray, columnWidthsArray) {
+  const FUNC_NAME = "getOrCreateHiddenSheet";
+  if (!ss) { Logger.log(`[${FUNC_NAME} ERROR] No spreadsheet provided for "${sheetName}".`); return null; }
+  try {
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName, ss.getSheets().length);
+      Logger.log(`[${FUNC_NAME} INFO] Created sheet "${sheetName}".`);
+    }
+    if (sheet.getLastRow() === 0) {
+      if (!setupSheetFormatting(sheet, headersArray, columnWidthsArray, false)) {
+        Logger.log(`[${FUNC_NAME} WARN] Formatting failed for "${sheetName}".`);
+      }
+    }
+    if (!sheet.isSheetHidden()) sheet.hideSheet();
+    return sheet;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Could not get/create "${sheetName}": ${e.toString()}`);
+    return null;
+  }
+}
+
+// --- Header-Mapped Access ---
+// Tabs users may rearrange (e.g. "Potential Job Leads") are read and written by header name rather than fixed
+// column index. A header map is {headerName: 1-based column}; a "field headers" object maps record keys to header
+// names, e.g. LEADS_FIELD_HEADERS in Config.gs.
+
+/**
+ * Reads a sheet's header row (row 1) into a header map. Blank headers are skipped; a repeated header maps to its
+ * first column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @return {Object<string, number>} Header name -> 1-based column index.
+ */
+function getHeaderMap(sheet) {
+  const headerMap = {};
+  const lastCol = sheet.getLastColumn();
+  if (lastCol === 0) return headerMap;
+  sheet.getRange(1, 1, 1, lastCol).getValues()[0].forEach((value, i) => {
+    const header = String(value).trim();
+    if (header && !headerMap[header]) headerMap[header] = i + 1;
+  });
+  return headerMap;
+}
+
+/**
+ * Opens a tab and maps its headers. Any of expectedHeaders the tab lacks (e.g. a column added in a later version)
+ * is appended after the last header, so older sheets keep working without a re-run of setup.
+ * @param {string} ssId The spreadsheet ID.
+ * @param {string} tabName The tab name.
+ * @param {Array<string>} [expectedHeaders] Optional. Headers the callers rely on.
+ * @return {{sheet: GoogleAppsScript.Spreadsheet.Sheet|null, headerMap: Object<string, number>}} sheet is null
+ *     (and headerMap empty) when the spreadsheet or tab cannot be opened.
+ */
+function getSheetAndHeaderMapping(ssId, tabName, expectedHeaders) {
+  const FUNC_NAME = "getSheetAndHeaderMapping";
+  let sheet;
+  try {
+    sheet = SpreadsheetApp.openById(ssId).getSheetByName(tabName);
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Could not open spreadsheet ${ssId}: ${e.message}`);
+    return { sheet: null, headerMap: {} };
+  }
+  if (!sheet) {
+    Logger.log(`[${FUNC_NAME} ERROR] Tab "${tabName}" not found in spreadsheet ${ssId}.`);
+    return { sheet: null, headerMap: {} };
+  }
+
+  const headerMap = getHeaderMap(sheet);
+  const missing = (expectedHeaders || []).filter(h => !headerMap[h]);
+  if (missing.length > 0) {
+    const firstNewCol = Math.max(0, ...Object.values(headerMap)) + 1;
+    const lastNewCol = firstNewCol + missing.length - 1;
+    if (sheet.getMaxColumns() < lastNewCol) sheet.insertColumnsAfter(sheet.getMaxColumns(), lastNewCol - sheet.getMaxColumns());
+    sheet.getRange(1, firstNewCol, 1, missing.length).setValues([missing]).setFontWeight('bold');
+    missing.forEach((h, i) => { headerMap[h] = firstNewCol + i; });
+    Logger.log(`[${FUNC_NAME} INFO] Added missing header(s) to "${tabName}": ${missing.join(", ")}.`);
+  }
+  return { sheet: sheet, headerMap: headerMap };
+}
+
+/**
+ * Builds a sheet row from a record. Fields whose header is not in the sheet, and columns no field maps to, stay blank.
+ * @param {Object<string, *>} record Values keyed like fieldHeaders; undefined and null are written as "".
+ * @param {Object<string, string>} fieldHeaders Record key -> header name.
+ * @param {Object<string, number>} headerMap From getHeaderMap.
+ * @param {number} width Row length (usually the last header column).
+ * @return {Array<*>} The row values.
+ */
+function buildRowFromRecord(record, fieldHeaders, headerMap, width) {
+  const row = new Array(width).fill("");
+  Object.keys(fieldHeaders).forEach(key => {
+    const col = headerMap[fieldHeaders[key]];
+    if (col && col <= width && record[key] !== undefined && record[key] !== null) row[col - 1] = record[key];
+  });
+  return row;
+}
+
+/**
+ * Appends records below the last row in one write.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {Object<string, number>} headerMap From getHeaderMap.
+ * @param {Object<string, string>} fieldHeaders Record key -> header name.
+ * @param {Array<Object<string, *>>} records The records to write.
+ * @return {number} The sheet row of the first appended record, or 0 if there were none.
+ */
+function appendRecordsByHeader(sheet, headerMap, fieldHeaders, records) {
+  if (!records || records.length === 0) return 0;
+  const width = Math.max(...Object.values(headerMap));
+  const rows = records.map(r => buildRowFromRecord(r, fieldHeaders, headerMap, width));
+  const startRow = sheet.getLastRow() + 1;
+  if (sheet.getMaxRows() < startRow + rows.length - 1) sheet.insertRowsAfter(sheet.getMaxRows(), startRow + rows.length - 1 - sheet.getMaxRows());
+  sheet.getRange(startRow, 1, rows.length, width).setValues(rows);
+  return startRow;
+}
+
+/**
+ * Writes a record over an existing row. Only the fields present in the record are changed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {Object<string, number>} headerMap From getHeaderMap.
+ * @param {Object<string, string>} fieldHeaders Record key -> header name.
+ * @param {number} rowNumber The 1-based sheet row.
+ * @param {Object<string, *>} record The values to write.
+ */
+function updateRecordByHeader(sheet, headerMap, fieldHeaders, rowNumber, record) {
+  const width = Math.max(...Object.values(headerMap));
+  const range = sheet.getRange(rowNumber, 1, 1, width);
+  const row = range.getValues()[0];
+  Object.keys(record).forEach(key => {
+    const col = fieldHeaders[key] ? headerMap[fieldHeaders[key]] : 0;
+    if (col && col <= width) row[col - 1] = record[key] === undefined || record[key] === null ? "" : record[key];
+  });
+  range.setValues([row]);
+}
+
+/**
+ * Reads every data row (below the header) as records, for dedupe lookups and the like.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {Object<string, number>} headerMap From getHeaderMap.
+ * @param {Object<string, string>} fieldHeaders Record key -> header name; fields whose header is missing read as "".
+ * @return {Array<{rowNumber: number, record: Object<string, *>}>} One entry per row, blank rows included.
+ */
+function readRecordsByHeader(sheet, headerMap, fieldHeaders) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  const width = Math.max(...Object.values(headerMap));
+  return sheet.getRange(2, 1, lastRow - 1, width).getValues().map((row, i) => {
+    const record = {};
+    Object.keys(fieldHeaders).forEach(key => {
+      const col = headerMap[fieldHeaders[key]];
+      record[key] = col ? row[col - 1] : "";
+    });
+    return { rowNumber: i + 2, record: record };
+  });
+}
+
+// --- Application ID Helpers ---
+/**
+ * Generates a new Application ID for the "Applications" sheet.
+ * @return {string} A UUID.
+ */
+function generateApplicationId() {
+  return Utilities.getUuid();
+}
+
+/**
+ * Makes sure every column after "Notes" has its header and that the hidden metadata columns
+ * (APP_TRACKER_HIDDEN_METADATA_COLS) stay hidden. Sheets created before these columns existed are
+ * migrated in place; a visible column the user already titled differently is left alone and logged.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ */
+function ensureApplicationsSheetSchema(dataSheet) {
+  const FUNC_NAME = "ensureApplicationsSheetSchema";
+  if (dataSheet.getMaxColumns() < TOTAL_COLUMNS_IN_APP_SHEET) {
+    dataSheet.insertColumnsAfter(dataSheet.getMaxColumns(), TOTAL_COLUMNS_IN_APP_SHEET - dataSheet.getMaxColumns());
+  }
+  const headers = dataSheet.getRange(1, 1, 1, TOTAL_COLUMNS_IN_APP_SHEET).getValues()[0];
+  for (let col = NOTES_COL + 1; col <= TOTAL_COLUMNS_IN_APP_SHEET; col++) {
+    const expectedHeader = APP_TRACKER_SHEET_HEADERS[col - 1];
+    const currentHeader = String(headers[col - 1]).trim();
+    const isMetadataCol = APP_TRACKER_HIDDEN_METADATA_COLS.includes(col);
+    if (currentHeader !== expectedHeader) {
+      if (isMetadataCol || currentHeader === "") {
+        dataSheet.getRange(1, col).setValue(expectedHeader).setFontWeight('bold');
+        Logger.log(`[${FUNC_NAME} INFO] Added "${expectedHeader}" header to "${dataSheet.getName()}".`);
+      } else {
+        Logger.log(`[${FUNC_NAME} WARN] Column ${col} is titled "${currentHeader}" but the tracker expects "${expectedHeader}". Leaving the header as is.`);
+      }
+    }
+    if (isMetadataCol && !dataSheet.isColumnHiddenByUser(col)) dataSheet.hideColumns(col);
+  }
+}
+
+/**
+ * Makes sure every non-blank row of the "Applications" sheet has a unique Application ID, migrating the
+ * sheet first (ensureApplicationsSheetSchema) so the ID column exists. Duplicated IDs (e.g. from a
+ * copy-pasted row) are replaced on the later row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @return {number} The number of rows that were assigned a new ID.
+ */
+function ensureApplicationIds(dataSheet) {
+  const FUNC_NAME = "ensureApplicationIds";
+  ensureApplicationsSheetSchema(dataSheet);
+  const lastRow = dataSheet.getLastRow();
+  if (lastRow < 2) return 0;
+  const values = dataSheet.getRange(2, 1, lastRow - 1, APPLICATION_ID_COL).getValues();
+  const seenIds = new Set();
+  let assignedCount = 0;
+  const idColumn = values.map(row => {
+    const existingId = String(row[APPLICATION_ID_COL - 1] || "").trim();
+    if (existingId && !seenIds.has(existingId)) {
+      seenIds.add(existingId);
+      return [existingId];
+    }
+    const isBlankRow = row.slice(0, APPLICATION_ID_COL - 1).every(v => v === "" || v === null);
+    if (isBlankRow) return [""];
+    const newId = generateApplicationId();
+    seenIds.add(newId);
+    assignedCount++;
+    return [newId];
+  });
+  if (assignedCount > 0) {
+    dataSheet.getRange(2, APPLICATION_ID_COL, idColumn.length, 1).setValues(idColumn);
+    Logger.log(`[${FUNC_NAME} INFO] Assigned Application IDs to ${assignedCount} row(s).`);
+  }
+  return assignedCount;
+}
+
+/**
+ * Splits a "Thread IDs" cell into an array of Gmail thread IDs.
+ * @param {*} cellValue The raw cell value (comma-separated IDs).
+ * @return {Array<string>} The thread IDs, without blanks.
+ */
+function parseThreadIdsCell(cellValue) {
+  return String(cellValue || "").split(",").map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Adds a Gmail thread ID to a "Thread IDs" cell value if it is not already listed.
+ * @param {*} cellValue The raw cell value (comma-separated IDs).
+ * @param {string} threadId The thread ID to add.
+ * @return {string} The updated comma-separated value.
+ */
+function mergeThreadIdsCell(cellValue, threadId) {
+  const threadIds = parseThreadIdsCell(cellValue);
+  if (threadId && threadIds.indexOf(threadId) === -1) threadIds.push(threadId);
+  return threadIds.join(",");
+}
+
 // The getOrCreateSpreadsheetAndSheet function remains the same as the corrected version I provided previously
 // (the one NOT named _Fallback)
 function getOrCreateSpreadsheetAndSheet() {
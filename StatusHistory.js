@@ -0,0 +1,117 @@
+// File: StatusHistory.gs
+// Project: CareerSuite.AI Job Tracker
+// Description: Records every application status transition to the "Status History" tab so
+// time-in-stage can be measured (e.g. how long a company took from Applied to Interviewing).
+
+/**
+ * Builds a status history row. Returns null when the status did not actually change.
+ * @param {Object} details Transition details.
+ * @param {string} details.applicationId Application ID of the row (APPLICATION_ID_COL).
+ * @param {string} details.company Company at the time of the transition.
+ * @param {string} details.title Job title at the time of the transition.
+ * @param {string} details.oldStatus Status before the transition ("" for new applications).
+ * @param {string} details.newStatus Status after the transition.
+ * @param {string} [details.sourceEmailId] Gmail message ID that caused the transition, if any.
+ * @param {string} details.origin One of the STATUS_ORIGIN_* constants from Config.gs.
+ * @param {Date} [details.effectiveDate] When the transition happened. Defaults to now.
+ * @return {Array<*>|null} A row matching STATUS_HISTORY_SHEET_HEADERS, or null if nothing changed.
+ */
+function buildStatusHistoryEntry(details) {
+  const oldStatus = details.oldStatus ? String(details.oldStatus).trim() : "";
+  const newStatus = details.newStatus ? String(details.newStatus).trim() : "";
+  if (!newStatus || oldStatus === newStatus) return null;
+  const now = new Date();
+  return [
+    now,
+    details.effectiveDate instanceof Date ? details.effectiveDate : now,
+    details.applicationId || "",
+    details.company || "",
+    details.title || "",
+    oldStatus,
+    newStatus,
+    details.sourceEmailId || "",
+    details.origin || ""
+  ];
+}
+
+/**
+ * Appends status transitions to the "Status History" tab in one write, creating the tab if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Array<Array<*>|null>} entries Rows from buildStatusHistoryEntry (nulls are skipped).
+ * @return {boolean} True if the entries were written (or there was nothing to write).
+ */
+function appendStatusHistoryEntries(ss, entries) {
+  const FUNC_NAME = "appendStatusHistoryEntries";
+  const rows = (entries || []).filter(Boolean);
+  if (rows.length === 0) return true;
+  try {
+    const historySheet = getOrCreateHiddenSheet(ss, STATUS_HISTORY_SHEET_TAB_NAME, STATUS_HISTORY_SHEET_HEADERS, STATUS_HISTORY_SHEET_COLUMN_WIDTHS); // From SheetUtils.gs
+    if (!historySheet) return false;
+    historySheet.getRange(historySheet.getLastRow() + 1, 1, rows.length, STATUS_HISTORY_SHEET_HEADERS.length).setValues(rows);
+    if (DEBUG_MODE) Logger.log(`[${FUNC_NAME} DEBUG] Recorded ${rows.length} status transition(s).`);
+    return true;
+  } catch (e) {
+    Logger.log(`[${FUNC_NAME} ERROR] Failed to record status history: ${e.toString()}`);
+    return false;
+  }
+}
+
+/**
+ * Reads status transitions recorded on or after a given time.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The user's spreadsheet.
+ * @param {Date} sinceDate Only entries with a Timestamp at or after this date are returned.
+ * @return {Array<Object>|null} Entries keyed by camel-cased header, or null if the tab does not exist.
+ */
+function getStatusHistorySince(ss, sinceDate) {
+  const historySheet = ss.getSheetByName(STATUS_HISTORY_SHEET_TAB_NAME);
+  if (!historySheet) return null;
+  if (historySheet.getLastRow() < 2) return [];
+  const values = historySheet.getRange(2, 1, historySheet.getLastRow() - 1, STATUS_HISTORY_SHEET_HEADERS.length).getValues();
+  const entries = [];
+  values.forEach(row => {
+    const recordedAt = parseSheetDateValue(row[0]); // From Main.gs
+    if (!recordedAt || recordedAt.getTime() < sinceDate.getTime()) return;
+    entries.push({
+      timestamp: recordedAt,
+      effectiveDate: parseSheetDateValue(row[1]) || recordedAt,
+      applicationId: String(row[2] || ""),
+      company: String(row[3] || ""),
+      title: String(row[4] || ""),
+      oldStatus: String(row[5] || ""),
+      newStatus: String(row[6] || ""),
+      sourceEmailId: String(row[7] || ""),
+      origin: String(row[8] || "")
+    });
+  });
+  return entries;
+}
+
+/**
+ * Median days from Applied to the first time applications reached each of TIME_IN_STAGE_STATUSES (Config.gs), by
+ * Effective Date. An application's start is its first transition to DEFAULT_STATUS; applications without one (rows
+ * added before the history was kept) are left out.
+ * @param {Array<Object>} entries From getStatusHistorySince.
+ * @return {Array<{stage: string, medianDays: number|null, applications: number}>} One per TIME_IN_STAGE_STATUSES
+ *     entry, in order. medianDays is rounded to one decimal, and null when no application reached the stage.
+ */
+function getTimeInStageMedians(entries) {
+  const byApplication = {};
+  entries.slice().sort((a, b) => a.effectiveDate.getTime() - b.effectiveDate.getTime()).forEach(entry => {
+    if (!entry.applicationId) return;
+    const app = byApplication[entry.applicationId] = byApplication[entry.applicationId] || { appliedAt: null, reachedAt: {} };
+    if (!app.appliedAt) {
+      if (entry.newStatus === DEFAULT_STATUS) app.appliedAt = entry.effectiveDate;
+    } else if (!app.reachedAt[entry.newStatus]) {
+      app.reachedAt[entry.newStatus] = entry.effectiveDate;
+    }
+  });
+  return TIME_IN_STAGE_STATUSES.map(stage => {
+    const days = Object.keys(byApplication)
+      .filter(id => byApplication[id].reachedAt[stage])
+      .map(id => Math.max(0, (byApplication[id].reachedAt[stage].getTime() - byApplication[id].appliedAt.getTime()) / (24 * 60 * 60 * 1000)))
+      .sort((a, b) => a - b);
+    const mid = Math.floor(days.length / 2);
+    const median = days.length === 0 ? null : (days.length % 2 ? days[mid] : (days[mid - 1] + days[mid]) / 2);
+    return { stage: stage, medianDays: median === null ? null : Math.round(median * 10) / 10, applications: days.length };
+  });
+}
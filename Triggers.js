@@ -193,3 +193,60 @@ function createOrVerifyStaleRejectTrigger(functionName = 'markStaleApplicationsA
   }
   return newTriggerCreated;
 }
+
+// --- Continuation Triggers (Checkpoint.gs) ---
+
+/**
+ * Schedules a one-off trigger to continue a job that stopped before clearing its backlog.
+ * Does nothing if a continuation for the same handler is already pending.
+ * @param {string} functionName The continuation handler, e.g. 'continueProcessJobApplicationEmails'.
+ * @return {boolean} True if a new trigger was created.
+ */
+function scheduleContinuationTrigger(functionName) {
+  try {
+    const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === functionName);
+    if (pending) {
+      Logger.log(`[INFO] TRIGGER: Continuation for "${functionName}" ALREADY PENDING.`);
+      return false;
+    }
+    ScriptApp.newTrigger(functionName).timeBased().after(CONTINUATION_TRIGGER_DELAY_MINUTES * 60 * 1000).create();
+    Logger.log(`[INFO] TRIGGER: Continuation for "${functionName}" scheduled in ${CONTINUATION_TRIGGER_DELAY_MINUTES} minute(s).`);
+    return true;
+  } catch (e) {
+    Logger.log(`[ERROR] TRIGGER: Failed to schedule continuation for "${functionName}": ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Deletes the (already fired) one-off triggers for a continuation handler so they do not pile up
+ * against the project's trigger quota.
+ * @param {string} functionName The continuation handler.
+ */
+function deleteContinuationTriggers(functionName) {
+  try {
+    ScriptApp.getProjectTriggers().forEach(t => {
+      if (t.getHandlerFunction() === functionName) ScriptApp.deleteTrigger(t);
+    });
+  } catch (e) {
+    Logger.log(`[WARN] TRIGGER: Could not delete continuation triggers for "${functionName}": ${e.message}`);
+  }
+}
+
+/** Continuation handler for processJobApplicationEmails (scheduled by recordRunProgress in Checkpoint.gs). */
+function continueProcessJobApplicationEmails() {
+  deleteContinuationTriggers('continueProcessJobApplicationEmails');
+  processJobApplicationEmails(); // From Main.gs
+}
+
+/** Continuation handler for processJobLeads (scheduled by recordRunProgress in Checkpoint.gs). */
+function continueProcessJobLeads() {
+  deleteContinuationTriggers('continueProcessJobLeads');
+  processJobLeads(); // From Leads_Main.gs
+}
+
+/** Continuation handler for enrichJobLeads (scheduled by runWithJobLock in Checkpoint.gs while another job runs). */
+function continueEnrichJobLeads() {
+  deleteContinuationTriggers('continueEnrichJobLeads');
+  enrichJobLeads(); // From LeadEnrichment.gs
+}
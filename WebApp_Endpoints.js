@@ -24,6 +24,9 @@ function doGet(e) {
         case 'getWeeklyApplicationData':
           return doGet_WeeklyApplicationData(e); // Handles chart data.
 
+        case 'getApplications':
+          return doGet_Applications(e); // Applications keyed by Application ID (optional 'id' filter).
+
         case 'getApiKeyForScript':
           return doGet_getApiKeyForScript(e); // Handles key sync for copied sheets.
 
@@ -299,6 +302,72 @@ function doGet_WeeklyApplicationData(e) {
   }
 }
 
+/**
+ * Handles GET requests for application rows. Each application is identified by its stable
+ * Application ID, so callers can hold on to IDs across sorts/deletes in the sheet.
+ * Pass an 'id' parameter to fetch a single application.
+ * @param {object} e The event parameter from the GET request.
+ * @return {GoogleAppsScript.Content.TextOutput} A JSON response.
+ */
+function doGet_Applications(e) {
+  const FUNC_NAME = "doGet_Applications";
+  try {
+    const userMjmSheetId = PropertiesService.getUserProperties().getProperty('userMjmSheetId');
+    if (!userMjmSheetId) {
+      return createJsonResponse({ 
+          success: false, 
+          error: "CareerSuite.AI Sheet ID not found. Please complete setup via the extension." 
+      });
+    }
+
+    let ss;
+    try {
+        ss = SpreadsheetApp.openById(userMjmSheetId);
+    } catch (sheetOpenErr) {
+        Logger.log(`[${FUNC_NAME} ERROR] Error opening sheet ID ${userMjmSheetId}: ${sheetOpenErr.message}`);
+        return createJsonResponse({ success: false, error: `Your saved Sheet ID is no longer accessible. Please re-link your sheet.` });
+    }
+
+    const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME);
+    if (!dataSheet) {
+      return createJsonResponse({ success: false, error: `Tab "${APP_TRACKER_SHEET_TAB_NAME}" not found.` });
+    }
+    ensureApplicationIds(dataSheet); // From SheetUtils.gs; rows without an ID are not listed
+
+    const requestedId = e.parameter.id ? String(e.parameter.id).trim() : "";
+    const applications = [];
+    if (dataSheet.getLastRow() >= 2) {
+      const values = dataSheet.getRange(2, 1, dataSheet.getLastRow() - 1, TOTAL_COLUMNS_IN_APP_SHEET).getValues();
+      values.forEach(row => {
+        const applicationId = String(row[APPLICATION_ID_COL - 1] || "").trim();
+        if (!applicationId || (requestedId && applicationId !== requestedId)) return;
+        const toIso = v => v instanceof Date ? v.toISOString() : (v ? String(v) : null);
+        applications.push({
+          applicationId: applicationId,
+          company: String(row[COMPANY_COL - 1] || ""),
+          title: String(row[JOB_TITLE_COL - 1] || ""),
+          status: String(row[STATUS_COL - 1] || ""),
+          peakStatus: String(row[PEAK_STATUS_COL - 1] || ""),
+          platform: String(row[PLATFORM_COL - 1] || ""),
+          emailDate: toIso(row[EMAIL_DATE_COL - 1]),
+          lastUpdate: toIso(row[LAST_UPDATE_DATE_COL - 1]),
+          emailLink: String(row[EMAIL_LINK_COL - 1] || "")
+        });
+      });
+    }
+
+    if (requestedId && applications.length === 0) {
+      return createJsonResponse({ success: false, error: `No application found with ID "${requestedId}".` });
+    }
+    Logger.log(`[${FUNC_NAME} INFO] Returning ${applications.length} application(s).`);
+    return createJsonResponse({ success: true, data: requestedId ? applications[0] : applications });
+
+  } catch (error) {
+    Logger.log(`[${FUNC_NAME} ERROR] Error: ${error.toString()}\nStack: ${error.stack}`);
+    return createJsonResponse({ success: false, error: `Error fetching applications: ${error.toString()}` });
+  }
+}
+
 function doPost(e) {
   const FUNC_NAME = "WebApp_doPost";
   try {
@@ -0,0 +1,31 @@
+// File: eval/gas_sandbox.js
+// Description: Loads the parsing files of the script project into the Apps Script emulator the tests use
+// (tests/gas_emulator.js), so they run offline. Spreadsheets are kept out of reach (the parse cache, prompt
+// examples and corrections read as empty) and UrlFetchApp is answered by a responder the caller sets.
+// Node only; excluded from the Apps Script project by .claspignore.
+
+const { createGasEmulator } = require('../tests/gas_emulator');
+
+const PARSER_FILES = [
+  'Config.js', 'SchemaUtils.js', 'MatchingUtils.js', 'ParsingUtils.js', 'LlmUsage.js', 'LlmProviders.js',
+  'ParseCache.js', 'PromptRegistry.js', 'GeminiService.js', 'Corrections.js', 'Checkpoint.js' // LlmUsage checks the job lock
+];
+
+/**
+ * @param {{verbose?: boolean, scriptProperties?: Object<string, string>}} [options] verbose prints the scripts'
+ *     Logger output; scriptProperties seeds the script property store.
+ * @return {Object} The emulator (see createGasEmulator), with the parsing files loaded. Its setFetchResponder
+ *     takes a function of (url, options) that returns {code, body, headers}.
+ */
+function createSandbox(options) {
+  const emu = createGasEmulator({ verbose: !!(options && options.verbose) });
+  // No real calls are made, so the per-minute LLM rate limit (LlmUsage.gs) would only stall the run.
+  emu.scriptProperties.setProperties(Object.assign({ LLM_MAX_CALLS_PER_MINUTE: '1000000' }, options && options.scriptProperties));
+  emu.setFetchResponder(() => ({ code: 503, body: '{"error":{"message":"No fetch responder set"}}' }));
+  emu.loadFiles(PARSER_FILES);
+  // No spreadsheet offline: sheet-backed stores (cache, examples, corrections, usage ledger) stay empty.
+  emu.context.getOrCreateSpreadsheetAndSheet = () => ({ spreadsheet: null, sheet: null });
+  return emu;
+}
+
+module.exports = { createSandbox };
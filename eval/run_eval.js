@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// File: eval/run_eval.js
+// Description: Offline evaluation of the application-email parsers against a labeled corpus.
+//
+//   node eval/run_eval.js [--corpus <dir>] [--parser regex|llm|all] [--json] [--verbose]
+//
+// Each corpus file (eval/corpus/*.json) holds one labeled email, or an array of them:
+//   {
+//     "id": "greenhouse-received",
+//     "subject": "...", "from": "Acme Careers <jobs@acme.com>", "body": "...",
+//     "expected": {"company": "Acme", "title": "Data Analyst", "status": "Applied"},
+//     "llmResponse": {...}   // Optional. What the model would answer: an object or raw text, or an array of
+//                            // them answering successive calls (e.g. a malformed reply, then the repaired one).
+//   }
+// Use "Manual Review Needed" in "expected" when the email does not state the value.
+//
+// "regex" runs the fallback parsers exactly as processJobApplicationEmails (Main.gs) does: detectPlatformFromSender,
+// extractCompanyAndTitle and parseBodyForStatus. "llm" runs callGemini_forApplicationDetails (GeminiService.gs)
+// with UrlFetchApp answering llmResponse in the Gemini response format, so prompt rendering, schema validation,
+// the repair retry and response mapping are all exercised; emails without llmResponse are skipped.
+// Reports per-field precision and recall and a status confusion matrix for each parser.
+
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./gas_sandbox');
+
+const FIELDS = ['company', 'title', 'status'];
+
+function main(argv) {
+  const args = parseArgs_(argv);
+  const corpus = loadCorpus(args.corpus);
+  if (corpus.length === 0) {
+    console.error(`No labeled emails found in ${args.corpus}.`);
+    return 1;
+  }
+  const sandbox = createSandbox({ verbose: args.verbose });
+  const parsers = args.parser === 'all' ? ['regex', 'llm'] : [args.parser];
+  const reports = parsers.map(parser => evaluate(sandbox, corpus, parser));
+  if (args.json) console.log(JSON.stringify(reports, null, 2));
+  else reports.forEach(report => printReport_(report));
+  return 0;
+}
+
+/**
+ * Reads every *.json file in a directory, in name order.
+ * @param {string} dir Corpus directory.
+ * @return {Array<Object>} Labeled emails.
+ */
+function loadCorpus(dir) {
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().flatMap(file => {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((item, i) => {
+      if (!item.expected || FIELDS.some(f => typeof item.expected[f] !== 'string')) {
+        throw new Error(`${file}: item ${i} needs expected.company, expected.title and expected.status.`);
+      }
+      return Object.assign({ id: `${path.basename(file, '.json')}${Array.isArray(parsed) ? `#${i}` : ''}`, subject: '', from: '', body: '' }, item);
+    });
+  });
+}
+
+/**
+ * Runs one parser over the corpus and scores it.
+ * @param {Object} sandbox From createSandbox.
+ * @param {Array<Object>} corpus From loadCorpus.
+ * @param {string} parser "regex" or "llm".
+ * @return {Object} {parser, evaluated, skipped, fields: {field: {tp, fp, fn, precision, recall}}, confusion, mismatches}
+ */
+function evaluate(sandbox, corpus, parser) {
+  // Config.gs constants are script-scoped, so they are read with run() rather than from the context object.
+  const env = { sandbox: sandbox, ctx: sandbox.context, manualReview: sandbox.run('MANUAL_REVIEW_NEEDED'), defaultStatus: sandbox.run('DEFAULT_STATUS') };
+  const fields = {};
+  FIELDS.forEach(f => { fields[f] = { tp: 0, fp: 0, fn: 0 }; });
+  const confusion = {};
+  const mismatches = [];
+  let evaluated = 0;
+  let skipped = 0;
+
+  corpus.forEach(item => {
+    const predicted = parser === 'llm' ? runLlmParser_(env, item) : runRegexParser_(env, item);
+    if (!predicted) { skipped++; return; }
+    evaluated++;
+    FIELDS.forEach(field => {
+      const expected = item.expected[field];
+      const actual = predicted[field];
+      const expectedPresent = isPresent_(env, expected);
+      const actualPresent = isPresent_(env, actual);
+      const correct = sameValue_(env, field, expected, actual);
+      if (actualPresent && correct) fields[field].tp++;
+      else if (actualPresent) fields[field].fp++;
+      if (expectedPresent && !(actualPresent && correct)) fields[field].fn++;
+      if (!correct) mismatches.push({ id: item.id, field: field, expected: expected, actual: actual });
+    });
+    const row = confusion[item.expected.status] = confusion[item.expected.status] || {};
+    row[predicted.status] = (row[predicted.status] || 0) + 1;
+  });
+
+  FIELDS.forEach(f => {
+    const s = fields[f];
+    s.precision = s.tp + s.fp > 0 ? s.tp / (s.tp + s.fp) : null;
+    s.recall = s.tp + s.fn > 0 ? s.tp / (s.tp + s.fn) : null;
+  });
+  return { parser: parser, evaluated: evaluated, skipped: skipped, fields: fields, confusion: confusion, mismatches: mismatches };
+}
+
+// --- Parsers ---
+
+function runRegexParser_(env, item) {
+  const ctx = env.ctx;
+  const message = createMessage_(item);
+  const platform = ctx.detectPlatformFromSender(item.from);
+  const result = ctx.applyCorrectionRules(ctx.extractCompanyAndTitle(message, platform, item.subject, item.body), item.from, item.subject);
+  return { company: result.company, title: result.title, status: ctx.parseBodyForStatus(item.body) || env.defaultStatus };
+}
+
+function runLlmParser_(env, item) {
+  if (item.llmResponse === undefined) return null;
+  const replies = (Array.isArray(item.llmResponse) ? item.llmResponse : [item.llmResponse])
+    .map(reply => (typeof reply === 'string' ? reply : JSON.stringify(reply)));
+  let call = 0;
+  env.sandbox.setFetchResponder(() => {
+    const text = replies[Math.min(call++, replies.length - 1)];
+    return {
+      code: 200,
+      body: JSON.stringify({ candidates: [{ content: { parts: [{ text: text }] } }], usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 } })
+    };
+  });
+  const result = env.ctx.callGemini_forApplicationDetails(item.subject, item.body, 'offline-eval-key', item.from);
+  if (!result) return { company: env.manualReview, title: env.manualReview, status: env.defaultStatus };
+  return { company: result.company, title: result.title, status: result.status || env.defaultStatus };
+}
+
+function createMessage_(item) {
+  return {
+    getId: () => item.id,
+    getFrom: () => item.from,
+    getSubject: () => item.subject,
+    getPlainBody: () => item.body,
+    getDate: () => new Date(0)
+  };
+}
+
+// --- Scoring ---
+
+function isPresent_(env, value) {
+  return !!value && String(value).trim() !== '' && value !== env.manualReview;
+}
+
+// Companies compare by normalizeCompanyName, titles by normalizeJobTitle (MatchingUtils.gs), statuses exactly.
+function sameValue_(env, field, expected, actual) {
+  if (!isPresent_(env, expected) || !isPresent_(env, actual)) return isPresent_(env, expected) === isPresent_(env, actual);
+  if (field === 'company') return env.ctx.normalizeCompanyName(expected) === env.ctx.normalizeCompanyName(actual);
+  if (field === 'title') return env.ctx.normalizeJobTitle(expected) === env.ctx.normalizeJobTitle(actual);
+  return expected === actual;
+}
+
+// --- Output ---
+
+function printReport_(report) {
+  const pct = v => (v === null ? '   n/a' : `${(v * 100).toFixed(1).padStart(5)}%`);
+  console.log(`\n=== Parser: ${report.parser} (${report.evaluated} evaluated, ${report.skipped} skipped) ===`);
+  console.log('Field      Precision  Recall    TP  FP  FN');
+  FIELDS.forEach(f => {
+    const s = report.fields[f];
+    console.log(`${f.padEnd(10)} ${pct(s.precision)}    ${pct(s.recall)}  ${String(s.tp).padStart(3)} ${String(s.fp).padStart(3)} ${String(s.fn).padStart(3)}`);
+  });
+
+  const expectedStatuses = Object.keys(report.confusion).sort();
+  const predictedStatuses = Array.from(new Set(expectedStatuses.concat(...expectedStatuses.map(s => Object.keys(report.confusion[s]))))).sort();
+  const width = Math.max(8, ...predictedStatuses.map(s => s.length)) + 1;
+  const labelWidth = Math.max(16, ...expectedStatuses.map(s => s.length)) + 1;
+  console.log('\nStatus confusion (rows: expected, columns: predicted)');
+  console.log(''.padEnd(labelWidth) + predictedStatuses.map(s => s.padStart(width)).join(''));
+  expectedStatuses.forEach(expected => {
+    console.log(expected.padEnd(labelWidth) + predictedStatuses.map(p => String(report.confusion[expected][p] || 0).padStart(width)).join(''));
+  });
+
+  if (report.mismatches.length > 0) {
+    console.log('\nMismatches');
+    report.mismatches.forEach(m => console.log(`  ${m.id} [${m.field}] expected "${m.expected}", got "${m.actual}"`));
+  }
+}
+
+function parseArgs_(argv) {
+  const args = { corpus: path.join(__dirname, 'corpus'), parser: 'all', json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--corpus') args.corpus = path.resolve(argv[++i]);
+    else if (arg === '--parser') args.parser = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown argument "${arg}".`);
+  }
+  if (['regex', 'llm', 'all'].indexOf(args.parser) === -1) throw new Error(`--parser must be regex, llm or all.`);
+  return args;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { loadCorpus, evaluate };
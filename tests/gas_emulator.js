@@ -0,0 +1,879 @@
+// File: tests/gas_emulator.js
+// Description: In-memory emulation of the Apps Script services this project uses, so the script files can run
+// in a Node vm context: SpreadsheetApp (spreadsheets, sheets, ranges with values and notes), GmailApp (labels,
+// threads, messages), PropertiesService, ScriptApp triggers, UrlFetchApp (answered by a responder the test sets),
+// Utilities, LockService, Session, DriveApp, MailApp, HtmlService and ContentService.
+// Only the behaviour the project relies on is modelled; formatting calls are accepted and ignored.
+// The advanced Gmail service is covered as far as label IDs and filters go.
+// Node only; excluded from the Apps Script project by .claspignore.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_COLUMNS = 26;
+const PROPERTY_VALUE_MAX_CHARS = 9 * 1024; // Apps Script rejects larger property values
+
+/**
+ * Creates an emulator with an empty Drive, mailbox and property stores.
+ * @param {{verbose?: boolean, timeZone?: string, userEmail?: string}} [options] verbose echoes Logger output;
+ *     timeZone is what Session.getScriptTimeZone returns (default UTC).
+ * @return {Object} The emulator (see the properties assigned below).
+ */
+function createGasEmulator(options) {
+  const opts = Object.assign({ verbose: false, timeZone: 'UTC', userEmail: 'user@example.com' }, options);
+  const emu = {
+    logs: [],
+    spreadsheets: [],
+    activeSpreadsheet: null,
+    triggers: [],
+    fetchRequests: [],
+    sentMail: [],
+    uiAlerts: [],
+    sleptMs: 0,
+    scriptLock: { heldElsewhere: false }, // Set heldElsewhere to act as if another execution holds the script lock
+    fetchResponder: null,
+    nextId: 1
+  };
+  const log = message => {
+    emu.logs.push(String(message));
+    if (opts.verbose) console.log(String(message));
+  };
+  emu.newId = prefix => `${prefix}${emu.nextId++}`;
+
+  emu.context = vm.createContext({});
+  // Values handed to the scripts must be Dates of the context's realm or `instanceof Date` checks fail.
+  emu.ContextDate = vm.runInContext('Date', emu.context);
+  emu.toContextValue = value => (isDate_(value) ? new emu.ContextDate(value.getTime()) : value);
+
+  emu.scriptProperties = createPropertyStore_();
+  emu.userProperties = createPropertyStore_();
+  emu.documentProperties = createPropertyStore_();
+  emu.gmail = createGmail_(emu);
+
+  /** Creates a spreadsheet in the emulated Drive. */
+  emu.createSpreadsheet = name => {
+    const ss = new FakeSpreadsheet(emu, name);
+    emu.spreadsheets.push(ss);
+    return ss;
+  };
+  /** Sets the spreadsheet SpreadsheetApp.getActiveSpreadsheet() returns (the container-bound one). */
+  emu.setActiveSpreadsheet = ss => { emu.activeSpreadsheet = ss; };
+  /** fn(url, params) returns {code, body, headers}; without one every fetch answers 404. */
+  emu.setFetchResponder = fn => { emu.fetchResponder = fn; };
+  emu.run = code => vm.runInContext(code, emu.context);
+  emu.loadFiles = files => files.forEach(file => {
+    const fullPath = path.isAbsolute(file) ? file : path.join(REPO_ROOT, file);
+    vm.runInContext(fs.readFileSync(fullPath, 'utf8'), emu.context, { filename: path.basename(fullPath) });
+  });
+
+  Object.assign(emu.context, {
+    console: { log: log, info: log, warn: log, error: log },
+    Logger: { log: log, clear: () => { emu.logs.length = 0; }, getLog: () => emu.logs.join('\n') },
+    SpreadsheetApp: createSpreadsheetApp_(emu),
+    DriveApp: createDriveApp_(emu),
+    GmailApp: emu.gmail.app,
+    Gmail: emu.gmail.advanced,
+    PropertiesService: {
+      getScriptProperties: () => emu.scriptProperties,
+      getUserProperties: () => emu.userProperties,
+      getDocumentProperties: () => emu.documentProperties
+    },
+    ScriptApp: createScriptApp_(emu),
+    UrlFetchApp: createUrlFetchApp_(emu),
+    Utilities: createUtilities_(emu, opts.timeZone),
+    LockService: { getScriptLock: () => createLock_(emu.scriptLock), getUserLock: () => createLock_(), getDocumentLock: () => createLock_() },
+    CacheService: { getScriptCache: createCache_, getUserCache: createCache_, getDocumentCache: createCache_ },
+    Session: {
+      getScriptTimeZone: () => opts.timeZone,
+      getActiveUser: () => ({ getEmail: () => opts.userEmail }),
+      getEffectiveUser: () => ({ getEmail: () => opts.userEmail }),
+      getTemporaryActiveUserKey: () => 'temporary-user-key'
+    },
+    MailApp: {
+      sendEmail: function () { emu.sentMail.push(arguments.length === 1 ? arguments[0] : { to: arguments[0], subject: arguments[1], body: arguments[2], options: arguments[3] }); },
+      getRemainingDailyQuota: () => 100
+    },
+    HtmlService: {
+      createHtmlOutput: html => createHtmlOutput_(html),
+      createHtmlOutputFromFile: file => createHtmlOutput_(`<!-- ${file} -->`),
+      XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+      SandboxMode: { IFRAME: 'IFRAME' }
+    },
+    ContentService: {
+      createTextOutput: text => {
+        const output = { content: text || '', mimeType: 'TEXT' };
+        output.setMimeType = type => { output.mimeType = type; return output; };
+        output.setContent = content => { output.content = content; return output; };
+        output.getContent = () => output.content;
+        return output;
+      },
+      MimeType: { JSON: 'JSON', TEXT: 'TEXT', CSV: 'CSV', JAVASCRIPT: 'JAVASCRIPT' }
+    },
+    Charts: { ChartType: { AREA: 'AREA', BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', PIE: 'PIE', SCATTER: 'SCATTER', TABLE: 'TABLE' } }
+  });
+  return emu;
+}
+
+/**
+ * Creates an emulator, loads every script file of the project (in clasp's default alphabetical order) and
+ * makes a spreadsheet named TARGET_SPREADSHEET_FILENAME the active one, as in the container-bound deployment.
+ * @param {Object} [options] Passed to createGasEmulator.
+ * @return {Object} The emulator; emu.spreadsheet is the active spreadsheet.
+ */
+function createProjectEmulator(options) {
+  const emu = createGasEmulator(options);
+  emu.loadFiles(listProjectFiles());
+  emu.spreadsheet = emu.createSpreadsheet(emu.run('TARGET_SPREADSHEET_FILENAME'));
+  emu.setActiveSpreadsheet(emu.spreadsheet);
+  return emu;
+}
+
+/** @return {Array<string>} The script files clasp pushes (top-level *.js), sorted. */
+function listProjectFiles() {
+  return fs.readdirSync(REPO_ROOT).filter(f => f.endsWith('.js')).sort();
+}
+
+// --- Spreadsheets ---
+
+const FORMATTING_METHODS_ = [
+  'activate', 'clearFormat', 'clearDataValidations', 'insertCheckboxes', 'merge', 'removeCheckboxes', 'setBackground',
+  'setBorder', 'setDataValidation', 'setFontColor', 'setFontFamily', 'setFontSize', 'setFontStyle', 'setFontWeight',
+  'setHorizontalAlignment', 'setNumberFormat', 'setVerticalAlignment', 'setWrap', 'setWrapStrategy'
+];
+
+class FakeSpreadsheet {
+  constructor(emu, name) {
+    this.emu_ = emu;
+    this.id_ = emu.newId('spreadsheet-');
+    this.name_ = name;
+    this.sheets_ = [new FakeSheet(emu, this, 'Sheet1')];
+    this.toasts = [];
+  }
+  getId() { return this.id_; }
+  getName() { return this.name_; }
+  rename(name) { this.name_ = name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id_}/edit`; }
+  getSpreadsheetTimeZone() { return this.emu_.context.Session.getScriptTimeZone(); }
+  getSheets() { return this.sheets_.slice(); }
+  getSheetByName(name) { return this.sheets_.find(s => s.getName() === name) || null; }
+  getActiveSheet() { return this.sheets_[0] || null; }
+  setActiveSheet(sheet) { return sheet; }
+  insertSheet(name, index) {
+    if (typeof name === 'number') { index = name; name = undefined; }
+    const sheetName = name || `Sheet${this.sheets_.length + 1}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this.emu_, this, sheetName);
+    const at = typeof index === 'number' ? Math.max(0, Math.min(index, this.sheets_.length)) : this.sheets_.length;
+    this.sheets_.splice(at, 0, sheet);
+    return sheet;
+  }
+  deleteSheet(sheet) {
+    if (this.sheets_.length === 1) throw new Error("You can't remove all the sheets in a document.");
+    this.sheets_ = this.sheets_.filter(s => s !== sheet);
+  }
+  toast(message, title) { this.toasts.push({ message: message, title: title }); }
+}
+
+class FakeSheet {
+  constructor(emu, spreadsheet, name) {
+    this.emu_ = emu;
+    this.parent_ = spreadsheet;
+    this.id_ = emu.nextId++;
+    this.name_ = name;
+    this.values_ = []; // values_[row - 1][col - 1]; missing cells read as ''
+    this.notes_ = [];
+    this.maxRows_ = DEFAULT_MAX_ROWS;
+    this.maxColumns_ = DEFAULT_MAX_COLUMNS;
+    this.hiddenColumns_ = new Set();
+    this.hidden_ = false;
+    this.frozenRows_ = 0;
+    this.columnWidths_ = {};
+    this.bandings_ = [];
+    this.charts_ = [];
+    this.tabColor_ = null;
+  }
+  getName() { return this.name_; }
+  setName(name) { this.name_ = name; return this; }
+  getSheetId() { return this.id_; }
+  getParent() { return this.parent_; }
+  getIndex() { return this.parent_.sheets_.indexOf(this) + 1; }
+  activate() { return this; }
+
+  getMaxRows() { return this.maxRows_; }
+  getMaxColumns() { return this.maxColumns_; }
+  getLastRow() {
+    for (let r = this.values_.length; r >= 1; r--) {
+      if ((this.values_[r - 1] || []).some(v => !isEmptyCell_(v))) return r;
+    }
+    return 0;
+  }
+  getLastColumn() {
+    let last = 0;
+    this.values_.forEach(row => {
+      (row || []).forEach((v, c) => { if (!isEmptyCell_(v) && c + 1 > last) last = c + 1; });
+    });
+    return last;
+  }
+
+  /** getRange(row, column[, numRows[, numColumns]]) or getRange(a1Notation), as in Apps Script. */
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const a1 = parseA1_(rowOrA1, this.maxRows_, this.maxColumns_);
+      return this.getRange(a1.row, a1.column, a1.numRows, a1.numColumns);
+    }
+    const rows = numRows === undefined ? 1 : numRows;
+    const cols = numColumns === undefined ? 1 : numColumns;
+    if (!(rowOrA1 >= 1) || !(column >= 1) || !(rows >= 1) || !(cols >= 1)) {
+      throw new Error(`The starting row/column and the number of rows/columns must be at least 1 (got ${rowOrA1}, ${column}, ${rows}, ${cols}).`);
+    }
+    if (rowOrA1 + rows - 1 > this.maxRows_ || column + cols - 1 > this.maxColumns_) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet "${this.name_}".`);
+    }
+    return new FakeRange(this, rowOrA1, column, rows, cols);
+  }
+  getDataRange() { return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn())); }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    if (row > this.maxRows_) this.maxRows_ = row;
+    if (rowContents.length > this.maxColumns_) this.maxColumns_ = rowContents.length;
+    rowContents.forEach((v, i) => this.setCell_(row, i + 1, v));
+    return this;
+  }
+  insertRowsAfter(afterPosition, howMany) {
+    this.values_.splice(afterPosition, 0, ...new Array(howMany).fill(null).map(() => []));
+    this.notes_.splice(afterPosition, 0, ...new Array(howMany).fill(null).map(() => []));
+    this.maxRows_ += howMany;
+    return this;
+  }
+  deleteRow(rowPosition) { return this.deleteRows(rowPosition, 1); }
+  deleteRows(rowPosition, howMany) {
+    this.values_.splice(rowPosition - 1, howMany);
+    this.notes_.splice(rowPosition - 1, howMany);
+    this.maxRows_ -= howMany;
+    return this;
+  }
+  insertColumnsAfter(afterPosition, howMany) {
+    [this.values_, this.notes_].forEach(grid => grid.forEach(row => {
+      if (row && row.length > afterPosition) row.splice(afterPosition, 0, ...new Array(howMany).fill(''));
+    }));
+    this.hiddenColumns_ = new Set([...this.hiddenColumns_].map(c => (c > afterPosition ? c + howMany : c)));
+    this.maxColumns_ += howMany;
+    return this;
+  }
+  deleteColumns(columnPosition, howMany) {
+    if (this.maxColumns_ - howMany < 1) throw new Error("You can't delete all the columns on the sheet.");
+    [this.values_, this.notes_].forEach(grid => grid.forEach(row => { if (row) row.splice(columnPosition - 1, howMany); }));
+    const end = columnPosition + howMany - 1;
+    this.hiddenColumns_ = new Set([...this.hiddenColumns_].filter(c => c < columnPosition || c > end).map(c => (c > end ? c - howMany : c)));
+    this.maxColumns_ -= howMany;
+  }
+  deleteColumn(columnPosition) { this.deleteColumns(columnPosition, 1); return this; }
+  hideColumns(columnIndex, numColumns) {
+    for (let c = columnIndex; c < columnIndex + (numColumns || 1); c++) this.hiddenColumns_.add(c);
+  }
+  hideColumn(range) { this.hideColumns(range.getColumn(), range.getNumColumns()); }
+  showColumns(columnIndex, numColumns) {
+    for (let c = columnIndex; c < columnIndex + (numColumns || 1); c++) this.hiddenColumns_.delete(c);
+  }
+  isColumnHiddenByUser(columnPosition) { return this.hiddenColumns_.has(columnPosition); }
+  hideSheet() { this.hidden_ = true; return this; }
+  showSheet() { this.hidden_ = false; return this; }
+  isSheetHidden() { return this.hidden_; }
+  getFrozenRows() { return this.frozenRows_; }
+  setFrozenRows(rows) { this.frozenRows_ = rows; }
+  getColumnWidth(columnPosition) { return this.columnWidths_[columnPosition] || 100; }
+  setColumnWidth(columnPosition, width) { this.columnWidths_[columnPosition] = width; return this; }
+  setRowHeight() { return this; }
+  setHiddenGridlines() { return this; }
+  setTabColor(color) { this.tabColor_ = color; return this; }
+  getTabColor() { return this.tabColor_; }
+  getBandings() { return this.bandings_.slice(); }
+  getCharts() { return this.charts_.slice(); }
+  newChart() { return createChartBuilder_(); }
+  insertChart(chart) { this.charts_.push(chart); }
+  removeChart(chart) { this.charts_ = this.charts_.filter(c => c !== chart); }
+  clear() { this.values_ = []; this.notes_ = []; return this; }
+  clearContents() { this.values_ = []; return this; }
+  clearFormats() { return this; }
+  /** Sorts the rows below the frozen ones by one column. */
+  sort(columnPosition, ascending) {
+    const first = this.frozenRows_;
+    const body = this.values_.slice(first);
+    body.sort((a, b) => compareCells_((a || [])[columnPosition - 1], (b || [])[columnPosition - 1]) * (ascending === false ? -1 : 1));
+    this.values_ = this.values_.slice(0, first).concat(body);
+    return this;
+  }
+
+  getCell_(row, col) {
+    const r = this.values_[row - 1];
+    return r && r[col - 1] !== undefined ? r[col - 1] : '';
+  }
+  setCell_(row, col, value) {
+    if (!this.values_[row - 1]) this.values_[row - 1] = [];
+    this.values_[row - 1][col - 1] = value === null || value === undefined ? '' : (isDate_(value) ? new Date(value.getTime()) : value);
+  }
+  getNote_(row, col) {
+    const r = this.notes_[row - 1];
+    return r && r[col - 1] ? r[col - 1] : '';
+  }
+  setNote_(row, col, note) {
+    if (!this.notes_[row - 1]) this.notes_[row - 1] = [];
+    this.notes_[row - 1][col - 1] = note === null || note === undefined ? '' : String(note);
+  }
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet_ = sheet;
+    this.row_ = row;
+    this.column_ = column;
+    this.numRows_ = numRows;
+    this.numColumns_ = numColumns;
+  }
+  getSheet() { return this.sheet_; }
+  getRow() { return this.row_; }
+  getColumn() { return this.column_; }
+  getNumRows() { return this.numRows_; }
+  getNumColumns() { return this.numColumns_; }
+  getLastRow() { return this.row_ + this.numRows_ - 1; }
+  getLastColumn() { return this.column_ + this.numColumns_ - 1; }
+  getA1Notation() {
+    const start = `${columnLetter_(this.column_)}${this.row_}`;
+    return this.numRows_ === 1 && this.numColumns_ === 1 ? start : `${start}:${columnLetter_(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  getValues() { return this.map_((r, c) => this.sheet_.emu_.toContextValue(this.sheet_.getCell_(r, c))); }
+  getValue() { return this.getValues()[0][0]; }
+  getDisplayValues() { return this.map_((r, c) => displayValue_(this.sheet_.getCell_(r, c))); }
+  getDisplayValue() { return this.getDisplayValues()[0][0]; }
+  setValues(values) {
+    this.checkDimensions_(values);
+    values.forEach((row, i) => row.forEach((v, j) => this.sheet_.setCell_(this.row_ + i, this.column_ + j, v)));
+    return this;
+  }
+  setValue(value) { this.map_((r, c) => this.sheet_.setCell_(r, c, value)); return this; }
+  setFormula(formula) { return this.setValue(formula); }
+  setFormulas(formulas) { return this.setValues(formulas); }
+  isBlank() { return this.map_((r, c) => this.sheet_.getCell_(r, c)).every(row => row.every(isEmptyCell_)); }
+  clear() { this.clearContent(); this.clearNote(); return this; }
+  clearContent() { return this.setValue(''); }
+
+  getNotes() { return this.map_((r, c) => this.sheet_.getNote_(r, c)); }
+  getNote() { return this.getNotes()[0][0]; }
+  setNotes(notes) {
+    this.checkDimensions_(notes);
+    notes.forEach((row, i) => row.forEach((n, j) => this.sheet_.setNote_(this.row_ + i, this.column_ + j, n)));
+    return this;
+  }
+  setNote(note) { this.map_((r, c) => this.sheet_.setNote_(r, c, note)); return this; }
+  clearNote() { return this.setNote(''); }
+
+  applyRowBanding(theme) {
+    const sheet = this.sheet_;
+    const banding = {
+      theme: theme,
+      getRange: () => this,
+      remove: () => { sheet.bandings_ = sheet.bandings_.filter(b => b !== banding); }
+    };
+    sheet.bandings_.push(banding);
+    return banding;
+  }
+  /**
+   * Sorts the range's rows. sortSpecObj is a column number, {column, ascending} or an array of those; columns are
+   * sheet positions. Blank cells sort last either way, as in Sheets.
+   */
+  sort(sortSpecObj) {
+    const specs = (Array.isArray(sortSpecObj) ? sortSpecObj : [sortSpecObj])
+      .map(s => (typeof s === 'number' ? { column: s, ascending: true } : s));
+    const rows = this.map_((r, c) => this.sheet_.getCell_(r, c));
+    rows.sort((a, b) => {
+      for (const { column, ascending } of specs) {
+        const x = a[column - this.column_];
+        const y = b[column - this.column_];
+        if (isEmptyCell_(x) !== isEmptyCell_(y)) return isEmptyCell_(x) ? 1 : -1;
+        const order = compareCells_(x, y) * (ascending === false ? -1 : 1);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+    rows.forEach((row, i) => row.forEach((value, j) => this.sheet_.setCell_(this.row_ + i, this.column_ + j, value)));
+    return this;
+  }
+
+  map_(fn) {
+    const out = [];
+    for (let i = 0; i < this.numRows_; i++) {
+      const row = [];
+      for (let j = 0; j < this.numColumns_; j++) row.push(fn(this.row_ + i, this.column_ + j));
+      out.push(row);
+    }
+    return out;
+  }
+  checkDimensions_(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows_) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${Array.isArray(values) ? values.length : 0} but the range has ${this.numRows_}.`);
+    }
+    values.forEach(row => {
+      if (!Array.isArray(row) || row.length !== this.numColumns_) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${Array.isArray(row) ? row.length : 0} but the range has ${this.numColumns_}.`);
+      }
+    });
+  }
+}
+FORMATTING_METHODS_.forEach(name => { FakeRange.prototype[name] = function () { return this; }; });
+
+function createSpreadsheetApp_(emu) {
+  const ui = {
+    Button: { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' },
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' },
+    alert: function () {
+      emu.uiAlerts.push(Array.from(arguments));
+      return ui.Button.OK;
+    },
+    prompt: function () {
+      emu.uiAlerts.push(Array.from(arguments));
+      return { getSelectedButton: () => ui.Button.CANCEL, getResponseText: () => '' };
+    },
+    createMenu: () => createMenu_(),
+    showSidebar: () => {},
+    showModalDialog: () => {}
+  };
+  const bandingThemes = {};
+  ['LIGHT_GREY', 'CYAN', 'GREEN', 'YELLOW', 'ORANGE', 'BLUE', 'TEAL', 'GREY', 'BROWN', 'LIGHT_GREEN', 'INDIGO', 'PINK']
+    .forEach(name => { bandingThemes[name] = { name: name, toString: () => name }; });
+  return {
+    getActiveSpreadsheet: () => emu.activeSpreadsheet,
+    getActive: () => emu.activeSpreadsheet,
+    openById: id => {
+      const ss = emu.spreadsheets.find(s => s.getId() === id);
+      if (!ss) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp (no spreadsheet "${id}").`);
+      return ss;
+    },
+    open: file => emu.context.SpreadsheetApp.openById(file.getId()),
+    create: name => emu.createSpreadsheet(name),
+    flush: () => {},
+    getUi: () => ui,
+    newDataValidation: () => createChainable_(['requireCheckbox', 'requireValueInList', 'requireDate', 'setAllowInvalid', 'setHelpText']),
+    BandingTheme: bandingThemes,
+    WrapStrategy: { WRAP: 'WRAP', OVERFLOW: 'OVERFLOW', CLIP: 'CLIP' }
+  };
+}
+
+function createDriveApp_(emu) {
+  const toFile = ss => ({
+    getId: () => ss.getId(),
+    getName: () => ss.getName(),
+    getUrl: () => ss.getUrl(),
+    setTrashed: trashed => { if (trashed) emu.spreadsheets = emu.spreadsheets.filter(s => s !== ss); }
+  });
+  const iterate = items => {
+    let i = 0;
+    return { hasNext: () => i < items.length, next: () => items[i++] };
+  };
+  return {
+    getFilesByName: name => iterate(emu.spreadsheets.filter(ss => ss.getName() === name).map(toFile)),
+    getFileById: id => {
+      const ss = emu.spreadsheets.find(s => s.getId() === id);
+      if (!ss) throw new Error(`No item with the given ID could be found (${id}).`);
+      return toFile(ss);
+    }
+  };
+}
+
+function createChartBuilder_() {
+  const chart = { type: null, ranges: [], options: {} };
+  const builder = {
+    setChartType: type => { chart.type = type; return builder; },
+    addRange: range => { chart.ranges.push(range); return builder; },
+    setPosition: () => builder,
+    setOption: (key, value) => { chart.options[key] = value; return builder; },
+    build: () => chart
+  };
+  return builder;
+}
+
+function createMenu_() {
+  const menu = { addItem: () => menu, addSeparator: () => menu, addSubMenu: () => menu, addToUi: () => {} };
+  return menu;
+}
+
+// --- Gmail ---
+
+/**
+ * Emulated mailbox. Besides the GmailApp surface (emu.gmail.app) it has test helpers:
+ * createLabel(name) and addThread({labels, messages: [{id?, from, to?, subject, body, htmlBody?, date?}]}).
+ */
+function createGmail_(emu) {
+  const labels = new Map(); // name -> label
+  const labelIds = new Map(); // name -> advanced-service label ID
+  const threads = [];
+  const filters = [];
+
+  const labelFor = name => {
+    if (!labels.has(name)) {
+      const label = {
+        getName: () => name,
+        getThreads: (start, max) => {
+          const tagged = threads.filter(t => t.labelNames_.has(name)).sort((a, b) => b.lastDate_() - a.lastDate_());
+          return tagged.slice(start || 0, (start || 0) + (max === undefined ? tagged.length : max));
+        },
+        addToThreads: list => { checkBatch_(list); list.forEach(t => t.addLabel(label)); return label; },
+        removeFromThreads: list => { checkBatch_(list); list.forEach(t => t.removeLabel(label)); return label; },
+        deleteLabel: () => { labels.delete(name); labelIds.delete(name); threads.forEach(t => t.labelNames_.delete(name)); }
+      };
+      labels.set(name, label);
+      labelIds.set(name, emu.newId('Label_'));
+    }
+    return labels.get(name);
+  };
+
+  const addThread = spec => {
+    const thread = {
+      id_: spec.id || emu.newId('thread-'),
+      labelNames_: new Set(spec.labels || []),
+      messages_: [],
+      lastDate_: () => Math.max(0, ...thread.messages_.map(m => m.date_.getTime())),
+      getId: () => thread.id_,
+      getMessages: () => thread.messages_.slice(),
+      getMessageCount: () => thread.messages_.length,
+      getFirstMessageSubject: () => (thread.messages_[0] ? thread.messages_[0].getSubject() : ''),
+      getLastMessageDate: () => new emu.ContextDate(thread.lastDate_()),
+      getPermalink: () => `https://mail.google.com/mail/u/0/#inbox/${thread.id_}`,
+      getLabels: () => [...thread.labelNames_].map(labelFor),
+      addLabel: label => { thread.labelNames_.add(label.getName()); return thread; },
+      removeLabel: label => { thread.labelNames_.delete(label.getName()); return thread; },
+      markRead: () => { thread.messages_.forEach(m => { m.unread_ = false; }); return thread; },
+      moveToArchive: () => thread
+    };
+    (spec.labels || []).forEach(labelFor);
+    (spec.messages || []).forEach(m => addMessage(thread, m));
+    threads.push(thread);
+    return thread;
+  };
+
+  const addMessage = (thread, spec) => {
+    const message = {
+      id_: spec.id || emu.newId('msg-'),
+      date_: spec.date ? new Date(spec.date) : new Date(),
+      unread_: spec.unread !== false,
+      getId: () => message.id_,
+      getThread: () => thread,
+      getFrom: () => spec.from || '',
+      getTo: () => spec.to || emu.context.Session.getActiveUser().getEmail(),
+      getSubject: () => spec.subject || '',
+      getPlainBody: () => (spec.body === undefined ? '' : spec.body),
+      getBody: () => (spec.htmlBody !== undefined ? spec.htmlBody : spec.body || ''),
+      getDate: () => new emu.ContextDate(message.date_.getTime()),
+      getHeader: name => ((spec.headers || {})[name] || ''),
+      isUnread: () => message.unread_,
+      markRead: () => { message.unread_ = false; return message; }
+    };
+    thread.messages_.push(message);
+    return message;
+  };
+
+  const findThread = id => threads.find(t => t.id_ === id) || null;
+  const findMessage = id => {
+    for (const t of threads) {
+      const m = t.messages_.find(msg => msg.id_ === id);
+      if (m) return m;
+    }
+    return null;
+  };
+
+  return {
+    threads: threads,
+    filters: filters,
+    createLabel: name => labelFor(name),
+    addThread: addThread,
+    addMessage: (threadOrId, spec) => addMessage(typeof threadOrId === 'string' ? findThread(threadOrId) : threadOrId, spec),
+    threadLabelNames: thread => [...thread.labelNames_].sort(),
+    app: {
+      getUserLabelByName: name => (labels.has(name) ? labels.get(name) : null),
+      getUserLabels: () => [...labels.values()],
+      createLabel: name => labelFor(name),
+      getThreadById: id => findThread(id),
+      getMessageById: id => findMessage(id),
+      getInboxThreads: (start, max) => threads.slice(start || 0, (start || 0) + (max === undefined ? threads.length : max)),
+      search: (query, start, max) => {
+        const matched = threads.filter(t => matchesSearch_(t, query)).sort((a, b) => b.lastDate_() - a.lastDate_());
+        return matched.slice(start || 0, (start || 0) + (max === undefined ? matched.length : max));
+      },
+      sendEmail: (to, subject, body, options) => { emu.sentMail.push({ to: to, subject: subject, body: body, options: options }); }
+    },
+    advanced: {
+      Users: {
+        Labels: { list: () => ({ labels: [...labelIds].map(([name, id]) => ({ id: id, name: name, type: 'user' })) }) },
+        Settings: {
+          Filters: {
+            // Like the API, the response has no "filter" property when there are none.
+            list: () => (filters.length > 0 ? { filter: filters.slice() } : {}),
+            create: resource => {
+              const filter = Object.assign({ id: emu.newId('filter-') }, JSON.parse(JSON.stringify(resource)));
+              filters.push(filter);
+              return filter;
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Gmail batch label calls accept at most 100 threads.
+function checkBatch_(list) {
+  if (list.length > 100) throw new Error('Too many threads in a single batch (max 100).');
+}
+
+// Supports the label:/-label: terms of a Gmail query (with or without parentheses); other terms are ignored.
+function matchesSearch_(thread, query) {
+  const termPattern = /(-?)label:(?:\(([^)]*)\)|(\S+))/g;
+  let match;
+  while ((match = termPattern.exec(String(query || ''))) !== null) {
+    const name = (match[2] || match[3]).trim();
+    const has = [...thread.labelNames_].some(l => l === name || l.replace(/[\s/]/g, '-').toLowerCase() === name.toLowerCase());
+    if (match[1] === '-' ? has : !has) return false;
+  }
+  return true;
+}
+
+// --- Script services ---
+
+function createPropertyStore_() {
+  const data = {};
+  const store = {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+    setProperty: (key, value) => {
+      const text = String(value);
+      if (text.length > PROPERTY_VALUE_MAX_CHARS) throw new Error('Argument too large: value');
+      data[key] = text;
+      return store;
+    },
+    setProperties: (properties, deleteAllOthers) => {
+      if (deleteAllOthers) store.deleteAllProperties();
+      Object.keys(properties).forEach(k => store.setProperty(k, properties[k]));
+      return store;
+    },
+    getProperties: () => Object.assign({}, data),
+    getKeys: () => Object.keys(data),
+    deleteProperty: key => { delete data[key]; return store; },
+    deleteAllProperties: () => { Object.keys(data).forEach(k => delete data[k]); return store; }
+  };
+  return store;
+}
+
+function createScriptApp_(emu) {
+  const newTrigger = handler => {
+    const trigger = { handler: handler, eventType: null, source: null, options: {} };
+    const create = () => {
+      const created = {
+        getHandlerFunction: () => trigger.handler,
+        getEventType: () => trigger.eventType,
+        getTriggerSource: () => trigger.source,
+        getUniqueId: () => trigger.id,
+        options: trigger.options
+      };
+      trigger.id = emu.newId('trigger-');
+      emu.triggers.push(created);
+      return created;
+    };
+    const timeBuilder = {};
+    ['after', 'at', 'atHour', 'everyDays', 'everyHours', 'everyMinutes', 'everyWeeks', 'inTimezone', 'nearMinute', 'onMonthDay', 'onWeekDay']
+      .forEach(name => { timeBuilder[name] = value => { trigger.options[name] = value; return timeBuilder; }; });
+    timeBuilder.create = create;
+    const sheetBuilder = {};
+    [['onEdit', 'ON_EDIT'], ['onOpen', 'ON_OPEN'], ['onChange', 'ON_CHANGE'], ['onFormSubmit', 'ON_FORM_SUBMIT']]
+      .forEach(([name, type]) => { sheetBuilder[name] = () => { trigger.eventType = type; return sheetBuilder; }; });
+    sheetBuilder.create = create;
+    return {
+      timeBased: () => { trigger.eventType = 'CLOCK'; trigger.source = 'CLOCK'; return timeBuilder; },
+      forSpreadsheet: () => { trigger.source = 'SPREADSHEETS'; return sheetBuilder; }
+    };
+  };
+  return {
+    getProjectTriggers: () => emu.triggers.slice(),
+    newTrigger: newTrigger,
+    deleteTrigger: trigger => { emu.triggers = emu.triggers.filter(t => t !== trigger); },
+    getOAuthToken: () => 'emulated-oauth-token',
+    getScriptId: () => 'emulated-script-id',
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/emulated/exec' }),
+    EventType: { CLOCK: 'CLOCK', ON_EDIT: 'ON_EDIT', ON_OPEN: 'ON_OPEN', ON_CHANGE: 'ON_CHANGE', ON_FORM_SUBMIT: 'ON_FORM_SUBMIT' },
+    TriggerSource: { CLOCK: 'CLOCK', SPREADSHEETS: 'SPREADSHEETS' },
+    AuthMode: { NONE: 'NONE', LIMITED: 'LIMITED', FULL: 'FULL' },
+    WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY', FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' }
+  };
+}
+
+function createUrlFetchApp_(emu) {
+  const fetch = (url, params) => {
+    const request = Object.assign({ url: url }, params || {});
+    emu.fetchRequests.push(request);
+    const reply = emu.fetchResponder ? emu.fetchResponder(url, params || {}) : { code: 404, body: 'Not Found' };
+    const code = reply.code === undefined ? 200 : reply.code;
+    const body = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body === undefined ? '' : reply.body);
+    if (code >= 400 && !(params && params.muteHttpExceptions)) {
+      throw new Error(`Request failed for ${url} returned code ${code}. Truncated server response: ${body.substring(0, 100)}`);
+    }
+    return {
+      getResponseCode: () => code,
+      getContentText: () => body,
+      getHeaders: () => Object.assign({}, reply.headers),
+      getAllHeaders: () => Object.assign({}, reply.headers),
+      getBlob: () => ({ getDataAsString: () => body, getContentType: () => (reply.headers || {})['Content-Type'] || 'text/plain' })
+    };
+  };
+  return {
+    fetch: fetch,
+    fetchAll: requests => requests.map(r => (typeof r === 'string' ? fetch(r) : fetch(r.url, r)))
+  };
+}
+
+function createUtilities_(emu, timeZone) {
+  const toBytes = digest => Array.from(digest).map(b => (b > 127 ? b - 256 : b));
+  const fromInput = value => (Array.isArray(value) ? Buffer.from(value.map(b => b & 0xff)) : Buffer.from(String(value), 'utf8'));
+  return {
+    DigestAlgorithm: { MD2: 'md2', MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    getUuid: () => crypto.randomUUID(),
+    computeDigest: (algorithm, value) => toBytes(crypto.createHash(algorithm).update(fromInput(value)).digest()),
+    computeHmacSha256Signature: (value, key) => toBytes(crypto.createHmac('sha256', fromInput(key)).update(fromInput(value)).digest()),
+    base64Encode: value => fromInput(value).toString('base64'),
+    base64EncodeWebSafe: value => fromInput(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: text => toBytes(Buffer.from(String(text), 'base64')),
+    newBlob: data => ({ getDataAsString: () => fromInput(data).toString('utf8'), getBytes: () => toBytes(fromInput(data)) }),
+    formatDate: (date, tz, format) => formatDate_(date, tz || timeZone, format),
+    formatString: function (template) {
+      const args = Array.prototype.slice.call(arguments, 1);
+      return String(template).replace(/%[sd]/g, () => String(args.shift()));
+    },
+    // Nothing waits: the elapsed time is only recorded.
+    sleep: ms => { emu.sleptMs += Number(ms) || 0; }
+  };
+}
+
+function createLock_(shared) {
+  let held = false;
+  const busy = () => !!(shared && shared.heldElsewhere);
+  return {
+    tryLock: () => { if (busy()) return false; held = true; return true; },
+    waitLock: () => { if (busy()) throw new Error('Lock timeout: another process was holding the lock for too long.'); held = true; },
+    releaseLock: () => { held = false; },
+    hasLock: () => held
+  };
+}
+
+function createCache_() {
+  const entries = {};
+  const cache = {
+    get: key => (Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null),
+    getAll: keys => keys.reduce((out, k) => { if (cache.get(k) !== null) out[k] = entries[k]; return out; }, {}),
+    put: (key, value) => { entries[key] = String(value); },
+    putAll: values => Object.keys(values).forEach(k => cache.put(k, values[k])),
+    remove: key => { delete entries[key]; },
+    removeAll: keys => keys.forEach(k => delete entries[k])
+  };
+  return cache;
+}
+
+function createHtmlOutput_(html) {
+  const output = { content: html || '', title: '' };
+  output.setTitle = title => { output.title = title; return output; };
+  output.getTitle = () => output.title;
+  output.getContent = () => output.content;
+  output.append = more => { output.content += more; return output; };
+  ['setWidth', 'setHeight', 'setXFrameOptionsMode', 'setSandboxMode', 'addMetaTag'].forEach(name => { output[name] = () => output; });
+  return output;
+}
+
+function createChainable_(methods) {
+  const builder = { build: () => builder };
+  methods.forEach(name => { builder[name] = () => builder; });
+  return builder;
+}
+
+// --- Helpers ---
+
+function isDate_(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+function isEmptyCell_(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+function compareCells_(a, b) {
+  const key = v => (isDate_(v) ? v.getTime() : v);
+  const x = key(a);
+  const y = key(b);
+  if (isEmptyCell_(x) || isEmptyCell_(y)) return isEmptyCell_(x) === isEmptyCell_(y) ? 0 : (isEmptyCell_(x) ? 1 : -1);
+  if (typeof x === 'number' && typeof y === 'number') return x - y;
+  return String(x).localeCompare(String(y));
+}
+
+function displayValue_(value) {
+  if (isDate_(value)) return formatDate_(value, 'UTC', 'M/d/yyyy HH:mm:ss');
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+function columnLetter_(column) {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters;
+}
+
+function columnNumber_(letters) {
+  return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+// Parses "B3", "A1:C10", open-ended "D2:E" and whole-column "A:B" references.
+function parseA1_(a1, maxRows, maxColumns) {
+  const match = /^(?:'?[^'!]+'?!)?([A-Za-z]+)(\d*)(?::([A-Za-z]+)(\d*))?$/.exec(String(a1).trim());
+  if (!match) throw new Error(`Range not found: ${a1}`);
+  const column = columnNumber_(match[1]);
+  const row = match[2] ? Number(match[2]) : 1;
+  const endColumn = match[3] ? columnNumber_(match[3]) : column;
+  const endRow = match[3] ? (match[4] ? Number(match[4]) : maxRows) : (match[2] ? row : maxRows);
+  return { row: row, column: column, numRows: endRow - row + 1, numColumns: Math.min(endColumn, maxColumns) - column + 1 };
+}
+
+// Java SimpleDateFormat subset used by Utilities.formatDate: y, M, d, E, H, h, m, s, S, a, Z and 'quoted' text.
+function formatDate_(date, timeZone, format) {
+  const d = new Date(isDate_(date) ? date.getTime() : date);
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC', hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', weekday: 'long'
+  }).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const hour = Number(parts.hour);
+  const pad = (n, width) => String(n).padStart(width, '0');
+  const offsetMinutes = Math.round((Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour, Number(parts.minute), Number(parts.second)) - Math.floor(d.getTime() / 1000) * 1000) / 60000);
+  return String(format).replace(/'([^']*)'|y+|M+|d+|E+|H+|h+|m+|s+|S+|a+|Z+/g, (token, quoted) => {
+    if (quoted !== undefined) return quoted;
+    const n = token.length;
+    switch (token[0]) {
+      case 'y': return n === 2 ? String(parts.year).slice(-2) : parts.year;
+      case 'M': return n >= 4 ? monthNames[parts.month - 1] : n === 3 ? monthNames[parts.month - 1].slice(0, 3) : pad(parts.month, n);
+      case 'd': return pad(parts.day, n);
+      case 'E': return n >= 4 ? parts.weekday : parts.weekday.slice(0, 3);
+      case 'H': return pad(hour, n);
+      case 'h': return pad(hour % 12 === 0 ? 12 : hour % 12, n);
+      case 'm': return pad(parts.minute, n);
+      case 's': return pad(parts.second, n);
+      case 'S': return pad(d.getUTCMilliseconds(), n);
+      case 'a': return hour < 12 ? 'AM' : 'PM';
+      case 'Z': return `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60), 2)}${pad(Math.abs(offsetMinutes) % 60, 2)}`;
+      default: return token;
+    }
+  });
+}
+
+module.exports = { createGasEmulator, createProjectEmulator, listProjectFiles };
@@ -0,0 +1,76 @@
+// Checks that the emulator behaves like Apps Script where the project depends on it.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGasEmulator } = require('./gas_emulator');
+
+test('ranges read back what was written, with sheet-realm Dates and Apps Script bounds', () => {
+  const emu = createGasEmulator();
+  const sheet = emu.createSpreadsheet('Data').insertSheet('Rows');
+  sheet.getRange(1, 1, 2, 2).setValues([['a', 1], [new Date(0), '']]);
+  sheet.appendRow(['x', 'y', 'z']);
+
+  assert.strictEqual(sheet.getLastRow(), 3);
+  assert.strictEqual(sheet.getLastColumn(), 3);
+  assert.strictEqual(emu.run('(v) => v instanceof Date')(sheet.getRange('A2').getValue()), true);
+  assert.deepStrictEqual(sheet.getRange('B1:C2').getValues(), [[1, ''], ['', '']]);
+  assert.throws(() => sheet.getRange(1, 1, 1, 2).setValues([['only one']]), /number of columns/);
+  assert.throws(() => sheet.getRange(sheet.getMaxRows() + 1, 1), /outside the dimensions/);
+});
+
+test('inserting and deleting columns shifts values and hidden columns', () => {
+  const emu = createGasEmulator();
+  const sheet = emu.createSpreadsheet('Data').getSheets()[0];
+  sheet.getRange(1, 1, 1, 3).setValues([['a', 'b', 'c']]);
+  sheet.hideColumns(3);
+
+  sheet.insertColumnsAfter(1, 2);
+  assert.deepStrictEqual(sheet.getRange(1, 1, 1, 5).getValues(), [['a', '', '', 'b', 'c']]);
+  assert.strictEqual(sheet.isColumnHiddenByUser(5), true);
+
+  sheet.deleteColumns(2, 2);
+  assert.deepStrictEqual(sheet.getRange(1, 1, 1, 3).getValues(), [['a', 'b', 'c']]);
+  assert.strictEqual(sheet.isColumnHiddenByUser(3), true);
+});
+
+test('Gmail labels move threads in and out of label listings', () => {
+  const emu = createGasEmulator();
+  const inbox = emu.gmail.createLabel('Jobs/To Process');
+  const done = emu.gmail.createLabel('Jobs/Done');
+  const older = emu.gmail.addThread({ labels: ['Jobs/To Process'], messages: [{ subject: 'old', date: '2026-01-01' }] });
+  const newer = emu.gmail.addThread({ labels: ['Jobs/To Process'], messages: [{ subject: 'new', date: '2026-02-01' }] });
+
+  assert.deepStrictEqual(inbox.getThreads(0, 10).map(t => t.getId()), [newer.getId(), older.getId()]);
+  done.addToThreads([older]);
+  inbox.removeFromThreads([older]);
+  assert.deepStrictEqual(inbox.getThreads(0, 10).map(t => t.getId()), [newer.getId()]);
+  assert.deepStrictEqual(emu.gmail.threadLabelNames(older), ['Jobs/Done']);
+  assert.strictEqual(emu.gmail.app.getMessageById(older.getMessages()[0].getId()).getSubject(), 'old');
+  assert.deepStrictEqual(emu.gmail.app.search('label:(Jobs/Done)').map(t => t.getId()), [older.getId()]);
+});
+
+test('UrlFetchApp throws on HTTP errors unless muteHttpExceptions is set', () => {
+  const emu = createGasEmulator();
+  emu.setFetchResponder(() => ({ code: 500, body: 'boom' }));
+  const { UrlFetchApp } = emu.context;
+
+  assert.throws(() => UrlFetchApp.fetch('https://example.com'), /returned code 500/);
+  assert.strictEqual(UrlFetchApp.fetch('https://example.com', { muteHttpExceptions: true }).getContentText(), 'boom');
+  assert.strictEqual(emu.fetchRequests.length, 2);
+});
+
+test('property stores and triggers persist across calls', () => {
+  const emu = createGasEmulator();
+  const { PropertiesService, ScriptApp, Utilities } = emu.context;
+  PropertiesService.getScriptProperties().setProperty('COUNT', 3);
+  assert.strictEqual(PropertiesService.getScriptProperties().getProperty('COUNT'), '3');
+  assert.throws(() => PropertiesService.getScriptProperties().setProperty('BIG', 'x'.repeat(10000)), /too large/);
+
+  ScriptApp.newTrigger('continueJob').timeBased().after(60000).create();
+  assert.deepStrictEqual(ScriptApp.getProjectTriggers().map(t => t.getHandlerFunction()), ['continueJob']);
+  ScriptApp.deleteTrigger(ScriptApp.getProjectTriggers()[0]);
+  assert.strictEqual(ScriptApp.getProjectTriggers().length, 0);
+
+  assert.strictEqual(Utilities.formatDate(new Date(Date.UTC(2026, 2, 5, 14, 7)), 'UTC', "yyyy-MM-dd'T'HH:mm EEE"), '2026-03-05T14:07 Thu');
+});
@@ -0,0 +1,142 @@
+// Tests for fetching and summarizing the job postings behind lead links (LeadEnrichment.gs).
+// Pages come from the saved HTML in tests/fixtures/job_postings; nothing is fetched from live sites.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setUpProject, addRowsByHeader, rowsByHeader } = require('./test_helpers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'job_postings', name), 'utf8');
+const setUp = () => setUpProject({ leads: true, geminiKey: true });
+
+const geminiReply = summary => ({
+  code: 200,
+  body: { candidates: [{ content: { parts: [{ text: JSON.stringify(summary) }] } }], usageMetadata: { promptTokenCount: 2000, candidatesTokenCount: 80, totalTokenCount: 2080 } }
+});
+
+// Serves the saved pages by URL. LLM calls are answered by llm(prompt).
+function serve(emu, pages, llm) {
+  emu.setFetchResponder((url, params) => {
+    if (url.startsWith(emu.run('GEMINI_API_BASE_URL'))) return llm(JSON.parse(params.payload).contents[0].parts[0].text);
+    return pages[url] || { code: 404, body: 'Not Found' };
+  });
+}
+
+const pages = {
+  'https://click.alerts.example/t/abc123': { code: 302, headers: { location: 'https://boards.greenhouse.io/contoso/jobs/1001?gh_src=alert' } },
+  'https://boards.greenhouse.io/contoso/jobs/1001?gh_src=alert': { code: 200, body: fixture('greenhouse-jsonld.html') },
+  'https://www.linkedin.com/comm/jobs/view/1002': { code: 302, headers: { Location: '/authwall?trk=eml&sessionRedirect=%2Fjobs%2Fview%2F1002' } },
+  'https://jobs.alerts.example/r/1003': { code: 200, body: fixture('redirect-interstitial.html') },
+  'https://careers.northwind.example/jobs/1003?utm_source=alert&utm_medium=email': { code: 200, body: fixture('careers-page-plain.html') },
+  'https://careers.litware.example/jobs/1005': { code: 200, body: fixture('expired-posting.html') }
+};
+
+test('enriches each lead from its posting and records per-row failures', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [
+    { 'Company Name': 'Contoso', 'Job Title': 'Senior Data Engineer', 'Source/Link': 'https://click.alerts.example/t/abc123', 'Status': 'New' },
+    { 'Company Name': 'Fabrikam', 'Job Title': 'Data Analyst', 'Source/Link': 'https://www.linkedin.com/comm/jobs/view/1002', 'Status': 'New' },
+    { 'Company Name': 'Northwind', 'Job Title': 'Analytics Engineer', 'Source/Link': 'https://jobs.alerts.example/r/1003', 'Salary/Pay': '$120k', 'Status': 'New' },
+    { 'Company Name': 'Tailspin', 'Job Title': 'BI Developer', 'Source/Link': 'https://jobs.alerts.example/r/1004', 'Status': 'New' },
+    { 'Company Name': 'Litware', 'Job Title': 'Data Engineer', 'Source/Link': 'https://careers.litware.example/jobs/1005', 'Status': 'New' },
+    { 'Company Name': 'N/A', 'Job Title': 'Script Error (Leads)', 'Source/Link': 'https://careers.litware.example/jobs/1005', 'Status': env.C('LEADS_ERROR_STATUS') },
+    { 'Company Name': 'Adatum', 'Job Title': 'Data Engineer', 'Source/Link': 'https://careers.adatum.example/jobs/7', 'Status': 'New', 'Enrichment Status': 'Enriched' },
+    { 'Company Name': 'Woodgrove', 'Job Title': 'Data Engineer', 'Source/Link': 'N/A', 'Status': 'New' }
+  ]);
+  const prompts = [];
+  serve(env.emu, pages, prompt => {
+    prompts.push(prompt);
+    return prompt.includes('Contoso')
+      ? geminiReply({ requirements: '5+ yrs data engineering; SQL, Python; Airflow or dbt; Snowflake or BigQuery', seniority: 'Senior', salary_range: '$150k - $180k', remote_policy: 'Hybrid', posted_date: '2026-08-30' })
+      : geminiReply({ requirements: '2+ yrs dbt; advanced SQL; Looker or Tableau', seniority: 'Mid', salary_range: 'N/A', remote_policy: 'Hybrid', posted_date: '2026-09-10' });
+  });
+
+  const result = env.emu.context.enrichJobLeads();
+
+  assert.deepStrictEqual({ ...result }, { enriched: 2, failed: 3 });
+  const rows = rowsByHeader(env.leadsSheet);
+  const view = r => [r['Enrichment Status'], r['Posting URL'], r['Seniority'], r['Remote Policy'], r['Salary/Pay']];
+  assert.deepStrictEqual(rows.map(view), [
+    ['Enriched', 'https://boards.greenhouse.io/contoso/jobs/1001?gh_src=alert', 'Senior', 'Remote', '$150,000 - $180,000 per year'],
+    ['Fetch failed: the site requires signing in', 'https://www.linkedin.com/authwall?trk=eml&sessionRedirect=%2Fjobs%2Fview%2F1002', '', '', ''],
+    ['Enriched', 'https://careers.northwind.example/jobs/1003?utm_source=alert&utm_medium=email', 'Mid', 'Hybrid', '$120k'],
+    ['Fetch failed: HTTP 404', 'https://jobs.alerts.example/r/1004', '', '', ''],
+    ['Parse failed: no job posting text on the page', 'https://careers.litware.example/jobs/1005', '', '', ''],
+    ['', '', '', '', ''],
+    ['Enriched', '', '', '', ''],
+    ['', '', '', '', '']
+  ]);
+  assert.strictEqual(rows[0]['Requirements'], '5+ yrs data engineering; SQL, Python; Airflow or dbt; Snowflake or BigQuery');
+  assert.deepStrictEqual([rows[0]['Posted Date'].getFullYear(), rows[0]['Posted Date'].getMonth(), rows[0]['Posted Date'].getDate()], [2026, 8, 1], 'the structured date wins over the summary');
+  assert.deepStrictEqual([rows[2]['Posted Date'].getMonth(), rows[2]['Posted Date'].getDate()], [8, 10]);
+  assert.strictEqual(typeof rows[0]['Enriched At'].getTime, 'function');
+
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[0], /Senior Data Engineer at Contoso\n\nContoso is hiring a Senior Data Engineer/);
+  assert.match(prompts[0], /- 5\+ years of data engineering experience\n- Strong SQL and Python/);
+  assert.match(prompts[0], /What you'll need/);
+  assert.match(prompts[1], /Hybrid – Seattle, WA · Posted 5 days ago/);
+  assert.doesNotMatch(prompts[1], /Cookie settings|analytics\.track|font-family/);
+  const fetched = env.emu.fetchRequests.map(r => r.url);
+  assert.ok(!fetched.some(u => u.includes('adatum')), 'rows that already have a status are not fetched again');
+  assert.strictEqual(fetched.filter(u => u.includes('litware')).length, 1, 'error rows are not fetched');
+
+  env.emu.context.enrichJobLeads();
+  assert.strictEqual(env.emu.fetchRequests.length, fetched.length, 'a second run has nothing left to fetch');
+});
+
+test('keeps the page\'s structured details when the summary fails and re-scores the lead', () => {
+  const env = setUp();
+  const profileSheet = env.emu.context.setupTargetProfileSheet(env.emu.spreadsheet);
+  const labels = profileSheet.getRange(2, 1, profileSheet.getLastRow() - 1, 1).getValues().map(r => r[0]);
+  profileSheet.getRange(2 + labels.indexOf('Remote Preference'), 2).setValue('Remote Only');
+  addRowsByHeader(env.leadsSheet, [{ 'Company Name': 'Contoso', 'Job Title': 'Senior Data Engineer', 'Location': 'N/A', 'Source/Link': 'https://click.alerts.example/t/abc123', 'Status': 'New', 'Fit Score': 50 }]);
+  serve(env.emu, pages, () => ({ code: 400, body: { error: { message: 'API key not valid.' } } }));
+
+  env.emu.context.enrichJobLeads();
+
+  const row = rowsByHeader(env.leadsSheet)[0];
+  assert.match(row['Enrichment Status'], /^Summary failed: .*API key not valid/);
+  assert.deepStrictEqual([row['Remote Policy'], row['Salary/Pay'], row['Posted Date'].getDate()], ['Remote', '$150,000 - $180,000 per year', 1]);
+  assert.deepStrictEqual([row['Fit Score'], row['Fit Reason']], [100, 'Remote']);
+});
+
+test('a lead whose row moved while its posting was fetched is left for the next run', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [
+    { 'Company Name': 'Contoso', 'Job Title': 'Senior Data Engineer', 'Source/Link': 'https://click.alerts.example/t/abc123', 'Status': 'New', 'Fit Score': 10 },
+    { 'Company Name': 'Northwind', 'Job Title': 'Analytics Engineer', 'Source/Link': 'https://jobs.alerts.example/r/1003', 'Status': 'New', 'Fit Score': 90 }
+  ]);
+  let sorted = false;
+  serve(env.emu, pages, () => {
+    if (!sorted) { // A re-score from the menu sorts the tab while the first summary is requested
+      const { headerMap } = env.emu.context.getSheetAndHeaderMapping_forLeads(env.emu.spreadsheet.getId());
+      env.emu.context.sortLeadsByFitScore(env.leadsSheet, headerMap);
+      sorted = true;
+    }
+    return geminiReply({ requirements: 'SQL', seniority: 'Mid', salary_range: 'N/A', remote_policy: 'Hybrid', posted_date: 'N/A' });
+  });
+
+  assert.deepStrictEqual({ ...env.emu.context.enrichJobLeads() }, { enriched: 0, failed: 0 });
+  const view = r => [r['Company Name'], r['Enrichment Status'], r['Posting URL']];
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(view), [['Northwind', '', ''], ['Contoso', '', '']]);
+
+  assert.deepStrictEqual({ ...env.emu.context.enrichJobLeads() }, { enriched: 2, failed: 0 });
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(view), [
+    ['Northwind', 'Enriched', 'https://careers.northwind.example/jobs/1003?utm_source=alert&utm_medium=email'],
+    ['Contoso', 'Enriched', 'https://boards.greenhouse.io/contoso/jobs/1001?gh_src=alert']
+  ]);
+});
+
+test('enrichment waits for a run that holds the job lock', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [{ 'Company Name': 'Contoso', 'Job Title': 'Senior Data Engineer', 'Source/Link': 'https://click.alerts.example/t/abc123', 'Status': 'New' }]);
+  env.emu.scriptLock.heldElsewhere = true;
+
+  env.emu.context.enrichJobLeads();
+
+  assert.strictEqual(env.emu.fetchRequests.length, 0);
+  assert.deepStrictEqual(env.emu.triggers.map(t => t.getHandlerFunction()), ['continueEnrichJobLeads']);
+});
@@ -0,0 +1,90 @@
+// End-to-end tests for marking job leads as applied and linking applications back to leads (LeadPromotion.gs).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpProject, addRowsByHeader, rowsByHeader } = require('./test_helpers');
+
+const contosoLead = {
+  'Company Name': 'Contoso', 'Job Title': 'Backend Engineer', 'Location': 'Remote', 'Salary/Pay': '$150k',
+  'Source/Link': 'https://www.linkedin.com/jobs/view/1001', 'Status': 'New', 'Lead ID': 'lead-1'
+};
+
+// Sets the Status cell of a lead row and fires the edit handler the way the onEdit trigger does.
+function setLeadStatus({ emu, C, leadsSheet }, row, status) {
+  const range = leadsSheet.getRange(row, C('LEADS_STATUS_COL'));
+  range.setValue(status);
+  emu.context.handleCellEdit({ range: range, value: status });
+}
+
+test('setting a lead to Applied creates a linked application row', () => {
+  const env = setUpProject({ leads: true, applications: true });
+  const appSheet = env.appSheet;
+  addRowsByHeader(env.leadsSheet, [contosoLead]);
+
+  setLeadStatus(env, 2, env.C('LEADS_APPLIED_STATUS'));
+
+  const apps = rowsByHeader(appSheet);
+  assert.strictEqual(apps.length, 1);
+  assert.deepStrictEqual(
+    [apps[0]['Company'], apps[0]['Job Title'], apps[0]['Location'], apps[0]['Compensation'], apps[0]['Job URL'], apps[0]['Platform'], apps[0]['Status'], apps[0]['Source Lead ID']],
+    ['Contoso', 'Backend Engineer', 'Remote', '$150k', 'https://www.linkedin.com/jobs/view/1001', 'LinkedIn', env.C('DEFAULT_STATUS'), 'lead-1']
+  );
+  assert.ok(apps[0]['Application ID']);
+  const lead = rowsByHeader(env.leadsSheet)[0];
+  assert.strictEqual(lead['Status'], env.C('LEADS_APPLIED_STATUS'));
+  assert.strictEqual(lead['Application ID'], apps[0]['Application ID']);
+
+  const history = rowsByHeader(env.emu.spreadsheet.getSheetByName(env.C('STATUS_HISTORY_SHEET_TAB_NAME')));
+  assert.deepStrictEqual(history.map(h => [h['Application ID'], h['Origin']]), [[apps[0]['Application ID'], env.C('STATUS_ORIGIN_LEAD_PROMOTION')]]);
+
+  setLeadStatus(env, 2, env.C('LEADS_APPLIED_STATUS'));
+  assert.strictEqual(rowsByHeader(appSheet).length, 1, 'an already linked lead is not added twice');
+});
+
+test('marking a lead links an existing application for the same job instead of duplicating it', () => {
+  const env = setUpProject({ leads: true, applications: true });
+  const appSheet = env.appSheet;
+  addRowsByHeader(appSheet, [{ 'Company': 'Contoso, Inc.', 'Job Title': 'Backend Engineer', 'Status': 'Interviewing', 'Application ID': 'app-1' }]);
+  addRowsByHeader(env.leadsSheet, [contosoLead, { ...contosoLead, 'Job Title': 'Product Designer', 'Lead ID': 'lead-2' }]);
+
+  const result = env.emu.context.promoteLeadsToApplications(env.emu.spreadsheet, [2, 3, 4]);
+
+  assert.deepStrictEqual(Array.from(result.promoted, p => p.rowNumber), [2, 3]);
+  assert.deepStrictEqual(Array.from(result.skipped, s => s.rowNumber), [4]);
+  const apps = rowsByHeader(appSheet);
+  assert.deepStrictEqual(apps.map(a => [a['Job Title'], a['Status'], a['Source Lead ID']]), [
+    ['Backend Engineer', 'Interviewing', 'lead-1'],
+    ['Product Designer', env.C('DEFAULT_STATUS'), 'lead-2']
+  ]);
+  assert.strictEqual(rowsByHeader(env.leadsSheet)[0]['Application ID'], 'app-1');
+});
+
+test('a confirmation email for a lead links the new application back to the lead', () => {
+  const env = setUpProject({ leads: true });
+  addRowsByHeader(env.leadsSheet, [
+    { ...contosoLead, 'Job Title': 'Data Engineer', 'Lead ID': 'lead-0' },
+    { ...contosoLead, 'Lead ID': '' }
+  ]);
+  const toProcess = env.emu.gmail.createLabel(env.C('TRACKER_GMAIL_LABEL_TO_PROCESS'));
+  env.emu.gmail.createLabel(env.C('TRACKER_GMAIL_LABEL_PROCESSED'));
+  env.emu.gmail.createLabel(env.C('TRACKER_GMAIL_LABEL_MANUAL_REVIEW'));
+  env.emu.gmail.addThread({ labels: [toProcess.getName()], messages: [{
+    from: 'Contoso <no-reply@hire.lever.co>',
+    subject: 'Your application to Contoso - Backend Engineer',
+    body: 'Hi Sam,\n\nThank you for applying for the Backend Engineer position at Contoso. We have received your application and will review it shortly.\n\nThe Contoso Talent Team',
+    date: '2026-09-01T10:00:00Z'
+  }] });
+
+  env.emu.context.processJobApplicationEmails();
+
+  const apps = rowsByHeader(env.emu.spreadsheet.getSheetByName(env.C('APP_TRACKER_SHEET_TAB_NAME')));
+  assert.strictEqual(apps.length, 1);
+  const leads = rowsByHeader(env.leadsSheet);
+  assert.deepStrictEqual([leads[0]['Status'], leads[0]['Application ID']], ['New', '']);
+  assert.strictEqual(leads[1]['Status'], env.C('LEADS_APPLIED_STATUS'));
+  assert.strictEqual(leads[1]['Application ID'], apps[0]['Application ID']);
+  assert.ok(leads[1]['Lead ID'], 'a lead without an ID gets one when it is linked');
+  assert.strictEqual(apps[0]['Source Lead ID'], leads[1]['Lead ID']);
+  assert.strictEqual(apps[0]['Job URL'], contosoLead['Source/Link']);
+});
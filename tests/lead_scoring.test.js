@@ -0,0 +1,109 @@
+// Tests for scoring job leads against the "Target Profile" tab (LeadScoring.gs).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpProject, addRowsByHeader, rowsByHeader } = require('./test_helpers');
+
+const setUp = () => setUpProject({ leads: true, geminiKey: true });
+
+// Creates the "Target Profile" tab and fills in the given settings by label.
+function setProfile({ emu }, valuesByLabel) {
+  const sheet = emu.context.setupTargetProfileSheet(emu.spreadsheet);
+  const labels = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(r => r[0]);
+  Object.entries(valuesByLabel).forEach(([label, value]) => {
+    sheet.getRange(2 + labels.indexOf(label), 2).setValue(value);
+  });
+}
+
+const profileSettings = {
+  'Desired Titles': 'Data Engineer, Analytics Engineer',
+  'Must-Have Keywords': 'Python, SQL',
+  'Excluded Keywords': 'clearance',
+  'Locations': 'Seattle',
+  'Remote Preference': 'Remote Preferred',
+  'Minimum Salary': '$140k',
+  'Blacklisted Companies': 'Initech'
+};
+
+test('scores a lead per criterion and zeroes blacklisted companies and excluded keywords', () => {
+  const env = setUp();
+  setProfile(env, profileSettings);
+  const profile = env.emu.context.getTargetProfile(env.emu.spreadsheet);
+  assert.deepStrictEqual([profile.minimumSalary, profile.remotePreference, profile.archiveBelowScore], [140000, 'Remote Preferred', env.C('DEFAULT_ARCHIVE_BELOW_SCORE')]);
+  const score = lead => env.emu.context.scoreLeadFit(lead, profile);
+
+  const strong = score({ jobTitle: 'Senior Data Engineer', company: 'Contoso', location: 'Remote', notes: 'Python and SQL; $150k - $170k' });
+  assert.strictEqual(strong.score, 100);
+  assert.match(strong.reason, /^Title matches "Data Engineer"; 2\/2 must-haves/);
+
+  const partial = score({ jobTitle: 'Data Engineer', company: 'Contoso', location: 'Austin, TX', notes: 'Python. $60/hr' });
+  assert.strictEqual(partial.score, Math.round((40 + 10 + 0 + 0) / 100 * 100));
+  assert.match(partial.reason, /1\/2 must-haves \(Python\); outside target locations \(Austin, TX\); pay below minimum/);
+
+  assert.deepStrictEqual({ ...score({ jobTitle: 'Data Engineer', company: 'Initech LLC', location: 'Remote', notes: 'N/A' }) }, { score: 0, reason: 'Blacklisted company (Initech)' });
+  assert.strictEqual(score({ jobTitle: 'Data Engineer', company: 'Contoso', location: 'Remote', notes: 'Active clearance required' }).score, 0);
+  assert.strictEqual(score({ jobTitle: 'Data Engineer', company: 'Contoso', location: 'Remote', notes: 'JavaScript, Pythonic SQL' }).reason.includes('1/2 must-haves (SQL)'), true, 'keywords match whole words only');
+});
+
+test('reads pay only from amounts marked as money', () => {
+  const { emu } = setUp();
+  const pay = text => emu.context.estimateYearlyPay(text);
+  assert.strictEqual(pay('$120k - $150k'), 150000);
+  assert.strictEqual(pay('USD 95,000 per year'), 95000);
+  assert.strictEqual(pay('$55/hr'), 55 * emu.run('HOURS_PER_WORK_YEAR'));
+  assert.strictEqual(pay('3+ years of experience, team of 12'), null);
+});
+
+test('processJobLeads scores new leads, archives low scorers and sorts the tab by score', () => {
+  const env = setUp();
+  setProfile(env, { 'Desired Titles': 'Data Engineer', 'Remote Preference': 'Remote Only' });
+  const toProcess = env.emu.gmail.createLabel(env.C('LEADS_GMAIL_LABEL_TO_PROCESS'));
+  env.emu.gmail.createLabel(env.C('LEADS_GMAIL_LABEL_PROCESSED'));
+  const leads = [
+    { jobTitle: 'Marketing Manager', company: 'Fabrikam', location: 'Seattle, WA', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/2001', notes: 'N/A' },
+    { jobTitle: 'Data Engineer', company: 'Northwind', location: 'Seattle, WA', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/2002', notes: 'N/A' },
+    { jobTitle: 'Data Engineer', company: 'Contoso', location: 'Remote', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/2003', notes: 'N/A' }
+  ];
+  env.emu.setFetchResponder(() => ({
+    code: 200,
+    body: { candidates: [{ content: { parts: [{ text: JSON.stringify(leads) }] } }], usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 150, totalTokenCount: 1350 } }
+  }));
+  env.emu.gmail.addThread({ labels: [toProcess.getName()], messages: [{
+    from: 'LinkedIn Job Alerts <jobalerts-noreply@linkedin.com>',
+    subject: 'Data Engineer: Contoso and 2 more',
+    body: 'Your job alert for Data Engineer\n\nMarketing Manager\nFabrikam\n\nData Engineer\nNorthwind\n\nData Engineer\nContoso\nRemote',
+    date: '2026-09-03T08:00:00Z'
+  }] });
+
+  env.emu.context.processJobLeads();
+
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(r => [r['Company Name'], r['Fit Score'], r['Status']]), [
+    ['Contoso', 100, env.C('DEFAULT_LEAD_STATUS')],
+    ['Northwind', Math.round(40 / 65 * 100), env.C('DEFAULT_LEAD_STATUS')],
+    ['Fabrikam', 0, env.C('LEADS_ARCHIVED_STATUS')]
+  ]);
+  assert.strictEqual(rowsByHeader(env.leadsSheet)[2]['Fit Reason'], 'Title not targeted; not remote');
+});
+
+test('re-scoring after a profile change updates scores but only archives new leads', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [
+    { 'Company Name': 'Contoso', 'Job Title': 'Data Engineer', 'Location': 'Remote', 'Status': 'New' },
+    { 'Company Name': 'Fabrikam', 'Job Title': 'Product Designer', 'Location': 'Remote', 'Status': 'New' },
+    { 'Company Name': 'Northwind', 'Job Title': 'Product Designer', 'Location': 'Remote', 'Status': 'Applied' },
+    { 'Company Name': 'N/A', 'Job Title': 'Gemini API Call Fail (Leads)', 'Status': env.C('LEADS_ERROR_STATUS') }
+  ]);
+
+  assert.strictEqual(env.emu.context.rescoreJobLeads(env.emu.spreadsheet).profileFound, false);
+  setProfile(env, { 'Desired Titles': 'Data Engineer' });
+  const result = env.emu.context.rescoreJobLeads(env.emu.spreadsheet);
+
+  assert.deepStrictEqual([result.scored, result.archived], [3, 1]);
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(r => [r['Company Name'], r['Fit Score'], r['Status']]), [
+    ['Contoso', 100, 'New'],
+    ['Fabrikam', 0, env.C('LEADS_ARCHIVED_STATUS')],
+    ['Northwind', 0, 'Applied'],
+    ['N/A', '', env.C('LEADS_ERROR_STATUS')]
+  ]);
+});
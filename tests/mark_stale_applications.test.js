@@ -0,0 +1,79 @@
+// End-to-end tests for markStaleApplicationsAsRejected (Main.gs) against the in-memory Apps Script emulator.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProjectEmulator } = require('./gas_emulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+// Writes the "Applications" tab with one row per {company, status, lastUpdate, appId?}.
+function seedApplications(emu, applications) {
+  const C = name => emu.run(name);
+  const sheet = emu.spreadsheet.insertSheet(C('APP_TRACKER_SHEET_TAB_NAME'));
+  sheet.appendRow(Array.from(C('APP_TRACKER_SHEET_HEADERS')));
+  applications.forEach(app => {
+    const row = new Array(C('TOTAL_COLUMNS_IN_APP_SHEET')).fill('');
+    row[C('PROCESSED_TIMESTAMP_COL') - 1] = app.lastUpdate;
+    row[C('EMAIL_DATE_COL') - 1] = app.lastUpdate;
+    row[C('COMPANY_COL') - 1] = app.company;
+    row[C('JOB_TITLE_COL') - 1] = 'Engineer';
+    row[C('STATUS_COL') - 1] = app.status;
+    row[C('LAST_UPDATE_DATE_COL') - 1] = app.lastUpdate;
+    row[C('APPLICATION_ID_COL') - 1] = app.appId || '';
+    sheet.appendRow(row);
+  });
+  return sheet;
+}
+
+function readColumn(sheet, emu, constantName) {
+  const col = emu.run(constantName);
+  return sheet.getRange(2, col, sheet.getLastRow() - 1, 1).getValues().map(r => r[0]);
+}
+
+test('rejects non-final applications not updated within WEEKS_THRESHOLD and records the change', () => {
+  const emu = createProjectEmulator();
+  const C = name => emu.run(name);
+  const staleDays = C('WEEKS_THRESHOLD') * 7 + 14;
+  const sheet = seedApplications(emu, [
+    { company: 'Stale Applied', status: C('DEFAULT_STATUS'), lastUpdate: daysAgo(staleDays), appId: 'app-1' },
+    { company: 'Recent Interview', status: C('INTERVIEW_STATUS'), lastUpdate: daysAgo(7), appId: 'app-2' },
+    { company: 'Old Offer', status: C('OFFER_STATUS'), lastUpdate: daysAgo(staleDays), appId: 'app-3' },
+    { company: 'Needs Review', status: C('MANUAL_REVIEW_NEEDED'), lastUpdate: daysAgo(staleDays), appId: 'app-4' },
+    { company: 'Stale Without ID', status: C('ASSESSMENT_STATUS'), lastUpdate: daysAgo(staleDays) }
+  ]);
+
+  emu.context.markStaleApplicationsAsRejected();
+
+  assert.deepStrictEqual(readColumn(sheet, emu, 'STATUS_COL'), [
+    C('REJECTED_STATUS'), C('INTERVIEW_STATUS'), C('OFFER_STATUS'), C('MANUAL_REVIEW_NEEDED'), C('REJECTED_STATUS')
+  ]);
+  const lastUpdates = readColumn(sheet, emu, 'LAST_UPDATE_DATE_COL');
+  assert.ok(Date.now() - lastUpdates[0].getTime() < DAY_MS, 'Last Update Date moves to the run date');
+  assert.ok(Date.now() - lastUpdates[2].getTime() > DAY_MS, 'untouched rows keep their date');
+
+  const ids = readColumn(sheet, emu, 'APPLICATION_ID_COL');
+  assert.ok(ids[4], 'the row without an Application ID gets one first');
+
+  const history = emu.spreadsheet.getSheetByName(C('STATUS_HISTORY_SHEET_TAB_NAME'));
+  const entries = history.getRange(2, 1, history.getLastRow() - 1, history.getLastColumn()).getValues();
+  const headers = C('STATUS_HISTORY_SHEET_HEADERS');
+  const field = (entry, name) => entry[headers.indexOf(name)];
+  assert.deepStrictEqual(entries.map(e => field(e, 'Application ID')), ['app-1', ids[4]]);
+  assert.ok(entries.every(e => field(e, 'New Status') === C('REJECTED_STATUS') && field(e, 'Origin') === C('STATUS_ORIGIN_STALE_JOB')));
+  assert.strictEqual(history.isSheetHidden(), true);
+});
+
+test('leaves the sheet alone when nothing is stale', () => {
+  const emu = createProjectEmulator();
+  const C = name => emu.run(name);
+  const sheet = seedApplications(emu, [
+    { company: 'Recent', status: C('DEFAULT_STATUS'), lastUpdate: daysAgo(3), appId: 'app-1' }
+  ]);
+
+  emu.context.markStaleApplicationsAsRejected();
+
+  assert.deepStrictEqual(readColumn(sheet, emu, 'STATUS_COL'), [C('DEFAULT_STATUS')]);
+  assert.strictEqual(emu.spreadsheet.getSheetByName(C('STATUS_HISTORY_SHEET_TAB_NAME')), null);
+});
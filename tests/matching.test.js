@@ -0,0 +1,54 @@
+// Tests for matching an update email to an existing application (findMatchingApplication in MatchingUtils.gs).
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProjectEmulator } = require('./gas_emulator');
+
+// Groups cache entries by normalized company, the way processJobApplicationEmails builds existingDataCache.
+function buildCache(emu, applications) {
+  const cache = {};
+  applications.forEach((app, i) => {
+    const key = emu.context.normalizeCompanyName(app.company);
+    (cache[key] = cache[key] || []).push({ appId: `app-${i + 1}`, company: app.company, title: app.title });
+  });
+  return cache;
+}
+
+function match(emu, cache, company, title) {
+  const result = emu.context.findMatchingApplication(cache, company, title);
+  return { appId: result.entry ? result.entry.appId : null, ambiguous: result.ambiguous, candidates: Array.from(result.candidates, c => c.appId) };
+}
+
+test('legal-suffix variants of a company name find the same application', () => {
+  const emu = createProjectEmulator();
+  const cache = buildCache(emu, [{ company: 'Acme Corp', title: 'Backend Engineer' }]);
+
+  ['Acme Corp', 'Acme Corporation', 'ACME, Inc.'].forEach(company => {
+    assert.deepStrictEqual(match(emu, cache, company, 'Backend Engineer'), { appId: 'app-1', ambiguous: false, candidates: [] }, company);
+  });
+  assert.strictEqual(match(emu, cache, 'Acme Corporation', emu.run('MANUAL_REVIEW_NEEDED')).appId, 'app-1', 'an unknown title falls back to the only application');
+  assert.strictEqual(match(emu, cache, 'Globex', 'Backend Engineer').appId, null);
+});
+
+test('a second role at the same company is a new application', () => {
+  const emu = createProjectEmulator();
+  const cache = buildCache(emu, [{ company: 'Acme Corp', title: 'Backend Engineer' }]);
+
+  assert.deepStrictEqual(match(emu, cache, 'ACME, Inc.', 'Product Designer'), { appId: null, ambiguous: false, candidates: [] });
+
+  const untitled = buildCache(emu, [{ company: 'Acme Corp', title: emu.run('MANUAL_REVIEW_NEEDED') }]);
+  assert.strictEqual(match(emu, untitled, 'Acme Corporation', 'Product Designer').appId, 'app-1', 'a row still waiting for its title takes it');
+});
+
+test('an unknown title at a company with several applications is ambiguous', () => {
+  const emu = createProjectEmulator();
+  const cache = buildCache(emu, [
+    { company: 'Acme Corp', title: 'Backend Engineer' },
+    { company: 'ACME, Inc.', title: 'Product Designer' }
+  ]);
+
+  assert.deepStrictEqual(match(emu, cache, 'Acme Corporation', emu.run('MANUAL_REVIEW_NEEDED')), { appId: null, ambiguous: true, candidates: ['app-1', 'app-2'] });
+  assert.deepStrictEqual(match(emu, cache, 'Acme Corporation', ''), { appId: null, ambiguous: true, candidates: ['app-1', 'app-2'] });
+  assert.strictEqual(match(emu, cache, 'Acme Corporation', 'Product Designer').appId, 'app-2', 'a known title still picks its own row');
+});
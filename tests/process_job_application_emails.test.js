@@ -0,0 +1,246 @@
+// End-to-end tests for processJobApplicationEmails (Main.gs) against the in-memory Apps Script emulator.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProjectEmulator } = require('./gas_emulator');
+
+const VALID_GEMINI_KEY = `AIza${'x'.repeat(35)}`;
+
+function setUp() {
+  const emu = createProjectEmulator();
+  const C = name => emu.run(name);
+  const labels = {
+    toProcess: emu.gmail.createLabel(C('TRACKER_GMAIL_LABEL_TO_PROCESS')),
+    processed: emu.gmail.createLabel(C('TRACKER_GMAIL_LABEL_PROCESSED')),
+    manual: emu.gmail.createLabel(C('TRACKER_GMAIL_LABEL_MANUAL_REVIEW'))
+  };
+  return { emu, C, labels };
+}
+
+function applicationRows({ emu, C }) {
+  const sheet = emu.spreadsheet.getSheetByName(C('APP_TRACKER_SHEET_TAB_NAME'));
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, C('TOTAL_COLUMNS_IN_APP_SHEET')).getValues().map(row => ({
+    company: row[C('COMPANY_COL') - 1],
+    title: row[C('JOB_TITLE_COL') - 1],
+    status: row[C('STATUS_COL') - 1],
+    peakStatus: row[C('PEAK_STATUS_COL') - 1],
+    emailId: row[C('EMAIL_ID_COL') - 1],
+    appId: row[C('APPLICATION_ID_COL') - 1],
+    threadIds: row[C('THREAD_IDS_COL') - 1],
+    promptVersion: row[C('PROMPT_VERSION_COL') - 1],
+    fieldSources: JSON.parse(row[C('FIELD_SOURCES_COL') - 1] || '{}')
+  }));
+}
+
+function statusHistoryRows({ emu, C }) {
+  const sheet = emu.spreadsheet.getSheetByName(C('STATUS_HISTORY_SHEET_TAB_NAME'));
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
+}
+
+const confirmation = {
+  from: 'Contoso <no-reply@hire.lever.co>',
+  subject: 'Your application to Contoso - Backend Engineer',
+  body: 'Hi Sam,\n\nThank you for applying for the Backend Engineer position at Contoso. We have received your application and will review it shortly.\n\nThe Contoso Talent Team',
+  date: '2026-09-01T10:00:00Z'
+};
+
+const rejection = {
+  from: 'Contoso <no-reply@hire.lever.co>',
+  subject: 'Your application to Contoso - Backend Engineer',
+  body: 'Hi Sam,\n\nAfter careful consideration, we have decided not to move forward with your application at this time.\n\nThe Contoso Talent Team',
+  date: '2026-09-15T10:00:00Z'
+};
+
+test('adds a row for a new application and moves its thread to Processed', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+
+  env.emu.context.processJobApplicationEmails();
+
+  const rows = applicationRows(env);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].company, 'Contoso');
+  assert.strictEqual(rows[0].title, 'Backend Engineer');
+  assert.strictEqual(rows[0].status, env.C('DEFAULT_STATUS'));
+  assert.strictEqual(rows[0].emailId, thread.getMessages()[0].getId());
+  assert.strictEqual(rows[0].threadIds, thread.getId());
+  assert.ok(rows[0].appId, 'an Application ID is assigned');
+  assert.strictEqual(rows[0].fieldSources.company.value, 'Contoso');
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.processed.getName()]);
+
+  const history = statusHistoryRows(env);
+  assert.strictEqual(history.length, 1);
+  assert.ok(history[0].includes(rows[0].appId));
+  assert.strictEqual(env.emu.scriptProperties.getProperty(`${env.C('CHECKPOINT_PROPERTY_PREFIX')}${env.C('CHECKPOINT_JOB_APPLICATIONS')}`), null);
+  assert.strictEqual(env.emu.triggers.length, 0, 'no continuation is scheduled for a short backlog');
+});
+
+test('a run that finds another run in progress reschedules instead of processing', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+  env.emu.scriptLock.heldElsewhere = true;
+
+  env.emu.context.continueProcessJobApplicationEmails();
+
+  const dataSheet = env.emu.spreadsheet.getSheetByName(env.C('APP_TRACKER_SHEET_TAB_NAME'));
+  assert.ok(!dataSheet || dataSheet.getLastRow() < 2, 'nothing is written');
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.toProcess.getName()]);
+  assert.deepStrictEqual(env.emu.triggers.map(t => t.getHandlerFunction()), ['continueProcessJobApplicationEmails']);
+
+  env.emu.scriptLock.heldElsewhere = false;
+  env.emu.context.continueProcessJobApplicationEmails();
+  assert.strictEqual(applicationRows(env).length, 1);
+  assert.strictEqual(env.emu.triggers.length, 0, 'the continuation that ran is removed');
+});
+
+test('updates the existing row when a later email in the thread is a rejection', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+  env.emu.context.processJobApplicationEmails();
+  const [before] = applicationRows(env);
+
+  // The reply arrives and the Gmail filter puts the thread back in "To Process".
+  const reply = env.emu.gmail.addMessage(thread, rejection);
+  thread.addLabel(env.labels.toProcess);
+  env.emu.context.processJobApplicationEmails();
+
+  const rows = applicationRows(env);
+  assert.strictEqual(rows.length, 1, 'the reply is merged into the same application');
+  assert.strictEqual(rows[0].appId, before.appId);
+  assert.strictEqual(rows[0].status, env.C('REJECTED_STATUS'));
+  assert.strictEqual(rows[0].peakStatus, env.C('DEFAULT_STATUS'), 'Rejected never becomes the peak status');
+  assert.strictEqual(rows[0].emailId, reply.getId());
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.processed.getName()]);
+  assert.strictEqual(statusHistoryRows(env).length, 2);
+});
+
+test('the dashboard charts median days from Applied to each stage from Status History', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+  env.emu.context.processJobApplicationEmails();
+  env.emu.gmail.addMessage(thread, rejection);
+  thread.addLabel(env.labels.toProcess);
+  env.emu.context.processJobApplicationEmails();
+
+  const helperSheet = env.emu.context.getOrCreateHelperSheet(env.emu.spreadsheet);
+  const dashboard = env.emu.context.getOrCreateDashboardSheet(env.emu.spreadsheet);
+  env.emu.context.updateDashboardMetrics(dashboard, helperSheet);
+
+  const stages = env.C('TIME_IN_STAGE_STATUSES');
+  const table = helperSheet.getRange(1, 20, stages.length + 1, 3).getValues();
+  assert.deepStrictEqual(table[0], ['Stage', 'Median Days from Applied', 'Applications']);
+  const rejected = table.find(r => r[0] === `Applied → ${env.C('REJECTED_STATUS')}`);
+  assert.deepStrictEqual(rejected.slice(1), [14, 1], 'Sep 1 to Sep 15');
+  assert.deepStrictEqual(table.find(r => r[0] === `Applied → ${env.C('INTERVIEW_STATUS')}`).slice(1), ['', 0]);
+  const chart = dashboard.getCharts().find(c => c.options.title === 'Time in Stage (Median Days from Applied)');
+  assert.ok(chart);
+  assert.strictEqual(chart.type, 'BAR');
+});
+
+test('notes and corrections typed into a row while the run is in progress survive the write-back', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+  env.emu.context.processJobApplicationEmails();
+
+  env.emu.gmail.addMessage(thread, rejection);
+  thread.addLabel(env.labels.toProcess);
+  env.emu.scriptProperties.setProperty(env.C('GEMINI_API_KEY_PROPERTY'), VALID_GEMINI_KEY);
+  const answer = {
+    company_name: 'Contoso', job_title: 'Backend Engineer', status: env.C('REJECTED_STATUS'), location: 'Remote',
+    compensation: '', recruiter_name: '', recruiter_email: '', requisition_id: '', interview_datetime: ''
+  };
+  const sheet = env.emu.spreadsheet.getSheetByName(env.C('APP_TRACKER_SHEET_TAB_NAME'));
+  env.emu.setFetchResponder(() => {
+    // The user types while the email is being parsed: a note, and a company correction the edit trigger records.
+    sheet.getRange(2, env.C('NOTES_COL')).setValue('Referred by Alex');
+    const companyCell = sheet.getRange(2, env.C('COMPANY_COL'));
+    companyCell.setValue('Contoso Pharmaceuticals');
+    env.emu.context.handleCellEdit({ range: companyCell, value: 'Contoso Pharmaceuticals', oldValue: 'Contoso' });
+    return { code: 200, body: { candidates: [{ content: { parts: [{ text: JSON.stringify(answer) }] } }], usageMetadata: { promptTokenCount: 900, candidatesTokenCount: 60, totalTokenCount: 960 } } };
+  });
+  env.emu.context.processJobApplicationEmails();
+
+  assert.strictEqual(env.emu.fetchRequests.length, 1);
+  const [row] = sheet.getRange(2, 1, 1, env.C('TOTAL_COLUMNS_IN_APP_SHEET')).getValues();
+  assert.strictEqual(row[env.C('STATUS_COL') - 1], env.C('REJECTED_STATUS'));
+  assert.strictEqual(row[env.C('LOCATION_COL') - 1], 'Remote');
+  assert.strictEqual(row[env.C('NOTES_COL') - 1], 'Referred by Alex');
+  assert.strictEqual(row[env.C('COMPANY_COL') - 1], 'Contoso Pharmaceuticals');
+  const sources = JSON.parse(row[env.C('FIELD_SOURCES_COL') - 1]);
+  assert.deepStrictEqual([sources.company.value, sources.company.source], ['Contoso Pharmaceuticals', env.C('STATUS_ORIGIN_MANUAL_EDIT')], 'the edit keeps its manual marker');
+  assert.deepStrictEqual([sources.status.value, sources.status.source], [env.C('REJECTED_STATUS'), env.C('FIELD_SOURCE_LLM')], 'the run still records its own fields');
+});
+
+test('a pasted Status records the prior status, not the Change Log placeholder, in Status History', () => {
+  const env = setUp();
+  env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+  env.emu.context.processJobApplicationEmails();
+
+  // Pasting Status and Peak Status together leaves the edit event without an oldValue.
+  const sheet = env.emu.spreadsheet.getSheetByName(env.C('APP_TRACKER_SHEET_TAB_NAME'));
+  const range = sheet.getRange(2, env.C('STATUS_COL'), 1, 2);
+  assert.strictEqual(range.getLastColumn(), env.C('PEAK_STATUS_COL'), 'Peak Status sits just after Status');
+  range.setValues([[env.C('REJECTED_STATUS'), env.C('DEFAULT_STATUS')]]);
+  env.emu.context.handleCellEdit({ range: range });
+
+  const headers = env.C('STATUS_HISTORY_SHEET_HEADERS');
+  const last = statusHistoryRows(env).pop();
+  assert.strictEqual(last[headers.indexOf('Old Status')], env.C('DEFAULT_STATUS'));
+  assert.strictEqual(last[headers.indexOf('New Status')], env.C('REJECTED_STATUS'));
+  const changeLog = env.emu.spreadsheet.getSheetByName(env.C('CHANGE_LOG_SHEET_TAB_NAME'));
+  assert.ok(changeLog.getDataRange().getValues().some(row => row.includes('(multi-cell edit)')), 'the Change Log keeps the placeholder');
+});
+
+test('sends threads it cannot parse to Manual Review', () => {
+  const env = setUp();
+  const thread = env.emu.gmail.addThread({
+    labels: [env.labels.toProcess.getName()],
+    messages: [{ from: 'someone@gmail.com', subject: 'Hello', body: 'Quick question about next week.', date: '2026-09-02T09:00:00Z' }]
+  });
+
+  env.emu.context.processJobApplicationEmails();
+
+  const rows = applicationRows(env);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].title, env.C('MANUAL_REVIEW_NEEDED'));
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.manual.getName()]);
+});
+
+test('uses the LLM result when a Gemini key is configured', () => {
+  const env = setUp();
+  env.emu.scriptProperties.setProperty(env.C('GEMINI_API_KEY_PROPERTY'), VALID_GEMINI_KEY);
+  const answer = {
+    company_name: 'Contoso Ltd', job_title: 'Senior Backend Engineer', status: 'Applied', location: 'Remote',
+    compensation: '', recruiter_name: '', recruiter_email: '', requisition_id: 'R-1042', interview_datetime: ''
+  };
+  env.emu.setFetchResponder(() => ({
+    code: 200,
+    body: { candidates: [{ content: { parts: [{ text: JSON.stringify(answer) }] } }], usageMetadata: { promptTokenCount: 900, candidatesTokenCount: 60, totalTokenCount: 960 } }
+  }));
+  env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [confirmation] });
+
+  env.emu.context.processJobApplicationEmails();
+
+  const rows = applicationRows(env);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].company, 'Contoso Ltd');
+  assert.strictEqual(rows[0].title, 'Senior Backend Engineer');
+  assert.strictEqual(rows[0].fieldSources.company.source, env.C('FIELD_SOURCE_LLM'));
+  assert.ok(rows[0].promptVersion, 'the prompt version is recorded');
+  assert.strictEqual(env.emu.fetchRequests.length, 1);
+  assert.ok(env.emu.fetchRequests[0].url.startsWith(env.C('GEMINI_API_BASE_URL')));
+});
+
+test('aborts without touching the sheet when the tracker labels are missing', () => {
+  const emu = createProjectEmulator();
+  // Only "To Process" exists; the Processed and Manual Review labels were never created.
+  emu.gmail.addThread({ labels: [emu.run('TRACKER_GMAIL_LABEL_TO_PROCESS')], messages: [confirmation] });
+
+  emu.context.processJobApplicationEmails();
+
+  assert.deepStrictEqual(applicationRows({ emu, C: name => emu.run(name) }), []);
+  assert.ok(emu.logs.some(line => line.includes('Tracker labels missing')));
+});
@@ -0,0 +1,135 @@
+// End-to-end tests for processJobLeads (Leads_Main.gs) against the in-memory Apps Script emulator.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpProject, rowsByHeader } = require('./test_helpers');
+
+function setUp() {
+  const env = setUpProject({ leads: true, geminiKey: true });
+  env.labels = {
+    toProcess: env.emu.gmail.createLabel(env.C('LEADS_GMAIL_LABEL_TO_PROCESS')),
+    processed: env.emu.gmail.createLabel(env.C('LEADS_GMAIL_LABEL_PROCESSED'))
+  };
+  return env;
+}
+
+// Answers every LLM call with the given leads in the Gemini response format.
+function answerWithLeads(emu, leads) {
+  emu.setFetchResponder(() => ({
+    code: 200,
+    body: { candidates: [{ content: { parts: [{ text: JSON.stringify(leads) }] } }], usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 150, totalTokenCount: 1350 } }
+  }));
+}
+
+const alertEmail = {
+  from: 'LinkedIn Job Alerts <jobalerts-noreply@linkedin.com>',
+  subject: 'Data Engineer: Contoso and 1 more',
+  body: 'Your job alert for Data Engineer\n\nData Engineer\nContoso\nRemote\nhttps://www.linkedin.com/jobs/view/1001\n\nAnalytics Engineer\nFabrikam\nSeattle, WA\nhttps://www.linkedin.com/jobs/view/1002',
+  date: '2026-09-03T08:00:00Z'
+};
+
+const leads = [
+  { jobTitle: 'Data Engineer', company: 'Contoso', location: 'Remote', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/1001', notes: 'N/A' },
+  { jobTitle: 'Analytics Engineer', company: 'Fabrikam', location: 'Seattle, WA', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/1002', notes: 'N/A' }
+];
+
+test('writes one row per extracted lead and moves the thread to Processed', () => {
+  const env = setUp();
+  answerWithLeads(env.emu, leads);
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+
+  env.emu.context.processJobLeads();
+
+  const rows = rowsByHeader(env.leadsSheet);
+  assert.deepStrictEqual(rows.map(r => [r['Company Name'], r['Job Title'], r['Location'], r['Source/Link']]), [
+    ['Contoso', 'Data Engineer', 'Remote', 'https://www.linkedin.com/jobs/view/1001'],
+    ['Fabrikam', 'Analytics Engineer', 'Seattle, WA', 'https://www.linkedin.com/jobs/view/1002']
+  ]);
+  const messageId = thread.getMessages()[0].getId();
+  assert.ok(rows.every(r => r['Source Email ID'] === messageId && r['Status'] === env.C('DEFAULT_LEAD_STATUS') && r['Prompt Version']));
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.processed.getName()]);
+});
+
+test('does not parse a message again once its leads are in the sheet', () => {
+  const env = setUp();
+  answerWithLeads(env.emu, leads);
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+  env.emu.context.processJobLeads();
+  const callsAfterFirstRun = env.emu.fetchRequests.length;
+
+  thread.addLabel(env.labels.toProcess);
+  env.emu.context.processJobLeads();
+
+  assert.strictEqual(rowsByHeader(env.leadsSheet).length, 2);
+  assert.strictEqual(env.emu.fetchRequests.length, callsAfterFirstRun);
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.processed.getName()]);
+});
+
+test('records an error row and leaves the thread in To Process when the LLM call fails', () => {
+  const env = setUp();
+  env.emu.setFetchResponder(() => ({ code: 400, body: { error: { message: 'API key not valid.' } } }));
+  const thread = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+
+  env.emu.context.processJobLeads();
+
+  const rows = rowsByHeader(env.leadsSheet);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0]['Source Email ID'], thread.getMessages()[0].getId());
+  assert.match(String(rows[0]['Notes']), /API key not valid/);
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(thread), [env.labels.toProcess.getName()]);
+});
+
+test('appends headers an older leads tab lacks and writes by header name', () => {
+  const env = setUp();
+  const headers = Array.from(env.C('LEADS_SHEET_HEADERS'));
+  const olderHeaders = headers.filter(h => h !== 'Prompt Version').reverse();
+  env.leadsSheet.clear();
+  env.leadsSheet.getRange(1, 1, 1, olderHeaders.length).setValues([olderHeaders]);
+  answerWithLeads(env.emu, leads);
+  env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+
+  env.emu.context.processJobLeads();
+
+  assert.deepStrictEqual(env.leadsSheet.getRange(1, 1, 1, env.leadsSheet.getLastColumn()).getValues()[0], [...olderHeaders, 'Prompt Version']);
+  const rows = rowsByHeader(env.leadsSheet);
+  assert.deepStrictEqual(rows.map(r => r['Company Name']), ['Contoso', 'Fabrikam']);
+  assert.ok(rows.every(r => r['Prompt Version']));
+});
+
+test('counts a posting seen in a later alert on its existing row instead of adding a duplicate', () => {
+  const env = setUp();
+  answerWithLeads(env.emu, leads);
+  const first = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+  env.emu.context.processJobLeads();
+
+  answerWithLeads(env.emu, [
+    { ...leads[0], jobUrl: 'https://uk.linkedin.com/comm/jobs/view/data-engineer-at-contoso-1001/?trackingId=abc%3D&refId=xyz&trk=eml' },
+    { jobTitle: 'Platform Engineer', company: 'Northwind', location: 'Remote', source: 'LinkedIn', jobUrl: 'https://www.linkedin.com/jobs/view/1003', notes: 'N/A' }
+  ]);
+  const second = env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [{ ...alertEmail, body: `${alertEmail.body}\n\nPlatform Engineer\nNorthwind`, date: '2026-09-05T08:00:00Z' }] });
+  env.emu.context.processJobLeads();
+
+  const rows = rowsByHeader(env.leadsSheet);
+  assert.deepStrictEqual(rows.map(r => [r['Company Name'], r['Times Seen']]), [['Contoso', 2], ['Fabrikam', 1], ['Northwind', 1]]);
+  assert.strictEqual(rows[0]['Last Seen'].toISOString(), '2026-09-05T08:00:00.000Z');
+  assert.strictEqual(rows[0]['Source Email ID'], [first, second].map(t => t.getMessages()[0].getId()).join(','));
+  assert.deepStrictEqual(env.emu.gmail.threadLabelNames(second), [env.labels.processed.getName()]);
+});
+
+test('matches link-less leads by company, title and location', () => {
+  const env = setUp();
+  const noLink = [{ jobTitle: 'Sr. Data Engineer', company: 'Contoso, Inc.', location: 'Seattle, WA', source: 'Indeed', jobUrl: 'N/A', notes: 'N/A' }];
+  answerWithLeads(env.emu, noLink);
+  env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [alertEmail] });
+  env.emu.context.processJobLeads();
+
+  answerWithLeads(env.emu, [
+    { ...noLink[0], jobTitle: 'Senior Data Engineer', company: 'Contoso' },
+    { ...noLink[0], location: 'Austin, TX' }
+  ]);
+  env.emu.gmail.addThread({ labels: [env.labels.toProcess.getName()], messages: [{ ...alertEmail, body: `${alertEmail.body}\n\nSenior Data Engineer\nContoso`, date: '2026-09-04T08:00:00Z' }] });
+  env.emu.context.processJobLeads();
+
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(r => [r['Location'], r['Times Seen']]), [['Seattle, WA', 2], ['Austin, TX', 1]]);
+});
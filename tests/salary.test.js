@@ -0,0 +1,106 @@
+// Tests for parsing pay text into the structured salary columns (SalaryUtils.gs) and the dashboard's salary chart.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpProject, addRowsByHeader, rowsByHeader } = require('./test_helpers');
+
+const setUp = () => setUpProject({ leads: true, applications: true });
+
+const salaryView = r => [r['Salary Min'], r['Salary Max'], r['Salary Currency'], r['Salary Period'], r['Annual Salary Min (USD)'], r['Annual Salary Max (USD)']];
+
+// Sets a cell and fires the edit handler the way the onEdit trigger does.
+function editCell(emu, sheet, row, col, value) {
+  const range = sheet.getRange(row, col);
+  range.setValue(value);
+  emu.context.handleCellEdit({ range: range, value: value });
+}
+
+test('parses ranges, currencies, periods and open-ended pay', () => {
+  const { emu, C } = setUp();
+  const parse = text => { const s = emu.context.parseSalary(text); return s && { ...s }; };
+  const gbp = C('SALARY_USD_EXCHANGE_RATES').GBP;
+
+  assert.deepStrictEqual(parse('$120K–$150K/yr'), { min: 120000, max: 150000, currency: 'USD', period: 'Year', annualMinUsd: 120000, annualMaxUsd: 150000 });
+  assert.deepStrictEqual(parse('£45,000 - £55,000'), { min: 45000, max: 55000, currency: 'GBP', period: 'Year', annualMinUsd: Math.round(45000 * gbp), annualMaxUsd: Math.round(55000 * gbp) });
+  assert.deepStrictEqual(parse('$65/hr'), { min: 65, max: 65, currency: 'USD', period: 'Hour', annualMinUsd: 65 * C('HOURS_PER_WORK_YEAR'), annualMaxUsd: 65 * C('HOURS_PER_WORK_YEAR') });
+  assert.deepStrictEqual(parse('Up to 180k + equity'), { min: null, max: 180000, currency: 'USD', period: 'Year', annualMinUsd: null, annualMaxUsd: 180000 });
+
+  const summary = text => { const s = parse(text); return s && [s.min, s.max, s.currency, s.period]; };
+  assert.deepStrictEqual(summary('$120-150k'), [120000, 150000, 'USD', 'Year'], 'one "k" covers both ends');
+  assert.deepStrictEqual(summary('From $100k'), [100000, null, 'USD', 'Year']);
+  assert.deepStrictEqual(summary('$150k+'), [150000, null, 'USD', 'Year']);
+  assert.deepStrictEqual(summary('CA$90,000 to CA$110,000'), [90000, 110000, 'CAD', 'Year']);
+  assert.deepStrictEqual(summary('€4.500 per month'), [4500, 4500, 'EUR', 'Month']);
+  assert.deepStrictEqual(summary('401k match; $90k base'), [90000, 90000, 'USD', 'Year']);
+  assert.deepStrictEqual(summary(150000), [150000, 150000, 'USD', 'Year'], 'a number typed into the cell');
+  assert.deepStrictEqual(summary('20-25/hr'), [20, 25, 'USD', 'Hour'], 'a period marks pay without a currency sign');
+  assert.deepStrictEqual(summary('45.50/hr'), [45.5, 45.5, 'USD', 'Hour']);
+  ['Competitive', 'N/A', '', '$5 off', '3+ years, team of 1,200'].forEach(text => assert.strictEqual(parse(text), null, text));
+});
+
+test('applications get salary columns from Compensation when written and when edited', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [{ 'Company Name': 'Contoso', 'Job Title': 'Backend Engineer', 'Salary/Pay': '$65/hr', 'Status': 'New', 'Lead ID': 'lead-1' }]);
+
+  editCell(env.emu, env.leadsSheet, 2, env.C('LEADS_STATUS_COL'), env.C('LEADS_APPLIED_STATUS'));
+
+  assert.deepStrictEqual(salaryView(rowsByHeader(env.appSheet)[0]), [65, 65, 'USD', 'Hour', 135200, 135200]);
+  editCell(env.emu, env.appSheet, 2, env.C('COMPENSATION_COL'), '$120K–$150K/yr');
+  assert.deepStrictEqual(salaryView(rowsByHeader(env.appSheet)[0]), [120000, 150000, 'USD', 'Year', 120000, 150000]);
+  editCell(env.emu, env.appSheet, 2, env.C('COMPENSATION_COL'), 'Competitive');
+  assert.deepStrictEqual(salaryView(rowsByHeader(env.appSheet)[0]), ['', '', '', '', '', '']);
+});
+
+test('lead salary columns follow Salary/Pay edits, and the backfill fills both tabs', () => {
+  const env = setUp();
+  addRowsByHeader(env.leadsSheet, [
+    { 'Company Name': 'Contoso', 'Job Title': 'Data Engineer', 'Salary/Pay': 'Up to 180k + equity', 'Status': 'New' },
+    { 'Company Name': 'Fabrikam', 'Job Title': 'Data Analyst', 'Salary/Pay': 'N/A', 'Status': 'New' }
+  ]);
+  addRowsByHeader(env.appSheet, [{ 'Company': 'Northwind', 'Job Title': 'Analytics Engineer', 'Status': 'Applied', 'Compensation': '£45,000 - £55,000' }]);
+
+  const result = env.emu.context.refreshSalaryColumns(env.emu.spreadsheet);
+
+  assert.deepStrictEqual({ ...result }, { applications: 1, leads: 1 });
+  assert.deepStrictEqual(rowsByHeader(env.leadsSheet).map(salaryView), [['', 180000, 'USD', 'Year', '', 180000], ['', '', '', '', '', '']]);
+  assert.deepStrictEqual(salaryView(rowsByHeader(env.appSheet)[0]).slice(0, 4), [45000, 55000, 'GBP', 'Year']);
+
+  editCell(env.emu, env.leadsSheet, 3, env.C('LEADS_SALARY_PAY_COL'), '$2.5k/week');
+  assert.deepStrictEqual(salaryView(rowsByHeader(env.leadsSheet)[1]), [2500, 2500, 'USD', 'Week', 130000, 130000]);
+});
+
+test('the dashboard counts applications and leads per salary band and charts them', () => {
+  const { emu, C } = setUp();
+  const helperSheet = emu.context.getOrCreateHelperSheet(emu.spreadsheet);
+  assert.strictEqual(emu.context.setupHelperSheetFormulas(helperSheet), true);
+
+  const bands = C('SALARY_DISTRIBUTION_BANDS');
+  const table = helperSheet.getRange(1, 13, bands.length + 1, 3).getValues();
+  assert.deepStrictEqual(table.map(r => r[0]), ['Salary Band', 'Under $50k', '$50k-$75k', '$75k-$100k', '$100k-$125k', '$125k-$150k', '$150k-$200k', '$200k+']);
+  assert.deepStrictEqual(table[0].slice(1), ['Applications', 'Leads']);
+  assert.strictEqual(table[6][1], '=COUNTIFS(Q$2:Q, ">=150000", Q$2:Q, "<200000")');
+  assert.strictEqual(table[7][2], '=COUNTIFS(R$2:R, ">=200000")');
+  assert.match(helperSheet.getRange('Q2').getValue(), /^=IFERROR\(FILTER\(\(IF\('Applications'!AC2:AC="", 'Applications'!AD2:AD/);
+  assert.match(helperSheet.getRange('R2').getValue(), /MATCH\("Annual Salary Min \(USD\)", INDIRECT\("'Potential Job Leads'!1:1"\), 0\)/);
+
+  const dashboard = emu.spreadsheet.insertSheet(C('DASHBOARD_TAB_NAME'));
+  emu.context.updateDashboardMetrics(dashboard, helperSheet);
+  const salaryChart = dashboard.getCharts().find(c => c.options.title === 'Salary Distribution (Annual USD, Midpoint)');
+  assert.ok(salaryChart);
+  assert.strictEqual(salaryChart.type, 'COLUMN');
+  assert.deepStrictEqual([salaryChart.ranges[0].getColumn(), salaryChart.ranges[0].getNumColumns(), salaryChart.ranges[0].getNumRows()], [13, 3, bands.length + 1]);
+});
+
+test('the salary backfill migrates an older sheet\'s headers without assigning Application IDs', () => {
+  const { emu, C } = setUpProject();
+  const appSheet = emu.spreadsheet.insertSheet(C('APP_TRACKER_SHEET_TAB_NAME'));
+  appSheet.appendRow(Array.from(C('APP_TRACKER_SHEET_HEADERS')).slice(0, C('NOTES_COL')));
+  addRowsByHeader(appSheet, [{ 'Company': 'Northwind', 'Job Title': 'Analytics Engineer', 'Status': 'Applied' }]);
+
+  emu.context.refreshSalaryColumns(emu.spreadsheet);
+
+  assert.deepStrictEqual(Object.keys(rowsByHeader(appSheet)[0]), Array.from(C('APP_TRACKER_SHEET_HEADERS')));
+  assert.strictEqual(rowsByHeader(appSheet)[0]['Application ID'], '');
+  assert.ok(appSheet.isColumnHiddenByUser(C('APPLICATION_ID_COL')));
+});
@@ -0,0 +1,57 @@
+// File: tests/test_helpers.js
+// Description: Setup shared by the emulator tests: a project emulator with the tracker tabs and their header
+// rows, and sheet rows written and read as objects keyed by header name.
+// Node only; excluded from the Apps Script project by .claspignore.
+
+const { createProjectEmulator } = require('./gas_emulator');
+
+const VALID_GEMINI_KEY = `AIza${'x'.repeat(35)}`;
+
+/**
+ * Creates a project emulator with the requested tabs, each holding its header row.
+ * @param {{leads?: boolean, applications?: boolean, geminiKey?: boolean}} [options] Which tabs to create, and
+ *     whether to store a valid Gemini API key.
+ * @return {{emu: Object, C: function(string): *, leadsSheet: Object, appSheet: Object}} C reads a project
+ *     constant; a tab that was not requested is null.
+ */
+function setUpProject(options) {
+  const opts = Object.assign({ leads: false, applications: false, geminiKey: false }, options);
+  const emu = createProjectEmulator();
+  const C = name => emu.run(name);
+  if (opts.geminiKey) emu.scriptProperties.setProperty(C('GEMINI_API_KEY_PROPERTY'), VALID_GEMINI_KEY);
+  const addTab = (tabName, headers) => {
+    const sheet = emu.spreadsheet.insertSheet(C(tabName));
+    sheet.appendRow(Array.from(C(headers)));
+    return sheet;
+  };
+  return {
+    emu,
+    C,
+    leadsSheet: opts.leads ? addTab('LEADS_SHEET_TAB_NAME', 'LEADS_SHEET_HEADERS') : null,
+    appSheet: opts.applications ? addTab('APP_TRACKER_SHEET_TAB_NAME', 'APP_TRACKER_SHEET_HEADERS') : null
+  };
+}
+
+/**
+ * Appends rows given as objects keyed by header name; missing headers are left blank.
+ * @param {Object} sheet The emulated sheet, with its header row in row 1.
+ * @param {Array<Object>} rows The rows to append.
+ */
+function addRowsByHeader(sheet, rows) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  rows.forEach(row => sheet.appendRow(headers.map(h => (h in row ? row[h] : ''))));
+}
+
+/**
+ * Reads the data rows of a sheet as objects keyed by header name.
+ * @param {Object|null} sheet The emulated sheet, or null for a tab that does not exist.
+ * @return {Array<Object>} One object per data row; empty when there are none.
+ */
+function rowsByHeader(sheet) {
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues()
+    .map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+}
+
+module.exports = { VALID_GEMINI_KEY, setUpProject, addRowsByHeader, rowsByHeader };